@@ -0,0 +1,293 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { recordAudit } from "../utils/audit.js";
+import { getRolePermissions } from "../utils/permissions.js";
+import {
+  ACTION_PERMISSIONS,
+  executeAdminAction,
+  expirePendingActions,
+} from "../utils/adminActions.js";
+
+const STATUSES = ["pending", "approved", "rejected", "expired", "failed"];
+
+export const listPendingActions = async (req, res) => {
+  try {
+    await expirePendingActions();
+
+    const status = STATUSES.includes(req.query.status)
+      ? req.query.status
+      : "pending";
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = 20;
+    const offset = (page - 1) * limit;
+
+    // Solo las acciones que el rol puede decidir
+    const permissions = await getRolePermissions(req.user.role);
+    const actionTypes = Object.keys(ACTION_PERMISSIONS).filter((type) =>
+      permissions.has(ACTION_PERMISSIONS[type])
+    );
+
+    const result = await pool.query(
+      `SELECT a.id, a.action_type, a.target_user_id, a.target_snapshot, a.payload,
+              a.status, a.requested_at, a.expires_at, a.decided_at, a.decision_note,
+              a.executed_at, a.error,
+              a.requested_by, requester.email AS requested_by_email,
+              a.decided_by, decider.email AS decided_by_email
+       FROM pending_admin_actions a
+       LEFT JOIN users requester ON requester.id = a.requested_by
+       LEFT JOIN users decider ON decider.id = a.decided_by
+       WHERE a.status = $1 AND a.action_type = ANY($2)
+       ORDER BY a.requested_at DESC
+       LIMIT $3 OFFSET $4`,
+      [status, actionTypes, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM pending_admin_actions
+       WHERE status = $1 AND action_type = ANY($2)`,
+      [status, actionTypes]
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      actions: result.rows.map((row) => ({
+        ...row,
+        can_approve:
+          row.status === "pending" &&
+          row.requested_by !== req.user.id &&
+          permissions.has(ACTION_PERMISSIONS[row.action_type]),
+      })),
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    logger.error("❌ Error listando acciones pendientes:", error.message);
+    res.status(500).json({ error: "Error al obtener acciones pendientes" });
+  }
+};
+
+/**
+ * Bloquea la solicitud y valida que siga pendiente y vigente.
+ * Devuelve { action } o { status, body } con la respuesta de error.
+ */
+async function lockPendingAction(client, id) {
+  const result = await client.query(
+    "SELECT * FROM pending_admin_actions WHERE id = $1 FOR UPDATE",
+    [id]
+  );
+  const action = result.rows[0];
+
+  if (!action) {
+    return { status: 404, body: { error: "Solicitud no encontrada" } };
+  }
+
+  if (action.status !== "pending") {
+    return {
+      status: 409,
+      body: {
+        error: `La solicitud ya fue procesada (${action.status})`,
+        code: "ACTION_NOT_PENDING",
+      },
+    };
+  }
+
+  if (new Date(action.expires_at) <= new Date()) {
+    await client.query(
+      "UPDATE pending_admin_actions SET status = 'expired' WHERE id = $1",
+      [id]
+    );
+    return {
+      status: 410,
+      body: { error: "La solicitud expiró", code: "ACTION_EXPIRED" },
+    };
+  }
+
+  return { action };
+}
+
+export const approvePendingAction = async (req, res) => {
+  const id = req.params.id;
+  if (!inputProtect.isValidUUID(id)) {
+    return res.status(400).json({ error: "ID de solicitud inválido" });
+  }
+  const note = inputProtect.sanitizeString(String(req.body?.note || ""), {
+    maxLength: 500,
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { action, status, body } = await lockPendingAction(client, id);
+    if (!action) {
+      await client.query("COMMIT");
+      return res.status(status).json(body);
+    }
+
+    if (action.requested_by === req.user.id) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({
+        error:
+          "La acción debe aprobarla un administrador distinto al solicitante",
+        code: "SAME_APPROVER",
+      });
+    }
+
+    const permissions = await getRolePermissions(req.user.role);
+    const required = ACTION_PERMISSIONS[action.action_type];
+    if (!permissions.has(required)) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({
+        error: "Acceso denegado: Permisos insuficientes",
+        code: "INSUFFICIENT_PERMISSIONS",
+        required: [required],
+      });
+    }
+
+    const metadata = {
+      pending_action_id: action.id,
+      requested_by: action.requested_by,
+      approved_by: req.user.id,
+    };
+
+    await client.query("SAVEPOINT execute_action");
+    try {
+      await executeAdminAction(client, req, {
+        actionType: action.action_type,
+        targetUserId: action.target_user_id,
+        payload: action.payload,
+        metadata,
+      });
+    } catch (err) {
+      if (!["NOT_FOUND", "LAST_ADMIN"].includes(err.code)) throw err;
+
+      // La acción ya no aplica (usuario eliminado, último admin...): se registra como fallida
+      await client.query("ROLLBACK TO SAVEPOINT execute_action");
+      await client.query(
+        `UPDATE pending_admin_actions
+         SET status = 'failed', decided_by = $2, decided_at = NOW(),
+             decision_note = $3, error = $4
+         WHERE id = $1`,
+        [action.id, req.user.id, note || null, err.message]
+      );
+      await recordAudit(
+        req,
+        {
+          action: "admin_action.failed",
+          targetType: "user",
+          targetId: action.target_user_id,
+          metadata: { ...metadata, error: err.message },
+        },
+        client
+      );
+      await client.query("COMMIT");
+      return res.status(409).json({ error: err.message, code: err.code });
+    }
+
+    await client.query(
+      `UPDATE pending_admin_actions
+       SET status = 'approved', decided_by = $2, decided_at = NOW(),
+           decision_note = $3, executed_at = NOW()
+       WHERE id = $1`,
+      [action.id, req.user.id, note || null]
+    );
+    await recordAudit(
+      req,
+      {
+        action: "admin_action.approve",
+        targetType: "user",
+        targetId: action.target_user_id,
+        after: { action_type: action.action_type, payload: action.payload },
+        metadata: { ...metadata, note: note || null },
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+
+    logger.warn(
+      `✅ Admin ${req.user.id} aprobó ${action.action_type} sobre usuario ${action.target_user_id} (solicitado por ${action.requested_by})`
+    );
+    res.json({ success: true, status: "approved" });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    logger.error("❌ Error aprobando acción:", error.message);
+    res.status(500).json({ error: "Error al aprobar la acción" });
+  } finally {
+    client.release();
+  }
+};
+
+export const rejectPendingAction = async (req, res) => {
+  const id = req.params.id;
+  if (!inputProtect.isValidUUID(id)) {
+    return res.status(400).json({ error: "ID de solicitud inválido" });
+  }
+  const note = inputProtect.sanitizeString(String(req.body?.note || ""), {
+    maxLength: 500,
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { action, status, body } = await lockPendingAction(client, id);
+    if (!action) {
+      await client.query("COMMIT");
+      return res.status(status).json(body);
+    }
+
+    // El solicitante puede retirar su propia solicitud
+    if (action.requested_by !== req.user.id) {
+      const permissions = await getRolePermissions(req.user.role);
+      const required = ACTION_PERMISSIONS[action.action_type];
+      if (!permissions.has(required)) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({
+          error: "Acceso denegado: Permisos insuficientes",
+          code: "INSUFFICIENT_PERMISSIONS",
+          required: [required],
+        });
+      }
+    }
+
+    await client.query(
+      `UPDATE pending_admin_actions
+       SET status = 'rejected', decided_by = $2, decided_at = NOW(), decision_note = $3
+       WHERE id = $1`,
+      [action.id, req.user.id, note || null]
+    );
+    await recordAudit(
+      req,
+      {
+        action: "admin_action.reject",
+        targetType: "user",
+        targetId: action.target_user_id,
+        before: { action_type: action.action_type, payload: action.payload },
+        metadata: {
+          pending_action_id: action.id,
+          requested_by: action.requested_by,
+          note: note || null,
+        },
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+
+    logger.log(
+      `🚫 Admin ${req.user.id} rechazó ${action.action_type} sobre usuario ${action.target_user_id}`
+    );
+    res.json({ success: true, status: "rejected" });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    logger.error("❌ Error rechazando acción:", error.message);
+    res.status(500).json({ error: "Error al rechazar la acción" });
+  } finally {
+    client.release();
+  }
+};
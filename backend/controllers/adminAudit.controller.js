@@ -0,0 +1,161 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+
+const EXPORT_LIMIT = 10000;
+
+/**
+ * Construye el WHERE a partir de los filtros del query string:
+ * actor_id, action, target_type, target_id, request_id, from, to.
+ */
+function buildAuditFilters(query) {
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  const actorId = inputProtect.sanitizeNumeric(query.actor_id);
+  if (actorId !== null) add("actor_id = ?", actorId);
+
+  if (query.action) {
+    // "user." filtra por prefijo; "user.lock" por acción exacta
+    const action = inputProtect.sanitizeString(String(query.action), {
+      maxLength: 100,
+    });
+    if (action.endsWith(".")) add("action LIKE ?", `${action}%`);
+    else add("action = ?", action);
+  }
+
+  if (query.target_type) {
+    add(
+      "target_type = ?",
+      inputProtect.sanitizeString(String(query.target_type), { maxLength: 50 })
+    );
+  }
+
+  if (query.target_id) {
+    add(
+      "target_id = ?",
+      inputProtect.sanitizeString(String(query.target_id), { maxLength: 100 })
+    );
+  }
+
+  if (query.request_id) {
+    add(
+      "request_id = ?",
+      inputProtect.sanitizeString(String(query.request_id), { maxLength: 64 })
+    );
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  if (from && !isNaN(from)) add("created_at >= ?", from);
+
+  const to = query.to ? new Date(query.to) : null;
+  if (to && !isNaN(to)) add("created_at <= ?", to);
+
+  return {
+    whereClause: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
+
+export const getAuditLog = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      100,
+      Math.max(1, parseInt(req.query.limit, 10) || 25)
+    );
+    const offset = (page - 1) * limit;
+    const { whereClause, params } = buildAuditFilters(req.query);
+
+    const result = await pool.query(
+      `SELECT id, actor_id, actor_email, actor_role, action, target_type, target_id,
+              before_data, after_data, metadata, ip_address, request_id, created_at
+       FROM admin_audit_log
+       ${whereClause}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM admin_audit_log ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      entries: result.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    logger.error("❌ Error obteniendo auditoría:", error.message);
+    res.status(500).json({ error: "Error al obtener la auditoría" });
+  }
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+  // Evita que Excel/Sheets interpreten el texto como fórmula
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+export const exportAuditLog = async (req, res) => {
+  try {
+    const { whereClause, params } = buildAuditFilters(req.query);
+
+    const result = await pool.query(
+      `SELECT created_at, actor_id, actor_email, actor_role, action, target_type,
+              target_id, before_data, after_data, metadata, ip_address, request_id
+       FROM admin_audit_log
+       ${whereClause}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1}`,
+      [...params, EXPORT_LIMIT]
+    );
+
+    let csv =
+      "Fecha,Actor ID,Actor Email,Actor Rol,Acción,Tipo,Objetivo,Antes,Después,Detalles,IP,Request ID\n";
+    result.rows.forEach((row) => {
+      csv +=
+        [
+          row.created_at,
+          row.actor_id,
+          row.actor_email,
+          row.actor_role,
+          row.action,
+          row.target_type,
+          row.target_id,
+          row.before_data,
+          row.after_data,
+          row.metadata,
+          row.ip_address,
+          row.request_id,
+        ]
+          .map(csvCell)
+          .join(",") + "\n";
+    });
+
+    res.header("Content-Type", "text/csv");
+    res.attachment("auditoria-admin.csv");
+    res.send(csv);
+  } catch (error) {
+    logger.error("❌ Error exportando auditoría:", error.message);
+    res.status(500).json({ error: "Error al exportar la auditoría" });
+  }
+};
@@ -0,0 +1,410 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import stripe from "../utils/stripe.js";
+import inputProtect from "../middleware/inputProtect.js";
+import {
+  BASE_URL,
+  removeUploadedFile,
+  verifyUploadedImage,
+} from "../middleware/upload.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  getAdminProduct,
+  syncCatalogFromStripe,
+  upsertPrice,
+  upsertProduct,
+} from "../utils/catalog.js";
+
+// Stripe admite hasta 8 imágenes por producto
+export const MAX_PRODUCT_IMAGES = 8;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const DEFAULT_CURRENCY = "cop";
+
+export const syncCatalog = async (req, res) => {
+  try {
+    const result = await syncCatalogFromStripe();
+
+    await recordAudit(req, {
+      action: "catalog.sync",
+      targetType: "catalog",
+      metadata: result,
+    });
+
+    res.json({ message: "Catálogo sincronizado con Stripe", ...result });
+  } catch (error) {
+    logger.error("❌ Error sincronizando catálogo:", error.message);
+    res
+      .status(502)
+      .json({ error: "No se pudo sincronizar el catálogo con Stripe" });
+  }
+};
+
+/**
+ * Lee y valida los campos del formulario (multipart) de producto.
+ * En creación name y unit_amount son obligatorios; en edición todo es opcional.
+ * unit_amount va en la unidad mínima de la moneda, igual que en Stripe.
+ * @returns {{ data?: Object, error?: string }}
+ */
+function readProductInput(body = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = inputProtect.sanitizeString(String(body.name || ""), {
+      maxLength: 255,
+      allowNewlines: false,
+    });
+    if (name.length < 2) {
+      return { error: "El nombre debe tener al menos 2 caracteres" };
+    }
+    data.name = name;
+  }
+
+  if (body.description !== undefined) {
+    data.description =
+      inputProtect.sanitizeString(String(body.description), {
+        maxLength: MAX_DESCRIPTION_LENGTH,
+      }) || null;
+  }
+
+  if (body.unit_amount !== undefined || !partial) {
+    const amount = Number(body.unit_amount);
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { error: "unit_amount debe ser un entero positivo" };
+    }
+    data.unitAmount = amount;
+  }
+
+  if (body.currency !== undefined) {
+    const currency = String(body.currency).toLowerCase();
+    if (!/^[a-z]{3}$/.test(currency)) {
+      return { error: "Moneda inválida" };
+    }
+    data.currency = currency;
+  }
+
+  if (body.active !== undefined) {
+    data.active = body.active === true || body.active === "true";
+  }
+
+  if (body.remove_images !== undefined) {
+    data.removeImages = [].concat(body.remove_images).map(String);
+  }
+
+  return { data };
+}
+
+function uploadedImageUrls(files = []) {
+  return files.map((file) => `${BASE_URL}/uploads/${file.filename}`);
+}
+
+function discardUploads(files = []) {
+  files.forEach((file) => removeUploadedFile(file.filename));
+}
+
+/**
+ * Verifica el tipo real de cada imagen subida. Si alguna no es válida
+ * se eliminan todas para no dejar archivos huérfanos.
+ */
+async function verifyProductImages(files = []) {
+  for (const file of files) {
+    if (!(await verifyUploadedImage(file))) {
+      discardUploads(files);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Limpieza tras un error. Si Stripe no llegó a guardar el producto las
+ * imágenes subidas se eliminan; si ya lo guardó, sus URLs apuntan a ellas,
+ * así que se conservan y se reintenta reflejar el producto en la base
+ * local (el webhook y la sincronización periódica lo corrigen si falla).
+ */
+async function reconcileUploads(files, stripeProduct) {
+  if (!stripeProduct) {
+    discardUploads(files);
+    return;
+  }
+  try {
+    await upsertProduct(stripeProduct);
+    if (typeof stripeProduct.default_price === "object") {
+      await upsertPrice(stripeProduct.default_price);
+    }
+  } catch (err) {
+    logger.warn(
+      `⚠️ Producto ${stripeProduct.id} guardado en Stripe pero no localmente:`,
+      err.message
+    );
+  }
+}
+
+function stripeErrorResponse(res, error, fallback) {
+  if (error.type && error.type.startsWith("Stripe")) {
+    logger.error("❌ Error de Stripe:", error.message);
+    return res
+      .status(502)
+      .json({ error: "Stripe rechazó el cambio", detail: error.message });
+  }
+  logger.error(`❌ ${fallback}:`, error.message);
+  return res.status(500).json({ error: fallback });
+}
+
+export const listAdminProducts = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      100,
+      Math.max(1, parseInt(req.query.limit, 10) || 25)
+    );
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+    if (req.query.active === "true" || req.query.active === "false") {
+      params.push(req.query.active === "true");
+      conditions.push(`p.active = $${params.length}`);
+    }
+    if (req.query.search) {
+      params.push(
+        `%${inputProtect.sanitizeString(String(req.query.search), {
+          maxLength: 100,
+        })}%`
+      );
+      conditions.push(`p.name ILIKE $${params.length}`);
+    }
+    const whereClause = conditions.length
+      ? `WHERE ${conditions.join(" AND ")}`
+      : "";
+
+    const result = await pool.query(
+      `SELECT p.id, p.stripe_product_id, p.name, p.description, p.images,
+              p.active, p.updated_at,
+              (SELECT COUNT(*) FROM prices pr
+               WHERE pr.product_id = p.id AND pr.active = TRUE)::int AS active_prices
+       FROM products p
+       ${whereClause}
+       ORDER BY p.active DESC, p.name ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM products p ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      products: result.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    logger.error("❌ Error listando productos:", error.message);
+    res.status(500).json({ error: "Error al obtener los productos" });
+  }
+};
+
+export const getAdminProductById = async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id, 10);
+    if (!productId) {
+      return res.status(400).json({ error: "ID inválido" });
+    }
+
+    const product = await getAdminProduct(productId);
+    if (!product) {
+      return res.status(404).json({ error: "Producto no encontrado" });
+    }
+    res.json(product);
+  } catch (error) {
+    logger.error("❌ Error obteniendo producto:", error.message);
+    res.status(500).json({ error: "Error al obtener el producto" });
+  }
+};
+
+export const createAdminProduct = async (req, res) => {
+  const files = req.files || [];
+  let stripeProduct = null;
+
+  try {
+    const { data, error } = readProductInput(req.body);
+    if (error) {
+      discardUploads(files);
+      return res.status(400).json({ error });
+    }
+    if (!(await verifyProductImages(files))) {
+      return res.status(400).json({ error: "Archivo no válido" });
+    }
+
+    // Stripe primero: si rechaza el producto no queda nada local
+    stripeProduct = await stripe.products.create({
+      name: data.name,
+      description: data.description || undefined,
+      images: uploadedImageUrls(files),
+      active: data.active !== false,
+      default_price_data: {
+        currency: data.currency || DEFAULT_CURRENCY,
+        unit_amount: data.unitAmount,
+      },
+      expand: ["default_price"],
+    });
+
+    const productId = await upsertProduct(stripeProduct);
+    await upsertPrice(stripeProduct.default_price);
+
+    const product = await getAdminProduct(productId);
+    await recordAudit(req, {
+      action: "catalog.product_create",
+      targetType: "product",
+      targetId: productId,
+      after: product,
+    });
+
+    logger.log(`🆕 Producto creado: ${product.name} (${product.id})`);
+    res.status(201).json(product);
+  } catch (error) {
+    await reconcileUploads(files, stripeProduct);
+    stripeErrorResponse(res, error, "Error al crear el producto");
+  }
+};
+
+export const updateAdminProduct = async (req, res) => {
+  const files = req.files || [];
+  let stripeProduct = null;
+
+  try {
+    const productId = parseInt(req.params.id, 10);
+    const { data, error } = readProductInput(req.body, { partial: true });
+    if (!productId || error) {
+      discardUploads(files);
+      return res.status(400).json({ error: error || "ID inválido" });
+    }
+    if (!(await verifyProductImages(files))) {
+      return res.status(400).json({ error: "Archivo no válido" });
+    }
+
+    const before = await getAdminProduct(productId);
+    if (!before) {
+      discardUploads(files);
+      return res.status(404).json({ error: "Producto no encontrado" });
+    }
+
+    const images = before.images
+      .filter((url) => !(data.removeImages || []).includes(url))
+      .concat(uploadedImageUrls(files));
+    if (images.length > MAX_PRODUCT_IMAGES) {
+      discardUploads(files);
+      return res.status(400).json({
+        error: `Un producto admite como máximo ${MAX_PRODUCT_IMAGES} imágenes`,
+      });
+    }
+
+    const update = { images };
+    if (data.name !== undefined) update.name = data.name;
+    // Stripe borra la descripción con un string vacío
+    if (data.description !== undefined) {
+      update.description = data.description || "";
+    }
+    if (data.active !== undefined) update.active = data.active;
+
+    // Los precios de Stripe son inmutables: un monto nuevo es un precio nuevo.
+    // Los precios de las variantes se gestionan aparte y no se tocan aquí.
+    const basePrices = before.prices.filter((price) => !price.variant_price);
+    const currentPrice = basePrices.find((price) => price.active);
+    const currency =
+      data.currency || currentPrice?.currency || DEFAULT_CURRENCY;
+    const priceChanged =
+      data.unitAmount !== undefined &&
+      (!currentPrice ||
+        currentPrice.unit_amount !== data.unitAmount ||
+        currentPrice.currency !== currency);
+
+    if (priceChanged) {
+      const newPrice = await stripe.prices.create({
+        product: before.stripe_product_id,
+        currency,
+        unit_amount: data.unitAmount,
+      });
+      await upsertPrice(newPrice);
+      update.default_price = newPrice.id;
+    }
+
+    stripeProduct = await stripe.products.update(
+      before.stripe_product_id,
+      update
+    );
+    await upsertProduct(stripeProduct);
+
+    if (priceChanged) {
+      for (const price of basePrices.filter((price) => price.active)) {
+        await upsertPrice(
+          await stripe.prices.update(price.stripe_price_id, { active: false })
+        );
+      }
+    }
+
+    // Las imágenes locales retiradas del producto ya no se sirven
+    (data.removeImages || [])
+      .filter((url) => before.images.includes(url))
+      .filter((url) => url.startsWith(`${BASE_URL}/uploads/`))
+      .forEach((url) => removeUploadedFile(url.split("/").pop()));
+
+    const after = await getAdminProduct(productId);
+    await recordAudit(req, {
+      action: "catalog.product_update",
+      targetType: "product",
+      targetId: productId,
+      before,
+      after,
+    });
+
+    res.json(after);
+  } catch (error) {
+    await reconcileUploads(files, stripeProduct);
+    stripeErrorResponse(res, error, "Error al actualizar el producto");
+  }
+};
+
+/**
+ * Archiva el producto y sus precios (en Stripe no se borran productos
+ * con ventas; las compras antiguas siguen apuntando a la fila local).
+ */
+export const archiveAdminProduct = async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id, 10);
+    if (!productId) {
+      return res.status(400).json({ error: "ID inválido" });
+    }
+
+    const before = await getAdminProduct(productId);
+    if (!before) {
+      return res.status(404).json({ error: "Producto no encontrado" });
+    }
+
+    for (const price of before.prices.filter((price) => price.active)) {
+      await upsertPrice(
+        await stripe.prices.update(price.stripe_price_id, { active: false })
+      );
+    }
+    await upsertProduct(
+      await stripe.products.update(before.stripe_product_id, { active: false })
+    );
+
+    await recordAudit(req, {
+      action: "catalog.product_archive",
+      targetType: "product",
+      targetId: productId,
+      before,
+    });
+
+    logger.warn(`🗄️ Producto archivado: ${before.name} (${productId})`);
+    res.json({ message: "Producto archivado" });
+  } catch (error) {
+    stripeErrorResponse(res, error, "Error al archivar el producto");
+  }
+};
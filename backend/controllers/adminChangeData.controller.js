@@ -1,36 +1,146 @@
 import pool from "../database/db.js";
 import logger from "../utils/logger.js";
 import inputProtect from "../middleware/inputProtect.js";
+import { recordAudit } from "../utils/audit.js";
+import { sendSms } from "../utils/sms.js";
+import {
+  ORDER_STATUSES,
+  releaseOrderHold,
+  statusMessage,
+  transitionOrderStatus,
+} from "../utils/orderStatus.js";
 
+/**
+ * Cambia el estado de un pedido siguiendo las transiciones permitidas
+ * (ver ORDER_TRANSITIONS) y lo deja en el historial. Con notify_customer
+ * el cliente recibe un SMS.
+ */
 export const getStateOrder = async (req, res) => {
+  const id = inputProtect.sanitizeNumeric(req.params.id);
+  const status = inputProtect.sanitizeString(req.body.status);
+  const note = inputProtect.sanitizeString(String(req.body.note || ""), {
+    maxLength: 500,
+  });
+  const notifyCustomer = req.body.notify_customer === true;
+
+  if (!ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Estado no válido" });
+  }
+
+  const client = await pool.connect();
   try {
-    const id = inputProtect.sanitizeNumeric(req.params.id);
-    const status = inputProtect.sanitizeString(req.body.status);
-
-    const validStatuses = [
-      "pendiente",
-      "procesando",
-      "enviado",
-      "completado",
-      "cancelado",
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: "Estado no válido" });
-    }
+    await client.query("BEGIN");
 
-    const result = await pool.query(
-      "UPDATE compras SET status = $1 WHERE id = $2",
-      [status, id]
+    const change = await transitionOrderStatus(client, id, status, {
+      note: note || null,
+      actorId: req.user.id,
+      notifyCustomer,
+    });
+
+    await recordAudit(
+      req,
+      {
+        action: "order.update_status",
+        targetType: "order",
+        targetId: id,
+        before: { status: change.from },
+        after: { status },
+        metadata: { note: note || null, notify_customer: notifyCustomer },
+      },
+      client
     );
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: "Pedido no encontrado" });
+    await client.query("COMMIT");
+
+    if (notifyCustomer && change.phone) {
+      await sendSms(change.phone, statusMessage(id, status));
     }
 
-    res.json({ success: true, status });
+    res.json({ success: true, status, from: change.from, entry: change.entry });
   } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "NOT_FOUND") {
+      return res.status(404).json({ error: "Pedido no encontrado" });
+    }
+    if (error.code === "INVALID_TRANSITION") {
+      return res.status(409).json({
+        error: `No se puede pasar de ${error.from} a ${status}`,
+        code: "INVALID_TRANSITION",
+        allowed: error.allowed,
+      });
+    }
+    if (error.code === "PAYMENT_PENDING") {
+      return res.status(409).json({
+        error: "El pedido no se puede preparar ni enviar sin el pago",
+        code: "PAYMENT_PENDING",
+        payment_status: error.paymentStatus,
+      });
+    }
+    if (error.code === "ORDER_ON_HOLD") {
+      return res.status(409).json({
+        error: "El pedido está retenido: libéralo antes de prepararlo",
+        code: "ORDER_ON_HOLD",
+        hold_reason: error.reason,
+      });
+    }
     logger.error("❌ Error actualizando estado:", error.message);
     res.status(500).json({ error: "Error interno del servidor" });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Libera un pedido retenido (p. ej. envío cobrado para otra zona) una vez
+ * cobrada o aceptada la diferencia. Queda en el historial y la auditoría.
+ */
+export const releaseHoldOrder = async (req, res) => {
+  const id = inputProtect.sanitizeNumeric(req.params.id);
+  const note = inputProtect.sanitizeString(String(req.body?.note || ""), {
+    maxLength: 500,
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const released = await releaseOrderHold(client, id, {
+      note: note || null,
+      actorId: req.user.id,
+    });
+
+    await recordAudit(
+      req,
+      {
+        action: "order.release_hold",
+        targetType: "order",
+        targetId: id,
+        before: { shipping_hold: true, hold_reason: released.reason },
+        after: { shipping_hold: false },
+        metadata: { note: note || null },
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    logger.log(`▶️ Pedido #${id} liberado por el usuario ${req.user.id}`);
+
+    res.json({ success: true, entry: released.entry });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "NOT_FOUND") {
+      return res.status(404).json({ error: "Pedido no encontrado" });
+    }
+    if (error.code === "NOT_ON_HOLD") {
+      return res.status(409).json({
+        error: "El pedido no está retenido",
+        code: "NOT_ON_HOLD",
+      });
+    }
+    logger.error("❌ Error liberando pedido:", error.message);
+    res.status(500).json({ error: "Error interno del servidor" });
+  } finally {
+    client.release();
   }
 };
 
@@ -55,9 +165,14 @@ export const getTopProducts = async (req, res) => {
   try {
     const result = await pool.query(`
         SELECT 
-          producto, COUNT(*) AS cantidad_vendida, SUM(precio) AS total_ventas
-        FROM compras
-        GROUP BY producto
+          COALESCE(p.name, MAX(oi.product_name)) AS producto,
+          SUM(oi.quantity - oi.quantity_refunded) AS cantidad_vendida,
+          SUM(oi.total - oi.amount_refunded) / 100.0 AS total_ventas
+        FROM order_items oi
+        JOIN compras c ON c.id = oi.order_id
+        LEFT JOIN products p ON p.id = oi.product_id
+        WHERE c.payment_status NOT IN ('pending', 'failed')
+        GROUP BY COALESCE(oi.product_id::text, oi.product_name), p.name
         ORDER BY cantidad_vendida DESC
         LIMIT 5;
       `);
@@ -72,10 +187,14 @@ export const getSaleByMonths = async (req, res) => {
   try {
     const result = await pool.query(`
         SELECT 
-          TO_CHAR(fecha, 'YYYY-MM') AS mes,
-          COUNT(*) AS total_compras,
-          SUM(precio) AS total_ventas
-        FROM compras
+          TO_CHAR(c.fecha, 'YYYY-MM') AS mes,
+          COUNT(DISTINCT c.id) AS total_compras,
+          SUM(oi.quantity - oi.quantity_refunded) AS unidades_vendidas,
+          SUM(oi.total - oi.amount_refunded) / 100.0 AS total_ventas,
+          SUM(oi.amount_refunded) / 100.0 AS total_reembolsado
+        FROM compras c
+        JOIN order_items oi ON oi.order_id = c.id
+        WHERE c.payment_status NOT IN ('pending', 'failed')
         GROUP BY mes
         ORDER BY mes ASC;
       `);
@@ -0,0 +1,248 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { recordAudit } from "../utils/audit.js";
+import { invalidateCatalogCache } from "../utils/catalog.js";
+import {
+  MOVEMENT_REASONS,
+  adjustStock,
+  checkLowStock,
+} from "../utils/inventory.js";
+
+// "initial", "sale" y "cancellation" los genera el sistema, no un ajuste manual
+const ADJUSTMENT_REASONS = MOVEMENT_REASONS.filter(
+  (reason) => !["initial", "sale", "cancellation"].includes(reason)
+);
+
+function readPagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 25));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Niveles de stock por SKU. ?low=true solo devuelve los que están en el umbral.
+ */
+export const listInventory = async (req, res) => {
+  try {
+    const { page, limit, offset } = readPagination(req.query);
+
+    const conditions = ["v.active = TRUE"];
+    const params = [];
+    if (req.query.low === "true") {
+      conditions.push("v.stock <= v.low_stock_threshold");
+    }
+    if (req.query.search) {
+      params.push(
+        `%${inputProtect.sanitizeString(String(req.query.search), {
+          maxLength: 100,
+        })}%`
+      );
+      conditions.push(
+        `(v.sku ILIKE $${params.length} OR p.name ILIKE $${params.length})`
+      );
+    }
+    const whereClause = `WHERE ${conditions.join(" AND ")}`;
+
+    const result = await pool.query(
+      `SELECT v.id, v.sku, v.options, v.stock, v.reserved,
+              v.stock - v.reserved AS available,
+              v.low_stock_threshold, v.low_stock_alerted_at,
+              p.id AS product_id, p.name AS product_name
+       FROM product_variants v
+       JOIN products p ON p.id = v.product_id
+       ${whereClause}
+       ORDER BY (v.stock <= v.low_stock_threshold) DESC, p.name ASC, v.sku ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM product_variants v
+       JOIN products p ON p.id = v.product_id
+       ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      items: result.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    logger.error("❌ Error obteniendo inventario:", error.message);
+    res.status(500).json({ error: "Error al obtener el inventario" });
+  }
+};
+
+export const getStockMovements = async (req, res) => {
+  try {
+    const variantId = parseInt(req.params.variantId, 10);
+    if (!variantId) {
+      return res.status(400).json({ error: "ID inválido" });
+    }
+    const { page, limit, offset } = readPagination(req.query);
+
+    const result = await pool.query(
+      `SELECT m.id, m.delta, m.stock_after, m.reason, m.note,
+              m.reservation_id, m.order_id, m.actor_id,
+              u.email AS actor_email, m.created_at
+       FROM stock_movements m
+       LEFT JOIN users u ON u.id = m.actor_id
+       WHERE m.variant_id = $1
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT $2 OFFSET $3`,
+      [variantId, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      "SELECT COUNT(*) FROM stock_movements WHERE variant_id = $1",
+      [variantId]
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      movements: result.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    logger.error("❌ Error obteniendo movimientos:", error.message);
+    res.status(500).json({ error: "Error al obtener los movimientos" });
+  }
+};
+
+/**
+ * Ajuste manual: reposición, devolución, merma o corrección.
+ */
+export const createStockAdjustment = async (req, res) => {
+  const variantId = parseInt(req.params.variantId, 10);
+  const delta = Number(req.body?.delta);
+  const reason = String(req.body?.reason || "");
+  const note = inputProtect.sanitizeString(String(req.body?.note || ""), {
+    maxLength: 500,
+  });
+
+  if (!variantId || !Number.isInteger(delta) || delta === 0) {
+    return res
+      .status(400)
+      .json({ error: "delta debe ser un entero distinto de cero" });
+  }
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    return res.status(400).json({
+      error: `reason debe ser uno de: ${ADJUSTMENT_REASONS.join(", ")}`,
+    });
+  }
+  if (reason === "correction" && !note) {
+    return res
+      .status(400)
+      .json({ error: "Una corrección necesita una nota explicativa" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const movement = await adjustStock(
+      { variantId, delta, reason, note, actorId: req.user.id },
+      client
+    );
+
+    await recordAudit(
+      req,
+      {
+        action: "inventory.adjust",
+        targetType: "product_variant",
+        targetId: variantId,
+        before: { stock: movement.stock_before },
+        after: { stock: movement.stock_after },
+        metadata: {
+          delta,
+          reason,
+          note: note || null,
+          movement_id: movement.id,
+        },
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    invalidateCatalogCache();
+    await checkLowStock(variantId);
+
+    logger.log(
+      `📦 Ajuste de stock: variante ${variantId} ${
+        delta > 0 ? "+" : ""
+      }${delta} (${reason})`
+    );
+    res.status(201).json(movement);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "NOT_FOUND") {
+      return res.status(404).json({ error: "Variante no encontrada" });
+    }
+    if (error.code === "BELOW_RESERVED") {
+      return res.status(409).json({
+        error: `Hay ${error.reserved} unidades reservadas en checkouts abiertos`,
+        code: "BELOW_RESERVED",
+      });
+    }
+    logger.error("❌ Error ajustando stock:", error.message);
+    res.status(500).json({ error: "Error al ajustar el stock" });
+  } finally {
+    client.release();
+  }
+};
+
+export const updateLowStockThreshold = async (req, res) => {
+  try {
+    const variantId = parseInt(req.params.variantId, 10);
+    const threshold = Number(req.body?.low_stock_threshold);
+    if (!variantId || !Number.isInteger(threshold) || threshold < 0) {
+      return res
+        .status(400)
+        .json({ error: "low_stock_threshold debe ser un entero >= 0" });
+    }
+
+    const result = await pool.query(
+      `UPDATE product_variants v
+       SET low_stock_threshold = $2,
+           low_stock_alerted_at = CASE
+             WHEN v.stock > $2 THEN NULL
+             ELSE v.low_stock_alerted_at
+           END,
+           updated_at = NOW()
+       FROM product_variants old
+       WHERE v.id = $1 AND old.id = v.id
+       RETURNING v.id, v.sku, v.stock, v.low_stock_threshold,
+                 old.low_stock_threshold AS previous_threshold`,
+      [variantId, threshold]
+    );
+    const variant = result.rows[0];
+    if (!variant) {
+      return res.status(404).json({ error: "Variante no encontrada" });
+    }
+
+    await recordAudit(req, {
+      action: "inventory.threshold_update",
+      targetType: "product_variant",
+      targetId: variantId,
+      before: { low_stock_threshold: variant.previous_threshold },
+      after: { low_stock_threshold: threshold },
+    });
+    await checkLowStock(variantId);
+
+    const { previous_threshold, ...updated } = variant;
+    res.json(updated);
+  } catch (error) {
+    logger.error("❌ Error actualizando umbral:", error.message);
+    res.status(500).json({ error: "Error al actualizar el umbral" });
+  }
+};
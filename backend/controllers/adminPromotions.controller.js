@@ -0,0 +1,350 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  createStripeCoupon,
+  normalizePromotionInput,
+  promotionUsageJson,
+} from "../utils/promotions.js";
+
+const PROMOTION_FIELDS = `p.id, p.code, p.description, p.discount_type,
+  p.percent_off::float AS percent_off, p.amount_off, p.currency,
+  p.min_order_amount, p.max_redemptions, p.max_redemptions_per_user,
+  p.starts_at, p.ends_at, p.product_ids, p.stripe_coupon_id, p.active,
+  p.created_by, p.created_at, p.updated_at`;
+
+// Cambiar cualquiera de estos campos requiere un cupón nuevo en Stripe
+const COUPON_FIELDS = [
+  "discount_type",
+  "percent_off",
+  "amount_off",
+  "currency",
+  "product_ids",
+];
+
+function readPagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 25));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function respondPromotionError(res, error, fallback) {
+  if (error.code === "NOT_FOUND") {
+    return res.status(404).json({ error: "Promoción no encontrada" });
+  }
+  if (error.code === "23505") {
+    return res.status(409).json({
+      error: "Ya existe una promoción con ese código",
+      code: "PROMO_DUPLICATE",
+    });
+  }
+  if (error.code === "23514") {
+    return res.status(400).json({ error: "Vigencia o descuento inválidos" });
+  }
+  if (error.code === "UNKNOWN_PRODUCTS") {
+    return res.status(400).json({
+      error: "Hay productos que no existen",
+      code: error.code,
+      product_ids: error.ids,
+    });
+  }
+  if (error.type && error.type.startsWith("Stripe")) {
+    logger.error("❌ Error de Stripe:", error.message);
+    return res
+      .status(502)
+      .json({ error: "Stripe rechazó el cupón", detail: error.message });
+  }
+  logger.error(`❌ ${fallback}:`, error.message);
+  res.status(500).json({ error: fallback });
+}
+
+async function findPromotion(db, promotionId, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT ${PROMOTION_FIELDS}, ${promotionUsageJson("p")} AS usage
+     FROM promotions p
+     WHERE p.id = $1
+     ${lock ? "FOR UPDATE OF p" : ""}`,
+    [promotionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Promociones con sus usos. ?active=true|false para filtrar.
+ */
+export const listPromotions = async (req, res) => {
+  try {
+    const { page, limit, offset } = readPagination(req.query);
+
+    const params = [];
+    let whereClause = "";
+    if (["true", "false"].includes(req.query.active)) {
+      params.push(req.query.active === "true");
+      whereClause = `WHERE p.active = $1`;
+    }
+
+    const result = await pool.query(
+      `SELECT ${PROMOTION_FIELDS}, ${promotionUsageJson("p")} AS usage
+       FROM promotions p
+       ${whereClause}
+       ORDER BY p.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM promotions p ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      promotions: result.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    respondPromotionError(res, error, "Error al obtener las promociones");
+  }
+};
+
+export const createPromotion = async (req, res) => {
+  const { promotion, error } = normalizePromotionInput(req.body);
+  if (error) return res.status(400).json({ error });
+  promotion.product_ids = promotion.product_ids || [];
+
+  try {
+    const duplicate = await pool.query(
+      "SELECT 1 FROM promotions WHERE code = $1",
+      [promotion.code]
+    );
+    if (duplicate.rows[0]) throw { code: "23505" };
+
+    const couponId = await createStripeCoupon(promotion);
+
+    const result = await pool.query(
+      `INSERT INTO promotions
+         (code, description, discount_type, percent_off, amount_off, currency,
+          min_order_amount, max_redemptions, max_redemptions_per_user,
+          starts_at, ends_at, product_ids, stripe_coupon_id, active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING id`,
+      [
+        promotion.code,
+        promotion.description || null,
+        promotion.discount_type,
+        promotion.percent_off,
+        promotion.amount_off,
+        promotion.currency || "cop",
+        promotion.min_order_amount ?? null,
+        promotion.max_redemptions ?? null,
+        promotion.max_redemptions_per_user ?? null,
+        promotion.starts_at ?? null,
+        promotion.ends_at ?? null,
+        promotion.product_ids,
+        couponId,
+        promotion.active ?? true,
+        req.user.id,
+      ]
+    );
+    const created = await findPromotion(pool, result.rows[0].id);
+
+    await recordAudit(req, {
+      action: "promotion.create",
+      targetType: "promotion",
+      targetId: created.id,
+      after: created,
+    });
+
+    logger.log(`🏷️ Promoción ${created.code} creada por admin ${req.user.id}`);
+    res.status(201).json(created);
+  } catch (err) {
+    respondPromotionError(res, err, "Error al crear la promoción");
+  }
+};
+
+/**
+ * Edita una promoción. El código no cambia; un descuento o productos
+ * nuevos crean otro cupón en Stripe (las sesiones abiertas conservan el
+ * anterior).
+ */
+export const updatePromotion = async (req, res) => {
+  const promotionId = parseInt(req.params.id, 10);
+  if (!promotionId) return res.status(400).json({ error: "ID inválido" });
+  if (req.body?.code !== undefined) {
+    return res
+      .status(400)
+      .json({ error: "El código de una promoción no se puede cambiar" });
+  }
+
+  const { promotion: changes, error } = normalizePromotionInput(req.body, {
+    partial: true,
+  });
+  if (error) return res.status(400).json({ error });
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: "No hay cambios" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await findPromotion(client, promotionId, { lock: true });
+    if (!before) throw { code: "NOT_FOUND" };
+
+    const merged = { ...before, ...changes };
+    if (COUPON_FIELDS.some((field) => changes[field] !== undefined)) {
+      merged.stripe_coupon_id = await createStripeCoupon(merged, client);
+    }
+
+    await client.query(
+      `UPDATE promotions
+       SET description = $2, discount_type = $3, percent_off = $4,
+           amount_off = $5, currency = $6, min_order_amount = $7,
+           max_redemptions = $8, max_redemptions_per_user = $9,
+           starts_at = $10, ends_at = $11, product_ids = $12,
+           stripe_coupon_id = $13, active = $14, updated_at = NOW()
+       WHERE id = $1`,
+      [
+        promotionId,
+        merged.description,
+        merged.discount_type,
+        merged.percent_off,
+        merged.amount_off,
+        merged.currency,
+        merged.min_order_amount,
+        merged.max_redemptions,
+        merged.max_redemptions_per_user,
+        merged.starts_at,
+        merged.ends_at,
+        merged.product_ids,
+        merged.stripe_coupon_id,
+        merged.active,
+      ]
+    );
+    const after = await findPromotion(client, promotionId);
+
+    await recordAudit(
+      req,
+      {
+        action: "promotion.update",
+        targetType: "promotion",
+        targetId: promotionId,
+        before,
+        after,
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    res.json(after);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    respondPromotionError(res, err, "Error al actualizar la promoción");
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Canjes de una promoción con su pedido y cliente (más recientes primero).
+ */
+export const listPromotionRedemptions = async (req, res) => {
+  const promotionId = parseInt(req.params.id, 10);
+  if (!promotionId) return res.status(400).json({ error: "ID inválido" });
+
+  try {
+    const { page, limit, offset } = readPagination(req.query);
+    const status = ["pending", "redeemed", "released"].includes(
+      req.query.status
+    )
+      ? req.query.status
+      : "redeemed";
+
+    const result = await pool.query(
+      `SELECT r.id, r.status, r.order_id, r.user_id, u.email AS user_email,
+              r.amount_discounted, r.currency, r.stripe_session_id,
+              ROUND(c.precio * 100)::float AS order_total,
+              r.created_at, r.resolved_at
+       FROM promotion_redemptions r
+       LEFT JOIN users u ON u.id = r.user_id
+       LEFT JOIN compras c ON c.id = r.order_id
+       WHERE r.promotion_id = $1 AND r.status = $2
+       ORDER BY COALESCE(r.resolved_at, r.created_at) DESC
+       LIMIT $3 OFFSET $4`,
+      [promotionId, status, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM promotion_redemptions
+       WHERE promotion_id = $1 AND status = $2`,
+      [promotionId, status]
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      redemptions: result.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    respondPromotionError(res, error, "Error al obtener los canjes");
+  }
+};
+
+/**
+ * Resumen por promoción de los canjes en un rango (?from, ?to):
+ * usos, clientes distintos, descuento total e ingresos de esos pedidos
+ * (montos en la unidad mínima de la moneda).
+ */
+export const getPromotionsReport = async (req, res) => {
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if (
+    (from && Number.isNaN(from.getTime())) ||
+    (to && Number.isNaN(to.getTime()))
+  ) {
+    return res.status(400).json({ error: "from o to inválidos" });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT p.id, p.code, p.discount_type,
+              p.percent_off::float AS percent_off, p.amount_off, p.active,
+              COUNT(r.id)::int AS redemptions,
+              COUNT(DISTINCT r.user_id)::int AS customers,
+              COALESCE(SUM(r.amount_discounted), 0)::float AS amount_discounted,
+              COALESCE(SUM(ROUND(c.precio * 100)), 0)::float AS revenue,
+              COALESCE(ROUND(AVG(c.precio * 100)), 0)::float AS average_order
+       FROM promotions p
+       LEFT JOIN promotion_redemptions r
+         ON r.promotion_id = p.id
+        AND r.status = 'redeemed'
+        AND ($1::timestamptz IS NULL OR r.resolved_at >= $1)
+        AND ($2::timestamptz IS NULL OR r.resolved_at < $2)
+       LEFT JOIN compras c ON c.id = r.order_id
+       GROUP BY p.id
+       ORDER BY redemptions DESC, p.code`,
+      [from, to]
+    );
+
+    const totals = result.rows.reduce(
+      (sum, row) => ({
+        redemptions: sum.redemptions + row.redemptions,
+        amount_discounted: sum.amount_discounted + row.amount_discounted,
+        revenue: sum.revenue + row.revenue,
+      }),
+      { redemptions: 0, amount_discounted: 0, revenue: 0 }
+    );
+
+    res.json({ from, to, promotions: result.rows, totals });
+  } catch (error) {
+    respondPromotionError(res, error, "Error al generar el reporte");
+  }
+};
@@ -0,0 +1,155 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { recordAudit } from "../utils/audit.js";
+import { REFUND_REASONS, notifyRefund, refundOrder } from "../utils/refunds.js";
+
+const REFUND_ERRORS = {
+  INVALID_ITEMS: [400, "Líneas a reembolsar inválidas"],
+  INVALID_AMOUNT: [400, "Monto a reembolsar inválido"],
+  AMOUNT_EXCEEDS: [409, "El monto supera lo que queda por reembolsar"],
+  NOT_REFUNDABLE: [409, "El pago del pedido no admite reembolsos"],
+  NO_PAYMENT: [409, "El pedido no tiene un pago de Stripe asociado"],
+  DUPLICATE_REFUND: [409, "Este reembolso ya se registró"],
+};
+
+export const listOrderRefunds = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id, 10);
+    if (!orderId) {
+      return res.status(400).json({ error: "ID inválido" });
+    }
+
+    const result = await pool.query(
+      `SELECT r.id, r.stripe_refund_id, r.amount, r.currency, r.reason, r.note,
+              r.status, r.items, r.restocked, r.actor_id,
+              u.email AS actor_email, r.created_at
+       FROM refunds r
+       LEFT JOIN users u ON u.id = r.actor_id
+       WHERE r.order_id = $1
+       ORDER BY r.created_at DESC`,
+      [orderId]
+    );
+
+    res.json({ refunds: result.rows });
+  } catch (error) {
+    logger.error("❌ Error obteniendo reembolsos:", error.message);
+    res.status(500).json({ error: "Error al obtener los reembolsos" });
+  }
+};
+
+/**
+ * Reembolso total (sin amount ni items) o parcial (por monto o por líneas).
+ */
+export const createOrderRefund = async (req, res) => {
+  const orderId = parseInt(req.params.id, 10);
+  const body = req.body || {};
+  const reason = String(body.reason || "");
+  const note = inputProtect.sanitizeString(String(body.note || ""), {
+    maxLength: 500,
+  });
+  const amount =
+    body.amount === undefined || body.amount === null
+      ? undefined
+      : Number(body.amount);
+  const lines = Array.isArray(body.items)
+    ? body.items.map((item) => ({
+        orderItemId: parseInt(item?.order_item_id, 10),
+        quantity: Number(item?.quantity),
+      }))
+    : null;
+
+  if (!orderId) {
+    return res.status(400).json({ error: "ID inválido" });
+  }
+  if (!REFUND_REASONS.includes(reason)) {
+    return res.status(400).json({
+      error: `reason debe ser uno de: ${REFUND_REASONS.join(", ")}`,
+    });
+  }
+  if (reason === "other" && !note) {
+    return res
+      .status(400)
+      .json({ error: "Un reembolso por otro motivo necesita una nota" });
+  }
+  if (amount !== undefined && lines?.length) {
+    return res.status(400).json({ error: "Indica amount o items, no ambos" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const result = await refundOrder(
+      {
+        orderId,
+        amount,
+        lines,
+        reason,
+        note,
+        restock: body.restock === true,
+        actorId: req.user.id,
+        idempotencyKey: inputProtect.sanitizeToken(req.get("Idempotency-Key")),
+      },
+      client
+    );
+
+    await recordAudit(
+      req,
+      {
+        action: "order.refund",
+        targetType: "order",
+        targetId: orderId,
+        after: {
+          payment_status: result.order.payment_status,
+          amount_refunded: result.order.amount_refunded,
+        },
+        metadata: {
+          refund_id: result.refund?.id,
+          stripe_refund_id: result.refund?.stripe_refund_id,
+          amount: result.amount,
+          reason,
+          note: note || null,
+          restock: body.restock === true,
+        },
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+
+    await notifyRefund(orderId, result.phone, result.amount);
+
+    logger.log(
+      `↩️ Reembolso de ${result.amount} en pedido #${orderId} por admin ${req.user.id}`
+    );
+    res.status(201).json({ refund: result.refund, order: result.order });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "NOT_FOUND") {
+      return res.status(404).json({ error: "Pedido no encontrado" });
+    }
+    if (REFUND_ERRORS[error.code]) {
+      const [status, message] = REFUND_ERRORS[error.code];
+      return res.status(status).json({
+        error: message,
+        code: error.code,
+        ...(error.refundable !== undefined && {
+          refundable: error.refundable,
+        }),
+        ...(error.paymentStatus && { payment_status: error.paymentStatus }),
+        ...(error.refundId && { refund_id: error.refundId }),
+      });
+    }
+    if (error.type && error.type.startsWith("Stripe")) {
+      logger.error("❌ Stripe rechazó el reembolso:", error.message);
+      return res
+        .status(502)
+        .json({ error: "Stripe rechazó el reembolso", detail: error.message });
+    }
+    logger.error("❌ Error reembolsando pedido:", error.message);
+    res.status(500).json({ error: "Error al reembolsar el pedido" });
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,296 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { clearPermissionCache } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+
+// El rol admin no se puede modificar: evita quedarse sin acceso a la gestión de roles
+const LOCKED_ROLE = "admin";
+const ROLE_NAME_REGEX = /^[a-z][a-z0-9_-]{2,49}$/;
+
+function readPermissionKeys(value) {
+  if (!Array.isArray(value)) return null;
+  return [
+    ...new Set(
+      value.map((key) => inputProtect.sanitizeString(String(key || "")))
+    ),
+  ].filter(Boolean);
+}
+
+/**
+ * Reemplaza los permisos de un rol dentro de una transacción.
+ * Lanza { code: "UNKNOWN_PERMISSION" } si alguna clave no existe.
+ */
+async function setRolePermissions(client, roleId, permissionKeys) {
+  const found = await client.query(
+    "SELECT id, key FROM permissions WHERE key = ANY($1::text[])",
+    [permissionKeys]
+  );
+
+  if (found.rows.length !== permissionKeys.length) {
+    const known = found.rows.map((row) => row.key);
+    throw {
+      code: "UNKNOWN_PERMISSION",
+      unknown: permissionKeys.filter((key) => !known.includes(key)),
+    };
+  }
+
+  await client.query("DELETE FROM role_permissions WHERE role_id = $1", [
+    roleId,
+  ]);
+  await client.query(
+    `INSERT INTO role_permissions (role_id, permission_id)
+     SELECT $1, UNNEST($2::int[])`,
+    [roleId, found.rows.map((row) => row.id)]
+  );
+}
+
+export const listPermissions = async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT key, description FROM permissions ORDER BY key"
+    );
+    res.json({ permissions: result.rows });
+  } catch (error) {
+    logger.error("❌ Error listando permisos:", error.message);
+    res.status(500).json({ error: "Error al obtener permisos" });
+  }
+};
+
+export const listRoles = async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+             COALESCE(
+               ARRAY_AGG(p.key ORDER BY p.key) FILTER (WHERE p.key IS NOT NULL),
+               '{}'
+             ) AS permissions,
+             (SELECT COUNT(*)::int FROM users u WHERE u.role = r.name) AS users_count
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_id = r.id
+      LEFT JOIN permissions p ON p.id = rp.permission_id
+      GROUP BY r.id
+      ORDER BY r.is_system DESC, r.name ASC
+    `);
+    res.json({ roles: result.rows });
+  } catch (error) {
+    logger.error("❌ Error listando roles:", error.message);
+    res.status(500).json({ error: "Error al obtener roles" });
+  }
+};
+
+export const createRole = async (req, res) => {
+  const name = inputProtect
+    .sanitizeString(String(req.body.name || ""))
+    .trim()
+    .toLowerCase();
+  const description = inputProtect.sanitizeString(
+    String(req.body.description || ""),
+    { maxLength: 255 }
+  );
+  const permissionKeys = readPermissionKeys(req.body.permissions) || [];
+
+  if (!ROLE_NAME_REGEX.test(name)) {
+    return res.status(400).json({
+      error:
+        "Nombre de rol inválido: 3-50 caracteres en minúscula, números, '-' o '_'",
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const inserted = await client.query(
+      `INSERT INTO roles (name, description)
+       VALUES ($1, $2)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING id, name, description, is_system`,
+      [name, description || null]
+    );
+
+    if (inserted.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Ya existe un rol con ese nombre" });
+    }
+
+    const role = inserted.rows[0];
+    await setRolePermissions(client, role.id, permissionKeys);
+    await recordAudit(
+      req,
+      {
+        action: "role.create",
+        targetType: "role",
+        targetId: role.name,
+        after: { description: role.description, permissions: permissionKeys },
+      },
+      client
+    );
+    await client.query("COMMIT");
+    clearPermissionCache();
+
+    logger.log(
+      `🛡️ Rol '${name}' creado por admin ${
+        req.user.id
+      } con permisos [${permissionKeys.join(", ")}]`
+    );
+    res.status(201).json({ role: { ...role, permissions: permissionKeys } });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "UNKNOWN_PERMISSION") {
+      return res
+        .status(400)
+        .json({ error: "Permisos desconocidos", unknown: error.unknown });
+    }
+    logger.error("❌ Error creando rol:", error.message);
+    res.status(500).json({ error: "Error al crear el rol" });
+  } finally {
+    client.release();
+  }
+};
+
+export const updateRole = async (req, res) => {
+  const roleId = inputProtect.sanitizeNumeric(req.params.id);
+  const permissionKeys = readPermissionKeys(req.body.permissions);
+  const description =
+    req.body.description !== undefined
+      ? inputProtect.sanitizeString(String(req.body.description || ""), {
+          maxLength: 255,
+        })
+      : undefined;
+
+  if (!permissionKeys && description === undefined) {
+    return res.status(400).json({ error: "No hay cambios para aplicar" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // El bloqueo de la fila serializa las ediciones concurrentes del rol
+    const roleResult = await client.query(
+      "SELECT id, name, description FROM roles WHERE id = $1 FOR UPDATE",
+      [roleId]
+    );
+    const role = roleResult.rows[0];
+
+    if (!role) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Rol no encontrado" });
+    }
+
+    const currentPermissions = await client.query(
+      `SELECT p.key
+       FROM role_permissions rp
+       JOIN permissions p ON p.id = rp.permission_id
+       WHERE rp.role_id = $1
+       ORDER BY p.key`,
+      [role.id]
+    );
+    role.permissions = currentPermissions.rows.map((row) => row.key);
+
+    if (role.name === LOCKED_ROLE) {
+      await client.query("ROLLBACK");
+      return res
+        .status(403)
+        .json({ error: "El rol admin no se puede modificar" });
+    }
+
+    if (description !== undefined) {
+      await client.query(
+        "UPDATE roles SET description = $2, updated_at = NOW() WHERE id = $1",
+        [role.id, description || null]
+      );
+    }
+
+    if (permissionKeys) {
+      await setRolePermissions(client, role.id, permissionKeys);
+      await client.query("UPDATE roles SET updated_at = NOW() WHERE id = $1", [
+        role.id,
+      ]);
+    }
+
+    await recordAudit(
+      req,
+      {
+        action: "role.update",
+        targetType: "role",
+        targetId: role.name,
+        before: {
+          description: role.description,
+          permissions: role.permissions,
+        },
+        after: {
+          description:
+            description !== undefined ? description || null : role.description,
+          permissions: permissionKeys || role.permissions,
+        },
+      },
+      client
+    );
+    await client.query("COMMIT");
+    clearPermissionCache();
+
+    logger.log(`🛡️ Rol '${role.name}' actualizado por admin ${req.user.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "UNKNOWN_PERMISSION") {
+      return res
+        .status(400)
+        .json({ error: "Permisos desconocidos", unknown: error.unknown });
+    }
+    logger.error("❌ Error actualizando rol:", error.message);
+    res.status(500).json({ error: "Error al actualizar el rol" });
+  } finally {
+    client.release();
+  }
+};
+
+export const deleteRole = async (req, res) => {
+  try {
+    const roleId = inputProtect.sanitizeNumeric(req.params.id);
+
+    const roleResult = await pool.query(
+      `SELECT r.name, r.is_system,
+              (SELECT COUNT(*)::int FROM users u WHERE u.role = r.name) AS users_count
+       FROM roles r WHERE r.id = $1`,
+      [roleId]
+    );
+    const role = roleResult.rows[0];
+
+    if (!role) {
+      return res.status(404).json({ error: "Rol no encontrado" });
+    }
+
+    if (role.is_system) {
+      return res
+        .status(403)
+        .json({ error: "Los roles del sistema no se pueden eliminar" });
+    }
+
+    if (role.users_count > 0) {
+      return res.status(409).json({
+        error:
+          "El rol tiene usuarios asignados. Reasígnalos antes de eliminarlo.",
+        users_count: role.users_count,
+      });
+    }
+
+    await pool.query("DELETE FROM roles WHERE id = $1", [roleId]);
+    clearPermissionCache();
+
+    await recordAudit(req, {
+      action: "role.delete",
+      targetType: "role",
+      targetId: role.name,
+      before: { name: role.name },
+    });
+
+    logger.warn(`🗑️ Rol '${role.name}' eliminado por admin ${req.user.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("❌ Error eliminando rol:", error.message);
+    res.status(500).json({ error: "Error al eliminar el rol" });
+  }
+};
@@ -1,6 +1,23 @@
 import pool from "../database/db.js";
 import logger from "../utils/logger.js";
 import inputProtect from "../middleware/inputProtect.js";
+import {
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+} from "../utils/sessions.js";
+import { getUserLoginStats } from "../utils/loginEvents.js";
+import { describeDevice } from "../utils/clientInfo.js";
+import { permissionsNotHeld, roleExists } from "../utils/permissions.js";
+import { getSecuritySnapshot, recordAudit } from "../utils/audit.js";
+import {
+  dualApprovalEnabled,
+  requestAdminAction,
+  runAdminActionNow,
+} from "../utils/adminActions.js";
+
+// Días hacia atrás que se consideran para el filtro "anomalous"
+const ANOMALY_WINDOW_DAYS = 30;
 
 export const getUsersSecurity = async (req, res) => {
   try {
@@ -40,6 +57,17 @@ export const getUsersSecurity = async (req, res) => {
       whereConditions.push(`s.login_attempts >= 2 AND s.login_attempts < 5`);
     }
 
+    if (filter === "anomalous") {
+      whereConditions.push(
+        `EXISTS (
+          SELECT 1 FROM login_events e
+          WHERE e.user_id = u.id
+            AND e.is_anomalous = TRUE
+            AND e.created_at > NOW() - INTERVAL '1 day' * ${ANOMALY_WINDOW_DAYS}
+        )`
+      );
+    }
+
     const searchCondition = `(u.name ILIKE $1 OR u.email ILIKE $2)`;
     const whereClause =
       whereConditions.length > 0 ? `AND ${whereConditions.join(" AND ")}` : "";
@@ -56,6 +84,9 @@ export const getUsersSecurity = async (req, res) => {
         s.locked_until,
         s.last_failed_login,
         s.lock_reason,
+        anomalies.anomalous_events,
+        anomalies.last_anomaly_at,
+        anomalies.last_anomaly_flags,
         CASE 
           WHEN s.locked_until > NOW() 
           THEN EXTRACT(EPOCH FROM (s.locked_until - NOW())) / 60
@@ -63,6 +94,16 @@ export const getUsersSecurity = async (req, res) => {
         END AS remaining_minutes
       FROM users u
       LEFT JOIN user_security s ON s.user_id = u.id
+      LEFT JOIN LATERAL (
+        SELECT
+          COUNT(*)::int AS anomalous_events,
+          MAX(e.created_at) AS last_anomaly_at,
+          (ARRAY_AGG(e.anomaly_flags ORDER BY e.created_at DESC))[1] AS last_anomaly_flags
+        FROM login_events e
+        WHERE e.user_id = u.id
+          AND e.is_anomalous = TRUE
+          AND e.created_at > NOW() - INTERVAL '1 day' * ${ANOMALY_WINDOW_DAYS}
+      ) anomalies ON TRUE
       WHERE ${searchCondition} ${whereClause}
       ORDER BY 
         s.is_permanently_locked DESC,
@@ -120,11 +161,21 @@ const getStats = async () => {
          WHERE login_attempts > 0 AND (is_locked = FALSE OR is_locked IS NULL) 
          AND is_permanently_locked = FALSE) as accounts_with_attempts,
         
-        (SELECT COUNT(*) FROM user_security 
-         WHERE last_failed_login::date = CURRENT_DATE) as failed_logins_today,
+        (SELECT COUNT(*) FROM login_events 
+         WHERE outcome IN ('failure', 'mfa_failure')
+         AND created_at >= CURRENT_DATE) as failed_logins_today,
         
-        (SELECT COUNT(*) FROM user_security 
-         WHERE last_login::date = CURRENT_DATE) as successful_logins_today
+        (SELECT COUNT(*) FROM login_events 
+         WHERE outcome = 'success'
+         AND created_at >= CURRENT_DATE) as successful_logins_today,
+
+        (SELECT COUNT(*) FROM login_events 
+         WHERE outcome IN ('locked', 'blocked')
+         AND created_at >= CURRENT_DATE) as lock_events_today,
+
+        (SELECT COUNT(*) FROM login_events 
+         WHERE is_anomalous = TRUE
+         AND created_at >= CURRENT_DATE) as anomalous_logins_today
     `);
 
     return {
@@ -135,6 +186,9 @@ const getStats = async () => {
       failed_logins_today: Number(result.rows[0].failed_logins_today) || 0,
       successful_logins_today:
         Number(result.rows[0].successful_logins_today) || 0,
+      lock_events_today: Number(result.rows[0].lock_events_today) || 0,
+      anomalous_logins_today:
+        Number(result.rows[0].anomalous_logins_today) || 0,
     };
   } catch (err) {
     logger.error("Error en getStats:", err);
@@ -144,6 +198,8 @@ const getStats = async () => {
       accounts_with_attempts: 0,
       failed_logins_today: 0,
       successful_logins_today: 0,
+      lock_events_today: 0,
+      anomalous_logins_today: 0,
     };
   }
 };
@@ -161,46 +217,74 @@ export const lockUser = async (req, res) => {
     }
 
     if (permanent) {
-      // Bloqueo PERMANENTE
-      await pool.query(
-        `INSERT INTO user_security (user_id, is_permanently_locked, lock_reason, updated_at)
-         VALUES ($1, true, $2, NOW())
-         ON CONFLICT (user_id) 
-         DO UPDATE SET 
-           is_permanently_locked = true,
-           lock_reason = $2,
-           is_locked = false,
-           locked_until = NULL,
-           updated_at = NOW()`,
-        [id, reason]
+      // Bloqueo PERMANENTE: requiere la aprobación de un segundo admin
+      const action = {
+        actionType: "user.lock_permanent",
+        targetUserId: inputProtect.sanitizeNumeric(id),
+        payload: { reason },
+      };
+
+      if (!dualApprovalEnabled) {
+        await runAdminActionNow(req, action);
+        return res.json({ success: true, permanent });
+      }
+
+      const target = await pool.query(
+        "SELECT id, name, email, role FROM users WHERE id = $1",
+        [id]
       );
+      if (target.rowCount === 0) {
+        return res.status(404).json({ error: "Usuario no encontrado" });
+      }
 
-      logger.warn(
-        `🔒 Usuario ${id} bloqueado PERMANENTEMENTE. Razón: ${reason}`
-      );
-    } else {
-      // Bloqueo TEMPORAL
-      const until = new Date(Date.now() + duration * 60000);
-
-      await pool.query(
-        `INSERT INTO user_security (user_id, is_locked, locked_until, lock_reason, updated_at)
-         VALUES ($1, true, $2, $3, NOW())
-         ON CONFLICT (user_id) 
-         DO UPDATE SET 
-           is_locked = true, 
-           locked_until = $2, 
-           lock_reason = $3,
-           updated_at = NOW()`,
-        [id, until, reason]
-      );
-
-      logger.warn(
-        `⏱️ Usuario ${id} bloqueado por ${duration} minutos. Razón: ${reason}`
-      );
+      const pending = await requestAdminAction(req, {
+        ...action,
+        targetSnapshot: target.rows[0],
+      });
+      return res.status(202).json({
+        success: true,
+        permanent,
+        pending_approval: true,
+        pending_action: pending,
+      });
     }
 
+    // Bloqueo TEMPORAL
+    const before = await getSecuritySnapshot(id);
+    const until = new Date(Date.now() + duration * 60000);
+
+    await pool.query(
+      `INSERT INTO user_security (user_id, is_locked, locked_until, lock_reason, updated_at)
+       VALUES ($1, true, $2, $3, NOW())
+       ON CONFLICT (user_id) 
+       DO UPDATE SET 
+         is_locked = true, 
+         locked_until = $2, 
+         lock_reason = $3,
+         updated_at = NOW()`,
+      [id, until, reason]
+    );
+
+    logger.warn(
+      `⏱️ Usuario ${id} bloqueado por ${duration} minutos. Razón: ${reason}`
+    );
+
+    await recordAudit(req, {
+      action: "user.lock",
+      targetType: "user",
+      targetId: id,
+      before,
+      after: await getSecuritySnapshot(id),
+      metadata: { reason, duration },
+    });
+
     res.json({ success: true, permanent });
   } catch (err) {
+    if (err.code === "ALREADY_PENDING" || err.code === "NOT_FOUND") {
+      return res
+        .status(err.code === "NOT_FOUND" ? 404 : 409)
+        .json({ error: err.message, code: err.code });
+    }
     logger.error("Error lockUser:", err);
     res.status(500).json({ error: "Error al bloquear usuario" });
   }
@@ -210,6 +294,7 @@ export const lockUser = async (req, res) => {
 export const unlockUser = async (req, res) => {
   try {
     const { id } = req.params;
+    const before = await getSecuritySnapshot(id);
 
     await pool.query(
       `INSERT INTO user_security (user_id, login_attempts, is_locked, locked_until, lock_reason, is_permanently_locked, updated_at)
@@ -225,6 +310,14 @@ export const unlockUser = async (req, res) => {
       [id]
     );
 
+    await recordAudit(req, {
+      action: "user.unlock",
+      targetType: "user",
+      targetId: id,
+      before,
+      after: await getSecuritySnapshot(id),
+    });
+
     logger.log(`✅ Usuario ${id} desbloqueado completamente`);
     res.json({ success: true });
   } catch (err) {
@@ -237,6 +330,7 @@ export const unlockUser = async (req, res) => {
 export const resetAttempts = async (req, res) => {
   try {
     const { id } = req.params;
+    const before = await getSecuritySnapshot(id);
     await pool.query(
       `INSERT INTO user_security (user_id, login_attempts, updated_at) 
        VALUES ($1, 0, NOW()) 
@@ -244,6 +338,15 @@ export const resetAttempts = async (req, res) => {
        DO UPDATE SET login_attempts = 0, updated_at = NOW()`,
       [id]
     );
+
+    await recordAudit(req, {
+      action: "user.reset_attempts",
+      targetType: "user",
+      targetId: id,
+      before,
+      after: await getSecuritySnapshot(id),
+    });
+
     res.json({ success: true });
   } catch (err) {
     logger.error("Error resetAttempts:", err);
@@ -262,24 +365,137 @@ export const getSecurityDetails = async (req, res) => {
       "SELECT * FROM user_security WHERE user_id = $1",
       [id]
     );
+    const sessions = await listActiveSessions(id);
+    const loginStats = await getUserLoginStats(id);
 
     res.json({
       user: user.rows[0],
+      sessions,
       stats: {
-        total_failed: sec.rows[0]?.login_attempts || 0,
-        failed_today:
-          sec.rows[0]?.last_failed_login?.toDateString() ===
-          new Date().toDateString()
-            ? sec.rows[0].login_attempts
-            : 0,
-        total_success: 0,
+        ...loginStats,
+        current_attempts: sec.rows[0]?.login_attempts || 0,
       },
     });
   } catch (err) {
+    logger.error("Error getSecurityDetails:", err);
     res.status(500).json({ error: "Error" });
   }
 };
 
+const TIMELINE_OUTCOMES = [
+  "success",
+  "failure",
+  "locked",
+  "blocked",
+  "mfa_required",
+  "mfa_failure",
+];
+
+// Historial paginado de intentos de login de un usuario
+export const getLoginTimeline = async (req, res) => {
+  try {
+    const userId = inputProtect.sanitizeNumeric(req.params.id);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      100,
+      Math.max(1, parseInt(req.query.limit, 10) || 20)
+    );
+    const offset = (page - 1) * limit;
+    const outcome = TIMELINE_OUTCOMES.includes(req.query.outcome)
+      ? req.query.outcome
+      : null;
+
+    const result = await pool.query(
+      `SELECT id, method, outcome, reason, ip_address, user_agent, session_id,
+              country, city, anomaly_flags, is_anomalous, alert_sent_at, created_at
+       FROM login_events
+       WHERE user_id = $1
+         AND ($2::text IS NULL OR outcome = $2)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3 OFFSET $4`,
+      [userId, outcome, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM login_events
+       WHERE user_id = $1
+         AND ($2::text IS NULL OR outcome = $2)`,
+      [userId, outcome]
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      events: result.rows.map((event) => ({
+        ...event,
+        device: describeDevice(event.user_agent),
+      })),
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (err) {
+    logger.error("Error getLoginTimeline:", err);
+    res.status(500).json({ error: "Error al obtener el historial de login" });
+  }
+};
+
+export const revokeUserSessionAdmin = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    if (!inputProtect.isValidUUID(sessionId)) {
+      return res.status(400).json({ error: "ID de sesión inválido" });
+    }
+
+    const revoked = await revokeSession(sessionId, "admin_revoked", {
+      userId: id,
+    });
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Sesión no encontrada" });
+    }
+
+    await recordAudit(req, {
+      action: "session.revoke",
+      targetType: "user",
+      targetId: id,
+      metadata: { session_id: sessionId },
+    });
+
+    logger.warn(
+      `🔒 Admin ${req.user.id} revocó la sesión ${sessionId} del usuario ${id}`
+    );
+    res.json({ success: true });
+  } catch (err) {
+    logger.error("Error revokeUserSessionAdmin:", err);
+    res.status(500).json({ error: "Error al revocar la sesión" });
+  }
+};
+
+export const revokeAllUserSessionsAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revoked = await revokeUserSessions(id, "admin_revoked");
+
+    await recordAudit(req, {
+      action: "session.revoke_all",
+      targetType: "user",
+      targetId: id,
+      metadata: { revoked },
+    });
+
+    logger.warn(
+      `🔒 Admin ${req.user.id} cerró ${revoked} sesión(es) del usuario ${id}`
+    );
+    res.json({ success: true, revoked });
+  } catch (err) {
+    logger.error("Error revokeAllUserSessionsAdmin:", err);
+    res.status(500).json({ error: "Error al revocar las sesiones" });
+  }
+};
+
 export const getSecurityStats = async (req, res) => {
   try {
     const stats = await getStats();
@@ -323,8 +539,7 @@ export const changeRolUser = async (req, res) => {
     const userId = inputProtect.sanitizeNumeric(req.params.id);
     const newRole = inputProtect.sanitizeString(req.body.role);
 
-    const validRoles = ["user", "admin", "viewer"];
-    if (!validRoles.includes(newRole)) {
+    if (!newRole || !(await roleExists(newRole))) {
       return res.status(400).json({ error: "Rol inválido" });
     }
 
@@ -332,14 +547,46 @@ export const changeRolUser = async (req, res) => {
       return res.status(400).json({ error: "No puedes cambiar tu propio rol" });
     }
 
+    const current = await pool.query("SELECT role FROM users WHERE id = $1", [
+      userId,
+    ]);
+
+    if (current.rowCount === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    // Solo se asignan o quitan roles cuyos permisos ya tiene quien cambia
+    const missing = await permissionsNotHeld(req.user.role, [
+      newRole,
+      current.rows[0].role,
+    ]);
+    if (missing.length > 0) {
+      logger.warn(
+        `🚫 Usuario ${
+          req.user.id
+        } intentó cambiar el rol de ${userId} a '${newRole}' sin los permisos: [${missing.join(
+          ", "
+        )}]`
+      );
+      return res.status(403).json({
+        error: "No puedes asignar ni quitar un rol con permisos que no tienes",
+        code: "ROLE_ESCALATION",
+        missing,
+      });
+    }
+
     const result = await pool.query(
       "UPDATE users SET role = $1 WHERE id = $2 RETURNING id, name, email, role",
       [newRole, userId]
     );
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: "Usuario no encontrado" });
-    }
+    await recordAudit(req, {
+      action: "user.change_role",
+      targetType: "user",
+      targetId: userId,
+      before: { role: current.rows[0].role },
+      after: { role: newRole },
+    });
 
     res.json({ success: true, user: result.rows[0] });
   } catch (error) {
@@ -358,25 +605,19 @@ export const deleteUser = async (req, res) => {
         .json({ error: "No puedes eliminar tu propia cuenta" });
     }
 
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json({ message: "Solo administradores pueden eliminar cuentas" });
+    const target = await pool.query(
+      "SELECT id, name, email, role FROM users WHERE id = $1",
+      [userId]
+    );
+    if (target.rowCount === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
     }
 
     const adminCountResult = await pool.query(
       "SELECT COUNT(*) FROM users WHERE role = 'admin'"
     );
     const adminCount = parseInt(adminCountResult.rows[0].count, 10);
-
-    const deletingUser = await pool.query(
-      "SELECT role FROM users WHERE id = $1",
-      [userId]
-    );
-    const deletingRole = deletingUser.rows[0]?.role;
-
-    const isLastAdmin =
-      deletingRole === "admin" && adminCount === 1 && req.user.role === "admin";
+    const isLastAdmin = target.rows[0].role === "admin" && adminCount === 1;
 
     if (isLastAdmin) {
       return res
@@ -384,18 +625,32 @@ export const deleteUser = async (req, res) => {
         .json({ error: "No puedes eliminar el último administrador" });
     }
 
-    const result = await pool.query(
-      "DELETE FROM users WHERE id = $1 RETURNING id",
-      [userId]
-    );
+    const action = { actionType: "user.delete", targetUserId: userId };
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: "Usuario no encontrado" });
+    if (!dualApprovalEnabled) {
+      await runAdminActionNow(req, action);
+      return res.json({ success: true });
     }
 
-    logger.log("✅ Usuario eliminado:", userId);
-    res.json({ success: true });
+    // La eliminación queda pendiente hasta que otro admin la apruebe
+    const pending = await requestAdminAction(req, {
+      ...action,
+      targetSnapshot: target.rows[0],
+    });
+    res.status(202).json({
+      success: true,
+      pending_approval: true,
+      pending_action: pending,
+    });
   } catch (error) {
+    if (error.code === "ALREADY_PENDING") {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    if (error.code === "NOT_FOUND" || error.code === "LAST_ADMIN") {
+      return res
+        .status(error.code === "NOT_FOUND" ? 404 : 400)
+        .json({ error: error.message, code: error.code });
+    }
     logger.error("❌ Error deleting user:", error.message);
     res.status(500).json({ error: "Error al eliminar usuario" });
   }
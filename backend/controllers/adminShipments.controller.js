@@ -0,0 +1,282 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { recordAudit } from "../utils/audit.js";
+import { sendSms } from "../utils/sms.js";
+import { statusMessage } from "../utils/orderStatus.js";
+import { listCarriers } from "../utils/carriers/index.js";
+import {
+  SHIPMENT_STATUSES,
+  createShipment,
+  refreshShipment,
+  updateShipment,
+  withTrackingInfo,
+} from "../utils/shipments.js";
+
+const INITIAL_STATUSES = ["label_created", "in_transit"];
+
+const SHIPMENT_ERRORS = {
+  UNKNOWN_CARRIER: [400, "Transportadora desconocida"],
+  ORDER_NOT_SHIPPABLE: [409, "El pedido no está listo para enviarse"],
+  PAYMENT_PENDING: [409, "El pedido no se puede enviar sin el pago"],
+  ORDER_ON_HOLD: [409, "El pedido está retenido: libéralo antes de enviarlo"],
+  NO_TRACKING_API: [409, "La transportadora no tiene seguimiento automático"],
+  DUPLICATE_TRACKING: [409, "Esa guía ya está registrada"],
+};
+
+function respondShipmentError(res, error, fallback) {
+  if (error.code === "NOT_FOUND") {
+    return res.status(404).json({ error: "No encontrado" });
+  }
+  const code = error.code === "23505" ? "DUPLICATE_TRACKING" : error.code;
+  if (SHIPMENT_ERRORS[code]) {
+    const [status, message] = SHIPMENT_ERRORS[code];
+    return res.status(status).json({
+      error: message,
+      code,
+      ...(error.status && { order_status: error.status }),
+    });
+  }
+  logger.error(`❌ ${fallback}:`, error.message);
+  res.status(500).json({ error: fallback });
+}
+
+// undefined: no vino; null: inválida
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export const getCarriers = (req, res) => {
+  res.json({ carriers: listCarriers() });
+};
+
+export const listOrderShipments = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id, 10);
+    if (!orderId) {
+      return res.status(400).json({ error: "ID inválido" });
+    }
+
+    const result = await pool.query(
+      `SELECT s.id, s.order_id, s.carrier, s.tracking_number, s.status,
+              s.last_event, s.shipped_at, s.delivered_at, s.last_checked_at,
+              s.created_by, u.email AS created_by_email, s.created_at,
+              s.updated_at
+       FROM shipments s
+       LEFT JOIN users u ON u.id = s.created_by
+       WHERE s.order_id = $1
+       ORDER BY s.shipped_at, s.id`,
+      [orderId]
+    );
+
+    res.json({ shipments: result.rows.map(withTrackingInfo) });
+  } catch (error) {
+    logger.error("❌ Error obteniendo envíos:", error.message);
+    res.status(500).json({ error: "Error al obtener los envíos" });
+  }
+};
+
+/**
+ * Registra la guía de un pedido. Un pedido en preparación pasa a enviado.
+ */
+export const createOrderShipment = async (req, res) => {
+  const orderId = parseInt(req.params.id, 10);
+  const body = req.body || {};
+  const carrier = String(body.carrier || "");
+  const trackingNumber = inputProtect
+    .sanitizeString(String(body.tracking_number || ""), { maxLength: 100 })
+    .trim();
+  const status = body.status || "in_transit";
+  const shippedAt = parseDate(body.shipped_at);
+  const notifyCustomer = body.notify_customer === true;
+
+  if (!orderId) {
+    return res.status(400).json({ error: "ID inválido" });
+  }
+  if (!carrier || !trackingNumber) {
+    return res
+      .status(400)
+      .json({ error: "carrier y tracking_number son obligatorios" });
+  }
+  if (!INITIAL_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status debe ser uno de: ${INITIAL_STATUSES.join(", ")}`,
+    });
+  }
+  if (shippedAt === null) {
+    return res.status(400).json({ error: "shipped_at inválida" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { shipment, statusChange } = await createShipment(client, {
+      orderId,
+      carrier,
+      trackingNumber,
+      status,
+      shippedAt,
+      actorId: req.user.id,
+      notifyCustomer,
+    });
+
+    await recordAudit(
+      req,
+      {
+        action: "shipment.create",
+        targetType: "order",
+        targetId: orderId,
+        after: {
+          shipment_id: shipment.id,
+          carrier,
+          tracking_number: trackingNumber,
+          ...(statusChange && { status: statusChange.to }),
+        },
+        metadata: { notify_customer: notifyCustomer },
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+
+    const tracked = withTrackingInfo(shipment);
+    if (statusChange && notifyCustomer && statusChange.phone) {
+      await sendSms(
+        statusChange.phone,
+        `${statusMessage(orderId, statusChange.to)} Guía ${
+          tracked.carrier_name
+        }: ${trackingNumber}${
+          tracked.tracking_url ? ` ${tracked.tracking_url}` : ""
+        }`
+      );
+    }
+
+    logger.log(
+      `🚚 Guía ${carrier} ${trackingNumber} registrada en pedido #${orderId} por admin ${req.user.id}`
+    );
+    res.status(201).json({
+      shipment: tracked,
+      order_status: statusChange?.to || "enviado",
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    respondShipmentError(res, error, "Error al registrar el envío");
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Corrige guía, transportadora, estado o fechas de un envío.
+ */
+export const updateOrderShipment = async (req, res) => {
+  const shipmentId = parseInt(req.params.id, 10);
+  const body = req.body || {};
+  const changes = {};
+
+  if (!shipmentId) {
+    return res.status(400).json({ error: "ID inválido" });
+  }
+  if (body.carrier !== undefined) changes.carrier = String(body.carrier);
+  if (body.tracking_number !== undefined) {
+    changes.tracking_number = inputProtect
+      .sanitizeString(String(body.tracking_number), { maxLength: 100 })
+      .trim();
+    if (!changes.tracking_number) {
+      return res.status(400).json({ error: "tracking_number inválido" });
+    }
+  }
+  if (body.status !== undefined) {
+    if (!SHIPMENT_STATUSES.includes(body.status)) {
+      return res.status(400).json({
+        error: `status debe ser uno de: ${SHIPMENT_STATUSES.join(", ")}`,
+      });
+    }
+    changes.status = body.status;
+  }
+  if (body.last_event !== undefined) {
+    changes.last_event = inputProtect.sanitizeString(
+      String(body.last_event || ""),
+      { maxLength: 500 }
+    );
+  }
+  for (const field of ["shipped_at", "delivered_at"]) {
+    const date = parseDate(body[field]);
+    if (date === null) {
+      return res.status(400).json({ error: `${field} inválida` });
+    }
+    if (date) changes[field] = date;
+  }
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: "Nada que actualizar" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { before, shipment, statusChange } = await updateShipment(
+      client,
+      shipmentId,
+      changes,
+      { actorId: req.user.id }
+    );
+
+    await recordAudit(
+      req,
+      {
+        action: "shipment.update",
+        targetType: "shipment",
+        targetId: shipmentId,
+        before: Object.fromEntries(
+          Object.keys(changes).map((field) => [field, before[field]])
+        ),
+        after: changes,
+        metadata: {
+          order_id: shipment.order_id,
+          ...(statusChange && { order_status: statusChange.to }),
+        },
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+
+    if (statusChange?.phone) {
+      await sendSms(
+        statusChange.phone,
+        statusMessage(shipment.order_id, statusChange.to)
+      );
+    }
+
+    res.json({
+      shipment: withTrackingInfo(shipment),
+      ...(statusChange && { order_status: statusChange.to }),
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    respondShipmentError(res, error, "Error al actualizar el envío");
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Consulta ya el estado del envío en la API de la transportadora.
+ */
+export const refreshOrderShipment = async (req, res) => {
+  const shipmentId = parseInt(req.params.id, 10);
+  if (!shipmentId) {
+    return res.status(400).json({ error: "ID inválido" });
+  }
+
+  try {
+    const shipment = await refreshShipment(shipmentId);
+    res.json({ shipment: withTrackingInfo(shipment) });
+  } catch (error) {
+    respondShipmentError(res, error, "Error al consultar la transportadora");
+  }
+};
@@ -0,0 +1,364 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  CO_DEPARTMENTS,
+  assertNoRateOverlap,
+  listShippingZones,
+  normalizeRateInput,
+  normalizeZoneInput,
+  parseDestination,
+  priceShipping,
+} from "../utils/shipping.js";
+
+const SHIPPING_ERRORS = {
+  INVALID_DESTINATION: [400, "Departamento desconocido"],
+  NO_SHIPPING_ZONE: [404, "Ninguna zona cubre ese destino"],
+  NO_SHIPPING_RATE: [404, "La zona no tiene tarifa para ese peso"],
+  RATE_OVERLAP: [409, "El tramo se cruza con otro de la misma zona"],
+  DEFAULT_ZONE_EXISTS: [409, "Ya hay una zona por defecto"],
+  ZONE_DUPLICATE: [409, "Ya existe una zona con ese nombre"],
+};
+
+function respondShippingError(res, error, fallback) {
+  if (error.code === "NOT_FOUND") {
+    return res.status(404).json({ error: "No encontrado" });
+  }
+  // Nombre repetido o segunda zona por defecto
+  if (error.code === "23505") {
+    error = {
+      code:
+        error.constraint === "idx_shipping_zones_default"
+          ? "DEFAULT_ZONE_EXISTS"
+          : "ZONE_DUPLICATE",
+    };
+  }
+  if (SHIPPING_ERRORS[error.code]) {
+    const [status, message] = SHIPPING_ERRORS[error.code];
+    return res.status(status).json({
+      error: message,
+      code: error.code,
+      ...(error.rateId && { rate_id: error.rateId }),
+    });
+  }
+  logger.error(`❌ ${fallback}:`, error.message);
+  res.status(500).json({ error: fallback });
+}
+
+async function findZone(db, zoneId) {
+  const result = await db.query(
+    "SELECT * FROM shipping_zones WHERE id = $1 FOR UPDATE",
+    [zoneId]
+  );
+  return result.rows[0] || null;
+}
+
+export const getShippingZones = async (req, res) => {
+  try {
+    res.json({
+      zones: await listShippingZones(),
+      departments: CO_DEPARTMENTS,
+    });
+  } catch (error) {
+    respondShippingError(res, error, "Error al obtener las zonas de envío");
+  }
+};
+
+export const createShippingZone = async (req, res) => {
+  const { zone, error } = normalizeZoneInput(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO shipping_zones
+         (name, departments, cities, is_default, free_shipping_threshold, active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        zone.name,
+        zone.departments || [],
+        zone.cities || [],
+        zone.is_default || false,
+        zone.free_shipping_threshold ?? null,
+        zone.active ?? true,
+      ]
+    );
+    const created = result.rows[0];
+
+    await recordAudit(req, {
+      action: "shipping.zone_create",
+      targetType: "shipping_zone",
+      targetId: created.id,
+      after: created,
+    });
+
+    logger.log(`🗺️ Zona de envío creada: ${created.name}`);
+    res.status(201).json(created);
+  } catch (err) {
+    respondShippingError(res, err, "Error al crear la zona de envío");
+  }
+};
+
+export const updateShippingZone = async (req, res) => {
+  const zoneId = parseInt(req.params.id, 10);
+  const { zone, error } = normalizeZoneInput(req.body, { partial: true });
+  if (!zoneId) return res.status(400).json({ error: "ID inválido" });
+  if (error) return res.status(400).json({ error });
+  if (Object.keys(zone).length === 0) {
+    return res.status(400).json({ error: "No hay cambios" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await findZone(client, zoneId);
+    if (!before) throw { code: "NOT_FOUND" };
+
+    const merged = { ...before, ...zone };
+    if (
+      !merged.is_default &&
+      merged.departments.length === 0 &&
+      merged.cities.length === 0
+    ) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: "La zona necesita departamentos, ciudades o is_default",
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE shipping_zones
+       SET name = $2, departments = $3, cities = $4, is_default = $5,
+           free_shipping_threshold = $6, active = $7, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        zoneId,
+        merged.name,
+        merged.departments,
+        merged.cities,
+        merged.is_default,
+        merged.free_shipping_threshold,
+        merged.active,
+      ]
+    );
+
+    await recordAudit(
+      req,
+      {
+        action: "shipping.zone_update",
+        targetType: "shipping_zone",
+        targetId: zoneId,
+        before,
+        after: result.rows[0],
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    respondShippingError(res, err, "Error al actualizar la zona de envío");
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Borra la zona y sus tarifas. Los pedidos que la usaron conservan lo cobrado.
+ */
+export const deleteShippingZone = async (req, res) => {
+  const zoneId = parseInt(req.params.id, 10);
+  if (!zoneId) return res.status(400).json({ error: "ID inválido" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await findZone(client, zoneId);
+    if (!before) throw { code: "NOT_FOUND" };
+    await client.query("DELETE FROM shipping_zones WHERE id = $1", [zoneId]);
+
+    await recordAudit(
+      req,
+      {
+        action: "shipping.zone_delete",
+        targetType: "shipping_zone",
+        targetId: zoneId,
+        before,
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    logger.warn(`🗑️ Zona de envío eliminada: ${before.name}`);
+    res.json({ message: "Zona eliminada" });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    respondShippingError(res, err, "Error al eliminar la zona de envío");
+  } finally {
+    client.release();
+  }
+};
+
+export const createShippingRate = async (req, res) => {
+  const zoneId = parseInt(req.params.id, 10);
+  const { rate, error } = normalizeRateInput(req.body);
+  if (!zoneId) return res.status(400).json({ error: "ID inválido" });
+  if (error) return res.status(400).json({ error });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // El bloqueo de la zona serializa los cambios de sus tramos
+    if (!(await findZone(client, zoneId))) throw { code: "NOT_FOUND" };
+    await assertNoRateOverlap(client, zoneId, rate);
+
+    const result = await client.query(
+      `INSERT INTO shipping_rates
+         (zone_id, min_weight_grams, max_weight_grams, amount,
+          delivery_days_min, delivery_days_max)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        zoneId,
+        rate.min_weight_grams,
+        rate.max_weight_grams,
+        rate.amount,
+        rate.delivery_days_min,
+        rate.delivery_days_max,
+      ]
+    );
+
+    await recordAudit(
+      req,
+      {
+        action: "shipping.rate_create",
+        targetType: "shipping_rate",
+        targetId: result.rows[0].id,
+        after: result.rows[0],
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    respondShippingError(res, err, "Error al crear la tarifa");
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reemplaza un tramo de peso (se envían todos sus campos).
+ */
+export const updateShippingRate = async (req, res) => {
+  const rateId = parseInt(req.params.id, 10);
+  const { rate, error } = normalizeRateInput(req.body);
+  if (!rateId) return res.status(400).json({ error: "ID inválido" });
+  if (error) return res.status(400).json({ error });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const current = await client.query(
+      "SELECT * FROM shipping_rates WHERE id = $1",
+      [rateId]
+    );
+    const before = current.rows[0];
+    if (!before) throw { code: "NOT_FOUND" };
+    await findZone(client, before.zone_id);
+    await assertNoRateOverlap(client, before.zone_id, rate, rateId);
+
+    const result = await client.query(
+      `UPDATE shipping_rates
+       SET min_weight_grams = $2, max_weight_grams = $3, amount = $4,
+           delivery_days_min = $5, delivery_days_max = $6, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        rateId,
+        rate.min_weight_grams,
+        rate.max_weight_grams,
+        rate.amount,
+        rate.delivery_days_min,
+        rate.delivery_days_max,
+      ]
+    );
+
+    await recordAudit(
+      req,
+      {
+        action: "shipping.rate_update",
+        targetType: "shipping_rate",
+        targetId: rateId,
+        before,
+        after: result.rows[0],
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    respondShippingError(res, err, "Error al actualizar la tarifa");
+  } finally {
+    client.release();
+  }
+};
+
+export const deleteShippingRate = async (req, res) => {
+  const rateId = parseInt(req.params.id, 10);
+  if (!rateId) return res.status(400).json({ error: "ID inválido" });
+
+  try {
+    const result = await pool.query(
+      "DELETE FROM shipping_rates WHERE id = $1 RETURNING *",
+      [rateId]
+    );
+    if (!result.rows[0]) throw { code: "NOT_FOUND" };
+
+    await recordAudit(req, {
+      action: "shipping.rate_delete",
+      targetType: "shipping_rate",
+      targetId: rateId,
+      before: result.rows[0],
+    });
+
+    res.json({ message: "Tarifa eliminada" });
+  } catch (err) {
+    respondShippingError(res, err, "Error al eliminar la tarifa");
+  }
+};
+
+/**
+ * Simula la tarifa de un destino, peso y subtotal sin crear un checkout.
+ */
+export const previewShippingQuote = async (req, res) => {
+  const weightGrams = Number(req.query.weight_grams);
+  const subtotal = Number(req.query.subtotal || 0);
+  if (!Number.isInteger(weightGrams) || weightGrams <= 0) {
+    return res.status(400).json({ error: "weight_grams inválido" });
+  }
+  if (!Number.isInteger(subtotal) || subtotal < 0) {
+    return res.status(400).json({ error: "subtotal inválido" });
+  }
+
+  try {
+    const destination = parseDestination({
+      department: req.query.department,
+      city: req.query.city,
+    });
+    const quote = await priceShipping({ destination, weightGrams, subtotal });
+    res.json({ destination, quote });
+  } catch (err) {
+    respondShippingError(res, err, "Error al cotizar el envío");
+  }
+};
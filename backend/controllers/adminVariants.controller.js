@@ -0,0 +1,391 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import stripe from "../utils/stripe.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  getAdminProduct,
+  invalidateCatalogCache,
+  upsertPrice,
+} from "../utils/catalog.js";
+import { adjustStock } from "../utils/inventory.js";
+import {
+  describeVariant,
+  getProductOptions,
+  normalizeOptionTypes,
+  normalizeSku,
+  validateVariantOptions,
+} from "../utils/variants.js";
+
+const DEFAULT_CURRENCY = "cop";
+
+function readStock(value) {
+  const stock = Number(value);
+  return Number.isInteger(stock) && stock >= 0 ? stock : null;
+}
+
+// undefined: no vino; null: inválido
+function readWeight(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const grams = Number(value);
+  return Number.isInteger(grams) && grams > 0 ? grams : null;
+}
+
+function readAmount(value) {
+  const amount = Number(value);
+  return Number.isInteger(amount) && amount > 0 ? amount : null;
+}
+
+async function findVariant(productId, variantId) {
+  const result = await pool.query(
+    `SELECT v.id, v.product_id, v.sku, v.options, v.stock, v.reserved,
+            v.weight_grams, v.active,
+            pr.stripe_price_id, pr.currency, pr.unit_amount,
+            p.stripe_product_id
+     FROM product_variants v
+     JOIN prices pr ON pr.id = v.price_id
+     JOIN products p ON p.id = v.product_id
+     WHERE v.id = $1 AND v.product_id = $2`,
+    [variantId, productId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Crea el precio de la variante en Stripe y lo guarda en el catálogo local.
+ * @returns {Promise<number>} id local del precio
+ */
+async function createVariantPrice(
+  stripeProductId,
+  { sku, options, currency, unitAmount }
+) {
+  const price = await stripe.prices.create({
+    product: stripeProductId,
+    currency,
+    unit_amount: unitAmount,
+    nickname: describeVariant(options),
+    metadata: { sku },
+  });
+  return upsertPrice(price);
+}
+
+function respondVariantError(res, error, fallback) {
+  if (error.code === "23505") {
+    return res.status(409).json({
+      error: "Ya existe una variante con ese SKU o esa combinación de opciones",
+      code: "VARIANT_DUPLICATE",
+    });
+  }
+  if (error.type && error.type.startsWith("Stripe")) {
+    logger.error("❌ Error de Stripe:", error.message);
+    return res
+      .status(502)
+      .json({ error: "Stripe rechazó el cambio", detail: error.message });
+  }
+  logger.error(`❌ ${fallback}:`, error.message);
+  return res.status(500).json({ error: fallback });
+}
+
+/**
+ * Reemplaza los tipos de opción del producto (p. ej. Tamaño, Molienda, Tueste).
+ * Se rechaza si alguna variante activa deja de ser válida.
+ */
+export const updateProductOptions = async (req, res) => {
+  const productId = parseInt(req.params.id, 10);
+  const { options, error } = normalizeOptionTypes(req.body?.options);
+  if (!productId || error) {
+    return res.status(400).json({ error: error || "ID inválido" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const product = await client.query(
+      "SELECT id FROM products WHERE id = $1 FOR UPDATE",
+      [productId]
+    );
+    if (!product.rows[0]) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Producto no encontrado" });
+    }
+
+    const before = await getProductOptions(productId, client);
+    const variants = await client.query(
+      "SELECT sku, options FROM product_variants WHERE product_id = $1 AND active = TRUE",
+      [productId]
+    );
+    const invalid = variants.rows
+      .filter(
+        (variant) => validateVariantOptions(options, variant.options).error
+      )
+      .map((variant) => variant.sku);
+    if (invalid.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: "Hay variantes activas que no encajan con las nuevas opciones",
+        code: "OPTIONS_IN_USE",
+        variants: invalid,
+      });
+    }
+
+    await client.query("DELETE FROM product_options WHERE product_id = $1", [
+      productId,
+    ]);
+    for (const [position, option] of options.entries()) {
+      await client.query(
+        `INSERT INTO product_options (product_id, name, "values", position)
+         VALUES ($1, $2, $3, $4)`,
+        [productId, option.name, option.values, position]
+      );
+    }
+
+    await recordAudit(
+      req,
+      {
+        action: "catalog.options_update",
+        targetType: "product",
+        targetId: productId,
+        before,
+        after: options,
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    invalidateCatalogCache();
+
+    res.json({ options });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    logger.error("❌ Error actualizando opciones:", err.message);
+    res.status(500).json({ error: "Error al actualizar las opciones" });
+  } finally {
+    client.release();
+  }
+};
+
+export const createVariant = async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id, 10);
+    const product = productId ? await getAdminProduct(productId) : null;
+    if (!product) {
+      return res.status(404).json({ error: "Producto no encontrado" });
+    }
+    if (product.options.length === 0) {
+      return res.status(400).json({
+        error: "Define primero las opciones del producto",
+        code: "OPTIONS_REQUIRED",
+      });
+    }
+
+    const sku = normalizeSku(req.body?.sku);
+    const unitAmount = readAmount(req.body?.unit_amount);
+    const stock = readStock(req.body?.stock ?? 0);
+    const weightGrams = readWeight(req.body?.weight_grams);
+    const currency = String(
+      req.body?.currency || DEFAULT_CURRENCY
+    ).toLowerCase();
+    const { options, error } = validateVariantOptions(
+      product.options,
+      req.body?.options
+    );
+
+    if (error) return res.status(400).json({ error });
+    if (!sku) {
+      return res
+        .status(400)
+        .json({ error: "SKU inválido (letras, números y guiones)" });
+    }
+    if (unitAmount === null || stock === null || !/^[a-z]{3}$/.test(currency)) {
+      return res
+        .status(400)
+        .json({ error: "unit_amount, stock o currency inválidos" });
+    }
+    if (weightGrams === null) {
+      return res.status(400).json({ error: "weight_grams inválido" });
+    }
+
+    const duplicate = await pool.query(
+      `SELECT 1 FROM product_variants
+       WHERE sku = $1 OR (product_id = $2 AND options = $3 AND active = TRUE)`,
+      [sku, productId, JSON.stringify(options)]
+    );
+    if (duplicate.rows[0]) {
+      return respondVariantError(res, { code: "23505" });
+    }
+
+    const priceId = await createVariantPrice(product.stripe_product_id, {
+      sku,
+      options,
+      currency,
+      unitAmount,
+    });
+
+    const result = await pool.query(
+      `INSERT INTO product_variants
+         (product_id, sku, price_id, options, weight_grams)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [productId, sku, priceId, JSON.stringify(options), weightGrams ?? null]
+    );
+    // El stock inicial entra por el libro de inventario
+    if (stock > 0) {
+      await adjustStock({
+        variantId: result.rows[0].id,
+        delta: stock,
+        reason: "initial",
+        actorId: req.user.id,
+      });
+    }
+    invalidateCatalogCache();
+
+    const variant = await findVariant(productId, result.rows[0].id);
+    await recordAudit(req, {
+      action: "catalog.variant_create",
+      targetType: "product_variant",
+      targetId: variant.id,
+      after: variant,
+    });
+
+    logger.log(`🆕 Variante ${sku} creada para producto ${productId}`);
+    res.status(201).json(variant);
+  } catch (err) {
+    respondVariantError(res, err, "Error al crear la variante");
+  }
+};
+
+/**
+ * Edita SKU, estado, peso o precio (el stock va por el libro de inventario). Un monto nuevo crea otro precio en
+ * Stripe y archiva el anterior.
+ */
+export const updateVariant = async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id, 10);
+    const variantId = parseInt(req.params.variantId, 10);
+    const before =
+      productId && variantId ? await findVariant(productId, variantId) : null;
+    if (!before) {
+      return res.status(404).json({ error: "Variante no encontrada" });
+    }
+
+    const body = req.body || {};
+    const sets = [];
+    const params = [];
+    const set = (column, value) => {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    };
+
+    if (body.sku !== undefined) {
+      const sku = normalizeSku(body.sku);
+      if (!sku) return res.status(400).json({ error: "SKU inválido" });
+      set("sku", sku);
+    }
+    if (body.stock !== undefined) {
+      return res.status(400).json({
+        error:
+          "El stock se ajusta en /api/admin/inventory/{variantId}/adjustments",
+        code: "USE_INVENTORY_ADJUSTMENT",
+      });
+    }
+    if (body.active !== undefined) {
+      set("active", body.active === true || body.active === "true");
+    }
+    if (body.weight_grams !== undefined) {
+      const weightGrams = readWeight(body.weight_grams);
+      if (weightGrams === null) {
+        return res.status(400).json({ error: "weight_grams inválido" });
+      }
+      // null o "" quitan el peso (vuelve al peso por defecto)
+      set("weight_grams", weightGrams ?? null);
+    }
+
+    let oldStripePriceId = null;
+    if (body.unit_amount !== undefined) {
+      const unitAmount = readAmount(body.unit_amount);
+      if (unitAmount === null) {
+        return res.status(400).json({ error: "unit_amount inválido" });
+      }
+      if (unitAmount !== Number(before.unit_amount)) {
+        set(
+          "price_id",
+          await createVariantPrice(before.stripe_product_id, {
+            sku: body.sku ? normalizeSku(body.sku) : before.sku,
+            options: before.options,
+            currency: before.currency,
+            unitAmount,
+          })
+        );
+        oldStripePriceId = before.stripe_price_id;
+      }
+    }
+
+    if (sets.length === 0) {
+      return res.status(400).json({ error: "No hay cambios" });
+    }
+
+    params.push(variantId);
+    await pool.query(
+      `UPDATE product_variants SET ${sets.join(", ")}, updated_at = NOW()
+       WHERE id = $${params.length}`,
+      params
+    );
+
+    if (oldStripePriceId) {
+      await upsertPrice(
+        await stripe.prices.update(oldStripePriceId, { active: false })
+      );
+    }
+    invalidateCatalogCache();
+
+    const after = await findVariant(productId, variantId);
+    await recordAudit(req, {
+      action: "catalog.variant_update",
+      targetType: "product_variant",
+      targetId: variantId,
+      before,
+      after,
+    });
+
+    res.json(after);
+  } catch (err) {
+    respondVariantError(res, err, "Error al actualizar la variante");
+  }
+};
+
+/**
+ * Archiva la variante y su precio (las compras antiguas la siguen referenciando).
+ */
+export const archiveVariant = async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id, 10);
+    const variantId = parseInt(req.params.variantId, 10);
+    const before =
+      productId && variantId ? await findVariant(productId, variantId) : null;
+    if (!before) {
+      return res.status(404).json({ error: "Variante no encontrada" });
+    }
+
+    await upsertPrice(
+      await stripe.prices.update(before.stripe_price_id, { active: false })
+    );
+    await pool.query(
+      `UPDATE product_variants SET active = FALSE, updated_at = NOW()
+       WHERE id = $1`,
+      [variantId]
+    );
+    invalidateCatalogCache();
+
+    await recordAudit(req, {
+      action: "catalog.variant_archive",
+      targetType: "product_variant",
+      targetId: variantId,
+      before,
+    });
+
+    logger.warn(`🗄️ Variante archivada: ${before.sku}`);
+    res.json({ message: "Variante archivada" });
+  } catch (err) {
+    respondVariantError(res, err, "Error al archivar la variante");
+  }
+};
@@ -0,0 +1,106 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { recordAudit } from "../utils/audit.js";
+import { replayStripeEvent } from "../utils/stripeEvents.js";
+import { handleStripeEvent } from "../utils/stripeWebhook.js";
+
+const EVENT_STATUSES = ["received", "processed", "failed"];
+
+/**
+ * Eventos de Stripe registrados. ?status=failed para ver los pendientes de reprocesar.
+ */
+export const listWebhookEvents = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      100,
+      Math.max(1, parseInt(req.query.limit, 10) || 25)
+    );
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+    if (EVENT_STATUSES.includes(req.query.status)) {
+      params.push(req.query.status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (req.query.type) {
+      params.push(
+        inputProtect.sanitizeString(String(req.query.type), { maxLength: 100 })
+      );
+      conditions.push(`type = $${params.length}`);
+    }
+    const whereClause = conditions.length
+      ? `WHERE ${conditions.join(" AND ")}`
+      : "";
+
+    const result = await pool.query(
+      `SELECT id, type, status, attempts, last_error, received_at, processed_at
+       FROM stripe_events
+       ${whereClause}
+       ORDER BY received_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM stripe_events ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      events: result.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    logger.error("❌ Error obteniendo eventos de Stripe:", error.message);
+    res.status(500).json({ error: "Error al obtener los eventos" });
+  }
+};
+
+/**
+ * Reprocesa un evento que falló (o que nunca terminó de procesarse).
+ */
+export const replayWebhookEvent = async (req, res) => {
+  const eventId = inputProtect.sanitizeString(String(req.params.id || ""), {
+    maxLength: 255,
+  });
+  if (!eventId.startsWith("evt_")) {
+    return res.status(400).json({ error: "ID de evento inválido" });
+  }
+
+  try {
+    await replayStripeEvent(eventId, handleStripeEvent);
+
+    await recordAudit(req, {
+      action: "webhook.replay",
+      targetType: "stripe_event",
+      targetId: eventId,
+      after: { status: "processed" },
+    });
+
+    logger.log(`🔁 Evento ${eventId} reprocesado por admin ${req.user.id}`);
+    res.json({ success: true, id: eventId, status: "processed" });
+  } catch (error) {
+    if (error.code === "NOT_FOUND") {
+      return res.status(404).json({ error: "Evento no encontrado" });
+    }
+    if (error.code === "ALREADY_PROCESSED") {
+      return res.status(409).json({
+        error: "El evento ya fue procesado",
+        code: "ALREADY_PROCESSED",
+      });
+    }
+    logger.error(`❌ Error reprocesando evento ${eventId}:`, error.message);
+    res.status(500).json({
+      error: "El evento volvió a fallar",
+      detail: error.message,
+    });
+  }
+};
@@ -4,13 +4,55 @@ import bcrypt from "bcrypt";
 import path from "path";
 import fs from "fs";
 import { OAuth2Client } from "google-auth-library";
-import { generateToken } from "../middleware/jwt.js";
+import { clearAuthCookies, decodeAccessToken } from "../middleware/jwt.js";
 import { GOOGLE_CLIENT_ID } from "../utils/config.js";
 import inputProtect from "../middleware/inputProtect.js";
 import loginUser from "../routes/loginUser.js";
+import {
+  createSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  rotateRefreshToken,
+} from "../utils/sessions.js";
+import { issueEmailVerification } from "../utils/emailVerification.js";
+import { createLoginChallenge, getMfaStatus } from "../utils/mfa.js";
+import {
+  loginOutcomeFromError,
+  recordLoginEvent,
+} from "../utils/loginEvents.js";
 
 const client = new OAuth2Client(GOOGLE_CLIENT_ID);
 
+/**
+ * Emite la sesión o, si el usuario tiene 2FA activo, un desafío
+ * de segundo paso (sin cookies de sesión).
+ * @returns {Promise<Object|null>} datos del desafío o null si ya hay sesión
+ */
+export async function completeLogin(user, req, res, method) {
+  const mfa = await getMfaStatus(user.id);
+  if (mfa.enabled) {
+    const challenge = await createLoginChallenge(user.id, req, method);
+    await recordLoginEvent(req, {
+      userId: user.id,
+      email: user.email,
+      method,
+      outcome: "mfa_required",
+    });
+    logger.log(`🔐 Desafío 2FA emitido para ${user.email}`);
+    return { mfa_required: true, ...challenge };
+  }
+
+  const sessionId = await createSession(user, req, res);
+  await recordLoginEvent(req, {
+    userId: user.id,
+    email: user.email,
+    method,
+    outcome: "success",
+    sessionId,
+  });
+  return null;
+}
+
 export const authUserWithGoogle = async (req, res) => {
   try {
     const { credential, nonce } = req.body;
@@ -51,8 +93,8 @@ export const authUserWithGoogle = async (req, res) => {
     if (!user) {
       const insertResult = await pool.query(
         `INSERT INTO users 
-          (google_id, email, name, image, role, phone_number, password, auth_provider)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          (google_id, email, name, image, role, phone_number, password, auth_provider, email_verified, email_verified_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, TRUE, NOW())
          RETURNING id, email, name, image, role, phone_number, auth_provider`,
         [
           google_id,
@@ -70,7 +112,9 @@ export const authUserWithGoogle = async (req, res) => {
     } else {
       await pool.query(
         `UPDATE users 
-         SET google_id = $1, name = $2, image = $3, auth_provider = $4
+         SET google_id = $1, name = $2, image = $3, auth_provider = $4,
+             email_verified = TRUE,
+             email_verified_at = COALESCE(email_verified_at, NOW())
          WHERE email = $5`,
         [google_id, cleanName, cleanPicture, "google", cleanEmail]
       );
@@ -84,13 +128,25 @@ export const authUserWithGoogle = async (req, res) => {
       user = updatedResult.rows[0];
       logger.log(`🔁 Usuario Google actualizado: ${user.email}`);
     }
-    generateToken(user, res);
+    const challenge = await completeLogin(user, req, res, "google");
+    if (challenge) {
+      return res.json({
+        message: "Se requiere verificación en dos pasos",
+        ...challenge,
+      });
+    }
+
     res.json({
       message: "✅ Inicio de sesión con Google exitoso",
       user,
     });
   } catch (err) {
     logger.error("❌ Error en autenticación Google:", err.message);
+    await recordLoginEvent(req, {
+      method: "google",
+      outcome: "failure",
+      reason: "GOOGLE_AUTH_FAILED",
+    });
     return res.status(401).json({
       error: "Error al autenticar con Google. Token inválido o expirado.",
     });
@@ -111,54 +167,74 @@ export const userLogin = async (req, res) => {
 
   try {
     const user = await loginUser(email, password);
-    generateToken(user, res);
+    const challenge = await completeLogin(user, req, res, "local");
+    if (challenge) {
+      return res.json({
+        message: "Se requiere verificación en dos pasos",
+        ...challenge,
+      });
+    }
+
     return res.json({
       message: "Login exitoso",
       user,
     });
   } catch (error) {
     logger.warn("❌ Error logging in:", error);
+    await recordLoginEvent(req, {
+      email,
+      method: "local",
+      outcome: loginOutcomeFromError(error),
+      reason: error.code || error.message,
+    });
+    return respondLoginError(res, error);
+  }
+};
 
-    if (error.code === "ACCOUNT_PERMANENTLY_LOCKED") {
-      return res.status(423).json({
-        error: error.message || "Cuenta bloqueada permanentemente",
-        code: error.code,
-        lock_reason: error.lock_reason,
-        isPermanent: true,
-      });
-    }
-
-    if (error.code === "ACCOUNT_LOCKED") {
-      return res.status(423).json({
-        error: error.message || "Cuenta bloqueada",
-        code: error.code,
-        remainingMin: error.remainingMin || 15,
-        lockedUntil: error.lockedUntil,
-      });
-    }
+/**
+ * Traduce los errores de login (bloqueos, contraseña incorrecta)
+ * a la respuesta HTTP correspondiente.
+ */
+export function respondLoginError(res, error) {
+  if (error.code === "ACCOUNT_PERMANENTLY_LOCKED") {
+    return res.status(423).json({
+      error: error.message || "Cuenta bloqueada permanentemente",
+      code: error.code,
+      lock_reason: error.lock_reason,
+      isPermanent: true,
+    });
+  }
 
-    if (error.code === "INVALID_PASSWORD") {
-      return res.status(401).json({
-        error: error.message,
-        code: error.code,
-        attempts: error.attempts,
-        remaining: error.remaining,
-        maxAttempts: error.maxAttempts || 5,
-      });
-    }
+  if (error.code === "ACCOUNT_LOCKED") {
+    return res.status(423).json({
+      error: error.message || "Cuenta bloqueada",
+      code: error.code,
+      remainingMin: error.remainingMin || 15,
+      lockedUntil: error.lockedUntil,
+    });
+  }
 
+  if (error.code === "INVALID_PASSWORD") {
     return res.status(401).json({
-      error: error.message || "Credenciales inválidas",
+      error: error.message,
+      code: error.code,
+      attempts: error.attempts,
+      remaining: error.remaining,
+      maxAttempts: error.maxAttempts || 5,
     });
   }
-};
+
+  return res.status(401).json({
+    error: error.message || "Credenciales inválidas",
+  });
+}
 
 export const getProfile = async (req, res) => {
   try {
     const userId = inputProtect.sanitizeNumeric(req.user.id);
 
     const result = await pool.query(
-      "SELECT id, name, email, phone_number, role, image FROM users WHERE id = $1",
+      "SELECT id, name, email, phone_number, role, image, email_verified FROM users WHERE id = $1",
       [userId]
     );
     if (!result.rows[0]) {
@@ -172,6 +248,14 @@ export const getProfile = async (req, res) => {
       phone_number: result.rows[0].phone_number,
       role: result.rows[0].role,
       image: result.rows[0].image,
+      email_verified: result.rows[0].email_verified,
+      // Presente cuando un admin ve la cuenta como cliente
+      impersonated_by: req.user.impersonator
+        ? {
+            id: req.user.impersonator.id,
+            email: req.user.impersonator.email,
+          }
+        : null,
     };
 
     logger.log(`Perfil enviado: ${cleanUser.email}`);
@@ -229,12 +313,24 @@ export const userRegister = async (req, res) => {
     const result = await pool.query(
       `INSERT INTO users (name, phone_number, email, password, role, auth_provider)
        VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, name, email, role`,
+       RETURNING id, name, email, role, email_verified`,
       [name, phone_number, email, hashedPassword, "user", "local"]
     );
 
     const user = result.rows[0];
-    generateToken(user, res);
+    try {
+      await issueEmailVerification(user, {
+        email: user.email,
+        purpose: "register",
+      });
+    } catch (verifyErr) {
+      logger.error(
+        "❌ No se pudo emitir la verificación de email:",
+        verifyErr.message
+      );
+    }
+
+    await createSession(user, req, res);
     res.status(201).json({ message: "✅ Registro exitoso", user });
   } catch (error) {
     logger.error("❌ Error en registro:", error.message);
@@ -272,3 +368,52 @@ export const updateUserPhone = async (req, res) => {
     res.status(500).json({ error: "Error al actualizar el teléfono" });
   }
 };
+
+export const refreshSession = async (req, res) => {
+  const rawToken = inputProtect.sanitizeToken(req.cookies?.refresh_token);
+
+  try {
+    const user = await rotateRefreshToken(rawToken, req, res);
+    res.json({
+      message: "Sesión renovada",
+      user: {
+        id: user.id,
+        name: inputProtect.escapeOutput(user.name),
+        email: inputProtect.escapeOutput(user.email),
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    if (error.code === "REFRESH_RACE") {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+
+    if (error.code) {
+      logger.warn(`🔁 Refresh rechazado (${error.code})`);
+      clearAuthCookies(res);
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+
+    logger.error("❌ Error renovando sesión:", error.message);
+    res.status(500).json({ error: "Error al renovar la sesión" });
+  }
+};
+
+export const logoutUser = async (req, res) => {
+  try {
+    const rawToken = inputProtect.sanitizeToken(req.cookies?.refresh_token);
+    const sessionId =
+      (await findSessionByRefreshToken(rawToken)) ||
+      decodeAccessToken(req)?.sid;
+
+    if (sessionId && inputProtect.isValidUUID(sessionId)) {
+      await revokeSession(sessionId, "logout");
+      logger.log(`👋 Sesión ${sessionId} cerrada`);
+    }
+  } catch (error) {
+    logger.error("❌ Error revocando sesión en logout:", error.message);
+  }
+
+  clearAuthCookies(res);
+  res.json({ message: "✅ Logout exitoso" });
+};
@@ -1,20 +1,54 @@
 import pool from "../database/db.js";
 import logger from "../utils/logger.js";
-import Stripe from "stripe";
-import Twilio from "twilio";
+import stripe from "../utils/stripe.js";
 import inputProtect from "../middleware/inputProtect.js";
+import { requireVerifiedEmailForCheckout } from "../utils/emailVerification.js";
+import { getStorefrontCatalog } from "../utils/catalog.js";
+import { getVariant } from "../utils/variants.js";
+import { orderItemsJson } from "../utils/orders.js";
+import { orderTimelineJson } from "../utils/orderStatus.js";
+import { shipmentsJson, withTrackingInfo } from "../utils/shipments.js";
 import {
-  STRIPE_SECRET_KEY,
-  FRONTEND_URL,
-  STRIPE_WEBHOOK_SECRET,
-  ACCOUNT_SSD,
-  AUTH_TOKEN,
-  TWILIO_PHONE_NUMBER,
-  ADMIN_PHONE_NUMBER,
-} from "../utils/config.js";
+  attachRedemptionSession,
+  releaseRedemption,
+  reservePromotion,
+} from "../utils/promotions.js";
+import {
+  lastShippingDestination,
+  parseDestination,
+  quoteShipping,
+  stripeShippingOptions,
+} from "../utils/shipping.js";
+import {
+  CART_LINE_ERRORS,
+  findCart,
+  loadCart,
+  resolveCartLine,
+} from "../utils/cart.js";
+import {
+  attachReservationSession,
+  releaseReservation,
+  reserveStock,
+} from "../utils/inventory.js";
+import { processStripeEvent } from "../utils/stripeEvents.js";
+import { handleStripeEvent } from "../utils/stripeWebhook.js";
+import { FRONTEND_URL, STRIPE_WEBHOOK_SECRET } from "../utils/config.js";
+
+const PROMOTION_ERRORS = {
+  PROMO_INVALID: [400, "Código de descuento inválido"],
+  PROMO_NOT_STARTED: [400, "Ese código todavía no está vigente"],
+  PROMO_EXPIRED: [400, "Ese código ya venció"],
+  PROMO_EXHAUSTED: [409, "Ese código ya alcanzó su límite de usos"],
+  PROMO_USER_LIMIT: [409, "Ya usaste ese código el máximo de veces"],
+  PROMO_MIN_ORDER: [400, "El pedido no alcanza el mínimo para ese código"],
+  PROMO_NOT_APPLICABLE: [400, "El código no aplica a los productos del pedido"],
+};
 
-const stripe = new Stripe(STRIPE_SECRET_KEY);
-const twilioClient = Twilio(ACCOUNT_SSD, AUTH_TOKEN);
+const SHIPPING_QUOTE_ERRORS = {
+  INVALID_DESTINATION: [400, "Departamento de envío desconocido"],
+  NO_SHIPPING_ZONE: [409, "Todavía no hacemos envíos a ese destino"],
+  NO_SHIPPING_RATE: [409, "El pedido supera el peso que podemos enviar"],
+};
 
 export const getDetailsPurchase = async (req, res) => {
   const { session_id } = req.params;
@@ -22,7 +56,12 @@ export const getDetailsPurchase = async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT c.id, c.producto, c.precio, c.fecha, c.status, c.phone, 
-              c.shipping_address, c.image, c.user_id,
+              c.shipping_address, c.image, c.user_id, c.currency,
+              c.payment_status, c.amount_refunded, c.shipping_amount,
+              c.discount_amount,
+              ${orderItemsJson("c")} AS items,
+              ${orderTimelineJson("c")} AS timeline,
+              ${shipmentsJson("c")} AS shipments,
               u.name AS usuario, u.email AS email
        FROM compras c
        JOIN users u ON c.user_id = u.id
@@ -46,6 +85,7 @@ export const getDetailsPurchase = async (req, res) => {
       });
     }
 
+    compra.shipments = compra.shipments.map(withTrackingInfo);
     res.json(compra);
   } catch (error) {
     logger.error("❌ Error obteniendo detalles de la compra:", error.message);
@@ -53,6 +93,10 @@ export const getDetailsPurchase = async (req, res) => {
   }
 };
 
+/**
+ * Webhook de Stripe. Cada evento se registra y se procesa una sola vez;
+ * si falla queda guardado para reprocesarlo desde el panel admin.
+ */
 export const webhookEventStripe = async (req, res) => {
   const sig = req.headers["stripe-signature"];
   let event;
@@ -69,218 +113,266 @@ export const webhookEventStripe = async (req, res) => {
   }
 
   const safeEvent = inputProtect.sanitizeObjectRecursivelyServer(event);
-  if (!safeEvent || !safeEvent.type) {
+  if (!safeEvent || !safeEvent.type || !safeEvent.id) {
     return res.status(400).json({ error: "Evento inválido" });
   }
 
-  if (safeEvent.type === "checkout.session.completed") {
-    const session = safeEvent.data.object;
-
-    const sessionId = inputProtect.sanitizeServerString(session.id);
-    const metadata = inputProtect.sanitizeObjectRecursivelyServer(
-      session.metadata || {}
-    );
-    const customerName = inputProtect.sanitizeServerString(
-      session.customer_details?.name || "Desconocido"
-    );
-    const shippingAddress = inputProtect.sanitizeObjectRecursivelyServer(
-      session.customer_details?.address || {}
+  try {
+    const { duplicate } = await processStripeEvent(
+      safeEvent,
+      handleStripeEvent
     );
-
-    logger.log(`🧾 Pago completado (seguro) para sesión ${sessionId}`);
-
-    let productData, product;
-    try {
-      const lineItems = await stripe.checkout.sessions.listLineItems(
-        session.id,
-        {
-          expand: ["data.price.product"],
-        }
-      );
-      productData = lineItems.data[0];
-      product = productData.price.product;
-    } catch (err) {
-      logger.error("❌ Error obteniendo lineItems:", err.message);
-      return res
-        .status(500)
-        .json({ error: "Error obteniendo ítems de la compra" });
-    }
-
-    let phone = null;
-    try {
-      const userResult = await pool.query(
-        `SELECT phone_number FROM users WHERE id = $1`,
-        [parseInt(metadata.user_id)]
-      );
-      phone = userResult.rows[0]?.phone_number || null;
-      logger.log("user.phone_number from DB:", phone);
-    } catch (dbError) {
-      logger.error(
-        "❌ Error obteniendo teléfono del usuario:",
-        dbError.message
-      );
+    if (duplicate) {
+      logger.log(`🔁 Evento ${safeEvent.id} ya procesado, se ignora`);
     }
-    // Formatear la dirección para el SMS
-    const addressString =
-      shippingAddress.line1 && shippingAddress.city
-        ? `${shippingAddress.line1}, ${shippingAddress.city}, ${
-            shippingAddress.country || ""
-          }`
-        : "No disponible";
-    // Guardar en la base de datos
-    let orderId;
-    try {
-      const insertResult = await pool.query(
-        `INSERT INTO compras (user_id, producto, precio, fecha, status, phone, shipping_address, stripe_session_id, image)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
-        [
-          parseInt(metadata.user_id),
-          inputProtect.preventSQLInjection(product.name),
-          productData.amount_total / 100,
-          new Date(),
-          "pendiente",
-          phone,
-          JSON.stringify(shippingAddress),
-          session.id,
-          product.images?.[0] || "No image",
-        ]
-      );
-      logger.log("🔍 insertResult:", JSON.stringify(insertResult, null, 2));
-      if (!insertResult.rows[0]?.id) {
-        throw new Error("No se obtuvo el ID de la compra");
-      }
-      orderId = insertResult.rows[0].id;
-      logger.log("✅ Compra guardada en la base de datos, ID:", orderId);
-    } catch (dbError) {
-      logger.error("❌ Error guardando compra:", dbError.message);
-      return res.status(500).json({ error: "Error guardando la compra" });
-    }
-
-    await sendAdminNotification(
-      orderId,
-      product.name,
-      customerName || "Desconocido",
-      phone,
-      addressString
+  } catch (err) {
+    logger.error(
+      `❌ Error procesando ${safeEvent.type} (${safeEvent.id}):`,
+      err.message
     );
-
-    if (phone) {
-      await sendUserNotification(
-        customerName || "Cliente",
-        product.name,
-        productData.amount_total / 100,
-        phone,
-        addressString
-      );
-    } else {
-      logger.log("No se envió SMS al usuario: teléfono no disponible");
-    }
+    return res.status(500).json({ error: "Error procesando el evento" });
   }
 
   res.json({ received: true });
 };
 
-// --- Función para enviar SMS al admin ---
-async function sendAdminNotification(
-  orderId,
-  productName,
-  customerName,
-  phone,
-  shippingAddress
-) {
-  try {
-    const message = `🛒 Nuevo pedido #${orderId}: ${customerName} compró "${productName}". Tel: ${
-      phone || "N/A"
-    }. Dir: ${shippingAddress || "No disponible"}.`;
-    const messageObj = await twilioClient.messages.create({
-      body: message,
-      from: TWILIO_PHONE_NUMBER,
-      to: ADMIN_PHONE_NUMBER,
-    });
-    logger.log("✅ SMS enviado al admin:", messageObj.sid);
-  } catch (err) {
-    logger.error("❌ Error enviando SMS al admin:", err.message);
-  }
-}
-
-// --- Función para enviar SMS al usuario ---
-async function sendUserNotification(
-  customerName,
-  productName,
-  amount,
-  phone,
-  shippingAddress
-) {
-  let formattedPhone = phone;
-  if (phone && !phone.startsWith("+")) {
-    formattedPhone = "+57" + phone;
-  }
-  try {
-    const message = `¡Gracias por tu compra, ${customerName}! Has adquirido "${productName}" por $${amount.toFixed(
-      2
-    )}. Dir ${shippingAddress || "No disponible"}, te contactaremos pronto. ☕`;
-    const messageObj = await twilioClient.messages.create({
-      body: message,
-      from: TWILIO_PHONE_NUMBER,
-      to: formattedPhone,
-    });
-    logger.log("✅ SMS enviado al usuario", messageObj.sid);
-  } catch (err) {
-    logger.error("❌ Error enviando SMS al usuario:", err.message);
-  }
-}
-
 export const createCheckOutSession = async (req, res) => {
+  // Uso de la promoción apartado; se libera si el checkout no llega a Stripe
+  let redemption = null;
+  const releasePromotion = async () => {
+    if (!redemption) return;
+    await releaseRedemption({ redemptionId: redemption.redemptionId });
+    redemption = null;
+  };
+
   try {
-    const { priceId } = inputProtect.sanitizeObjectRecursivelyServer(req.body);
+    const { priceId, variantId, shipping, promoCode } =
+      inputProtect.sanitizeObjectRecursivelyServer(req.body || {});
 
-    const userData = await pool.query("SELECT email FROM users WHERE id = $1", [
-      req.user.id,
-    ]);
+    const userData = await pool.query(
+      "SELECT email, email_verified FROM users WHERE id = $1",
+      [req.user.id]
+    );
     const customer_email = userData.rows[0]?.email;
 
     if (!req.user || !req.user.id) {
       return res.status(401).json({ error: "Usuario no autenticado" });
     }
-    if (!priceId || !customer_email) {
+    if (!customer_email) {
       return res.status(400).json({ error: "Datos incompletos" });
     }
     if (!inputProtect.validateEmailServer(customer_email)) {
       return res.status(400).json({ error: "Correo inválido" });
     }
+    if (requireVerifiedEmailForCheckout && !userData.rows[0].email_verified) {
+      return res.status(403).json({
+        error: "Debes verificar tu correo antes de comprar",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
 
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      payment_method_types: ["card"],
-      line_items: [{ price: priceId, quantity: 1 }],
-      success_url: `${FRONTEND_URL}/successfullPayment?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${FRONTEND_URL}/paymentCanceled`,
-      customer_email,
-      billing_address_collection: "auto",
-      shipping_address_collection: {
-        allowed_countries: ["CO"],
-      },
-      metadata: {
-        user_id: req.user.id.toString(),
+    // Sin priceId ni variantId se paga el carrito completo; con ellos,
+    // una unidad ("comprar ahora"). Solo se venden precios activos del
+    // catálogo local.
+    const fromCart = !priceId && !variantId;
+    let lines;
+    if (fromCart) {
+      const cart = await findCart(req);
+      const summary = cart ? await loadCart(cart.id) : null;
+      if (!summary || summary.items.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "El carrito está vacío", code: "CART_EMPTY" });
+      }
+      if (!summary.valid) {
+        return res.status(409).json({
+          error: "Hay productos del carrito que ya no se pueden comprar",
+          code: "CART_INVALID",
+          cart: summary,
+        });
+      }
+      lines = summary.items.map((item) => ({
+        variantId: item.variant_id,
+        stripePriceId: item.price,
+        quantity: item.quantity,
+      }));
+    } else {
+      try {
+        lines = [
+          { ...(await resolveCartLine({ priceId, variantId })), quantity: 1 },
+        ];
+      } catch (err) {
+        if (!CART_LINE_ERRORS[err.code]) throw err;
+        return res
+          .status(400)
+          .json({ error: CART_LINE_ERRORS[err.code], code: err.code });
+      }
+    }
+
+    if (promoCode) {
+      try {
+        redemption = await reservePromotion({
+          code: promoCode,
+          userId: req.user.id,
+          items: lines,
+        });
+      } catch (err) {
+        if (!PROMOTION_ERRORS[err.code]) throw err;
+        const [status, message] = PROMOTION_ERRORS[err.code];
+        return res.status(status).json({
+          error: message,
+          code: err.code,
+          ...(err.minOrderAmount && { min_order_amount: err.minOrderAmount }),
+        });
+      }
+    }
+
+    // El envío se cotiza con el destino indicado, el de la última compra o,
+    // sin ninguno, con la zona por defecto. Stripe vuelve a pedir la
+    // dirección y el webhook avisa si cae en otra zona.
+    let shippingQuote;
+    let destination = null;
+    try {
+      destination = shipping
+        ? parseDestination(shipping)
+        : await lastShippingDestination(req.user.id);
+      shippingQuote = {
+        ...(await quoteShipping({
+          items: lines,
+          destination,
+          discount: redemption?.discount || 0,
+        })),
+        destination,
+      };
+    } catch (err) {
+      if (!SHIPPING_QUOTE_ERRORS[err.code]) throw err;
+      await releasePromotion();
+      if (!destination && err.code === "NO_SHIPPING_ZONE") {
+        return res.status(400).json({
+          error: "Indica el departamento y la ciudad de envío",
+          code: "SHIPPING_DESTINATION_REQUIRED",
+        });
+      }
+      const [status, message] = SHIPPING_QUOTE_ERRORS[err.code];
+      return res.status(status).json({ error: message, code: err.code });
+    }
+
+    // El stock queda apartado mientras la sesión de pago siga abierta
+    const reservations = [];
+    try {
+      for (const line of lines.filter((line) => line.variantId)) {
+        reservations.push(
+          await reserveStock(line.variantId, line.quantity, req.user.id)
+        );
+      }
+    } catch (err) {
+      for (const reservation of reservations) {
+        await releaseReservation({ reservationId: reservation.id });
+      }
+      if (err.code !== "OUT_OF_STOCK") throw err;
+      await releasePromotion();
+      return res.status(409).json({
+        error: "No hay stock suficiente de una de las presentaciones",
+        code: "OUT_OF_STOCK",
+      });
+    }
+
+    const directVariant =
+      !fromCart && lines[0].variantId
+        ? await getVariant(lines[0].variantId)
+        : null;
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        payment_method_types: ["card"],
+        line_items: lines.map((line) => ({
+          price: line.stripePriceId,
+          quantity: line.quantity,
+        })),
+        success_url: `${FRONTEND_URL}/successfullPayment?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${FRONTEND_URL}/paymentCanceled`,
+        customer_email,
+        billing_address_collection: "auto",
+        shipping_address_collection: {
+          allowed_countries: ["CO"],
+        },
+        shipping_options: stripeShippingOptions(shippingQuote),
+        ...(redemption && {
+          discounts: [{ coupon: redemption.promotion.stripe_coupon_id }],
+        }),
+        ...(reservations.length > 0 && {
+          expires_at: Math.floor(
+            new Date(reservations[0].expires_at).getTime() / 1000
+          ),
+        }),
+        metadata: {
+          user_id: req.user.id.toString(),
+          source: fromCart ? "cart" : "direct",
+          shipping_zone_id: String(shippingQuote.zoneId),
+          ...(shippingQuote.destination && {
+            shipping_department: shippingQuote.destination.department,
+          }),
+          ...(shippingQuote.destination?.city && {
+            shipping_city: shippingQuote.destination.city,
+          }),
+          ...(redemption && {
+            promotion_id: String(redemption.promotion.id),
+            promotion_code: redemption.promotion.code,
+          }),
+          ...(directVariant && {
+            variant_id: directVariant.id.toString(),
+            variant_sku: directVariant.sku,
+          }),
+        },
+      });
+    } catch (err) {
+      for (const reservation of reservations) {
+        await releaseReservation({ reservationId: reservation.id });
+      }
+      throw err;
+    }
+
+    // Desde aquí el uso lo resuelve el webhook (canje o sesión vencida)
+    const applied = redemption;
+    if (applied) {
+      await attachRedemptionSession(applied.redemptionId, session);
+      redemption = null;
+    }
+    for (const reservation of reservations) {
+      await attachReservationSession(reservation.id, session.id);
+    }
+    res.json({
+      url: session.url,
+      ...(applied && {
+        promotion: {
+          code: applied.promotion.code,
+          discount: applied.discount,
+        },
+      }),
+      shipping: {
+        zone: shippingQuote.zoneName,
+        amount: shippingQuote.amount,
+        currency: shippingQuote.currency,
+        free: shippingQuote.free,
       },
     });
-    res.json({ url: session.url });
   } catch (error) {
+    await releasePromotion().catch(() => {});
     logger.error("❌ Error creating checkout session:", error.message);
     res.status(500).json({ error: "No se pudo crear la sesión de pago" });
   }
 };
 
+/**
+ * Catálogo de la tienda servido desde la base de datos (no depende de Stripe).
+ */
 export const getProductsHome = async (req, res, next) => {
   try {
-    const productsRes = await stripe.products.list({ active: true });
-    const pricesRes = await stripe.prices.list({ active: true });
-
-    const validPrices = pricesRes.data.filter((price) =>
-      productsRes.data.some((product) => product.id === price.product)
-    );
-
-    res.json({ products: productsRes.data, prices: validPrices });
+    const catalog = await getStorefrontCatalog();
+    res.set("Cache-Control", "public, max-age=60");
+    res.json(catalog);
   } catch (error) {
     logger.error("❌ Error al obtener productos:", error.message);
     next(error);
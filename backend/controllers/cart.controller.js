@@ -0,0 +1,140 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import {
+  CART_LINE_ERRORS,
+  MAX_LINE_QUANTITY,
+  addCartItem,
+  findCart,
+  getOrCreateCart,
+  loadCart,
+  resolveCartLine,
+} from "../utils/cart.js";
+
+const EMPTY_CART = {
+  id: null,
+  items: [],
+  item_count: 0,
+  subtotal: 0,
+  currency: null,
+  valid: false,
+};
+
+function readQuantity(value, { allowZero = false } = {}) {
+  const quantity = Number(value);
+  const min = allowZero ? 0 : 1;
+  return Number.isInteger(quantity) &&
+    quantity >= min &&
+    quantity <= MAX_LINE_QUANTITY
+    ? quantity
+    : null;
+}
+
+export const getCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    res.json(cart ? await loadCart(cart.id) : EMPTY_CART);
+  } catch (error) {
+    logger.error("❌ Error obteniendo carrito:", error.message);
+    res.status(500).json({ error: "Error al obtener el carrito" });
+  }
+};
+
+export const addItemToCart = async (req, res) => {
+  try {
+    const { priceId, variantId } = req.body || {};
+    const quantity = readQuantity(req.body?.quantity ?? 1);
+    if ((!priceId && !variantId) || quantity === null) {
+      return res.status(400).json({
+        error: `Indica priceId o variantId y una cantidad entre 1 y ${MAX_LINE_QUANTITY}`,
+      });
+    }
+
+    const line = await resolveCartLine({ priceId, variantId });
+    const cart = await getOrCreateCart(req, res);
+    await addCartItem(cart.id, line, quantity);
+
+    res.status(201).json(await loadCart(cart.id));
+  } catch (error) {
+    if (CART_LINE_ERRORS[error.code]) {
+      return res
+        .status(400)
+        .json({ error: CART_LINE_ERRORS[error.code], code: error.code });
+    }
+    logger.error("❌ Error agregando al carrito:", error.message);
+    res.status(500).json({ error: "Error al agregar al carrito" });
+  }
+};
+
+/**
+ * Cambia la cantidad de una línea; 0 la elimina.
+ */
+export const updateCartItem = async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.itemId, 10);
+    const quantity = readQuantity(req.body?.quantity, { allowZero: true });
+    if (!itemId || quantity === null) {
+      return res.status(400).json({
+        error: `La cantidad debe estar entre 0 y ${MAX_LINE_QUANTITY}`,
+      });
+    }
+
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.status(404).json({ error: "Producto no está en el carrito" });
+    }
+
+    const result =
+      quantity === 0
+        ? await pool.query(
+            "DELETE FROM cart_items WHERE id = $1 AND cart_id = $2",
+            [itemId, cart.id]
+          )
+        : await pool.query(
+            `UPDATE cart_items SET quantity = $3, updated_at = NOW()
+             WHERE id = $1 AND cart_id = $2`,
+            [itemId, cart.id, quantity]
+          );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Producto no está en el carrito" });
+    }
+
+    res.json(await loadCart(cart.id));
+  } catch (error) {
+    logger.error("❌ Error actualizando carrito:", error.message);
+    res.status(500).json({ error: "Error al actualizar el carrito" });
+  }
+};
+
+export const removeCartItem = async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.itemId, 10);
+    const cart = itemId ? await findCart(req) : null;
+    const result = cart
+      ? await pool.query(
+          "DELETE FROM cart_items WHERE id = $1 AND cart_id = $2",
+          [itemId, cart.id]
+        )
+      : { rowCount: 0 };
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Producto no está en el carrito" });
+    }
+    res.json(await loadCart(cart.id));
+  } catch (error) {
+    logger.error("❌ Error quitando del carrito:", error.message);
+    res.status(500).json({ error: "Error al quitar del carrito" });
+  }
+};
+
+export const clearCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (cart) {
+      await pool.query("DELETE FROM cart_items WHERE cart_id = $1", [cart.id]);
+    }
+    res.json(cart ? await loadCart(cart.id) : EMPTY_CART);
+  } catch (error) {
+    logger.error("❌ Error vaciando carrito:", error.message);
+    res.status(500).json({ error: "Error al vaciar el carrito" });
+  }
+};
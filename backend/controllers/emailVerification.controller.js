@@ -0,0 +1,213 @@
+import bcrypt from "bcrypt";
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { sendMail } from "../utils/mailer.js";
+import { hashToken } from "../utils/tokens.js";
+import {
+  countRecentVerificationEmails,
+  issueEmailVerification,
+  MAX_EMAILS_PER_HOUR,
+} from "../utils/emailVerification.js";
+
+export const confirmEmail = async (req, res) => {
+  const token = inputProtect.sanitizeToken(req.body.token);
+  if (!token) {
+    return res.status(400).json({ error: "Token de verificación requerido" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT id, user_id, email, purpose, expires_at, used_at
+       FROM email_verification_tokens
+       WHERE token_hash = $1
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const entry = result.rows[0];
+
+    if (!entry || entry.used_at) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: "Enlace de verificación inválido o ya utilizado",
+        code: "VERIFICATION_INVALID",
+      });
+    }
+
+    if (new Date(entry.expires_at) <= new Date()) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: "El enlace de verificación expiró. Solicita uno nuevo.",
+        code: "VERIFICATION_EXPIRED",
+      });
+    }
+
+    let previousEmail = null;
+
+    if (entry.purpose === "change") {
+      const taken = await client.query(
+        "SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND id <> $2",
+        [entry.email, entry.user_id]
+      );
+      if (taken.rows.length > 0) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          error: "El email ya está registrado por otra cuenta",
+          code: "EMAIL_TAKEN",
+        });
+      }
+
+      const current = await client.query(
+        "SELECT email FROM users WHERE id = $1",
+        [entry.user_id]
+      );
+      previousEmail = current.rows[0]?.email || null;
+
+      await client.query(
+        `UPDATE users
+         SET email = $2, email_verified = TRUE, email_verified_at = NOW()
+         WHERE id = $1`,
+        [entry.user_id, entry.email]
+      );
+    } else {
+      await client.query(
+        `UPDATE users
+         SET email_verified = TRUE, email_verified_at = NOW()
+         WHERE id = $1 AND LOWER(email) = LOWER($2)`,
+        [entry.user_id, entry.email]
+      );
+    }
+
+    await client.query(
+      "UPDATE email_verification_tokens SET used_at = NOW() WHERE id = $1",
+      [entry.id]
+    );
+    await client.query("COMMIT");
+
+    if (previousEmail) {
+      await sendMail({
+        to: previousEmail,
+        subject: "Tu correo fue cambiado",
+        text: `El correo de tu cuenta en Café Aroma de la Serranía cambió a ${entry.email}. Si no fuiste tú, contacta al soporte de inmediato.`,
+      });
+    }
+
+    logger.log(
+      `✅ Email verificado (${entry.purpose}) para usuario ${entry.user_id}`
+    );
+    res.json({
+      message:
+        entry.purpose === "change"
+          ? "Correo actualizado y verificado"
+          : "Correo verificado correctamente",
+      email: inputProtect.escapeOutput(entry.email),
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    logger.error("❌ Error confirmando email:", error.message);
+    res.status(500).json({ error: "Error al verificar el correo" });
+  } finally {
+    client.release();
+  }
+};
+
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT id, name, email, email_verified FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({ error: "Tu correo ya está verificado" });
+    }
+
+    if ((await countRecentVerificationEmails(user.id)) >= MAX_EMAILS_PER_HOUR) {
+      return res.status(429).json({
+        error: "Has solicitado demasiados correos. Intenta más tarde.",
+      });
+    }
+
+    await issueEmailVerification(user, {
+      email: user.email,
+      purpose: "register",
+    });
+    res.json({ message: "Te enviamos un nuevo enlace de verificación" });
+  } catch (error) {
+    logger.error("❌ Error reenviando verificación:", error.message);
+    res.status(500).json({ error: "Error al reenviar la verificación" });
+  }
+};
+
+export const requestEmailChange = async (req, res) => {
+  try {
+    const newEmail = inputProtect.validateEmailServer(req.body.newEmail);
+    const password = inputProtect.sanitizePasswordServer(req.body.password);
+
+    if (!newEmail || !password) {
+      return res
+        .status(400)
+        .json({ error: "Nuevo email y contraseña son obligatorios" });
+    }
+
+    const result = await pool.query(
+      "SELECT id, name, email, password, auth_provider FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        error: "Las cuentas de Google gestionan su correo desde Google",
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ error: "Contraseña incorrecta" });
+    }
+
+    if (newEmail === user.email.toLowerCase()) {
+      return res
+        .status(400)
+        .json({ error: "El nuevo correo es igual al actual" });
+    }
+
+    const taken = await pool.query(
+      "SELECT id FROM users WHERE LOWER(email) = $1",
+      [newEmail]
+    );
+    if (taken.rows.length > 0) {
+      return res.status(409).json({ error: "El email ya está registrado" });
+    }
+
+    if ((await countRecentVerificationEmails(user.id)) >= MAX_EMAILS_PER_HOUR) {
+      return res.status(429).json({
+        error: "Has solicitado demasiados correos. Intenta más tarde.",
+      });
+    }
+
+    await issueEmailVerification(user, { email: newEmail, purpose: "change" });
+
+    logger.log(`📧 Cambio de email solicitado por usuario ${user.id}`);
+    res.json({
+      message:
+        "Te enviamos un enlace al nuevo correo. El cambio se aplicará al confirmarlo.",
+    });
+  } catch (error) {
+    logger.error("❌ Error solicitando cambio de email:", error.message);
+    res.status(500).json({ error: "Error al solicitar el cambio de correo" });
+  }
+};
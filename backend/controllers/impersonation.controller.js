@@ -0,0 +1,164 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { generateToken, IMPERSONATION_TTL_MS } from "../middleware/jwt.js";
+import { recordAudit } from "../utils/audit.js";
+import { getClientIp } from "../utils/clientInfo.js";
+import { isStaffRole } from "../utils/permissions.js";
+
+export const startImpersonation = async (req, res) => {
+  try {
+    if (req.user.impersonator) {
+      return res
+        .status(400)
+        .json({ error: "Ya estás viendo la cuenta de un cliente" });
+    }
+
+    const targetId = inputProtect.sanitizeNumeric(req.params.id);
+    const reason = inputProtect.sanitizeString(String(req.body.reason || ""), {
+      maxLength: 500,
+    });
+
+    if (targetId === req.user.id) {
+      return res
+        .status(400)
+        .json({ error: "No puedes suplantarte a ti mismo" });
+    }
+
+    if (reason.length < 10) {
+      return res.status(400).json({
+        error: "La razón debe tener al menos 10 caracteres",
+      });
+    }
+
+    const targetResult = await pool.query(
+      "SELECT id, name, email, role FROM users WHERE id = $1",
+      [targetId]
+    );
+    const target = targetResult.rows[0];
+    if (!target) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    // Solo clientes: suplantar personal permitiría escalar permisos
+    if (await isStaffRole(target.role)) {
+      return res.status(403).json({
+        error: "No se puede suplantar a miembros del personal",
+        code: "IMPERSONATION_NOT_ALLOWED",
+      });
+    }
+
+    await pool.query(
+      `UPDATE impersonation_sessions
+       SET ended_at = NOW(), ended_reason = 'replaced'
+       WHERE admin_id = $1 AND ended_at IS NULL`,
+      [req.user.id]
+    );
+
+    const inserted = await pool.query(
+      `INSERT INTO impersonation_sessions
+         (admin_id, admin_session_id, target_user_id, reason, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, started_at, expires_at`,
+      [
+        req.user.id,
+        req.user.session_id,
+        target.id,
+        reason,
+        getClientIp(req),
+        new Date(Date.now() + IMPERSONATION_TTL_MS),
+      ]
+    );
+    const impersonation = inserted.rows[0];
+
+    generateToken(target, res, {
+      sessionId: req.user.session_id,
+      impersonator: { id: req.user.id, impersonationId: impersonation.id },
+      ttlMs: IMPERSONATION_TTL_MS,
+    });
+
+    await recordAudit(req, {
+      action: "impersonation.start",
+      targetType: "user",
+      targetId: target.id,
+      metadata: {
+        impersonation_id: impersonation.id,
+        reason,
+        expires_at: impersonation.expires_at,
+      },
+    });
+
+    logger.warn(
+      `🕵️ Admin ${req.user.id} inició suplantación de usuario ${target.id}. Razón: ${reason}`
+    );
+    res.json({
+      success: true,
+      impersonation: {
+        id: impersonation.id,
+        started_at: impersonation.started_at,
+        expires_at: impersonation.expires_at,
+        user: { id: target.id, name: target.name, email: target.email },
+      },
+    });
+  } catch (error) {
+    logger.error("❌ Error iniciando suplantación:", error.message);
+    res.status(500).json({ error: "Error al iniciar la suplantación" });
+  }
+};
+
+export const stopImpersonation = async (req, res) => {
+  try {
+    const impersonator = req.user.impersonator;
+    if (!impersonator) {
+      return res.status(400).json({
+        error: "No hay una suplantación activa",
+        code: "NOT_IMPERSONATING",
+      });
+    }
+
+    const ended = await pool.query(
+      `UPDATE impersonation_sessions
+       SET ended_at = NOW(), ended_reason = 'stopped'
+       WHERE id = $1 AND ended_at IS NULL
+       RETURNING started_at, ended_at`,
+      [impersonator.impersonation_id]
+    );
+
+    const adminResult = await pool.query(
+      "SELECT id, name, email, role FROM users WHERE id = $1",
+      [impersonator.id]
+    );
+    const admin = adminResult.rows[0];
+
+    // Devuelve al admin su propio token sobre la misma sesión
+    generateToken(admin, res, { sessionId: req.user.session_id });
+
+    await recordAudit(req, {
+      action: "impersonation.stop",
+      targetType: "user",
+      targetId: req.user.id,
+      metadata: {
+        impersonation_id: impersonator.impersonation_id,
+        started_at: ended.rows[0]?.started_at,
+        ended_at: ended.rows[0]?.ended_at,
+      },
+      actor: admin,
+    });
+
+    logger.warn(
+      `🕵️ Admin ${admin.id} terminó la suplantación de usuario ${req.user.id}`
+    );
+    res.json({
+      success: true,
+      user: {
+        id: admin.id,
+        name: admin.name,
+        email: admin.email,
+        role: admin.role,
+      },
+    });
+  } catch (error) {
+    logger.error("❌ Error terminando suplantación:", error.message);
+    res.status(500).json({ error: "Error al terminar la suplantación" });
+  }
+};
@@ -0,0 +1,364 @@
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from "@simplewebauthn/server";
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import {
+  loginOutcomeFromError,
+  recordLoginEvent,
+} from "../utils/loginEvents.js";
+import { completeLogin, respondLoginError } from "./authUser.controller.js";
+import {
+  getLoginLockError,
+  lockedAfterFailures,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  LOGIN_USER_COLUMNS,
+} from "../routes/loginUser.js";
+import {
+  FRONTEND_URL,
+  WEBAUTHN_ORIGIN,
+  WEBAUTHN_RP_ID,
+  WEBAUTHN_RP_NAME,
+} from "../utils/config.js";
+
+const RP_NAME = WEBAUTHN_RP_NAME || "Café Aroma de la Serranía";
+const RP_ID =
+  WEBAUTHN_RP_ID ||
+  (FRONTEND_URL ? new URL(FRONTEND_URL).hostname : "localhost");
+const EXPECTED_ORIGIN = (WEBAUTHN_ORIGIN || FRONTEND_URL || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const CHALLENGE_TTL_MINUTES = 5;
+
+async function saveChallenge(challenge, type, userId = null) {
+  const result = await pool.query(
+    `INSERT INTO webauthn_challenges (user_id, challenge, type, expires_at)
+     VALUES ($1, $2, $3, NOW() + INTERVAL '1 minute' * $4)
+     RETURNING id`,
+    [userId, challenge, type, CHALLENGE_TTL_MINUTES]
+  );
+  return result.rows[0].id;
+}
+
+// Marca el desafío como usado y lo devuelve (un solo uso)
+async function consumeChallenge(challengeId, type, userId = null) {
+  if (!inputProtect.isValidUUID(challengeId)) return null;
+
+  const result = await pool.query(
+    `UPDATE webauthn_challenges
+     SET used_at = NOW()
+     WHERE id = $1
+       AND type = $2
+       AND used_at IS NULL
+       AND expires_at > NOW()
+       AND ($3::int IS NULL OR user_id = $3::int)
+     RETURNING challenge`,
+    [challengeId, type, userId]
+  );
+  return result.rows[0]?.challenge || null;
+}
+
+export const getPasskeyRegistrationOptions = async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      "SELECT id, name, email FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    const existing = await pool.query(
+      "SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1",
+      [user.id]
+    );
+
+    const options = await generateRegistrationOptions({
+      rpName: RP_NAME,
+      rpID: RP_ID,
+      userName: user.email,
+      userDisplayName: user.name || user.email,
+      userID: new TextEncoder().encode(String(user.id)),
+      attestationType: "none",
+      excludeCredentials: existing.rows.map((cred) => ({
+        id: cred.credential_id,
+        transports: cred.transports || undefined,
+      })),
+      authenticatorSelection: {
+        residentKey: "preferred",
+        userVerification: "preferred",
+      },
+    });
+
+    const challengeId = await saveChallenge(
+      options.challenge,
+      "registration",
+      user.id
+    );
+    res.json({ challenge_id: challengeId, options });
+  } catch (error) {
+    logger.error("❌ Error generando opciones de passkey:", error.message);
+    res.status(500).json({ error: "Error al preparar el registro de passkey" });
+  }
+};
+
+export const verifyPasskeyRegistration = async (req, res) => {
+  try {
+    const { challenge_id, response } = req.body;
+    const name = inputProtect.sanitizeString(req.body.name || "Passkey", {
+      maxLength: 100,
+    });
+
+    const expectedChallenge = await consumeChallenge(
+      challenge_id,
+      "registration",
+      req.user.id
+    );
+    if (!expectedChallenge || !response) {
+      return res.status(400).json({
+        error: "Desafío inválido o expirado",
+        code: "CHALLENGE_INVALID",
+      });
+    }
+
+    const verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: EXPECTED_ORIGIN,
+      expectedRPID: RP_ID,
+    });
+
+    if (!verification.verified) {
+      return res.status(400).json({ error: "No se pudo verificar la passkey" });
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } =
+      verification.registrationInfo;
+
+    await pool.query(
+      `INSERT INTO webauthn_credentials
+         (user_id, credential_id, public_key, counter, transports, device_type, backed_up, name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        req.user.id,
+        credential.id,
+        Buffer.from(credential.publicKey),
+        credential.counter,
+        credential.transports || null,
+        credentialDeviceType,
+        credentialBackedUp,
+        name,
+      ]
+    );
+
+    logger.log(`🔑 Passkey registrada para usuario ${req.user.id}`);
+    res.status(201).json({ message: "Passkey registrada correctamente" });
+  } catch (error) {
+    logger.error("❌ Error verificando registro de passkey:", error.message);
+    res.status(400).json({ error: "No se pudo verificar la passkey" });
+  }
+};
+
+export const getPasskeyLoginOptions = async (req, res) => {
+  try {
+    const email = req.body.email
+      ? inputProtect.validateEmailServer(req.body.email)
+      : null;
+
+    let allowCredentials = [];
+    if (email) {
+      const creds = await pool.query(
+        `SELECT c.credential_id, c.transports
+         FROM webauthn_credentials c
+         JOIN users u ON u.id = c.user_id
+         WHERE LOWER(u.email) = $1`,
+        [email]
+      );
+      allowCredentials = creds.rows.map((cred) => ({
+        id: cred.credential_id,
+        transports: cred.transports || undefined,
+      }));
+    }
+
+    // Sin email: passkeys detectables (el navegador ofrece las disponibles)
+    const options = await generateAuthenticationOptions({
+      rpID: RP_ID,
+      allowCredentials,
+      userVerification: "preferred",
+    });
+
+    const challengeId = await saveChallenge(
+      options.challenge,
+      "authentication"
+    );
+    res.json({ challenge_id: challengeId, options });
+  } catch (error) {
+    logger.error("❌ Error generando opciones de login:", error.message);
+    res.status(500).json({ error: "Error al preparar el login con passkey" });
+  }
+};
+
+export const verifyPasskeyLogin = async (req, res) => {
+  try {
+    const { challenge_id, response } = req.body;
+
+    const expectedChallenge = await consumeChallenge(
+      challenge_id,
+      "authentication"
+    );
+    if (!expectedChallenge || !response?.id) {
+      return res.status(400).json({
+        error: "Desafío inválido o expirado",
+        code: "CHALLENGE_INVALID",
+      });
+    }
+
+    const credResult = await pool.query(
+      `SELECT id, user_id, credential_id, public_key, counter, transports
+       FROM webauthn_credentials
+       WHERE credential_id = $1`,
+      [String(response.id)]
+    );
+    const credential = credResult.rows[0];
+    if (!credential) {
+      return res.status(401).json({ error: "Passkey no reconocida" });
+    }
+
+    const userResult = await pool.query(
+      `SELECT ${LOGIN_USER_COLUMNS}
+       FROM users u
+       LEFT JOIN user_security s ON s.user_id = u.id
+       WHERE u.id = $1`,
+      [credential.user_id]
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(401).json({ error: "Passkey no reconocida" });
+    }
+
+    const lockError = await getLoginLockError(user);
+    if (lockError) {
+      await recordLoginEvent(req, {
+        userId: user.id,
+        email: user.email,
+        method: "passkey",
+        outcome: loginOutcomeFromError(lockError),
+        reason: lockError.code,
+      });
+      return respondLoginError(res, lockError);
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: EXPECTED_ORIGIN,
+        expectedRPID: RP_ID,
+        credential: {
+          id: credential.credential_id,
+          publicKey: new Uint8Array(credential.public_key),
+          counter: Number(credential.counter),
+          transports: credential.transports || undefined,
+        },
+      });
+    } catch (err) {
+      logger.warn(`❌ Error verificando passkey de ${user.id}:`, err.message);
+      verification = { verified: false };
+    }
+
+    // Mismo conteo de intentos fallidos que el login con contraseña
+    if (!verification.verified) {
+      logger.warn(`❌ Passkey inválida para usuario ${user.id}`);
+      const failure = await recordFailedLogin(user);
+      await recordLoginEvent(req, {
+        userId: user.id,
+        email: user.email,
+        method: "passkey",
+        outcome: failure.locked ? "locked" : "failure",
+        reason: failure.locked ? "ACCOUNT_LOCKED" : "PASSKEY_NOT_VERIFIED",
+      });
+      if (failure.locked) {
+        return respondLoginError(res, lockedAfterFailures(failure));
+      }
+      return res.status(401).json({
+        error: "No se pudo verificar la passkey",
+        attempts: failure.attempts,
+        remaining: failure.remaining,
+        maxAttempts: failure.maxAttempts,
+      });
+    }
+
+    await pool.query(
+      `UPDATE webauthn_credentials
+       SET counter = $2, last_used_at = NOW()
+       WHERE id = $1`,
+      [credential.id, verification.authenticationInfo.newCounter]
+    );
+    await recordSuccessfulLogin(user.id);
+
+    const sessionUser = {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+    };
+    // Con 2FA activo también se pide el segundo factor
+    const challenge = await completeLogin(sessionUser, req, res, "passkey");
+    if (challenge) {
+      return res.json({
+        message: "Se requiere verificación en dos pasos",
+        ...challenge,
+      });
+    }
+
+    logger.log(`✅ Login con passkey: ${user.email}`);
+    res.json({ message: "Login exitoso", user: sessionUser });
+  } catch (error) {
+    logger.error("❌ Error en login con passkey:", error.message);
+    res.status(401).json({ error: "No se pudo verificar la passkey" });
+  }
+};
+
+export const listPasskeys = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, device_type, backed_up, created_at, last_used_at
+       FROM webauthn_credentials
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ passkeys: result.rows });
+  } catch (error) {
+    logger.error("❌ Error listando passkeys:", error.message);
+    res.status(500).json({ error: "Error al obtener passkeys" });
+  }
+};
+
+export const deletePasskey = async (req, res) => {
+  try {
+    const id = inputProtect.sanitizeNumeric(req.params.id);
+    const result = await pool.query(
+      "DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2",
+      [id, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Passkey no encontrada" });
+    }
+
+    logger.log(`🗑️ Passkey ${id} eliminada por usuario ${req.user.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("❌ Error eliminando passkey:", error.message);
+    res.status(500).json({ error: "Error al eliminar la passkey" });
+  }
+};
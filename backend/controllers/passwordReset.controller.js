@@ -0,0 +1,244 @@
+import bcrypt from "bcrypt";
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { sendSms } from "../utils/sms.js";
+import { sendMail } from "../utils/mailer.js";
+import { getClientIp } from "../utils/clientInfo.js";
+import { revokeUserSessions } from "../utils/sessions.js";
+import {
+  generateNumericCode,
+  generateOpaqueToken,
+  hashToken,
+  safeCompare,
+} from "../utils/tokens.js";
+
+const CODE_TTL_MINUTES = 10;
+const RESET_TOKEN_TTL_MINUTES = 15;
+const MAX_VERIFY_ATTEMPTS = 5;
+const MAX_CODES_PER_HOUR = 3;
+
+// Respuesta idéntica exista o no la cuenta (evita enumeración de usuarios)
+const GENERIC_REQUEST_RESPONSE = {
+  message:
+    "Si la cuenta existe, enviamos un código de verificación. Revisa tu teléfono o correo.",
+};
+
+export const requestPasswordReset = async (req, res) => {
+  try {
+    const email = inputProtect.validateEmailServer(req.body.email);
+    const channel = req.body.channel === "email" ? "email" : "sms";
+
+    if (!email) {
+      return res.status(400).json({ error: "Email inválido" });
+    }
+
+    const userResult = await pool.query(
+      "SELECT id, name, email, phone_number FROM users WHERE LOWER(email) = $1 LIMIT 1",
+      [email]
+    );
+    const user = userResult.rows[0];
+
+    if (!user) {
+      logger.warn(`🔑 Reseteo solicitado para email inexistente: ${email}`);
+      return res.json(GENERIC_REQUEST_RESPONSE);
+    }
+
+    if (channel === "sms" && !user.phone_number) {
+      logger.warn(`🔑 Reseteo por SMS sin teléfono para usuario ${user.id}`);
+      return res.json(GENERIC_REQUEST_RESPONSE);
+    }
+
+    const recent = await pool.query(
+      `SELECT COUNT(*) FROM password_reset_codes
+       WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+      [user.id]
+    );
+    if (parseInt(recent.rows[0].count, 10) >= MAX_CODES_PER_HOUR) {
+      logger.warn(
+        `🚫 Límite de códigos de reseteo alcanzado para usuario ${user.id}`
+      );
+      return res.json(GENERIC_REQUEST_RESPONSE);
+    }
+
+    // Solo un código activo por usuario
+    await pool.query(
+      `UPDATE password_reset_codes SET used_at = NOW()
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [user.id]
+    );
+
+    const code = generateNumericCode(6);
+    await pool.query(
+      `INSERT INTO password_reset_codes (user_id, code_hash, channel, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + INTERVAL '1 minute' * $5)`,
+      [user.id, hashToken(code), channel, getClientIp(req), CODE_TTL_MINUTES]
+    );
+
+    const text = `Tu código para restablecer la contraseña en Café Aroma de la Serranía es ${code}. Vence en ${CODE_TTL_MINUTES} minutos. Si no lo solicitaste, ignora este mensaje.`;
+
+    if (channel === "sms") {
+      await sendSms(user.phone_number, text);
+    } else {
+      await sendMail({
+        to: user.email,
+        subject: "Código para restablecer tu contraseña",
+        text,
+      });
+    }
+
+    logger.log(
+      `🔑 Código de reseteo enviado por ${channel} a usuario ${user.id}`
+    );
+    res.json(GENERIC_REQUEST_RESPONSE);
+  } catch (error) {
+    logger.error("❌ Error solicitando reseteo de contraseña:", error.message);
+    res.status(500).json({ error: "Error al solicitar el código" });
+  }
+};
+
+export const verifyPasswordResetCode = async (req, res) => {
+  try {
+    const email = inputProtect.validateEmailServer(req.body.email);
+    const code = inputProtect.sanitizeString(String(req.body.code || ""));
+
+    if (!email || !/^\d{6}$/.test(code)) {
+      return res.status(400).json({ error: "Email o código inválido" });
+    }
+
+    const result = await pool.query(
+      `SELECT prc.id, prc.code_hash, prc.attempts
+       FROM password_reset_codes prc
+       JOIN users u ON u.id = prc.user_id
+       WHERE LOWER(u.email) = $1
+         AND prc.used_at IS NULL
+         AND prc.verified_at IS NULL
+         AND prc.expires_at > NOW()
+       ORDER BY prc.created_at DESC
+       LIMIT 1`,
+      [email]
+    );
+    const entry = result.rows[0];
+
+    if (!entry) {
+      return res
+        .status(400)
+        .json({ error: "Código inválido o expirado", code: "CODE_INVALID" });
+    }
+
+    if (!safeCompare(entry.code_hash, hashToken(code))) {
+      const attempts = entry.attempts + 1;
+      await pool.query(
+        `UPDATE password_reset_codes
+         SET attempts = $2,
+             used_at = CASE WHEN $2 >= $3 THEN NOW() ELSE used_at END
+         WHERE id = $1`,
+        [entry.id, attempts, MAX_VERIFY_ATTEMPTS]
+      );
+
+      logger.warn(`❌ Código de reseteo incorrecto (intento ${attempts})`);
+      return res.status(400).json({
+        error: "Código inválido o expirado",
+        code: "CODE_INVALID",
+        remaining: Math.max(0, MAX_VERIFY_ATTEMPTS - attempts),
+      });
+    }
+
+    const resetToken = generateOpaqueToken(32);
+    await pool.query(
+      `UPDATE password_reset_codes
+       SET verified_at = NOW(),
+           reset_token_hash = $2,
+           reset_expires_at = NOW() + INTERVAL '1 minute' * $3
+       WHERE id = $1`,
+      [entry.id, hashToken(resetToken), RESET_TOKEN_TTL_MINUTES]
+    );
+
+    res.json({
+      message: "Código verificado",
+      reset_token: resetToken,
+      expires_in: RESET_TOKEN_TTL_MINUTES * 60,
+    });
+  } catch (error) {
+    logger.error("❌ Error verificando código de reseteo:", error.message);
+    res.status(500).json({ error: "Error al verificar el código" });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  const resetToken = inputProtect.sanitizeToken(req.body.reset_token);
+  const passwordCheck = inputProtect.validatePasswordServer(
+    req.body.newPassword
+  );
+
+  if (!resetToken) {
+    return res.status(400).json({ error: "Token de reseteo requerido" });
+  }
+  if (!passwordCheck.ok) {
+    return res.status(400).json({ error: passwordCheck.reason });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT id, user_id FROM password_reset_codes
+       WHERE reset_token_hash = $1
+         AND used_at IS NULL
+         AND reset_expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(resetToken)]
+    );
+    const entry = result.rows[0];
+
+    if (!entry) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: "El enlace de reseteo es inválido o expiró",
+        code: "RESET_TOKEN_INVALID",
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(passwordCheck.value, 12);
+    await client.query("UPDATE users SET password = $1 WHERE id = $2", [
+      hashedPassword,
+      entry.user_id,
+    ]);
+    await client.query(
+      "UPDATE password_reset_codes SET used_at = NOW() WHERE id = $1",
+      [entry.id]
+    );
+    await client.query(
+      `INSERT INTO password_change_log (user_id, changed_at, ip_address, method)
+       VALUES ($1, NOW(), $2, 'reset')`,
+      [entry.user_id, getClientIp(req)]
+    );
+    // Un reseteo exitoso limpia intentos fallidos y bloqueos temporales
+    await client.query(
+      `UPDATE user_security
+       SET login_attempts = 0,
+           is_locked = false,
+           locked_until = NULL,
+           lock_reason = NULL,
+           updated_at = NOW()
+       WHERE user_id = $1 AND is_permanently_locked = false`,
+      [entry.user_id]
+    );
+
+    await client.query("COMMIT");
+
+    const revoked = await revokeUserSessions(entry.user_id, "password_reset");
+    logger.log(
+      `✅ Contraseña restablecida para usuario ${entry.user_id}. Sesiones revocadas: ${revoked}`
+    );
+
+    res.json({ message: "Contraseña restablecida. Inicia sesión de nuevo." });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    logger.error("❌ Error restableciendo contraseña:", error.message);
+    res.status(500).json({ error: "Error al restablecer la contraseña" });
+  } finally {
+    client.release();
+  }
+};
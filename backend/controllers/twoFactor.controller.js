@@ -0,0 +1,278 @@
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { createSession, revokeUserSessions } from "../utils/sessions.js";
+import { encryptSecret, decryptSecret, hashToken } from "../utils/tokens.js";
+import {
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+import {
+  generateRecoveryCodes,
+  getMfaStatus,
+  verifySecondFactor,
+  isMfaRequiredForRole,
+  MAX_CHALLENGE_ATTEMPTS,
+} from "../utils/mfa.js";
+import { recordLoginEvent } from "../utils/loginEvents.js";
+
+const ISSUER = "Café Aroma de la Serranía";
+
+function readSecondFactor(body = {}) {
+  return {
+    code: inputProtect.sanitizeString(String(body.code || "")),
+    recoveryCode: inputProtect.sanitizeString(String(body.recovery_code || "")),
+  };
+}
+
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await getMfaStatus(req.user.id);
+    res.json({
+      ...status,
+      required: await isMfaRequiredForRole(req.user.role),
+    });
+  } catch (error) {
+    logger.error("❌ Error obteniendo estado 2FA:", error.message);
+    res.status(500).json({ error: "Error al obtener el estado de 2FA" });
+  }
+};
+
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const status = await getMfaStatus(req.user.id);
+    if (status.enabled) {
+      return res
+        .status(400)
+        .json({ error: "La verificación en dos pasos ya está activa" });
+    }
+
+    const secret = generateTotpSecret();
+    await pool.query(
+      `INSERT INTO user_mfa (user_id, totp_secret_enc, enabled, updated_at)
+       VALUES ($1, $2, FALSE, NOW())
+       ON CONFLICT (user_id)
+       DO UPDATE SET totp_secret_enc = EXCLUDED.totp_secret_enc,
+                     enabled = FALSE,
+                     last_used_step = NULL,
+                     updated_at = NOW()`,
+      [req.user.id, encryptSecret(secret)]
+    );
+
+    res.json({
+      secret,
+      otpauth_uri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: ISSUER,
+      }),
+    });
+  } catch (error) {
+    logger.error("❌ Error configurando 2FA:", error.message);
+    res.status(500).json({ error: "Error al configurar 2FA" });
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  const { code } = readSecondFactor(req.body);
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT totp_secret_enc, enabled FROM user_mfa WHERE user_id = $1 FOR UPDATE",
+      [req.user.id]
+    );
+    const mfa = result.rows[0];
+
+    if (!mfa) {
+      await client.query("ROLLBACK");
+      return res
+        .status(400)
+        .json({ error: "Primero inicia la configuración de 2FA" });
+    }
+    if (mfa.enabled) {
+      await client.query("ROLLBACK");
+      return res
+        .status(400)
+        .json({ error: "La verificación en dos pasos ya está activa" });
+    }
+
+    const step = verifyTotp(decryptSecret(mfa.totp_secret_enc), code);
+    if (step === null) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Código inválido" });
+    }
+
+    await client.query(
+      `UPDATE user_mfa
+       SET enabled = TRUE, enabled_at = NOW(), last_used_step = $2, updated_at = NOW()
+       WHERE user_id = $1`,
+      [req.user.id, step]
+    );
+    const recoveryCodes = await generateRecoveryCodes(client, req.user.id);
+
+    await client.query("COMMIT");
+
+    // Las demás sesiones se abrieron sin segundo factor
+    await revokeUserSessions(req.user.id, "mfa_enabled", {
+      exceptSessionId: req.user.session_id,
+    });
+
+    logger.log(`🔐 2FA activado para usuario ${req.user.id}`);
+    res.json({
+      message: "Verificación en dos pasos activada",
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    logger.error("❌ Error activando 2FA:", error.message);
+    res.status(500).json({ error: "Error al activar 2FA" });
+  } finally {
+    client.release();
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    if (await isMfaRequiredForRole(req.user.role)) {
+      return res.status(403).json({
+        error: "Tu rol exige la verificación en dos pasos",
+        code: "MFA_REQUIRED",
+      });
+    }
+
+    const method = await verifySecondFactor(
+      req.user.id,
+      readSecondFactor(req.body)
+    );
+    if (!method) {
+      return res.status(400).json({ error: "Código inválido" });
+    }
+
+    await pool.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [
+      req.user.id,
+    ]);
+    await pool.query("DELETE FROM user_mfa WHERE user_id = $1", [req.user.id]);
+
+    logger.warn(`🔓 2FA desactivado por usuario ${req.user.id}`);
+    res.json({ message: "Verificación en dos pasos desactivada" });
+  } catch (error) {
+    logger.error("❌ Error desactivando 2FA:", error.message);
+    res.status(500).json({ error: "Error al desactivar 2FA" });
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = readSecondFactor(req.body);
+    const method = await verifySecondFactor(req.user.id, { code });
+    if (!method) {
+      return res.status(400).json({ error: "Código inválido" });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(pool, req.user.id);
+    logger.log(
+      `🔑 Códigos de recuperación regenerados: usuario ${req.user.id}`
+    );
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    logger.error("❌ Error regenerando códigos:", error.message);
+    res.status(500).json({ error: "Error al regenerar los códigos" });
+  }
+};
+
+export const verifyLoginChallenge = async (req, res) => {
+  try {
+    const challengeToken = inputProtect.sanitizeToken(req.body.challenge_token);
+    const factor = readSecondFactor(req.body);
+
+    if (!challengeToken || (!factor.code && !factor.recoveryCode)) {
+      return res
+        .status(400)
+        .json({ error: "Desafío y código son obligatorios" });
+    }
+
+    const result = await pool.query(
+      `SELECT c.id, c.attempts, c.user_id, u.name, u.email, u.role
+       FROM login_challenges c
+       JOIN users u ON u.id = c.user_id
+       WHERE c.token_hash = $1
+         AND c.consumed_at IS NULL
+         AND c.expires_at > NOW()`,
+      [hashToken(challengeToken)]
+    );
+    const challenge = result.rows[0];
+
+    if (!challenge) {
+      return res.status(401).json({
+        error: "El desafío expiró. Inicia sesión de nuevo.",
+        code: "CHALLENGE_INVALID",
+      });
+    }
+
+    const method = await verifySecondFactor(challenge.user_id, factor);
+
+    if (!method) {
+      const attempts = challenge.attempts + 1;
+      await pool.query(
+        `UPDATE login_challenges
+         SET attempts = $2,
+             consumed_at = CASE WHEN $2 >= $3 THEN NOW() ELSE consumed_at END
+         WHERE id = $1`,
+        [challenge.id, attempts, MAX_CHALLENGE_ATTEMPTS]
+      );
+      await recordLoginEvent(req, {
+        userId: challenge.user_id,
+        email: challenge.email,
+        method: "2fa",
+        outcome: "mfa_failure",
+        reason: `attempt_${attempts}`,
+      });
+      logger.warn(
+        `❌ Segundo factor incorrecto para usuario ${challenge.user_id} (intento ${attempts})`
+      );
+      return res.status(401).json({
+        error: "Código inválido",
+        code: "MFA_INVALID",
+        remaining: Math.max(0, MAX_CHALLENGE_ATTEMPTS - attempts),
+      });
+    }
+
+    const consumed = await pool.query(
+      `UPDATE login_challenges SET consumed_at = NOW()
+       WHERE id = $1 AND consumed_at IS NULL`,
+      [challenge.id]
+    );
+    if (consumed.rowCount === 0) {
+      return res.status(401).json({
+        error: "El desafío ya fue utilizado",
+        code: "CHALLENGE_INVALID",
+      });
+    }
+
+    const user = {
+      id: challenge.user_id,
+      name: challenge.name,
+      email: challenge.email,
+      role: challenge.role,
+    };
+    const sessionId = await createSession(user, req, res);
+    await recordLoginEvent(req, {
+      userId: user.id,
+      email: user.email,
+      method: "2fa",
+      outcome: "success",
+      reason: method,
+      sessionId,
+    });
+
+    logger.log(`✅ Login con 2FA (${method}): ${user.email}`);
+    res.json({ message: "Login exitoso", user });
+  } catch (error) {
+    logger.error("❌ Error verificando desafío 2FA:", error.message);
+    res.status(500).json({ error: "Error al verificar el código" });
+  }
+};
@@ -1,33 +1,40 @@
 import pool from "../database/db.js";
 import logger from "../utils/logger.js";
 import bcrypt from "bcrypt";
-import multer from "multer";
 import path from "path";
 import fs from "fs";
 import inputProtect from "../middleware/inputProtect.js";
-import { NODE_ENV } from "../utils/config.js";
-import { fileTypeFromFile } from "file-type";
 import { fileURLToPath } from "url";
+import { clearAuthCookies } from "../middleware/jwt.js";
+import {
+  BASE_URL,
+  removeUploadedFile,
+  verifyUploadedImage,
+} from "../middleware/upload.js";
+import {
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+} from "../utils/sessions.js";
+import { orderItemsJson } from "../utils/orders.js";
+import { orderTimelineJson } from "../utils/orderStatus.js";
+import { shipmentsJson, withTrackingInfo } from "../utils/shipments.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ====== MULTER CONFIG ======
-const uploadDir = path.join(__dirname, "../../uploads");
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-const BASE_URL =
-  NODE_ENV === "production"
-    ? "https://backendaromaserrania.onrender.com"
-    : "http://localhost:3000";
-
 export const getHistorialUser = async (req, res) => {
   try {
     const userId = inputProtect.sanitizeNumeric(req.params.userId);
 
     const result = await pool.query(
       `SELECT 
-          c.id, c.producto, c.precio::float as precio, c.fecha, c.status, c.shipping_address
+          c.id, c.producto, c.precio::float as precio, c.fecha, c.status, c.shipping_address,
+          c.payment_status, c.amount_refunded, c.shipping_amount,
+          c.discount_amount, c.promotion_id,
+          ${orderItemsJson("c")} AS items,
+          ${orderTimelineJson("c", { internal: true })} AS timeline,
+          ${shipmentsJson("c")} AS shipments
          FROM compras c
          WHERE c.user_id = $1
          ORDER BY c.fecha DESC`,
@@ -113,7 +120,10 @@ export const getAllOrders = async (req, res) => {
     const result = await pool.query(`
       SELECT 
         c.id, c.producto, c.precio::float as precio, c.fecha, c.status, c.phone, 
-        c.shipping_address,
+        c.shipping_address, c.payment_status, c.amount_refunded,
+        c.shipping_amount, c.discount_amount, c.promotion_id,
+        c.shipping_hold, c.hold_reason,
+        ${orderItemsJson("c")} AS items,
         u.name as user_name, u.email as user_email
       FROM compras c
       LEFT JOIN users u ON c.user_id = u.id
@@ -137,14 +147,19 @@ export const getHistorial = async (req, res) => {
 
     const result = await pool.query(
       `SELECT 
-         id, 
-         producto, 
-         precio::float AS precio, 
-         fecha, 
-         status 
-       FROM compras 
-       WHERE user_id = $1 
-       ORDER BY fecha DESC`,
+         c.id, 
+         c.producto, 
+         c.precio::float AS precio, 
+         c.fecha, 
+         c.status,
+         c.payment_status,
+         c.shipping_amount,
+         c.discount_amount,
+         ${orderItemsJson("c")} AS items,
+         ${shipmentsJson("c")} AS shipments
+       FROM compras c
+       WHERE c.user_id = $1 
+       ORDER BY c.fecha DESC`,
       [userId]
     );
 
@@ -154,6 +169,35 @@ export const getHistorial = async (req, res) => {
       precio: Number(c.precio.toFixed(2)),
       fecha: c.fecha,
       status: inputProtect.escapeOutput(c.status),
+      payment_status: c.payment_status,
+      shipping_amount: c.shipping_amount,
+      discount_amount: c.discount_amount,
+      items: c.items.map((item) => ({
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        product_name: inputProtect.escapeOutput(item.product_name),
+        variant_options: item.variant_options,
+        image: item.image,
+        quantity: item.quantity,
+        unit_amount: item.unit_amount,
+        total: item.total,
+        currency: item.currency,
+      })),
+      shipments: c.shipments.map((shipment) => {
+        const tracked = withTrackingInfo(shipment);
+        return {
+          carrier: tracked.carrier,
+          carrier_name: tracked.carrier_name,
+          tracking_number: inputProtect.escapeOutput(tracked.tracking_number),
+          tracking_url: tracked.tracking_url,
+          status: tracked.status,
+          last_event: tracked.last_event
+            ? inputProtect.escapeOutput(tracked.last_event)
+            : null,
+          shipped_at: tracked.shipped_at,
+          delivered_at: tracked.delivered_at,
+        };
+      }),
     }));
 
     logger.log(`📦 Historial enviado para user_id=${userId}`);
@@ -177,15 +221,7 @@ export const uploadImageProfile = async (req, res, next) => {
         .json({ error: "No se proporcionó ninguna imagen" });
     }
 
-    const filePath = path.join(uploadDir, req.file.filename);
-    const ft = await fileTypeFromFile(filePath).catch(() => null);
-    if (!ft || !["image/jpeg", "image/png"].includes(ft.mime)) {
-      try {
-        fs.unlinkSync(filePath);
-      } catch (e) {
-        /* noop */
-      }
-      logger.warn(`Archivo eliminado por mismatch MIME: ${req.file.filename}`);
+    if (!(await verifyUploadedImage(req.file))) {
       return res.status(400).json({ error: "Archivo no válido" });
     }
 
@@ -197,11 +233,7 @@ export const uploadImageProfile = async (req, res, next) => {
     );
 
     if (!result.rows[0]) {
-      try {
-        fs.unlinkSync(filePath);
-      } catch (e) {
-        /* noop */
-      }
+      removeUploadedFile(req.file.filename);
       return res.status(404).json({ error: "Usuario no encontrado" });
     }
 
@@ -222,7 +254,7 @@ export const getDataProfile = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const result = await pool.query(
-      `SELECT name, email, phone_number, role, image, auth_provider, address, created_at FROM users WHERE id = $1`,
+      `SELECT name, email, email_verified, phone_number, role, image, auth_provider, address, created_at FROM users WHERE id = $1`,
       [userId]
     );
 
@@ -621,3 +653,72 @@ export const changeUserPassword = async (req, res, next) => {
     });
   }
 };
+
+export const getUserSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id, req.user.session_id);
+    res.json({ sessions });
+  } catch (error) {
+    logger.error("❌ Error obteniendo sesiones:", error.message);
+    res.status(500).json({ error: "Error al obtener sesiones activas" });
+  }
+};
+
+export const revokeUserSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!inputProtect.isValidUUID(sessionId)) {
+      return res.status(400).json({ error: "ID de sesión inválido" });
+    }
+
+    const revoked = await revokeSession(sessionId, "user_revoked", {
+      userId: req.user.id,
+    });
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Sesión no encontrada" });
+    }
+
+    if (sessionId === req.user.session_id) {
+      clearAuthCookies(res);
+    }
+
+    logger.log(`🔒 Usuario ${req.user.id} revocó la sesión ${sessionId}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("❌ Error revocando sesión:", error.message);
+    res.status(500).json({ error: "Error al revocar la sesión" });
+  }
+};
+
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, "user_revoked", {
+      exceptSessionId: req.user.session_id,
+    });
+
+    logger.log(
+      `🔒 Usuario ${req.user.id} cerró ${revoked} sesión(es) en otros dispositivos`
+    );
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error("❌ Error revocando otras sesiones:", error.message);
+    res.status(500).json({ error: "Error al cerrar las otras sesiones" });
+  }
+};
+
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, "logout_everywhere");
+    clearAuthCookies(res);
+
+    logger.log(
+      `🔒 Usuario ${req.user.id} cerró sesión en todos los dispositivos (${revoked})`
+    );
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error("❌ Error cerrando todas las sesiones:", error.message);
+    res.status(500).json({ error: "Error al cerrar todas las sesiones" });
+  }
+};
@@ -0,0 +1,24 @@
+-- Recuperación de contraseña con código de un solo uso (SMS o email)
+-- Solo se guardan hashes del código y del token de reseteo.
+
+CREATE TABLE IF NOT EXISTS password_reset_codes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email')),
+  ip_address VARCHAR(64),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  verified_at TIMESTAMPTZ,
+  reset_token_hash CHAR(64) UNIQUE,
+  reset_expires_at TIMESTAMPTZ,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_codes_user
+  ON password_reset_codes (user_id, created_at DESC);
+
+-- Distingue cambios desde el perfil de los reseteos por código
+ALTER TABLE password_change_log
+  ADD COLUMN IF NOT EXISTS method VARCHAR(20) NOT NULL DEFAULT 'change';
@@ -0,0 +1,24 @@
+-- Verificación de email en registro y en cambio de email
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Google ya verificó el email de estas cuentas
+UPDATE users
+SET email_verified = TRUE, email_verified_at = NOW()
+WHERE auth_provider = 'google' AND email_verified = FALSE;
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  email VARCHAR(254) NOT NULL,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('register', 'change')),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user
+  ON email_verification_tokens (user_id, created_at DESC);
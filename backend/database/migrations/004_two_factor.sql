@@ -0,0 +1,38 @@
+-- Autenticación en dos pasos (TOTP) con códigos de recuperación
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  totp_secret_enc TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  enabled_at TIMESTAMPTZ,
+  -- Último paso TOTP aceptado: impide reutilizar el mismo código
+  last_used_step BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user
+  ON mfa_recovery_codes (user_id)
+  WHERE used_at IS NULL;
+
+-- Desafío de login parcial: la contraseña (o Google) ya fue validada,
+-- falta el segundo factor antes de emitir la sesión.
+CREATE TABLE IF NOT EXISTS login_challenges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  method VARCHAR(20) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  ip_address VARCHAR(64),
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
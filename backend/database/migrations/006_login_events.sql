@@ -0,0 +1,24 @@
+-- Historial de intentos de login (contraseña, Google, passkey y 2FA).
+-- user_id queda en NULL cuando el email no corresponde a ninguna cuenta;
+-- al eliminar un usuario se conserva el historial sin la referencia.
+
+CREATE TABLE IF NOT EXISTS login_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email VARCHAR(255),
+  method VARCHAR(20) NOT NULL
+    CHECK (method IN ('local', 'google', 'passkey', '2fa')),
+  outcome VARCHAR(20) NOT NULL
+    CHECK (outcome IN ('success', 'failure', 'locked', 'blocked', 'mfa_required', 'mfa_failure')),
+  reason VARCHAR(100),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  session_id UUID REFERENCES user_sessions(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_events_user_created
+  ON login_events (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_login_events_created_outcome
+  ON login_events (created_at, outcome);
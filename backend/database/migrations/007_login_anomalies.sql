@@ -0,0 +1,18 @@
+-- Detección de logins anómalos: ubicación aproximada (GeoIP) y marcas
+-- de anomalía por evento (new_ip, new_device, impossible_travel, ip_failure_burst).
+
+ALTER TABLE login_events
+  ADD COLUMN IF NOT EXISTS country VARCHAR(2),
+  ADD COLUMN IF NOT EXISTS city VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS latitude NUMERIC(8, 4),
+  ADD COLUMN IF NOT EXISTS longitude NUMERIC(8, 4),
+  ADD COLUMN IF NOT EXISTS anomaly_flags TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS is_anomalous BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS alert_sent_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_login_events_anomalous
+  ON login_events (user_id, created_at DESC)
+  WHERE is_anomalous = TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_login_events_ip_created
+  ON login_events (ip_address, created_at DESC);
@@ -0,0 +1,74 @@
+-- Roles y permisos en base de datos (reemplaza los arrays de roles en roleCheck.js).
+-- users.role sigue guardando el nombre del rol; ahora referencia roles(name).
+
+CREATE TABLE IF NOT EXISTS roles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE,
+  description TEXT,
+  -- Roles base (user, viewer, admin): no se pueden eliminar
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+  id SERIAL PRIMARY KEY,
+  key VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+  permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+  PRIMARY KEY (role_id, permission_id)
+);
+
+INSERT INTO permissions (key, description) VALUES
+  ('orders:read', 'Ver pedidos'),
+  ('orders:update_status', 'Cambiar el estado de un pedido'),
+  ('users:read', 'Ver usuarios y su historial de compras'),
+  ('users:delete', 'Eliminar cuentas de usuario'),
+  ('users:change_role', 'Asignar roles a usuarios'),
+  ('stats:read', 'Ver estadísticas de ventas y usuarios'),
+  ('security:read', 'Ver el panel de seguridad, historial de login y sesiones'),
+  ('security:manage', 'Bloquear, desbloquear, reiniciar intentos y cerrar sesiones'),
+  ('logs:read', 'Ver logs del sistema'),
+  ('logs:purge', 'Eliminar logs antiguos'),
+  ('roles:manage', 'Crear, editar y eliminar roles')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO roles (name, description, is_system) VALUES
+  ('user', 'Cliente de la tienda', TRUE),
+  ('viewer', 'Personal de solo lectura', TRUE),
+  ('admin', 'Administrador con acceso total', TRUE),
+  ('fulfillment', 'Despacho: ve pedidos y actualiza su estado', FALSE)
+ON CONFLICT (name) DO NOTHING;
+
+-- admin: todos los permisos
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
+
+-- viewer: solo lectura
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key IN (
+  'orders:read', 'users:read', 'stats:read', 'security:read', 'logs:read'
+)
+WHERE r.name = 'viewer'
+ON CONFLICT DO NOTHING;
+
+-- fulfillment: pedidos, sin datos de seguridad
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key IN ('orders:read', 'orders:update_status')
+WHERE r.name = 'fulfillment'
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS users_role_fkey;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_role_fkey
+  FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
@@ -0,0 +1,56 @@
+-- Auditoría de acciones administrativas (solo inserción).
+-- No hay FK hacia users: el registro debe sobrevivir a la eliminación del actor o del objetivo.
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id INTEGER,
+  actor_email VARCHAR(255),
+  actor_role VARCHAR(50),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(50) NOT NULL,
+  target_id VARCHAR(100),
+  before_data JSONB,
+  after_data JSONB,
+  metadata JSONB,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  request_id VARCHAR(64),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created
+  ON admin_audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target
+  ON admin_audit_log (target_type, target_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_actor
+  ON admin_audit_log (actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_action
+  ON admin_audit_log (action, created_at DESC);
+
+-- Append-only: cualquier UPDATE, DELETE o TRUNCATE falla
+CREATE OR REPLACE FUNCTION admin_audit_log_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit_log es de solo inserción (% no permitido)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_admin_audit_log_no_update ON admin_audit_log;
+CREATE TRIGGER trg_admin_audit_log_no_update
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION admin_audit_log_immutable();
+
+DROP TRIGGER IF EXISTS trg_admin_audit_log_no_truncate ON admin_audit_log;
+CREATE TRIGGER trg_admin_audit_log_no_truncate
+  BEFORE TRUNCATE ON admin_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION admin_audit_log_immutable();
+
+INSERT INTO permissions (key, description) VALUES
+  ('audit:read', 'Ver y exportar la auditoría de acciones administrativas')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'audit:read'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
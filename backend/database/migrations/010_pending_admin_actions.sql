@@ -0,0 +1,31 @@
+-- Aprobación de dos personas para acciones destructivas
+-- (eliminar usuario, bloqueo permanente). Sin FK hacia users:
+-- la solicitud debe conservarse después de eliminar al usuario objetivo.
+
+CREATE TABLE IF NOT EXISTS pending_admin_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action_type VARCHAR(50) NOT NULL
+    CHECK (action_type IN ('user.delete', 'user.lock_permanent')),
+  target_user_id INTEGER NOT NULL,
+  -- Datos del objetivo al momento de la solicitud (nombre, email, rol)
+  target_snapshot JSONB,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'expired', 'failed')),
+  requested_by INTEGER NOT NULL,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  decided_by INTEGER,
+  decided_at TIMESTAMPTZ,
+  decision_note TEXT,
+  executed_at TIMESTAMPTZ,
+  error TEXT
+);
+
+-- Una sola solicitud pendiente por acción y usuario
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_admin_actions_unique
+  ON pending_admin_actions (action_type, target_user_id)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_pending_admin_actions_status
+  ON pending_admin_actions (status, requested_at DESC);
@@ -0,0 +1,30 @@
+-- Suplantación de clientes por el personal de soporte ("ver como cliente").
+-- El token de suplantación cuelga de la sesión del admin (admin_session_id):
+-- revocar esa sesión o terminar la suplantación invalida el token.
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  admin_session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+  target_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  ip_address VARCHAR(64),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  ended_at TIMESTAMPTZ,
+  ended_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_admin_active
+  ON impersonation_sessions (admin_id)
+  WHERE ended_at IS NULL;
+
+INSERT INTO permissions (key, description) VALUES
+  ('users:impersonate', 'Ver la cuenta de un cliente como él (solo lectura)')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'users:impersonate'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
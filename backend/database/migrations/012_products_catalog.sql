@@ -0,0 +1,51 @@
+-- Catálogo local (fuente de verdad de la tienda), sincronizado con Stripe
+-- por un job periódico y por los webhooks product.* / price.*.
+-- source_updated_at evita que un evento atrasado pise datos más nuevos.
+
+CREATE TABLE IF NOT EXISTS products (
+  id SERIAL PRIMARY KEY,
+  stripe_product_id VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  images TEXT[] NOT NULL DEFAULT '{}',
+  metadata JSONB NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  source_updated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS prices (
+  id SERIAL PRIMARY KEY,
+  stripe_price_id VARCHAR(255) NOT NULL UNIQUE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  currency VARCHAR(3) NOT NULL,
+  -- Monto en la unidad mínima de la moneda (igual que Stripe)
+  unit_amount BIGINT,
+  type VARCHAR(20) NOT NULL DEFAULT 'one_time',
+  recurring JSONB,
+  nickname VARCHAR(255),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  source_updated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_active ON products (active);
+CREATE INDEX IF NOT EXISTS idx_prices_product_active ON prices (product_id, active);
+
+-- compras referencia el producto y precio del catálogo (producto queda como texto histórico)
+ALTER TABLE compras
+  ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS price_id INTEGER REFERENCES prices(id) ON DELETE SET NULL;
+
+INSERT INTO permissions (key, description) VALUES
+  ('catalog:manage', 'Gestionar el catálogo de productos y sincronizarlo con Stripe')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'catalog:manage'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
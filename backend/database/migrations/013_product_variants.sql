@@ -0,0 +1,38 @@
+-- Variantes de producto: tamaño de bolsa, molienda, nivel de tueste...
+-- product_options define los tipos de opción y sus valores permitidos;
+-- cada variante elige un valor por opción y tiene su propio SKU, precio y stock.
+
+CREATE TABLE IF NOT EXISTS product_options (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  "values" TEXT[] NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (product_id, name),
+  CHECK (cardinality("values") > 0)
+);
+
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku VARCHAR(64) NOT NULL UNIQUE,
+  -- Precio propio en Stripe (los precios son inmutables: cambiar el monto crea otro)
+  price_id INTEGER NOT NULL REFERENCES prices(id),
+  -- { "Tamaño": "500g", "Molienda": "Grano entero", "Tueste": "Medio" }
+  options JSONB NOT NULL DEFAULT '{}',
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Una sola variante activa por combinación de opciones
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_combination
+  ON product_variants (product_id, options) WHERE active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_product_variants_price ON product_variants (price_id);
+
+-- La compra guarda la variante y una copia de sus opciones (histórico)
+ALTER TABLE compras
+  ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS variant_sku VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS variant_options JSONB;
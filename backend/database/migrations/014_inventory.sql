@@ -0,0 +1,74 @@
+-- Inventario por SKU (variante): stock físico, unidades reservadas por
+-- checkouts abiertos y libro de movimientos de solo inserción.
+-- Disponible para vender = stock - reserved.
+
+ALTER TABLE product_variants
+  ADD COLUMN IF NOT EXISTS reserved INTEGER NOT NULL DEFAULT 0 CHECK (reserved >= 0),
+  ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER NOT NULL DEFAULT 5 CHECK (low_stock_threshold >= 0),
+  -- Evita repetir la alerta hasta que se reponga por encima del umbral
+  ADD COLUMN IF NOT EXISTS low_stock_alerted_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id SERIAL PRIMARY KEY,
+  variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  stripe_session_id VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'committed', 'released')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_session ON stock_reservations (stripe_session_id);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_active
+  ON stock_reservations (expires_at) WHERE status = 'active';
+
+-- Sin FK hacia compras ni users: el libro debe sobrevivir a su eliminación
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id BIGSERIAL PRIMARY KEY,
+  variant_id INTEGER NOT NULL REFERENCES product_variants(id),
+  -- Positivo entra, negativo sale
+  delta INTEGER NOT NULL CHECK (delta <> 0),
+  stock_after INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL
+    CHECK (reason IN ('initial', 'restock', 'sale', 'return', 'damage', 'correction')),
+  note TEXT,
+  reservation_id INTEGER,
+  order_id INTEGER,
+  actor_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_variant ON stock_movements (variant_id, created_at DESC);
+
+-- Append-only: cualquier UPDATE o DELETE falla
+CREATE OR REPLACE FUNCTION stock_movements_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'stock_movements es de solo inserción (% no permitido)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_stock_movements_no_update ON stock_movements;
+CREATE TRIGGER trg_stock_movements_no_update
+  BEFORE UPDATE OR DELETE ON stock_movements
+  FOR EACH ROW EXECUTE FUNCTION stock_movements_immutable();
+
+INSERT INTO permissions (key, description) VALUES
+  ('inventory:read', 'Ver niveles de stock y movimientos'),
+  ('inventory:manage', 'Ajustar stock y umbrales de alerta')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key IN ('inventory:read', 'inventory:manage')
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'inventory:read'
+WHERE r.name IN ('viewer', 'fulfillment')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,34 @@
+-- Carrito persistido en el servidor. Un usuario tiene un carrito; un
+-- visitante tiene uno identificado por la cookie cart_token (guardada como hash)
+-- que se fusiona con el del usuario al iniciar sesión.
+
+CREATE TABLE IF NOT EXISTS carts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (user_id IS NOT NULL OR token_hash IS NOT NULL)
+);
+
+-- Una línea es una variante o, para productos sin variantes, un precio
+CREATE TABLE IF NOT EXISTS cart_items (
+  id SERIAL PRIMARY KEY,
+  cart_id INTEGER NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+  price_id INTEGER REFERENCES prices(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  -- Monto al agregar: permite avisar si el precio cambió
+  unit_amount_added BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((variant_id IS NULL) <> (price_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_variant
+  ON cart_items (cart_id, variant_id) WHERE variant_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_price
+  ON cart_items (cart_id, price_id) WHERE price_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_carts_guest_expires
+  ON carts (expires_at) WHERE user_id IS NULL;
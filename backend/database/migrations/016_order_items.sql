@@ -0,0 +1,54 @@
+-- Pedidos con varias líneas. compras sigue siendo el encabezado del pedido
+-- (estado, envío, sesión de Stripe; precio = total y producto = resumen)
+-- y order_items guarda cada línea de Stripe.
+-- Los montos de order_items van en la unidad mínima de la moneda, como en Stripe.
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES compras(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  price_id INTEGER REFERENCES prices(id) ON DELETE SET NULL,
+  variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+  stripe_price_id VARCHAR(255),
+  -- Copia histórica: el catálogo puede cambiar después de la compra
+  product_name VARCHAR(255) NOT NULL,
+  variant_sku VARCHAR(64),
+  variant_options JSONB,
+  image TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_amount BIGINT NOT NULL,
+  -- Antes de descuentos e impuestos
+  subtotal BIGINT NOT NULL,
+  -- Lo cobrado por la línea
+  total BIGINT NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'cop',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items (order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_product ON order_items (product_id);
+
+ALTER TABLE compras
+  ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'cop';
+
+-- Compras existentes: una línea por fila, con los datos que se guardaban
+INSERT INTO order_items
+  (order_id, product_id, price_id, variant_id, stripe_price_id, product_name,
+   variant_sku, variant_options, image, quantity, unit_amount, subtotal, total,
+   currency, created_at)
+SELECT c.id, c.product_id, c.price_id, c.variant_id, pr.stripe_price_id,
+       COALESCE(c.producto, 'Producto'), c.variant_sku, c.variant_options,
+       NULLIF(c.image, 'No image'), 1,
+       ROUND(c.precio * 100), ROUND(c.precio * 100), ROUND(c.precio * 100),
+       COALESCE(pr.currency, 'cop'), c.fecha
+FROM compras c
+LEFT JOIN prices pr ON pr.id = c.price_id
+WHERE NOT EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = c.id);
+
+-- Lo que estaba en el encabezado ahora vive en las líneas
+ALTER TABLE compras
+  DROP COLUMN IF EXISTS product_id,
+  DROP COLUMN IF EXISTS price_id,
+  DROP COLUMN IF EXISTS variant_id,
+  DROP COLUMN IF EXISTS variant_sku,
+  DROP COLUMN IF EXISTS variant_options;
@@ -0,0 +1,28 @@
+-- Registro de eventos de webhook de Stripe: cada evento se procesa una sola
+-- vez (Stripe reintenta entregas) y los que fallan quedan para reprocesar.
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  -- id del evento en Stripe (evt_...)
+  id VARCHAR(255) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'processed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status
+  ON stripe_events (status, received_at DESC);
+
+INSERT INTO permissions (key, description) VALUES
+  ('webhooks:manage', 'Ver y reprocesar eventos de webhook de Stripe')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'webhooks:manage'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,37 @@
+-- Estado del pago de cada pedido, separado del estado logístico (status).
+-- Los pedidos existentes se crearon al confirmarse el pago: quedan en 'paid'.
+
+ALTER TABLE compras
+  ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) NOT NULL DEFAULT 'paid'
+    CHECK (payment_status IN
+      ('pending', 'paid', 'failed', 'refunded', 'partially_refunded', 'disputed')),
+  ADD COLUMN IF NOT EXISTS stripe_payment_intent_id VARCHAR(255),
+  -- Unidad mínima de la moneda, como en Stripe
+  ADD COLUMN IF NOT EXISTS amount_refunded BIGINT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_compras_payment_intent
+  ON compras (stripe_payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_compras_stripe_session
+  ON compras (stripe_session_id);
+
+CREATE TABLE IF NOT EXISTS payment_disputes (
+  id SERIAL PRIMARY KEY,
+  stripe_dispute_id VARCHAR(255) NOT NULL UNIQUE,
+  order_id INTEGER REFERENCES compras(id) ON DELETE SET NULL,
+  stripe_charge_id VARCHAR(255),
+  amount BIGINT NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  reason VARCHAR(50),
+  status VARCHAR(30) NOT NULL,
+  evidence_due_by TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_order ON payment_disputes (order_id);
+
+-- Stock devuelto al cancelarse un pedido cuyo pago falló
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_reason_check;
+ALTER TABLE stock_movements ADD CONSTRAINT stock_movements_reason_check
+  CHECK (reason IN
+    ('initial', 'restock', 'sale', 'return', 'damage', 'correction', 'cancellation'));
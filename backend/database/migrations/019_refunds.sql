@@ -0,0 +1,58 @@
+-- Reembolsos de pedidos (totales o parciales). Los hechos desde el panel
+-- guardan quién y por qué; los hechos directamente en Stripe llegan por
+-- el webhook charge.refunded sin actor.
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES compras(id) ON DELETE CASCADE,
+  stripe_refund_id VARCHAR(255) UNIQUE,
+  -- Unidad mínima de la moneda, como en Stripe
+  amount BIGINT NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL,
+  reason VARCHAR(30) NOT NULL,
+  note TEXT,
+  status VARCHAR(20) NOT NULL,
+  -- Líneas reembolsadas: [{ order_item_id, quantity, amount }]
+  items JSONB NOT NULL DEFAULT '[]',
+  restocked BOOLEAN NOT NULL DEFAULT FALSE,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds (order_id, created_at DESC);
+
+-- Lo reembolsado por línea, para que las estadísticas sean netas
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS quantity_refunded INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS amount_refunded BIGINT NOT NULL DEFAULT 0;
+
+-- Reembolsos ya registrados en el pedido: se reparten según el total de cada línea
+WITH order_totals AS (
+  SELECT order_id, SUM(total) AS order_total
+  FROM order_items
+  GROUP BY order_id
+)
+UPDATE order_items oi
+SET amount_refunded = LEAST(
+      oi.total,
+      ROUND(c.amount_refunded * oi.total::numeric / NULLIF(t.order_total, 0))
+    ),
+    quantity_refunded = CASE
+      WHEN c.payment_status = 'refunded' THEN oi.quantity
+      ELSE oi.quantity_refunded
+    END
+FROM compras c, order_totals t
+WHERE c.id = oi.order_id
+  AND t.order_id = oi.order_id
+  AND c.amount_refunded > 0
+  AND oi.amount_refunded = 0;
+
+INSERT INTO permissions (key, description) VALUES
+  ('orders:refund', 'Reembolsar pedidos total o parcialmente')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'orders:refund'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,47 @@
+-- Historial de estados de cada pedido (solo inserción).
+-- Sin FK hacia compras ni users, igual que la auditoría: el historial
+-- sobrevive a la eliminación del pedido o del actor.
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL,
+  -- NULL en la creación del pedido
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  note TEXT,
+  -- admin (cambio manual), stripe (webhook) o system
+  source VARCHAR(20) NOT NULL DEFAULT 'admin',
+  actor_id INTEGER,
+  notify_customer BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order
+  ON order_status_history (order_id, created_at, id);
+
+CREATE OR REPLACE FUNCTION order_status_history_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'order_status_history es de solo inserción (% no permitido)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_order_status_history_no_update ON order_status_history;
+CREATE TRIGGER trg_order_status_history_no_update
+  BEFORE UPDATE OR DELETE ON order_status_history
+  FOR EACH ROW EXECUTE FUNCTION order_status_history_immutable();
+
+-- Pedidos existentes: su creación y, si ya avanzó, el estado actual
+INSERT INTO order_status_history (order_id, from_status, to_status, source, created_at)
+SELECT c.id, NULL, 'pendiente', 'system', c.fecha
+FROM compras c
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = c.id);
+
+INSERT INTO order_status_history (order_id, from_status, to_status, note, source)
+SELECT c.id, 'pendiente', c.status, 'Estado anterior al historial', 'system'
+FROM compras c
+WHERE c.status <> 'pendiente'
+  AND NOT EXISTS (
+    SELECT 1 FROM order_status_history h
+    WHERE h.order_id = c.id AND h.to_status = c.status
+  );
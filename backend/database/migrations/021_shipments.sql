@@ -0,0 +1,39 @@
+-- Envíos de cada pedido: transportadora, número de guía y fechas.
+-- El estado se actualiza a mano o consultando la API de la transportadora
+-- (adaptadores en backend/utils/carriers).
+
+CREATE TABLE IF NOT EXISTS shipments (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES compras(id) ON DELETE CASCADE,
+  carrier VARCHAR(30) NOT NULL,
+  tracking_number VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_transit'
+    CHECK (status IN
+      ('label_created', 'in_transit', 'out_for_delivery', 'delivered',
+       'exception', 'returned')),
+  -- Última novedad informada por la transportadora
+  last_event TEXT,
+  shipped_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ,
+  last_checked_at TIMESTAMPTZ,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (carrier, tracking_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipments_order ON shipments (order_id);
+-- Envíos que el job de seguimiento todavía consulta
+CREATE INDEX IF NOT EXISTS idx_shipments_open
+  ON shipments (last_checked_at NULLS FIRST)
+  WHERE status NOT IN ('delivered', 'returned');
+
+INSERT INTO permissions (key, description) VALUES
+  ('shipments:manage', 'Registrar y editar envíos y guías de los pedidos')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'shipments:manage'
+WHERE r.name IN ('admin', 'fulfillment')
+ON CONFLICT DO NOTHING;
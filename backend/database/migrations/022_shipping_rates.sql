@@ -0,0 +1,70 @@
+-- Tarifas de envío: zonas por departamento (código ISO 3166-2:CO) o ciudad,
+-- tramos de peso por zona y envío gratis desde un subtotal.
+-- Montos en la unidad mínima de la moneda de la tienda.
+
+ALTER TABLE product_variants
+  ADD COLUMN IF NOT EXISTS weight_grams INTEGER CHECK (weight_grams > 0);
+
+CREATE TABLE IF NOT EXISTS shipping_zones (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  -- Códigos de departamento: 'ANT', 'DC', 'VAC'...
+  departments TEXT[] NOT NULL DEFAULT '{}',
+  -- Ciudades normalizadas (minúsculas, sin tildes); pesan más que el departamento
+  cities TEXT[] NOT NULL DEFAULT '{}',
+  -- Zona para los destinos que no encajan en ninguna otra (solo una)
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Subtotal de productos desde el que el envío es gratis (NULL: nunca)
+  free_shipping_threshold INTEGER CHECK (free_shipping_threshold >= 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shipping_zones_default
+  ON shipping_zones (is_default) WHERE is_default = TRUE;
+
+CREATE TABLE IF NOT EXISTS shipping_rates (
+  id SERIAL PRIMARY KEY,
+  zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+  min_weight_grams INTEGER NOT NULL DEFAULT 0 CHECK (min_weight_grams >= 0),
+  -- NULL: sin tope
+  max_weight_grams INTEGER,
+  amount INTEGER NOT NULL CHECK (amount >= 0),
+  delivery_days_min INTEGER CHECK (delivery_days_min > 0),
+  delivery_days_max INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (zone_id, min_weight_grams),
+  CHECK (max_weight_grams IS NULL OR max_weight_grams > min_weight_grams),
+  CHECK (delivery_days_max IS NULL OR delivery_days_max >= delivery_days_min)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_rates_zone ON shipping_rates (zone_id);
+
+-- Zona por defecto con envío gratis a todo el país (lo que se cobraba antes
+-- de las tarifas) para que el checkout funcione hasta configurar las zonas
+INSERT INTO shipping_zones (name, is_default)
+SELECT 'Nacional', TRUE
+WHERE NOT EXISTS (SELECT 1 FROM shipping_zones);
+
+INSERT INTO shipping_rates (zone_id, min_weight_grams, max_weight_grams, amount)
+SELECT z.id, 0, NULL, 0 FROM shipping_zones z
+WHERE z.name = 'Nacional' AND z.is_default
+  AND NOT EXISTS (SELECT 1 FROM shipping_rates r WHERE r.zone_id = z.id);
+
+-- Lo cobrado por el envío y la zona cotizada
+ALTER TABLE compras
+  ADD COLUMN IF NOT EXISTS shipping_amount INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS shipping_zone_id INTEGER
+    REFERENCES shipping_zones(id) ON DELETE SET NULL;
+
+INSERT INTO permissions (key, description) VALUES
+  ('shipping:manage', 'Administrar zonas y tarifas de envío')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'shipping:manage'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
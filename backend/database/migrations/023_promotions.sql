@@ -0,0 +1,70 @@
+-- Promociones: cupones de porcentaje o monto fijo con vigencia, pedido
+-- mínimo, límites de uso y productos permitidos. Cada una tiene su cupón
+-- en Stripe. Montos en la unidad mínima de la moneda.
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  -- Código que escribe el cliente, guardado en mayúsculas
+  code VARCHAR(40) NOT NULL UNIQUE,
+  description TEXT,
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  percent_off NUMERIC(5, 2) CHECK (percent_off > 0 AND percent_off <= 100),
+  amount_off INTEGER CHECK (amount_off > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'cop',
+  -- Subtotal de productos mínimo para usarla
+  min_order_amount INTEGER CHECK (min_order_amount >= 0),
+  -- NULL: sin límite
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  max_redemptions_per_user INTEGER CHECK (max_redemptions_per_user > 0),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  -- Productos a los que aplica (vacío: todos)
+  product_ids INTEGER[] NOT NULL DEFAULT '{}',
+  stripe_coupon_id VARCHAR(255) NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (
+    (discount_type = 'percent' AND percent_off IS NOT NULL AND amount_off IS NULL)
+    OR (discount_type = 'fixed' AND amount_off IS NOT NULL AND percent_off IS NULL)
+  ),
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+-- Usos de cada promoción. 'pending' aparta el uso mientras la sesión de
+-- pago sigue abierta (cuenta para los límites hasta expires_at).
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  stripe_session_id VARCHAR(255) UNIQUE,
+  order_id INTEGER REFERENCES compras(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'redeemed', 'released')),
+  amount_discounted INTEGER,
+  currency VARCHAR(3),
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion
+  ON promotion_redemptions (promotion_id, status);
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_user
+  ON promotion_redemptions (promotion_id, user_id);
+
+ALTER TABLE compras
+  ADD COLUMN IF NOT EXISTS discount_amount INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS promotion_id INTEGER
+    REFERENCES promotions(id) ON DELETE SET NULL;
+
+INSERT INTO permissions (key, description) VALUES
+  ('promotions:manage', 'Crear y editar promociones y ver sus reportes')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.key = 'promotions:manage'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,10 @@
+-- Pedidos retenidos: el envío se cobró para una zona y la dirección que el
+-- cliente dio en Checkout es de otra. No se preparan ni envían hasta que
+-- un admin cobre la diferencia (o la acepte) y libere la retención.
+
+ALTER TABLE compras
+  ADD COLUMN IF NOT EXISTS shipping_hold BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS hold_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_compras_shipping_hold
+  ON compras (fecha) WHERE shipping_hold = TRUE;
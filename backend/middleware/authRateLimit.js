@@ -0,0 +1,93 @@
+import rateLimit, { ipKeyGenerator } from "express-rate-limit";
+import pool from "../database/db.js";
+import logger from "../utils/logger.js";
+import inputProtect from "./inputProtect.js";
+import { hashToken } from "../utils/tokens.js";
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Limitador de un endpoint de autenticación. Cada endpoint lleva su propio
+ * contador: agotar uno (p. ej. un código mal escrito al recuperar la
+ * contraseña) no bloquea a los demás.
+ * Sin resolveUserId cuenta por IP; con él cuenta por el usuario que el
+ * servidor asocia a la petición (nunca por el valor crudo del body), y por
+ * IP si no se pudo resolver.
+ */
+function authLimiter({ max, resolveUserId, skipSuccessfulRequests = true }) {
+  return rateLimit({
+    windowMs: WINDOW_MS,
+    max,
+    keyGenerator: async (req) => {
+      if (resolveUserId) {
+        try {
+          const userId = await resolveUserId(req);
+          if (userId) return `user:${userId}`;
+        } catch (err) {
+          logger.error("❌ Error resolviendo usuario del límite:", err.message);
+        }
+      }
+      return ipKeyGenerator(req.ip);
+    },
+    skipSuccessfulRequests,
+    message: { error: "Demasiadas solicitudes, intenta de nuevo más tarde." },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+}
+
+// Dueño del desafío de 2FA, aunque ya haya vencido: cuenta los intentos
+// de todos los desafíos que se pidan con la contraseña
+async function challengeUserId(req) {
+  const token = inputProtect.sanitizeToken(req.body?.challenge_token);
+  if (!token) return null;
+  const result = await pool.query(
+    "SELECT user_id FROM login_challenges WHERE token_hash = $1",
+    [hashToken(token)]
+  );
+  return result.rows[0]?.user_id || null;
+}
+
+async function emailUserId(req) {
+  const email = inputProtect.validateEmailServer(req.body?.email);
+  if (!email) return null;
+  const result = await pool.query(
+    "SELECT id FROM users WHERE LOWER(email) = $1 LIMIT 1",
+    [email]
+  );
+  return result.rows[0]?.id || null;
+}
+
+// Segundo factor: por IP y por usuario
+export const loginChallengeLimiter = [
+  authLimiter({ max: 10 }),
+  authLimiter({ max: 5, resolveUserId: challengeUserId }),
+];
+
+export const passwordForgotLimiter = authLimiter({
+  max: 5,
+  skipSuccessfulRequests: false,
+});
+
+// Código de recuperación: por IP y por la cuenta del email
+export const passwordVerifyLimiter = [
+  authLimiter({ max: 10 }),
+  authLimiter({ max: 5, resolveUserId: emailUserId }),
+];
+
+// Los tokens de reseteo y verificación son largos y aleatorios: basta la IP
+export const passwordResetLimiter = authLimiter({ max: 5 });
+export const emailVerifyLimiter = authLimiter({ max: 5 });
+
+// Solo cuentan las verificaciones fallidas, así una misma red puede
+// iniciar muchas sesiones con passkey
+export const passkeyLoginLimiter = authLimiter({ max: 20 });
+
+export default {
+  loginChallengeLimiter,
+  passwordForgotLimiter,
+  passwordVerifyLimiter,
+  passwordResetLimiter,
+  emailVerifyLimiter,
+  passkeyLoginLimiter,
+};
@@ -4,9 +4,29 @@ import logger from "../utils/logger.js";
 import pool from "../database/db.js";
 import inputProtect from "../middleware/inputProtect.js";
 
+export const ACCESS_TOKEN_TTL_MS = 1000 * 60 * 15;
+export const REFRESH_TOKEN_TTL_MS = 1000 * 60 * 60 * 24 * 30;
+export const IMPERSONATION_TTL_MS = 1000 * 60 * 15;
+
+// El refresh token solo viaja a las rutas de autenticación
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+export function cookieOptions(extra = {}) {
+  return {
+    httpOnly: true,
+    secure: NODE_ENV === "development",
+    sameSite: NODE_ENV === "production" ? "none" : "lax",
+    path: "/",
+    ...extra,
+  };
+}
+
 /**
  * Middleware para verificar y validar el token JWT.
- * Incluye controles contra tokens manipulados o mal formados.
+ * Incluye controles contra tokens manipulados o mal formados
+ * y rechaza tokens cuya sesión fue revocada en el servidor.
+ * En tokens de suplantación, la sesión (sid) es la del admin y
+ * req.user.impersonator identifica a quien suplanta.
  */
 export const verifyToken = async (req, res, next) => {
   try {
@@ -30,23 +50,114 @@ export const verifyToken = async (req, res, next) => {
       return res.status(403).json({ error: "Token inválido" });
     }
 
+    if (!decoded.sid || !inputProtect.isValidUUID(decoded.sid)) {
+      logger.warn(`Token sin sesión válida para usuario ${decoded.id}`);
+      return res
+        .status(401)
+        .json({ error: "Sesión inválida", code: "SESSION_INVALID" });
+    }
+
+    const impersonation = decoded.impersonator || null;
+    if (
+      impersonation &&
+      (!impersonation.id || !inputProtect.isValidUUID(impersonation.iid))
+    ) {
+      logger.warn(`Token de suplantación mal formado para ${decoded.id}`);
+      return res.status(403).json({ error: "Token inválido" });
+    }
+
+    // La sesión pertenece al usuario o, si es suplantación, al admin
     const result = await pool.query(
-      "SELECT id, email, role FROM users WHERE id = $1",
-      [decoded.id]
+      `SELECT u.id, u.email, u.role,
+              s.id AS session_id, s.revoked_at, s.expires_at,
+              COALESCE(m.enabled, FALSE) AS mfa_enabled,
+              i.id AS impersonation_id, i.ended_at AS impersonation_ended_at,
+              i.expires_at AS impersonation_expires_at,
+              admin.email AS impersonator_email
+       FROM users u
+       LEFT JOIN user_sessions s
+         ON s.id = $2 AND s.user_id = COALESCE($3::int, u.id)
+       LEFT JOIN user_mfa m ON m.user_id = u.id
+       LEFT JOIN impersonation_sessions i
+         ON i.id = $4::uuid AND i.admin_id = $3::int AND i.target_user_id = u.id
+       LEFT JOIN users admin ON admin.id = $3::int
+       WHERE u.id = $1`,
+      [
+        decoded.id,
+        decoded.sid,
+        impersonation?.id ?? null,
+        impersonation?.iid ?? null,
+      ]
     );
 
-    if (!result.rows[0]) {
+    const row = result.rows[0];
+    if (!row) {
       logger.warn("Usuario no encontrado para el token");
       return res.status(401).json({ error: "Usuario no encontrado" });
     }
 
-    req.user = result.rows[0];
+    if (
+      !row.session_id ||
+      row.revoked_at ||
+      new Date(row.expires_at) <= new Date()
+    ) {
+      logger.warn(
+        `🚫 Token de sesión revocada o expirada: usuario ${decoded.id}, sesión ${decoded.sid}`
+      );
+      return res
+        .status(401)
+        .json({ error: "Sesión revocada", code: "SESSION_REVOKED" });
+    }
+
+    if (
+      impersonation &&
+      (!row.impersonation_id ||
+        row.impersonation_ended_at ||
+        new Date(row.impersonation_expires_at) <= new Date())
+    ) {
+      logger.warn(
+        `🚫 Token de suplantación finalizada: admin ${impersonation.id} → usuario ${decoded.id}`
+      );
+      return res.status(401).json({
+        error: "La suplantación terminó",
+        code: "IMPERSONATION_ENDED",
+      });
+    }
+
+    req.user = {
+      id: row.id,
+      email: row.email,
+      role: row.role,
+      session_id: row.session_id,
+      mfa_enabled: row.mfa_enabled,
+      impersonator: impersonation
+        ? {
+            id: impersonation.id,
+            email: row.impersonator_email,
+            impersonation_id: row.impersonation_id,
+          }
+        : null,
+    };
+
+    pool
+      .query(
+        `UPDATE user_sessions
+         SET last_seen_at = NOW()
+         WHERE id = $1 AND last_seen_at < NOW() - INTERVAL '5 minutes'`,
+        [row.session_id]
+      )
+      .catch((err) =>
+        logger.warn("No se pudo actualizar last_seen_at:", err.message)
+      );
+
     next();
   } catch (err) {
     logger.error("❌ Error verifying token:", err.message);
 
     if (err.name === "TokenExpiredError") {
-      return res.status(401).json({ error: "Sesión expirada" });
+      return res
+        .status(401)
+        .json({ error: "Sesión expirada", code: "TOKEN_EXPIRED" });
     } else if (err.name === "JsonWebTokenError") {
       return res.status(403).json({ error: "Token manipulado o inválido" });
     }
@@ -57,24 +168,55 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Como verifyToken, pero deja pasar peticiones sin token (visitantes).
+ * Si llega un token, debe ser válido.
+ */
+export const optionalAuth = (req, res, next) => {
+  const token =
+    req.cookies?.access_token || req.headers.authorization?.split(" ")[1];
+  if (!token) return next();
+  return verifyToken(req, res, next);
+};
+
 /**
  * Genera un token JWT seguro y lo envía como cookie HttpOnly.
+ * @param {Object} user - Usuario autenticado (id, name, email, role)
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} options - { sessionId, impersonator, ttlMs }
+ *   sessionId: sesión persistida a la que pertenece el token
+ *   impersonator: { id, impersonationId } si un admin suplanta al usuario
+ *   ttlMs: duración del token (por defecto ACCESS_TOKEN_TTL_MS)
  */
-export function generateToken(user, res) {
+export function generateToken(
+  user,
+  res,
+  { sessionId, impersonator = null, ttlMs = ACCESS_TOKEN_TTL_MS } = {}
+) {
   try {
+    if (!sessionId) throw new Error("sessionId es requerido");
+
     const payload = {
       id: user.id,
       name: inputProtect.escapeOutput(user.name),
       email: inputProtect.escapeOutput(user.email),
       role: inputProtect.escapeOutput(user.role),
+      sid: sessionId,
       iat: Math.floor(Date.now() / 1000),
     };
 
+    if (impersonator) {
+      payload.impersonator = {
+        id: impersonator.id,
+        iid: impersonator.impersonationId,
+      };
+    }
+
     const secret = JWT_SECRET;
     if (!secret) throw new Error("JWT_SECRET no está definido");
 
     const options = {
-      expiresIn: "1h",
+      expiresIn: Math.floor(ttlMs / 1000),
       issuer: "cafe-aroma.com",
       audience: user.email,
       notBefore: "2s",
@@ -82,13 +224,7 @@ export function generateToken(user, res) {
 
     const token = jwt.sign(payload, secret, options);
 
-    res.cookie("access_token", token, {
-      httpOnly: true,
-      secure: NODE_ENV === "development",
-      sameSite: NODE_ENV === "production" ? "none" : "lax",
-      path: "/",
-      maxAge: 1000 * 60 * 60,
-    });
+    res.cookie("access_token", token, cookieOptions({ maxAge: ttlMs }));
 
     return token;
   } catch (error) {
@@ -96,3 +232,55 @@ export function generateToken(user, res) {
     throw new Error("Error generando token de autenticación");
   }
 }
+
+/**
+ * Decodifica el access token aunque esté expirado (solo firma válida).
+ * Útil en logout para identificar la sesión a revocar.
+ */
+export function decodeAccessToken(req) {
+  const token = inputProtect.sanitizeToken(
+    req.cookies?.access_token || req.headers.authorization?.split(" ")[1]
+  );
+  if (!token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: "cafe-aroma.com",
+      ignoreExpiration: true,
+    });
+  } catch {
+    return null;
+  }
+}
+
+export function setRefreshCookie(res, refreshToken) {
+  res.cookie(
+    "refresh_token",
+    refreshToken,
+    cookieOptions({ path: REFRESH_COOKIE_PATH, maxAge: REFRESH_TOKEN_TTL_MS })
+  );
+}
+
+export function clearAuthCookies(res) {
+  res.clearCookie("access_token", cookieOptions());
+  res.clearCookie(
+    "refresh_token",
+    cookieOptions({ path: REFRESH_COOKIE_PATH })
+  );
+}
+
+/**
+ * Rechaza la petición si el token es de suplantación.
+ * Se usa en rutas de escritura: el personal solo puede mirar.
+ */
+export function denyImpersonation(req, res, next) {
+  if (req.user?.impersonator) {
+    logger.warn(
+      `🚫 Acción bloqueada durante suplantación: admin ${req.user.impersonator.id} como usuario ${req.user.id} → ${req.method} ${req.originalUrl}`
+    );
+    return res.status(403).json({
+      error: "Acción no permitida mientras ves la cuenta como cliente",
+      code: "IMPERSONATION_READ_ONLY",
+    });
+  }
+  next();
+}
@@ -0,0 +1,18 @@
+import crypto from "crypto";
+
+const REQUEST_ID_REGEX = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Asigna un id a cada request (req.id) y lo devuelve en X-Request-Id.
+ * Si el cliente o el proxy ya envía uno válido, se reutiliza.
+ */
+export default function requestId(req, res, next) {
+  const incoming = req.headers["x-request-id"];
+  req.id =
+    typeof incoming === "string" && REQUEST_ID_REGEX.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+  res.setHeader("X-Request-Id", req.id);
+  next();
+}
@@ -1,11 +1,32 @@
 import logger from "../utils/logger.js";
+import { isMfaRequiredForRole } from "../utils/mfa.js";
+import { getRolePermissions } from "../utils/permissions.js";
 
 /**
- * Verifica que el usuario tenga uno de los roles permitidos
- * @param {Array<string>} allowedRoles - Roles permitidos: ['admin', 'viewer', 'user']
+ * Política de 2FA obligatoria para el personal (roles con permisos).
+ * Devuelve la respuesta 403 si el usuario no tiene 2FA activo.
  */
-export const requireRole = (allowedRoles) => {
-  return (req, res, next) => {
+async function rejectIfMfaMissing(req, res) {
+  if (!req.user.mfa_enabled && (await isMfaRequiredForRole(req.user.role))) {
+    logger.warn(
+      `🔐 Usuario ${req.user.id} (${req.user.role}) sin 2FA intentó acceder a ${req.method} ${req.originalUrl}`
+    );
+    return res.status(403).json({
+      error: "Debes activar la verificación en dos pasos para continuar",
+      code: "MFA_REQUIRED",
+    });
+  }
+  return null;
+}
+
+/**
+ * Middleware que compara los permisos del rol (tabla role_permissions) con
+ * los requeridos: todos, o al menos uno si `any` es true.
+ */
+function permissionGuard(requiredPermissions, { any = false } = {}) {
+  const name = any ? "requireAnyPermission" : "requirePermission";
+
+  return async (req, res, next) => {
     try {
       if (!req.user || !req.user.role) {
         logger.warn("⚠️ Usuario sin rol intentó acceder");
@@ -15,82 +36,117 @@ export const requireRole = (allowedRoles) => {
         });
       }
 
-      const userRole = req.user.role;
+      const permissions = await getRolePermissions(req.user.role);
+      const missing = requiredPermissions.filter(
+        (permission) => !permissions.has(permission)
+      );
+      const allowed = any
+        ? missing.length < requiredPermissions.length
+        : missing.length === 0;
+
+      if (!allowed) {
+        // Rol de solo lectura (p.ej. viewer) en una ruta de escritura
+        const readOnlyRole =
+          permissions.size > 0 &&
+          [...permissions].every((permission) => permission.endsWith(":read"));
+        const writeRoute = requiredPermissions.some(
+          (permission) => !permission.endsWith(":read")
+        );
+        if (readOnlyRole && writeRoute) {
+          logger.warn(
+            `🚫 Rol de solo lectura '${req.user.role}' intentó realizar acción de escritura: ${req.method} ${req.path}`
+          );
+          return res.status(403).json({
+            error: "Acceso denegado: Solo lectura",
+            code: "READ_ONLY_ACCESS",
+            message: `Tu rol de '${req.user.role}' solo permite visualizar información. No puedes realizar modificaciones.`,
+          });
+        }
 
-      if (!allowedRoles.includes(userRole)) {
         logger.warn(
-          `🚫 Usuario con rol '${userRole}' intentó acceder a recurso que requiere: [${allowedRoles.join(
-            ", "
-          )}]`
+          `🚫 Usuario ${req.user.id} con rol '${
+            req.user.role
+          }' intentó acceder a recurso que requiere: [${missing.join(", ")}]`
         );
         return res.status(403).json({
           error: "Acceso denegado: Permisos insuficientes",
           code: "INSUFFICIENT_PERMISSIONS",
-          required: allowedRoles,
-          current: userRole,
+          required: requiredPermissions,
+          current: req.user.role,
         });
       }
 
-      logger.log(`✅ Acceso permitido para rol: ${userRole}`);
+      if (await rejectIfMfaMissing(req, res)) return;
+
+      req.user.permissions = [...permissions];
       next();
     } catch (err) {
-      logger.error("❌ Error en requireRole:", err.message);
+      logger.error(`❌ Error en ${name}:`, err.message);
       return res.status(500).json({
         error: "Error interno en verificación de permisos",
       });
     }
   };
-};
+}
 
 /**
- * Solo administradores
+ * Verifica que el rol del usuario tenga TODOS los permisos indicados.
+ * Los permisos de cada rol se definen en la tabla role_permissions.
+ * @param {...string} requiredPermissions - p.ej. "orders:update_status"
  */
-export const requireAdmin = requireRole(["admin"]);
+export const requirePermission = (...requiredPermissions) =>
+  permissionGuard(requiredPermissions);
 
 /**
- * Admin o Viewer (solo lectura)
+ * Verifica que el rol del usuario tenga AL MENOS UNO de los permisos indicados.
+ * @param {...string} requiredPermissions - p.ej. "users:delete"
  */
-export const requireAdminOrViewer = requireRole(["admin", "viewer"]);
+export const requireAnyPermission = (...requiredPermissions) =>
+  permissionGuard(requiredPermissions, { any: true });
 
 /**
- * Verifica que sea admin para acciones de escritura
- * Si es viewer, bloquea con mensaje específico
+ * Verifica que el usuario tenga uno de los roles permitidos.
+ * Para rutas nuevas preferir requirePermission.
+ * @param {Array<string>} allowedRoles - Nombres de roles (tabla roles)
  */
-export const requireWriteAccess = (req, res, next) => {
-  try {
-    if (!req.user || !req.user.role) {
-      return res.status(403).json({
-        error: "Acceso denegado",
-        code: "NO_ROLE",
-      });
-    }
+export const requireRole = (allowedRoles) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !req.user.role) {
+        logger.warn("⚠️ Usuario sin rol intentó acceder");
+        return res.status(403).json({
+          error: "Acceso denegado: No tienes permisos",
+          code: "NO_ROLE",
+        });
+      }
 
-    if (req.user.role === "viewer") {
-      logger.warn(
-        `🚫 Viewer intentó realizar acción de escritura: ${req.method} ${req.path}`
-      );
-      return res.status(403).json({
-        error: "Acceso denegado: Solo lectura",
-        code: "READ_ONLY_ACCESS",
-        message:
-          "Tu rol de 'Viewer' solo permite visualizar información. No puedes realizar modificaciones.",
-      });
-    }
+      const userRole = req.user.role;
+
+      if (!allowedRoles.includes(userRole)) {
+        logger.warn(
+          `🚫 Usuario con rol '${userRole}' intentó acceder a recurso que requiere: [${allowedRoles.join(
+            ", "
+          )}]`
+        );
+        return res.status(403).json({
+          error: "Acceso denegado: Permisos insuficientes",
+          code: "INSUFFICIENT_PERMISSIONS",
+          required: allowedRoles,
+          current: userRole,
+        });
+      }
 
-    if (req.user.role !== "admin") {
-      return res.status(403).json({
-        error: "Acceso denegado: Solo administradores",
-        code: "ADMIN_REQUIRED",
+      if (await rejectIfMfaMissing(req, res)) return;
+
+      logger.log(`✅ Acceso permitido para rol: ${userRole}`);
+      next();
+    } catch (err) {
+      logger.error("❌ Error en requireRole:", err.message);
+      return res.status(500).json({
+        error: "Error interno en verificación de permisos",
       });
     }
-
-    next();
-  } catch (err) {
-    logger.error("❌ Error en requireWriteAccess:", err.message);
-    return res.status(500).json({
-      error: "Error interno en verificación de permisos",
-    });
-  }
+  };
 };
 
 /**
@@ -128,9 +184,8 @@ export const requireOwnerOrAdmin = (req, res, next) => {
 };
 
 export default {
+  requirePermission,
+  requireAnyPermission,
   requireRole,
-  requireAdmin,
-  requireAdminOrViewer,
-  requireWriteAccess,
   requireOwnerOrAdmin,
 };
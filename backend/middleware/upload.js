@@ -0,0 +1,80 @@
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { fileTypeFromFile } from "file-type";
+import inputProtect from "./inputProtect.js";
+import logger from "../utils/logger.js";
+import { NODE_ENV } from "../utils/config.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png"];
+
+// ====== MULTER CONFIG ======
+export const uploadDir = path.join(__dirname, "../../uploads");
+if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+
+export const BASE_URL =
+  NODE_ENV === "production"
+    ? "https://backendaromaserrania.onrender.com"
+    : "http://localhost:3000";
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, uploadDir),
+  filename: (req, file, cb) => {
+    const validation = inputProtect.validateFilename(file.originalname);
+
+    if (!validation.valid) {
+      return cb(new Error(validation.reason));
+    }
+
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const ext = path.extname(validation.sanitized);
+    const name = path.basename(validation.sanitized, ext);
+
+    cb(null, `${name}-${uniqueSuffix}${ext}`);
+  },
+});
+
+const fileFilter = (req, file, cb) => {
+  if (ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error("Solo se permiten imágenes JPEG o PNG"));
+  }
+};
+
+export const upload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+export function removeUploadedFile(filename) {
+  try {
+    fs.unlinkSync(path.join(uploadDir, filename));
+  } catch (e) {
+    /* noop */
+  }
+}
+
+/**
+ * Comprueba el tipo real del archivo subido (no el que declara el cliente).
+ * Si no es una imagen permitida lo elimina del disco.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyUploadedImage(file) {
+  const ft = await fileTypeFromFile(path.join(uploadDir, file.filename)).catch(
+    () => null
+  );
+  if (!ft || !ALLOWED_IMAGE_TYPES.includes(ft.mime)) {
+    removeUploadedFile(file.filename);
+    logger.warn(`Archivo eliminado por mismatch MIME: ${file.filename}`);
+    return false;
+  }
+  return true;
+}
+
+export default upload;
@@ -1,23 +1,31 @@
 import express from "express";
 import { verifyToken } from "../middleware/jwt.js";
 import checkAccountLock from "../middleware/checkAccount.js";
-import { requireAdmin, requireAdminOrViewer } from "../middleware/roleCheck.js";
+import {
+  requireAnyPermission,
+  requirePermission,
+} from "../middleware/roleCheck.js";
+import { ACTION_PERMISSIONS } from "../utils/adminActions.js";
 import {
   getUsersSecurity,
   unlockUser,
   lockUser,
   resetAttempts,
   getSecurityDetails,
+  getLoginTimeline,
   getSecurityStats,
   exportLogs,
   changeRolUser,
   deleteUser,
+  revokeUserSessionAdmin,
+  revokeAllUserSessionsAdmin,
 } from "../controllers/adminSecurity.controller.js";
 import {
   getSaleByMonths,
   getStateOrder,
   getTopProducts,
   getUsersByMonths,
+  releaseHoldOrder,
 } from "../controllers/adminChangeData.controller.js";
 import {
   getAllOrders,
@@ -25,6 +33,80 @@ import {
   getUserByNameOrEmail,
   getUserProfile,
 } from "../controllers/userData.controller.js";
+import {
+  createRole,
+  deleteRole,
+  listPermissions,
+  listRoles,
+  updateRole,
+} from "../controllers/adminRoles.controller.js";
+import {
+  exportAuditLog,
+  getAuditLog,
+} from "../controllers/adminAudit.controller.js";
+import {
+  approvePendingAction,
+  listPendingActions,
+  rejectPendingAction,
+} from "../controllers/adminActions.controller.js";
+import {
+  startImpersonation,
+  stopImpersonation,
+} from "../controllers/impersonation.controller.js";
+import upload from "../middleware/upload.js";
+import {
+  MAX_PRODUCT_IMAGES,
+  archiveAdminProduct,
+  createAdminProduct,
+  getAdminProductById,
+  listAdminProducts,
+  syncCatalog,
+  updateAdminProduct,
+} from "../controllers/adminCatalog.controller.js";
+import {
+  archiveVariant,
+  createVariant,
+  updateProductOptions,
+  updateVariant,
+} from "../controllers/adminVariants.controller.js";
+import {
+  createStockAdjustment,
+  getStockMovements,
+  listInventory,
+  updateLowStockThreshold,
+} from "../controllers/adminInventory.controller.js";
+import {
+  listWebhookEvents,
+  replayWebhookEvent,
+} from "../controllers/adminWebhooks.controller.js";
+import {
+  createOrderRefund,
+  listOrderRefunds,
+} from "../controllers/adminRefunds.controller.js";
+import {
+  createOrderShipment,
+  getCarriers,
+  listOrderShipments,
+  refreshOrderShipment,
+  updateOrderShipment,
+} from "../controllers/adminShipments.controller.js";
+import {
+  createShippingRate,
+  createShippingZone,
+  deleteShippingRate,
+  deleteShippingZone,
+  getShippingZones,
+  previewShippingQuote,
+  updateShippingRate,
+  updateShippingZone,
+} from "../controllers/adminShipping.controller.js";
+import {
+  createPromotion,
+  getPromotionsReport,
+  listPromotionRedemptions,
+  listPromotions,
+  updatePromotion,
+} from "../controllers/adminPromotions.controller.js";
 
 const router = express.Router();
 
@@ -35,7 +117,8 @@ const router = express.Router();
  *   get:
  *     summary: Obtiene todas las órdenes de compra (solo admin y viewer)
  *     description: |
- *       Devuelve la lista completa de órdenes con información del usuario.
+ *       Devuelve la lista completa de órdenes con información del usuario
+ *       y las líneas de cada pedido (`items`).
  *       Accesible solo para roles **admin** y **viewer**.
  *     tags: [Admin]
  *     security:
@@ -96,6 +179,22 @@ const router = express.Router();
  *                         type: string
  *                         format: email
  *                         example: "juan@example.com"
+ *                       payment_status:
+ *                         type: string
+ *                         enum: [pending, paid, failed, refunded, partially_refunded, disputed]
+ *                       amount_refunded:
+ *                         type: integer
+ *                         description: Reembolsado, en la unidad mínima de la moneda
+ *                       shipping_hold:
+ *                         type: boolean
+ *                         description: Retenido (envío cobrado para otra zona); no se prepara hasta liberarlo
+ *                       hold_reason:
+ *                         type: string
+ *                         nullable: true
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/OrderItem'
  *             examples:
  *               éxito:
  *                 summary: Ejemplo de respuesta exitosa
@@ -145,7 +244,7 @@ const router = express.Router();
 router.get(
   "/orders",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("orders:read"),
   checkAccountLock,
   getAllOrders
 );
@@ -228,7 +327,7 @@ router.get(
 router.get(
   "/users",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("users:read"),
   checkAccountLock,
   getUserByNameOrEmail
 );
@@ -244,7 +343,9 @@ router.get(
  *       **Restricciones importantes:**
  *       - No puedes eliminar tu propia cuenta
  *       - No puedes eliminar al último administrador del sistema
- *       - Solo usuarios con rol **admin** pueden usar este endpoint
+ *       - Requiere el permiso **users:delete**
+ *       - Con la aprobación de dos personas activa (por defecto) la eliminación queda
+ *         pendiente (202) hasta que otro admin la apruebe en /api/admin/pending-actions
  *     tags: [Admin]
  *     security:
  *       - cookieAuth: []
@@ -257,8 +358,12 @@ router.get(
  *         description: ID del usuario a eliminar
  *         example: 42
  *     responses:
+ *       202:
+ *         description: Eliminación pendiente de aprobación
+ *       409:
+ *         description: Ya hay una solicitud pendiente para este usuario
  *       200:
- *         description: Usuario eliminado exitosamente
+ *         description: Usuario eliminado exitosamente (aprobación doble desactivada)
  *         content:
  *           application/json:
  *             schema:
@@ -295,7 +400,7 @@ router.get(
 router.delete(
   "/users/:id",
   verifyToken,
-  requireAdmin,
+  requirePermission("users:delete"),
   checkAccountLock,
   deleteUser
 );
@@ -397,7 +502,7 @@ router.delete(
 router.get(
   "/users/:userId",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("users:read"),
   checkAccountLock,
   getUserProfile
 );
@@ -467,6 +572,27 @@ router.get(
  *                           line1: "Av. Libertador"
  *                           city: "Caracas"
  *                           country: "Venezuela"
+ *                       timeline:
+ *                         type: array
+ *                         description: Historial de estados (más antiguo primero)
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             from_status: { type: string, nullable: true }
+ *                             to_status: { type: string }
+ *                             note: { type: string, nullable: true }
+ *                             source: { type: string, enum: [admin, stripe, system] }
+ *                             actor_id: { type: integer, nullable: true }
+ *                             actor_email: { type: string, nullable: true }
+ *                             created_at: { type: string, format: date-time }
+ *                       shipments:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Shipment'
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/OrderItem'
  *             examples:
  *               historial_completo:
  *                 summary: Ejemplo con compras
@@ -493,7 +619,7 @@ router.get(
 router.get(
   "/users/:userId/historial",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("users:read"),
   checkAccountLock,
   getHistorialUser
 );
@@ -505,9 +631,10 @@ router.get(
  *   put:
  *     summary: Cambiar rol de un usuario
  *     description: |
- *       Permite cambiar el rol de un usuario (user, admin, viewer).
- *       Solo usuarios con rol **admin** pueden realizar esta acción.
- *       No puedes cambiar tu propio rol.
+ *       Permite cambiar el rol de un usuario a cualquier rol existente (ver /api/admin/roles).
+ *       Requiere el permiso **users:change_role**.
+ *       No puedes cambiar tu propio rol, ni asignar o quitar un rol con
+ *       permisos que tu rol no tiene (403 ROLE_ESCALATION con `missing`).
  *     tags: [Admin]
  *     security:
  *       - cookieAuth: []
@@ -530,7 +657,7 @@ router.get(
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [user, admin, viewer]
+ *                 description: Nombre de un rol existente
  *                 example: "viewer"
  *           examples:
  *             cambiar_a_viewer:
@@ -555,9 +682,9 @@ router.get(
  *                     id: { type: integer }
  *                     name: { type: string }
  *                     email: { type: string }
- *                     role: { type: string, enum: [user, admin, viewer] }
+ *                     role: { type: string }
  *       400:
- *         description: Datos inválidos
+ *         description: Datos inválidos o rol inexistente
  *       404:
  *         description: Usuario no encontrado
  *       401:
@@ -572,7 +699,7 @@ router.get(
 router.put(
   "/users/:id/role",
   verifyToken,
-  requireAdmin,
+  requirePermission("users:change_role"),
   checkAccountLock,
   changeRolUser
 );
@@ -583,7 +710,9 @@ router.put(
  * /api/admin/stats/sales-by-month:
  *   get:
  *     summary: Ventas totales por mes
- *     description: Estadísticas de ventas agrupadas por mes (año-mes)
+ *     description: |
+ *       Estadísticas de ventas agrupadas por mes (año-mes): pedidos, unidades
+ *       y monto cobrado, netos de reembolsos. No cuenta pagos pendientes ni fallidos.
  *     tags: [Admin - Estadísticas]
  *     security:
  *       - cookieAuth: []
@@ -604,6 +733,13 @@ router.put(
  *                   total_compras:
  *                     type: integer
  *                     example: 45
+ *                   unidades_vendidas:
+ *                     type: integer
+ *                     example: 63
+ *                   total_reembolsado:
+ *                     type: number
+ *                     format: float
+ *                     example: 120.00
  *                   total_ventas:
  *                     type: number
  *                     format: float
@@ -629,7 +765,7 @@ router.put(
 router.get(
   "/stats/sales-by-month",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("stats:read"),
   checkAccountLock,
   getSaleByMonths
 );
@@ -640,7 +776,9 @@ router.get(
  * /api/admin/stats/top-products:
  *   get:
  *     summary: Productos más vendidos (Top 5)
- *     description: Los 5 productos con más unidades vendidas
+ *     description: |
+ *       Los 5 productos con más unidades vendidas (suma las cantidades de cada
+ *       línea de pedido), netas de reembolsos.
  *     tags: [Admin - Estadísticas]
  *     security:
  *       - cookieAuth: []
@@ -685,7 +823,7 @@ router.get(
 router.get(
   "/stats/top-products",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("stats:read"),
   checkAccountLock,
   getTopProducts
 );
@@ -738,7 +876,7 @@ router.get(
 router.get(
   "/stats/users-by-month",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("stats:read"),
   checkAccountLock,
   getUsersByMonths
 );
@@ -750,8 +888,18 @@ router.get(
  *   patch:
  *     summary: Cambiar estado de una orden de compra
  *     description: |
- *       Actualiza el estado de una orden existente.
- *       Solo accesible para **admin** y **viewer**.
+ *       Actualiza el estado de una orden existente siguiendo las transiciones
+ *       permitidas y lo registra en el historial del pedido:
+ *       - pendiente → procesando | cancelado
+ *       - procesando → enviado | cancelado
+ *       - enviado → completado
+ *       - completado y cancelado son finales
+ *
+ *       Solo se pasa a procesando o enviado con el pago recibido
+ *       (`payment_status` paid o partially_refunded). Al cancelar, las
+ *       unidades que aún no volvieron al stock se devuelven.
+ *
+ *       Con `notify_customer` el cliente recibe un SMS con el nuevo estado.
  *     tags: [Admin - Órdenes]
  *     security:
  *       - cookieAuth: []
@@ -776,6 +924,12 @@ router.get(
  *                 type: string
  *                 enum: [pendiente, procesando, enviado, completado, cancelado]
  *                 example: "enviado"
+ *               note:
+ *                 type: string
+ *                 description: Nota interna que queda en el historial
+ *               notify_customer:
+ *                 type: boolean
+ *                 default: false
  *           examples:
  *             marcar_enviado:
  *               summary: Marcar como enviado
@@ -797,10 +951,18 @@ router.get(
  *                 status:
  *                   type: string
  *                   example: "enviado"
+ *                 from:
+ *                   type: string
+ *                   example: "procesando"
+ *                 entry:
+ *                   type: object
+ *                   description: Entrada creada en el historial
  *       400:
  *         description: Estado no válido
  *       404:
  *         description: Orden no encontrada
+ *       409:
+ *         description: Transición no permitida (INVALID_TRANSITION, incluye allowed), pago pendiente (PAYMENT_PENDING) o pedido retenido (ORDER_ON_HOLD, incluye hold_reason)
  *       401:
  *         $ref: '#/components/schemas/Error401'
  *       403:
@@ -813,11 +975,74 @@ router.get(
 router.patch(
   "/change-order/:id/status",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("orders:update_status"),
   checkAccountLock,
   getStateOrder
 );
 
+/**
+ * @swagger
+ * /api/admin/orders/{id}/release-hold:
+ *   post:
+ *     summary: Liberar un pedido retenido
+ *     description: |
+ *       Un pedido cuyo envío se cobró para otra zona queda retenido
+ *       (`shipping_hold`) y no se puede preparar ni enviar. Tras cobrar o
+ *       aceptar la diferencia, el admin lo libera; queda en el historial
+ *       del pedido y en la auditoría (`order.release_hold`).
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Nota interna que queda en el historial
+ *                 example: "Diferencia cobrada por link de pago"
+ *     responses:
+ *       200:
+ *         description: Pedido liberado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 entry:
+ *                   type: object
+ *                   description: Entrada creada en el historial
+ *       404:
+ *         description: Orden no encontrada
+ *       409:
+ *         description: El pedido no está retenido (NOT_ON_HOLD)
+ *       401:
+ *         $ref: '#/components/schemas/Error401'
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ *       423:
+ *         $ref: '#/components/schemas/Error423'
+ *       500:
+ *         $ref: '#/components/schemas/Error500'
+ */
+router.post(
+  "/orders/:id/release-hold",
+  verifyToken,
+  requirePermission("orders:update_status"),
+  checkAccountLock,
+  releaseHoldOrder
+);
+
 /**
  * @swagger
  * /api/admin/security/users:
@@ -840,9 +1065,9 @@ router.patch(
  *         name: filter
  *         schema:
  *           type: string
- *           enum: [all, locked, permanent, suspicious]
+ *           enum: [all, locked, permanent, suspicious, anomalous]
  *           default: all
- *         description: Filtrar por estado de seguridad
+ *         description: Filtrar por estado de seguridad (anomalous = logins anómalos en los últimos 30 días)
  *       - in: query
  *         name: page
  *         schema:
@@ -892,7 +1117,7 @@ router.patch(
 router.get(
   "/security/users",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("security:read"),
   getUsersSecurity
 );
 
@@ -940,6 +1165,14 @@ router.get(
  *                   type: integer
  *                   description: Número total de inicios de sesión exitosos hoy
  *                   example: 245
+ *                 lock_events_today:
+ *                   type: integer
+ *                   description: Intentos de login rechazados hoy por cuenta bloqueada
+ *                   example: 3
+ *                 anomalous_logins_today:
+ *                   type: integer
+ *                   description: Eventos de login marcados hoy como anómalos (IP/dispositivo nuevo, viaje imposible, ráfaga de fallos)
+ *                   example: 2
  *             examples:
  *               estadísticas_reales:
  *                 summary: Ejemplo realista de un día activo
@@ -969,14 +1202,14 @@ router.get(
 router.get(
   "/security/stats",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("security:read"),
   getSecurityStats
 );
 
 router.get(
   "/security/logs/export",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("security:read"),
   exportLogs
 );
 
@@ -1016,7 +1249,7 @@ router.get(
 router.post(
   "/security/users/:id/unlock",
   verifyToken,
-  requireAdmin,
+  requirePermission("security:manage"),
   unlockUser
 );
 
@@ -1064,14 +1297,23 @@ router.post(
  *     responses:
  *       200:
  *         description: Usuario bloqueado correctamente
+ *       202:
+ *         description: Bloqueo permanente pendiente de aprobación por otro admin
  *       400:
  *         description: Razón demasiado corta
+ *       409:
+ *         description: Ya hay un bloqueo permanente pendiente para este usuario
  *       401:
  *         $ref: '#/components/schemas/Error401'
  *       403:
  *         $ref: '#/components/schemas/Error403'
  */
-router.post("/security/users/:id/lock", verifyToken, requireAdmin, lockUser);
+router.post(
+  "/security/users/:id/lock",
+  verifyToken,
+  requirePermission("security:manage"),
+  lockUser
+);
 
 /**
  * @swagger
@@ -1103,15 +1345,1877 @@ router.post("/security/users/:id/lock", verifyToken, requireAdmin, lockUser);
 router.post(
   "/security/users/:id/reset-attempts",
   verifyToken,
-  requireAdmin,
+  requirePermission("security:manage"),
   resetAttempts
 );
 
+/**
+ * @swagger
+ * /api/admin/security/users/{id}/details:
+ *   get:
+ *     summary: Detalle de seguridad de un usuario
+ *     description: Contadores de intentos y sesiones activas (dispositivo, IP, última actividad).
+ *     tags: [Admin - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Detalle de seguridad
+ *       401:
+ *         $ref: '#/components/schemas/Error401'
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ */
 router.get(
   "/security/users/:id/details",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("security:read"),
   getSecurityDetails
 );
 
+/**
+ * @swagger
+ * /api/admin/security/users/{id}/timeline:
+ *   get:
+ *     summary: Historial de intentos de login de un usuario
+ *     description: Eventos de login (local, Google, passkey, 2FA) con IP, dispositivo y resultado, del más reciente al más antiguo.
+ *     tags: [Admin - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, locked, blocked, mfa_required, mfa_failure]
+ *     responses:
+ *       200:
+ *         description: Eventos paginados
+ *       401:
+ *         $ref: '#/components/schemas/Error401'
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ */
+router.get(
+  "/security/users/:id/timeline",
+  verifyToken,
+  requirePermission("security:read"),
+  getLoginTimeline
+);
+
+/**
+ * @swagger
+ * /api/admin/security/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revocar una sesión concreta de un usuario
+ *     tags: [Admin - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sesión revocada
+ *       404:
+ *         description: Sesión no encontrada
+ */
+router.delete(
+  "/security/users/:id/sessions/:sessionId",
+  verifyToken,
+  requirePermission("security:manage"),
+  revokeUserSessionAdmin
+);
+
+/**
+ * @swagger
+ * /api/admin/security/users/{id}/sessions:
+ *   delete:
+ *     summary: Cerrar todas las sesiones de un usuario
+ *     tags: [Admin - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas
+ */
+router.delete(
+  "/security/users/:id/sessions",
+  verifyToken,
+  requirePermission("security:manage"),
+  revokeAllUserSessionsAdmin
+);
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: Listar permisos disponibles
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Permisos (clave y descripción)
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ */
+router.get(
+  "/permissions",
+  verifyToken,
+  requirePermission("roles:manage"),
+  checkAccountLock,
+  listPermissions
+);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: Listar roles con sus permisos
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles con permisos y cantidad de usuarios
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ *   post:
+ *     summary: Crear un rol personalizado
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name: { type: string, example: "fulfillment" }
+ *               description: { type: string }
+ *               permissions:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: ["orders:read", "orders:update_status"]
+ *     responses:
+ *       201:
+ *         description: Rol creado
+ *       400:
+ *         description: Nombre inválido o permisos desconocidos
+ *       409:
+ *         description: Ya existe un rol con ese nombre
+ */
+router.get(
+  "/roles",
+  verifyToken,
+  requirePermission("roles:manage"),
+  checkAccountLock,
+  listRoles
+);
+router.post(
+  "/roles",
+  verifyToken,
+  requirePermission("roles:manage"),
+  checkAccountLock,
+  createRole
+);
+
+/**
+ * @swagger
+ * /api/admin/roles/{id}:
+ *   put:
+ *     summary: Actualizar descripción o permisos de un rol
+ *     description: El rol admin no se puede modificar. Enviar permissions reemplaza la lista completa.
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description: { type: string }
+ *               permissions:
+ *                 type: array
+ *                 items: { type: string }
+ *     responses:
+ *       200:
+ *         description: Rol actualizado
+ *       403:
+ *         description: Rol protegido
+ *       404:
+ *         description: Rol no encontrado
+ *   delete:
+ *     summary: Eliminar un rol personalizado
+ *     description: Los roles del sistema y los roles con usuarios asignados no se pueden eliminar.
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rol eliminado
+ *       403:
+ *         description: Rol del sistema
+ *       409:
+ *         description: El rol tiene usuarios asignados
+ */
+router.put(
+  "/roles/:id",
+  verifyToken,
+  requirePermission("roles:manage"),
+  checkAccountLock,
+  updateRole
+);
+router.delete(
+  "/roles/:id",
+  verifyToken,
+  requirePermission("roles:manage"),
+  checkAccountLock,
+  deleteRole
+);
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Auditoría de acciones administrativas
+ *     description: |
+ *       Registro de solo inserción con actor, acción, objetivo, valores antes/después, IP y request id.
+ *       Ejemplo: `?target_type=order&target_id=123&action=order.update_status` responde "quién cambió el pedido 123 y cuándo".
+ *     tags: [Admin - Auditoría]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: action
+ *         schema: { type: string }
+ *         description: Acción exacta (user.lock) o prefijo terminado en punto (user.)
+ *       - in: query
+ *         name: target_type
+ *         schema: { type: string, example: order }
+ *       - in: query
+ *         name: target_id
+ *         schema: { type: string, example: "123" }
+ *       - in: query
+ *         name: request_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 25, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Entradas paginadas
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ */
+router.get(
+  "/audit",
+  verifyToken,
+  requirePermission("audit:read"),
+  checkAccountLock,
+  getAuditLog
+);
+
+/**
+ * @swagger
+ * /api/admin/audit/export:
+ *   get:
+ *     summary: Exportar la auditoría a CSV
+ *     description: Acepta los mismos filtros que /api/admin/audit (máximo 10.000 filas).
+ *     tags: [Admin - Auditoría]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Archivo CSV
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ */
+router.get(
+  "/audit/export",
+  verifyToken,
+  requirePermission("audit:read"),
+  checkAccountLock,
+  exportAuditLog
+);
+
+/**
+ * @swagger
+ * /api/admin/pending-actions:
+ *   get:
+ *     summary: Listar acciones destructivas pendientes de aprobación
+ *     description: Eliminación de usuarios y bloqueos permanentes solicitados por un admin. Las solicitudes vencen a las 24 horas.
+ *     tags: [Admin - Aprobaciones]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, expired, failed]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *     responses:
+ *       200:
+ *         description: |
+ *           Solicitudes paginadas de las acciones que el rol puede decidir
+ *           (`users:delete` para eliminaciones, `security:manage` para
+ *           bloqueos permanentes). can_approve indica si el usuario actual
+ *           puede aprobarla.
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ */
+router.get(
+  "/pending-actions",
+  verifyToken,
+  requireAnyPermission(...Object.values(ACTION_PERMISSIONS)),
+  checkAccountLock,
+  listPendingActions
+);
+
+/**
+ * @swagger
+ * /api/admin/pending-actions/{id}/approve:
+ *   post:
+ *     summary: Aprobar y ejecutar una acción pendiente
+ *     description: Debe aprobarla un admin distinto al solicitante y con el permiso de la acción.
+ *     tags: [Admin - Aprobaciones]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string }
+ *     responses:
+ *       200:
+ *         description: Acción aprobada y ejecutada
+ *       403:
+ *         description: Solicitante intentando aprobar su propia acción o sin permiso
+ *       409:
+ *         description: Ya procesada o ya no aplicable (se marca como failed)
+ *       410:
+ *         description: Solicitud vencida
+ */
+router.post(
+  "/pending-actions/:id/approve",
+  verifyToken,
+  requireAnyPermission(...Object.values(ACTION_PERMISSIONS)),
+  checkAccountLock,
+  approvePendingAction
+);
+
+/**
+ * @swagger
+ * /api/admin/pending-actions/{id}/reject:
+ *   post:
+ *     summary: Rechazar una acción pendiente
+ *     description: También permite al solicitante retirar su propia solicitud.
+ *     tags: [Admin - Aprobaciones]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string }
+ *     responses:
+ *       200:
+ *         description: Solicitud rechazada
+ *       409:
+ *         description: Ya procesada
+ *       410:
+ *         description: Solicitud vencida
+ */
+router.post(
+  "/pending-actions/:id/reject",
+  verifyToken,
+  requireAnyPermission(...Object.values(ACTION_PERMISSIONS)),
+  checkAccountLock,
+  rejectPendingAction
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/impersonate:
+ *   post:
+ *     summary: Ver la cuenta de un cliente como él (suplantación)
+ *     description: |
+ *       Reemplaza la cookie de acceso por un token de 15 minutos del cliente con el claim `impersonator`.
+ *       Solo lectura: las rutas de escritura responden 403 IMPERSONATION_READ_ONLY.
+ *       No se puede suplantar a miembros del personal. Queda registrado en la auditoría.
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason: { type: string, example: "Ticket #482: no ve su pedido" }
+ *     responses:
+ *       200:
+ *         description: Suplantación iniciada
+ *       400:
+ *         description: Razón demasiado corta o suplantación anidada
+ *       403:
+ *         description: El usuario objetivo es personal
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post(
+  "/users/:id/impersonate",
+  verifyToken,
+  requirePermission("users:impersonate"),
+  checkAccountLock,
+  startImpersonation
+);
+
+/**
+ * @swagger
+ * /api/admin/impersonation/stop:
+ *   post:
+ *     summary: Terminar la suplantación y volver a la cuenta del admin
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Suplantación terminada, token del admin restaurado
+ *       400:
+ *         description: No hay una suplantación activa
+ */
+router.post("/impersonation/stop", verifyToken, stopImpersonation);
+
+/**
+ * @swagger
+ * /api/admin/catalog/sync:
+ *   post:
+ *     summary: Sincronizar el catálogo local con Stripe
+ *     description: |
+ *       Trae todos los productos y precios de Stripe y actualiza las tablas
+ *       `products` y `prices`. Lo eliminado en Stripe queda inactivo.
+ *       El servidor también sincroniza al arrancar y periódicamente.
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Catálogo sincronizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 products: { type: integer, example: 12 }
+ *                 prices: { type: integer, example: 15 }
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ *       502:
+ *         description: Stripe no respondió
+ */
+router.post(
+  "/catalog/sync",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  checkAccountLock,
+  syncCatalog
+);
+
+/**
+ * @swagger
+ * /api/admin/products:
+ *   get:
+ *     summary: Listar productos del catálogo (incluye archivados)
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema: { type: string, enum: ["true", "false"] }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 25, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Productos paginados
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ *   post:
+ *     summary: Crear un producto (se publica también en Stripe)
+ *     description: |
+ *       Crea el producto y su precio en Stripe y los guarda en el catálogo
+ *       local. `unit_amount` va en la unidad mínima de la moneda (como en Stripe).
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - unit_amount
+ *             properties:
+ *               name: { type: string, example: "Café de la Serranía 500g" }
+ *               description: { type: string }
+ *               unit_amount: { type: integer, example: 3500000 }
+ *               currency: { type: string, example: "cop" }
+ *               active: { type: boolean }
+ *               images:
+ *                 type: array
+ *                 maxItems: 8
+ *                 items: { type: string, format: binary }
+ *     responses:
+ *       201:
+ *         description: Producto creado con sus precios
+ *       400:
+ *         description: Datos o imágenes inválidos
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ *       502:
+ *         description: Stripe rechazó el cambio
+ */
+router.get(
+  "/products",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  listAdminProducts
+);
+
+router.post(
+  "/products",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  checkAccountLock,
+  upload.array("images", MAX_PRODUCT_IMAGES),
+  createAdminProduct
+);
+
+/**
+ * @swagger
+ * /api/admin/products/{id}:
+ *   get:
+ *     summary: Detalle de un producto con todos sus precios
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Producto
+ *       404:
+ *         description: Producto no encontrado
+ *   put:
+ *     summary: Editar un producto (se sincroniza con Stripe)
+ *     description: |
+ *       Todos los campos son opcionales. Las imágenes subidas se añaden a las
+ *       actuales y `remove_images` (URLs) retira imágenes. Cambiar
+ *       `unit_amount` o `currency` crea un precio nuevo en Stripe y archiva
+ *       el precio base anterior, porque los precios de Stripe son inmutables.
+ *       Los precios de las variantes no cambian.
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string }
+ *               unit_amount: { type: integer }
+ *               currency: { type: string }
+ *               active: { type: boolean }
+ *               remove_images:
+ *                 type: array
+ *                 items: { type: string, format: uri }
+ *               images:
+ *                 type: array
+ *                 items: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Producto actualizado
+ *       400:
+ *         description: Datos o imágenes inválidos
+ *       404:
+ *         description: Producto no encontrado
+ *       502:
+ *         description: Stripe rechazó el cambio
+ *   delete:
+ *     summary: Archivar un producto y sus precios
+ *     description: No se borra; deja de mostrarse en la tienda y en Stripe queda inactivo.
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Producto archivado
+ *       404:
+ *         description: Producto no encontrado
+ *       502:
+ *         description: Stripe rechazó el cambio
+ */
+router.get(
+  "/products/:id",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  getAdminProductById
+);
+
+router.put(
+  "/products/:id",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  checkAccountLock,
+  upload.array("images", MAX_PRODUCT_IMAGES),
+  updateAdminProduct
+);
+
+router.delete(
+  "/products/:id",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  checkAccountLock,
+  archiveAdminProduct
+);
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/options:
+ *   put:
+ *     summary: Definir los tipos de opción del producto
+ *     description: |
+ *       Reemplaza las opciones (hasta 3, p. ej. Tamaño, Molienda, Tueste).
+ *       Se rechaza con 409 si una variante activa deja de ser válida.
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name: { type: string, example: "Tamaño" }
+ *                     values:
+ *                       type: array
+ *                       items: { type: string }
+ *                       example: ["250g", "500g", "1kg"]
+ *     responses:
+ *       200:
+ *         description: Opciones guardadas
+ *       400:
+ *         description: Opciones inválidas
+ *       404:
+ *         description: Producto no encontrado
+ *       409:
+ *         description: Hay variantes activas incompatibles (OPTIONS_IN_USE)
+ */
+router.put(
+  "/products/:id/options",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  checkAccountLock,
+  updateProductOptions
+);
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/variants:
+ *   post:
+ *     summary: Crear una variante (SKU, precio y stock propios)
+ *     description: Crea el precio de la variante en Stripe.
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sku, options, unit_amount]
+ *             properties:
+ *               sku: { type: string, example: "CAFE-500-GRANO-MEDIO" }
+ *               options: { type: object, example: { "Tamaño": "500g", "Molienda": "Grano entero", "Tueste": "Medio" } }
+ *               unit_amount: { type: integer, example: 3500000 }
+ *               currency: { type: string, example: "cop" }
+ *               stock: { type: integer, example: 40, description: Stock inicial (queda en el libro de inventario) }
+ *               weight_grams: { type: integer, example: 520, description: Peso con empaque para cotizar el envío (500 g si falta) }
+ *     responses:
+ *       201:
+ *         description: Variante creada
+ *       400:
+ *         description: Datos inválidos o el producto no tiene opciones
+ *       409:
+ *         description: SKU o combinación repetida (VARIANT_DUPLICATE)
+ *       502:
+ *         description: Stripe rechazó el cambio
+ */
+router.post(
+  "/products/:id/variants",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  checkAccountLock,
+  createVariant
+);
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Editar SKU, precio, peso o estado de una variante
+ *     description: |
+ *       Cambiar `unit_amount` crea un precio nuevo en Stripe y archiva el anterior.
+ *       El stock no se edita aquí: usa `/api/admin/inventory/{variantId}/adjustments`.
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku: { type: string }
+ *               unit_amount: { type: integer }
+ *               weight_grams: { type: integer, nullable: true }
+ *               active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Variante actualizada
+ *       404:
+ *         description: Variante no encontrada
+ *   delete:
+ *     summary: Archivar una variante
+ *     tags: [Admin - Catálogo]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Variante archivada
+ *       404:
+ *         description: Variante no encontrada
+ */
+router.put(
+  "/products/:id/variants/:variantId",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  checkAccountLock,
+  updateVariant
+);
+
+router.delete(
+  "/products/:id/variants/:variantId",
+  verifyToken,
+  requirePermission("catalog:manage"),
+  checkAccountLock,
+  archiveVariant
+);
+
+/**
+ * @swagger
+ * /api/admin/inventory:
+ *   get:
+ *     summary: Niveles de stock por SKU
+ *     description: |
+ *       `available` = `stock` - `reserved` (unidades apartadas por checkouts
+ *       abiertos). Los SKU en el umbral de alerta aparecen primero.
+ *     tags: [Admin - Inventario]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: low
+ *         schema: { type: string, enum: ["true"] }
+ *         description: Solo SKU con stock en el umbral o por debajo
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 25, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Stock paginado
+ *       403:
+ *         $ref: '#/components/schemas/Error403'
+ */
+router.get(
+  "/inventory",
+  verifyToken,
+  requirePermission("inventory:read"),
+  listInventory
+);
+
+/**
+ * @swagger
+ * /api/admin/inventory/{variantId}/movements:
+ *   get:
+ *     summary: Libro de movimientos de stock de un SKU
+ *     tags: [Admin - Inventario]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *     responses:
+ *       200:
+ *         description: Movimientos (más recientes primero)
+ */
+router.get(
+  "/inventory/:variantId/movements",
+  verifyToken,
+  requirePermission("inventory:read"),
+  getStockMovements
+);
+
+/**
+ * @swagger
+ * /api/admin/inventory/{variantId}/adjustments:
+ *   post:
+ *     summary: Ajustar el stock de un SKU
+ *     description: |
+ *       Registra el movimiento en el libro (solo inserción) y en la auditoría.
+ *       No se puede bajar el stock por debajo de lo reservado.
+ *     tags: [Admin - Inventario]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [delta, reason]
+ *             properties:
+ *               delta: { type: integer, example: 24 }
+ *               reason:
+ *                 type: string
+ *                 enum: [restock, return, damage, correction]
+ *               note: { type: string, description: Obligatoria en correction }
+ *     responses:
+ *       201:
+ *         description: Movimiento registrado
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Variante no encontrada
+ *       409:
+ *         description: Quedaría por debajo de lo reservado (BELOW_RESERVED)
+ */
+router.post(
+  "/inventory/:variantId/adjustments",
+  verifyToken,
+  requirePermission("inventory:manage"),
+  checkAccountLock,
+  createStockAdjustment
+);
+
+/**
+ * @swagger
+ * /api/admin/inventory/{variantId}/threshold:
+ *   put:
+ *     summary: Cambiar el umbral de alerta de stock bajo
+ *     description: Al llegar al umbral se envía un SMS a ADMIN_PHONE_NUMBER (una vez hasta reponer).
+ *     tags: [Admin - Inventario]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               low_stock_threshold: { type: integer, example: 5 }
+ *     responses:
+ *       200:
+ *         description: Umbral actualizado
+ *       404:
+ *         description: Variante no encontrada
+ */
+router.put(
+  "/inventory/:variantId/threshold",
+  verifyToken,
+  requirePermission("inventory:manage"),
+  checkAccountLock,
+  updateLowStockThreshold
+);
+
+/**
+ * @swagger
+ * /api/admin/webhooks:
+ *   get:
+ *     summary: Eventos de webhook de Stripe registrados
+ *     description: |
+ *       Cada evento se procesa una sola vez; los que fallan quedan en
+ *       estado `failed` con el último error para reprocesarlos.
+ *     tags: [Admin - Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processed, failed]
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, example: "checkout.session.completed" }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 25, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Eventos (más recientes primero)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string, example: "evt_1PXyz..." }
+ *                       type: { type: string }
+ *                       status: { type: string }
+ *                       attempts: { type: integer }
+ *                       last_error: { type: string, nullable: true }
+ *                       received_at: { type: string, format: date-time }
+ *                       processed_at: { type: string, format: date-time, nullable: true }
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page: { type: integer }
+ *                     totalPages: { type: integer }
+ *                     total: { type: integer }
+ */
+router.get(
+  "/webhooks",
+  verifyToken,
+  requirePermission("webhooks:manage"),
+  listWebhookEvents
+);
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}/replay:
+ *   post:
+ *     summary: Reprocesar un evento de Stripe fallido
+ *     description: |
+ *       Vuelve a ejecutar el evento guardado dentro de una transacción.
+ *       Queda registrado en la auditoría.
+ *     tags: [Admin - Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, example: "evt_1PXyz..." }
+ *     responses:
+ *       200:
+ *         description: Evento reprocesado
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Evento no encontrado
+ *       409:
+ *         description: El evento ya fue procesado (ALREADY_PROCESSED)
+ *       500:
+ *         description: El evento volvió a fallar (detail trae el error)
+ */
+router.post(
+  "/webhooks/:id/replay",
+  verifyToken,
+  requirePermission("webhooks:manage"),
+  checkAccountLock,
+  replayWebhookEvent
+);
+
+/**
+ * @swagger
+ * /api/admin/orders/{id}/refunds:
+ *   get:
+ *     summary: Reembolsos de un pedido
+ *     tags: [Admin - Reembolsos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Reembolsos (más recientes primero). actor_id nulo si se hizo desde Stripe.
+ *   post:
+ *     summary: Reembolsar un pedido total o parcialmente
+ *     description: |
+ *       Crea el reembolso en Stripe contra el pago del pedido, lo registra
+ *       con motivo y autor, actualiza `payment_status` y avisa al cliente por SMS.
+ *       Sin `amount` ni `items` se reembolsa todo lo pendiente. Un reembolso
+ *       total cancela el pedido si aún no se envió.
+ *       Un doble envío no reembolsa dos veces: con `Idempotency-Key` se
+ *       reconoce la misma solicitud; sin ella se rechaza el mismo monto sobre
+ *       el pedido durante 2 minutos (DUPLICATE_REFUND).
+ *     tags: [Admin - Reembolsos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: header
+ *         name: Idempotency-Key
+ *         description: Clave única por reembolso (p. ej. un UUID generado al abrir el formulario)
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [requested_by_customer, duplicate, fraudulent, damaged, not_delivered, other]
+ *               note: { type: string, description: Obligatoria con reason other }
+ *               amount:
+ *                 type: integer
+ *                 description: Monto en la unidad mínima de la moneda
+ *               items:
+ *                 type: array
+ *                 description: Unidades concretas a reembolsar (en vez de amount)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     order_item_id: { type: integer }
+ *                     quantity: { type: integer }
+ *               restock:
+ *                 type: boolean
+ *                 description: Devolver al stock las unidades reembolsadas
+ *     responses:
+ *       201:
+ *         description: Reembolso creado
+ *       400:
+ *         description: Datos inválidos (INVALID_ITEMS, INVALID_AMOUNT)
+ *       404:
+ *         description: Pedido no encontrado
+ *       409:
+ *         description: Supera lo pendiente, el pago no admite reembolsos o es un reembolso repetido (DUPLICATE_REFUND)
+ *       502:
+ *         description: Stripe rechazó el reembolso
+ */
+router.get(
+  "/orders/:id/refunds",
+  verifyToken,
+  requirePermission("orders:read"),
+  listOrderRefunds
+);
+
+router.post(
+  "/orders/:id/refunds",
+  verifyToken,
+  requirePermission("orders:refund"),
+  checkAccountLock,
+  createOrderRefund
+);
+
+/**
+ * @swagger
+ * /api/admin/carriers:
+ *   get:
+ *     summary: Transportadoras disponibles para registrar envíos
+ *     description: |
+ *       `tracking_api` indica si el estado se consulta solo en la API de la
+ *       transportadora; si no, se actualiza a mano desde el panel.
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de transportadoras (code, name, tracking_api)
+ */
+router.get(
+  "/carriers",
+  verifyToken,
+  requirePermission("orders:read"),
+  getCarriers
+);
+
+/**
+ * @swagger
+ * /api/admin/orders/{id}/shipments:
+ *   get:
+ *     summary: Envíos de un pedido
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Envíos con nombre de la transportadora y enlace de rastreo
+ *   post:
+ *     summary: Registrar la guía de un pedido
+ *     description: |
+ *       Solo para pedidos en `procesando` o `enviado`. Un pedido en
+ *       `procesando` pasa a `enviado`; con `notify_customer` el cliente
+ *       recibe un SMS con la guía. Un pedido puede tener varias guías.
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [carrier, tracking_number]
+ *             properties:
+ *               carrier: { type: string, example: servientrega }
+ *               tracking_number: { type: string }
+ *               status:
+ *                 type: string
+ *                 enum: [label_created, in_transit]
+ *                 default: in_transit
+ *               shipped_at: { type: string, format: date-time }
+ *               notify_customer: { type: boolean, default: false }
+ *     responses:
+ *       201:
+ *         description: Envío registrado
+ *       400:
+ *         description: Datos inválidos o transportadora desconocida
+ *       404:
+ *         description: Pedido no encontrado
+ *       409:
+ *         description: El pedido no se puede enviar (incluye PAYMENT_PENDING y ORDER_ON_HOLD) o la guía ya existe
+ */
+router.get(
+  "/orders/:id/shipments",
+  verifyToken,
+  requirePermission("orders:read"),
+  listOrderShipments
+);
+
+router.post(
+  "/orders/:id/shipments",
+  verifyToken,
+  requirePermission("shipments:manage"),
+  checkAccountLock,
+  createOrderShipment
+);
+
+/**
+ * @swagger
+ * /api/admin/shipments/{id}:
+ *   patch:
+ *     summary: Editar un envío
+ *     description: |
+ *       Corrige transportadora, guía, estado o fechas. Cuando todos los
+ *       envíos de un pedido `enviado` quedan entregados, el pedido pasa a
+ *       `completado` y se avisa al cliente.
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier: { type: string }
+ *               tracking_number: { type: string }
+ *               status:
+ *                 type: string
+ *                 enum: [label_created, in_transit, out_for_delivery, delivered, exception, returned]
+ *               last_event: { type: string }
+ *               shipped_at: { type: string, format: date-time }
+ *               delivered_at: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Envío actualizado
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Envío no encontrado
+ *       409:
+ *         description: La guía ya está registrada
+ *
+ * /api/admin/shipments/{id}/refresh:
+ *   post:
+ *     summary: Consultar ya el estado del envío en la transportadora
+ *     description: |
+ *       Lo mismo que hace el seguimiento periódico
+ *       (`SHIPMENT_TRACKING_INTERVAL_MINUTES`), para un solo envío.
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Envío con el estado informado por la transportadora
+ *       404:
+ *         description: Envío no encontrado
+ *       409:
+ *         description: La transportadora no tiene seguimiento automático
+ */
+router.patch(
+  "/shipments/:id",
+  verifyToken,
+  requirePermission("shipments:manage"),
+  checkAccountLock,
+  updateOrderShipment
+);
+
+router.post(
+  "/shipments/:id/refresh",
+  verifyToken,
+  requirePermission("shipments:manage"),
+  checkAccountLock,
+  refreshOrderShipment
+);
+
+/**
+ * @swagger
+ * /api/admin/shipping/zones:
+ *   get:
+ *     summary: Zonas de envío con sus tramos de peso
+ *     description: |
+ *       Incluye `departments`: los códigos de departamento aceptados
+ *       (ISO 3166-2:CO) con su nombre.
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Zonas (la zona por defecto al final)
+ *   post:
+ *     summary: Crear una zona de envío
+ *     description: |
+ *       Un destino se cobra con la zona que tenga su ciudad; si no, con la
+ *       de su departamento; si no, con la zona por defecto (`is_default`),
+ *       que también se usa cuando el cliente no indica destino. La
+ *       migración crea una zona por defecto "Nacional" con envío gratis.
+ *       Montos en la unidad mínima de la moneda de la tienda.
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: Área metropolitana de Medellín }
+ *               departments:
+ *                 type: array
+ *                 description: Códigos o nombres de departamento
+ *                 items: { type: string }
+ *                 example: [ANT]
+ *               cities:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: [Medellín, Envigado, Itagüí]
+ *               is_default: { type: boolean, default: false }
+ *               free_shipping_threshold:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Subtotal de productos desde el que el envío es gratis
+ *               active: { type: boolean, default: true }
+ *     responses:
+ *       201:
+ *         description: Zona creada
+ *       400:
+ *         description: Datos inválidos o departamento desconocido
+ *       409:
+ *         description: Nombre repetido o ya hay una zona por defecto
+ */
+router.get(
+  "/shipping/zones",
+  verifyToken,
+  requirePermission("orders:read"),
+  getShippingZones
+);
+
+router.post(
+  "/shipping/zones",
+  verifyToken,
+  requirePermission("shipping:manage"),
+  checkAccountLock,
+  createShippingZone
+);
+
+/**
+ * @swagger
+ * /api/admin/shipping/zones/{id}:
+ *   put:
+ *     summary: Editar una zona de envío
+ *     description: Mismos campos que al crearla; solo cambian los enviados.
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Zona actualizada
+ *       404:
+ *         description: Zona no encontrada
+ *   delete:
+ *     summary: Eliminar una zona y sus tarifas
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Zona eliminada
+ *       404:
+ *         description: Zona no encontrada
+ */
+router.put(
+  "/shipping/zones/:id",
+  verifyToken,
+  requirePermission("shipping:manage"),
+  checkAccountLock,
+  updateShippingZone
+);
+
+router.delete(
+  "/shipping/zones/:id",
+  verifyToken,
+  requirePermission("shipping:manage"),
+  checkAccountLock,
+  deleteShippingZone
+);
+
+/**
+ * @swagger
+ * /api/admin/shipping/zones/{id}/rates:
+ *   post:
+ *     summary: Agregar un tramo de peso a una zona
+ *     description: |
+ *       El tramo cubre desde `min_weight_grams` (incluido) hasta
+ *       `max_weight_grams` (excluido; sin tope si es nulo). Los tramos de
+ *       una zona no se pueden cruzar.
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               min_weight_grams: { type: integer, default: 0 }
+ *               max_weight_grams: { type: integer, nullable: true }
+ *               amount: { type: integer, example: 1200000 }
+ *               delivery_days_min: { type: integer, nullable: true }
+ *               delivery_days_max: { type: integer, nullable: true }
+ *     responses:
+ *       201:
+ *         description: Tramo creado
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Zona no encontrada
+ *       409:
+ *         description: Se cruza con otro tramo (rate_id)
+ *
+ * /api/admin/shipping/rates/{id}:
+ *   put:
+ *     summary: Reemplazar un tramo de peso
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Tramo actualizado
+ *       404:
+ *         description: Tramo no encontrado
+ *       409:
+ *         description: Se cruza con otro tramo
+ *   delete:
+ *     summary: Eliminar un tramo de peso
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Tramo eliminado
+ *       404:
+ *         description: Tramo no encontrado
+ */
+router.post(
+  "/shipping/zones/:id/rates",
+  verifyToken,
+  requirePermission("shipping:manage"),
+  checkAccountLock,
+  createShippingRate
+);
+
+router.put(
+  "/shipping/rates/:id",
+  verifyToken,
+  requirePermission("shipping:manage"),
+  checkAccountLock,
+  updateShippingRate
+);
+
+router.delete(
+  "/shipping/rates/:id",
+  verifyToken,
+  requirePermission("shipping:manage"),
+  checkAccountLock,
+  deleteShippingRate
+);
+
+/**
+ * @swagger
+ * /api/admin/shipping/quote:
+ *   get:
+ *     summary: Simular la tarifa de envío de un destino
+ *     tags: [Admin - Envíos]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         required: true
+ *         schema: { type: string, example: ANT }
+ *       - in: query
+ *         name: city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: weight_grams
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: subtotal
+ *         schema: { type: integer, default: 0 }
+ *     responses:
+ *       200:
+ *         description: Zona aplicada, monto y si el envío sale gratis
+ *       400:
+ *         description: Parámetros inválidos o departamento desconocido
+ *       404:
+ *         description: Ninguna zona o tramo cubre el destino o el peso
+ */
+router.get(
+  "/shipping/quote",
+  verifyToken,
+  requirePermission("shipping:manage"),
+  previewShippingQuote
+);
+
+/**
+ * @swagger
+ * /api/admin/promotions:
+ *   get:
+ *     summary: Promociones con sus usos
+ *     tags: [Admin - Promociones]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 25, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: |
+ *           Promociones (más recientes primero). `usage` trae los canjes,
+ *           los usos apartados por sesiones abiertas y el descuento total.
+ *   post:
+ *     summary: Crear una promoción
+ *     description: |
+ *       Crea el cupón en Stripe y el código que el cliente envía como
+ *       `promoCode` en `/api/create-checkout-session`. Montos en la unidad
+ *       mínima de la moneda. Los límites de uso cuentan los canjes y las
+ *       sesiones de pago abiertas con el código.
+ *     tags: [Admin - Promociones]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, discount_type]
+ *             properties:
+ *               code: { type: string, example: CAFE10 }
+ *               description: { type: string }
+ *               discount_type: { type: string, enum: [percent, fixed] }
+ *               percent_off: { type: number, example: 10, description: Con discount_type percent }
+ *               amount_off: { type: integer, example: 500000, description: Con discount_type fixed }
+ *               currency: { type: string, default: cop }
+ *               min_order_amount: { type: integer, nullable: true, description: Subtotal de productos mínimo }
+ *               max_redemptions: { type: integer, nullable: true }
+ *               max_redemptions_per_user: { type: integer, nullable: true }
+ *               starts_at: { type: string, format: date-time, nullable: true }
+ *               ends_at: { type: string, format: date-time, nullable: true }
+ *               product_ids:
+ *                 type: array
+ *                 description: Productos a los que aplica (vacío para todos)
+ *                 items: { type: integer }
+ *               active: { type: boolean, default: true }
+ *     responses:
+ *       201:
+ *         description: Promoción creada
+ *       400:
+ *         description: Datos inválidos o productos desconocidos
+ *       409:
+ *         description: Ya existe una promoción con ese código
+ *       502:
+ *         description: Stripe rechazó el cupón
+ */
+router.get(
+  "/promotions",
+  verifyToken,
+  requirePermission("promotions:manage"),
+  listPromotions
+);
+
+router.post(
+  "/promotions",
+  verifyToken,
+  requirePermission("promotions:manage"),
+  checkAccountLock,
+  createPromotion
+);
+
+/**
+ * @swagger
+ * /api/admin/promotions/report:
+ *   get:
+ *     summary: Reporte de canjes por promoción
+ *     description: |
+ *       Por promoción: canjes, clientes distintos, descuento total,
+ *       ingresos y ticket promedio de los pedidos con el código. Montos en
+ *       la unidad mínima de la moneda.
+ *     tags: [Admin - Promociones]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Filas por promoción y totales
+ *       400:
+ *         description: Fechas inválidas
+ */
+router.get(
+  "/promotions/report",
+  verifyToken,
+  requirePermission("promotions:manage"),
+  getPromotionsReport
+);
+
+/**
+ * @swagger
+ * /api/admin/promotions/{id}:
+ *   put:
+ *     summary: Editar una promoción
+ *     description: |
+ *       Mismos campos que al crearla, salvo `code`. Cambiar el descuento o
+ *       los productos crea un cupón nuevo en Stripe; `active: false` la
+ *       desactiva.
+ *     tags: [Admin - Promociones]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Promoción actualizada
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Promoción no encontrada
+ *       502:
+ *         description: Stripe rechazó el cupón
+ *
+ * /api/admin/promotions/{id}/redemptions:
+ *   get:
+ *     summary: Canjes de una promoción
+ *     tags: [Admin - Promociones]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [redeemed, pending, released]
+ *           default: redeemed
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 25, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Canjes con pedido, cliente y descuento aplicado
+ */
+router.put(
+  "/promotions/:id",
+  verifyToken,
+  requirePermission("promotions:manage"),
+  checkAccountLock,
+  updatePromotion
+);
+
+router.get(
+  "/promotions/:id/redemptions",
+  verifyToken,
+  requirePermission("promotions:manage"),
+  listPromotionRedemptions
+);
+
 export default router;
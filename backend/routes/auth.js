@@ -1,13 +1,38 @@
 import express from "express";
-import { verifyToken } from "../middleware/jwt.js";
-import { NODE_ENV } from "../utils/config.js";
+import { denyImpersonation, verifyToken } from "../middleware/jwt.js";
 import checkAccountLock from "../middleware/checkAccount.js";
+import {
+  emailVerifyLimiter,
+  loginChallengeLimiter,
+  passkeyLoginLimiter,
+  passwordForgotLimiter,
+  passwordResetLimiter,
+  passwordVerifyLimiter,
+} from "../middleware/authRateLimit.js";
 import {
   getProfile,
+  logoutUser,
+  refreshSession,
   userLogin,
   updateUserPhone,
   userRegister,
 } from "../controllers/authUser.controller.js";
+import {
+  requestPasswordReset,
+  resetPassword,
+  verifyPasswordResetCode,
+} from "../controllers/passwordReset.controller.js";
+import {
+  confirmEmail,
+  resendVerificationEmail,
+} from "../controllers/emailVerification.controller.js";
+import { verifyLoginChallenge } from "../controllers/twoFactor.controller.js";
+import {
+  getPasskeyLoginOptions,
+  getPasskeyRegistrationOptions,
+  verifyPasskeyLogin,
+  verifyPasskeyRegistration,
+} from "../controllers/passkey.controller.js";
 
 const router = express.Router();
 
@@ -68,15 +93,71 @@ const router = express.Router();
  */
 router.post("/login", userLogin);
 
+// LOGIN - SEGUNDO PASO (2FA)
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Completar el login con el segundo factor
+ *     description: |
+ *       Cuando `/api/auth/login` o `/api/auth/google` responden `mfa_required: true`,
+ *       se envía aquí el `challenge_token` junto con un código TOTP o un código de recuperación.
+ *       El desafío vence a los 5 minutos y admite 5 intentos.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *             properties:
+ *               challenge_token: { type: string }
+ *               code: { type: string, example: "123456" }
+ *               recovery_code: { type: string, example: "a1b2c-3d4e5" }
+ *     responses:
+ *       200:
+ *         description: Login exitoso - se establecen las cookies de sesión
+ *       401:
+ *         description: Código inválido o desafío expirado
+ */
+router.post("/login/2fa", loginChallengeLimiter, verifyLoginChallenge);
+
+// REFRESH
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar la sesión con el refresh token
+ *     description: |
+ *       Usa la cookie HttpOnly `refresh_token` para emitir un nuevo access token.
+ *       El refresh token se rota en cada llamada; si se detecta la reutilización
+ *       de un token ya rotado, toda la sesión queda revocada.
+ *     tags: [Autenticación]
+ *     responses:
+ *       200:
+ *         description: Sesión renovada - se establecen nuevas cookies
+ *       401:
+ *         description: Refresh token ausente, inválido, expirado o reutilizado
+ *       409:
+ *         description: El token acaba de ser rotado por otra petición concurrente
+ */
+router.post("/refresh", refreshSession);
+
 // LOGOUT
-router.post("/logout", (req, res) => {
-  res.clearCookie("access_token", {
-    httpOnly: true,
-    secure: NODE_ENV === "development",
-    sameSite: "none",
-  });
-  res.json({ message: "✅ Logout exitoso" });
-});
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cerrar sesión
+ *     description: Revoca la sesión en el servidor y elimina las cookies de autenticación
+ *     tags: [Autenticación]
+ *     responses:
+ *       200:
+ *         description: Logout exitoso
+ */
+router.post("/logout", logoutUser);
 
 // PERFIL
 /**
@@ -170,6 +251,263 @@ router.post("/register", userRegister);
  *       401:
  *         $ref: '#/components/schemas/Error401'
  */
-router.put("/update-phone", verifyToken, checkAccountLock, updateUserPhone);
+router.put(
+  "/update-phone",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  updateUserPhone
+);
+
+// RECUPERAR CONTRASEÑA
+/**
+ * @swagger
+ * /api/auth/password/forgot:
+ *   post:
+ *     summary: Solicitar código para restablecer la contraseña
+ *     description: |
+ *       Envía un código de 6 dígitos (válido 10 minutos) por SMS o email.
+ *       La respuesta es idéntica exista o no la cuenta.
+ *       Limitado por IP y a 3 códigos por hora por cuenta.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email: { type: string, format: email }
+ *               channel: { type: string, enum: [sms, email], default: sms }
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida
+ *       429:
+ *         description: Demasiadas solicitudes
+ */
+router.post("/password/forgot", passwordForgotLimiter, requestPasswordReset);
+
+/**
+ * @swagger
+ * /api/auth/password/verify:
+ *   post:
+ *     summary: Verificar el código de recuperación
+ *     description: Máximo 5 intentos por código. Devuelve un `reset_token` de un solo uso (15 minutos).
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - code
+ *             properties:
+ *               email: { type: string, format: email }
+ *               code: { type: string, example: "482915" }
+ *     responses:
+ *       200:
+ *         description: Código válido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reset_token: { type: string }
+ *                 expires_in: { type: integer, example: 900 }
+ *       400:
+ *         description: Código inválido o expirado
+ */
+router.post("/password/verify", passwordVerifyLimiter, verifyPasswordResetCode);
+
+/**
+ * @swagger
+ * /api/auth/password/reset:
+ *   post:
+ *     summary: Establecer una nueva contraseña
+ *     description: Consume el `reset_token`, registra el cambio en `password_change_log` y cierra todas las sesiones.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reset_token
+ *               - newPassword
+ *             properties:
+ *               reset_token: { type: string }
+ *               newPassword: { type: string, format: password }
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *       400:
+ *         description: Token inválido/expirado o contraseña débil
+ */
+router.post("/password/reset", passwordResetLimiter, resetPassword);
+
+// VERIFICACIÓN DE EMAIL
+/**
+ * @swagger
+ * /api/auth/email/verify:
+ *   post:
+ *     summary: Confirmar un email con el token recibido por correo
+ *     description: Sirve tanto para el registro como para el cambio de email.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200:
+ *         description: Email verificado
+ *       400:
+ *         description: Token inválido, usado o expirado
+ *       409:
+ *         description: El nuevo email ya pertenece a otra cuenta
+ */
+router.post("/email/verify", emailVerifyLimiter, confirmEmail);
+
+/**
+ * @swagger
+ * /api/auth/email/resend:
+ *   post:
+ *     summary: Reenviar el enlace de verificación de email
+ *     tags: [Autenticación]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Enlace reenviado
+ *       400:
+ *         description: El correo ya está verificado
+ *       429:
+ *         description: Demasiadas solicitudes
+ */
+router.post(
+  "/email/resend",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  resendVerificationEmail
+);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/register/options:
+ *   post:
+ *     summary: Obtener opciones para registrar una passkey (WebAuthn)
+ *     tags: [Autenticación]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: challenge_id y opciones para navigator.credentials.create()
+ */
+router.post(
+  "/passkeys/register/options",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  getPasskeyRegistrationOptions
+);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/register/verify:
+ *   post:
+ *     summary: Verificar y guardar una nueva passkey
+ *     tags: [Autenticación]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_id
+ *               - response
+ *             properties:
+ *               challenge_id: { type: string, format: uuid }
+ *               response: { type: object }
+ *               name: { type: string, example: "MacBook" }
+ *     responses:
+ *       201:
+ *         description: Passkey registrada
+ *       400:
+ *         description: Desafío inválido o verificación fallida
+ */
+router.post(
+  "/passkeys/register/verify",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  verifyPasskeyRegistration
+);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/login/options:
+ *   post:
+ *     summary: Obtener opciones para iniciar sesión con passkey
+ *     description: Si se envía email se limitan las credenciales permitidas; sin email se usan passkeys detectables.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string }
+ *     responses:
+ *       200:
+ *         description: challenge_id y opciones para navigator.credentials.get()
+ */
+router.post("/passkeys/login/options", getPasskeyLoginOptions);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/login/verify:
+ *   post:
+ *     summary: Iniciar sesión con passkey
+ *     description: |
+ *       Si la cuenta tiene 2FA activo responde `mfa_required: true` con un
+ *       `challenge_token` para `/api/auth/login/2fa`, igual que el login con
+ *       contraseña. Las passkeys que fallan suman intentos y bloquean la
+ *       cuenta 15 minutos al quinto.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_id
+ *               - response
+ *             properties:
+ *               challenge_id: { type: string, format: uuid }
+ *               response: { type: object }
+ *     responses:
+ *       200:
+ *         description: Login exitoso
+ *       401:
+ *         description: Passkey no reconocida o inválida
+ *       423:
+ *         description: Cuenta bloqueada
+ */
+router.post("/passkeys/login/verify", passkeyLoginLimiter, verifyPasskeyLogin);
 
 export default router;
@@ -0,0 +1,126 @@
+import express from "express";
+import { denyImpersonation, optionalAuth } from "../middleware/jwt.js";
+import inputProtect from "../middleware/inputProtect.js";
+import checkAccountLock from "../middleware/checkAccount.js";
+import {
+  addItemToCart,
+  clearCart,
+  getCart,
+  removeCartItem,
+  updateCartItem,
+} from "../controllers/cart.controller.js";
+
+const router = express.Router();
+
+router.use((req, res, next) => {
+  if (req.body && typeof req.body === "object") {
+    req.body = inputProtect.sanitizeObjectRecursivelyServer(req.body);
+  }
+  next();
+});
+
+// El carrito funciona sin sesión (cookie cart_token) y se fusiona al iniciar sesión
+router.use(optionalAuth, checkAccountLock);
+
+/**
+ * @swagger
+ * /api/user/cart:
+ *   get:
+ *     summary: Obtener el carrito
+ *     description: |
+ *       Carrito del usuario autenticado o del visitante (cookie `cart_token`).
+ *       Cada línea se valida contra el catálogo actual: usa el precio vigente,
+ *       marca `price_changed` si cambió desde que se agregó e `issue`
+ *       (`unavailable` | `insufficient_stock`) si no se puede comprar.
+ *     tags: [Usuario - Carrito]
+ *     responses:
+ *       200:
+ *         description: Carrito
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items: { type: array, items: { type: object } }
+ *                 item_count: { type: integer }
+ *                 subtotal: { type: integer, description: En la unidad mínima de la moneda }
+ *                 currency: { type: string, nullable: true }
+ *                 valid: { type: boolean, description: Todas las líneas se pueden comprar }
+ *   delete:
+ *     summary: Vaciar el carrito
+ *     tags: [Usuario - Carrito]
+ *     responses:
+ *       200:
+ *         description: Carrito vacío
+ */
+router.get("/", getCart);
+router.delete("/", denyImpersonation, clearCart);
+
+/**
+ * @swagger
+ * /api/user/cart/items:
+ *   post:
+ *     summary: Agregar un producto al carrito
+ *     description: Si la línea ya existe suma la cantidad (máximo 10 por línea).
+ *     tags: [Usuario - Carrito]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Se envía variantId o priceId
+ *             properties:
+ *               variantId: { type: integer, example: 12 }
+ *               priceId: { type: string, example: "price_1QAbCdEFghIjKlMnOpQrStUv" }
+ *               quantity: { type: integer, example: 2, default: 1 }
+ *     responses:
+ *       201:
+ *         description: Carrito actualizado
+ *       400:
+ *         description: Producto o variante no disponible, falta variante o carrito lleno
+ */
+router.post("/items", denyImpersonation, addItemToCart);
+
+/**
+ * @swagger
+ * /api/user/cart/items/{itemId}:
+ *   patch:
+ *     summary: Cambiar la cantidad de una línea (0 la elimina)
+ *     tags: [Usuario - Carrito]
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity: { type: integer, example: 3 }
+ *     responses:
+ *       200:
+ *         description: Carrito actualizado
+ *       404:
+ *         description: La línea no está en el carrito
+ *   delete:
+ *     summary: Quitar una línea del carrito
+ *     tags: [Usuario - Carrito]
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Carrito actualizado
+ *       404:
+ *         description: La línea no está en el carrito
+ */
+router.patch("/items/:itemId", denyImpersonation, updateCartItem);
+router.delete("/items/:itemId", denyImpersonation, removeCartItem);
+
+export default router;
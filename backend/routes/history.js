@@ -31,6 +31,21 @@ const router = express.Router();
  *                       precio: { type: number }
  *                       fecha: { type: string, format: date-time }
  *                       status: { type: string }
+ *                       payment_status:
+ *                         type: string
+ *                         enum: [pending, paid, failed, refunded, partially_refunded, disputed]
+ *                       shipping_amount: { type: integer, description: Envío cobrado, en la unidad mínima de la moneda }
+ *                       discount_amount: { type: integer, description: Descuento de la promoción, en la unidad mínima de la moneda }
+ *                       items:
+ *                         type: array
+ *                         description: Líneas del pedido
+ *                         items:
+ *                           $ref: '#/components/schemas/OrderItem'
+ *                       shipments:
+ *                         type: array
+ *                         description: Envíos del pedido (puede tener varias guías)
+ *                         items:
+ *                           $ref: '#/components/schemas/Shipment'
  */
 router.get("/historial", verifyToken, checkAccountLock, getHistorial);
 
@@ -3,6 +3,169 @@ import pool from "../database/db.js";
 import inputProtect from "../middleware/inputProtect.js";
 import logger from "../utils/logger.js";
 
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCK_MINUTES = 15;
+
+// Columnas de users + user_security que necesitan los helpers de bloqueo
+export const LOGIN_USER_COLUMNS = `
+  u.id, u.name, u.email, u.password, u.role,
+  s.login_attempts, s.is_locked, s.locked_until, s.last_failed_login, s.last_login, s.is_permanently_locked, s.lock_reason`;
+
+/**
+ * Revisa el estado de bloqueo de la cuenta antes de autenticar
+ * (contraseña o passkey). Limpia bloqueos temporales vencidos.
+ * @param {Object} user - fila con LOGIN_USER_COLUMNS (se actualiza en sitio)
+ * @returns {Promise<Object|null>} error de bloqueo o null si puede continuar
+ */
+export async function getLoginLockError(user) {
+  if (user.is_permanently_locked) {
+    logger.warn(
+      `🚫 Intento de login en cuenta PERMANENTEMENTE bloqueada: ${user.email}`
+    );
+    return {
+      code: "ACCOUNT_PERMANENTLY_LOCKED",
+      message:
+        "Tu cuenta ha sido bloqueada permanentemente. Contacta con el administrador.",
+      lock_reason: user.lock_reason,
+      isPermanent: true,
+    };
+  }
+
+  if (!user.login_attempts && user.login_attempts !== 0) {
+    await pool.query(
+      `INSERT INTO user_security (user_id, login_attempts, is_locked, last_login)
+       VALUES ($1, 0, false, NULL)
+       ON CONFLICT (user_id) DO NOTHING`,
+      [user.id]
+    );
+    user.login_attempts = 0;
+    user.is_locked = false;
+    user.locked_until = null;
+  }
+
+  const now = new Date();
+
+  if (user.locked_until && new Date(user.locked_until) < now) {
+    await pool.query(
+      `INSERT INTO user_security (user_id, login_attempts, is_locked, locked_until, lock_reason, last_failed_login)
+       VALUES ($1, 0, false, NULL, NULL, NULL)
+       ON CONFLICT (user_id) 
+       DO UPDATE SET
+         login_attempts = 0,
+         is_locked = false,
+         locked_until = NULL,
+         lock_reason = NULL,
+         last_failed_login = NULL,
+         last_login = NULL,
+         updated_at = NOW()`,
+      [user.id]
+    );
+
+    user.login_attempts = 0;
+    user.is_locked = false;
+    user.locked_until = null;
+    user.lock_reason = null;
+    user.last_failed_login = null;
+    user.last_login = null;
+  }
+
+  if (
+    user.is_locked ||
+    (user.locked_until && new Date(user.locked_until) > now)
+  ) {
+    const remainingMin = Math.ceil((new Date(user.locked_until) - now) / 60000);
+    logger.warn(
+      `🚫 Intento de login en cuenta temporalmente bloqueada: ${user.email}`
+    );
+    return {
+      code: "ACCOUNT_LOCKED",
+      message: `Cuenta bloqueada. Intenta de nuevo en ${remainingMin} minuto${
+        remainingMin > 1 ? "s" : ""
+      }.`,
+      remainingMin: remainingMin > 0 ? remainingMin : 1,
+      lockedUntil: user.locked_until,
+      lock_reason: user.lock_reason,
+      isPermanent: false,
+    };
+  }
+  return null;
+}
+
+/**
+ * Registra un login exitoso: reinicia intentos y actualiza last_login.
+ */
+export async function recordSuccessfulLogin(userId) {
+  await pool.query(
+    `INSERT INTO user_security (user_id, login_attempts, is_locked, locked_until, last_login, updated_at)
+     VALUES ($1, 0, false, NULL, NOW(), NOW())
+     ON CONFLICT (user_id) 
+     DO UPDATE SET
+       login_attempts = 0,
+       is_locked = false,
+       locked_until = NULL,
+       last_failed_login = NULL,
+       lock_reason = NULL,
+       last_login = NOW(),
+       updated_at = NOW()`,
+    [userId]
+  );
+}
+
+/**
+ * Registra un intento fallido (contraseña o passkey) y bloquea la cuenta
+ * LOGIN_LOCK_MINUTES al llegar a MAX_LOGIN_ATTEMPTS.
+ * @param {Object} user - fila con LOGIN_USER_COLUMNS
+ * @returns {Promise<{ attempts, remaining, maxAttempts, locked }>}
+ */
+export async function recordFailedLogin(user) {
+  const attempts = (user.login_attempts || 0) + 1;
+  const locked = attempts >= MAX_LOGIN_ATTEMPTS;
+  const lockedUntil = locked
+    ? new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000)
+    : null;
+
+  // Actualizar seguridad con upsert (INSERT + UPDATE)
+  await pool.query(
+    `INSERT INTO user_security (user_id, login_attempts, is_locked, locked_until, last_failed_login, lock_reason, updated_at)
+     VALUES ($1, $2, $3, $4, NOW(), $5, NOW())
+     ON CONFLICT (user_id) 
+     DO UPDATE SET
+       login_attempts = EXCLUDED.login_attempts,
+       is_locked = EXCLUDED.is_locked,
+       locked_until = EXCLUDED.locked_until,
+       last_failed_login = EXCLUDED.last_failed_login,
+       lock_reason = EXCLUDED.lock_reason,
+       updated_at = NOW()`,
+    [
+      user.id,
+      attempts,
+      locked,
+      lockedUntil,
+      locked ? "Demasiados intentos fallidos" : null,
+    ]
+  );
+
+  return {
+    attempts,
+    remaining: MAX_LOGIN_ATTEMPTS - attempts,
+    maxAttempts: MAX_LOGIN_ATTEMPTS,
+    locked,
+  };
+}
+
+/**
+ * Error de bloqueo tras agotar los intentos.
+ */
+export function lockedAfterFailures({ attempts, maxAttempts }) {
+  return {
+    code: "ACCOUNT_LOCKED",
+    message: `Demasiados intentos fallidos. Cuenta bloqueada por ${LOGIN_LOCK_MINUTES} minutos.`,
+    remainingMin: LOGIN_LOCK_MINUTES,
+    attempts,
+    maxAttempts,
+  };
+}
+
 async function loginUser(email, password) {
   return new Promise(async (resolve, reject) => {
     try {
@@ -24,9 +187,7 @@ async function loginUser(email, password) {
       }
 
       const result = await pool.query(
-        `SELECT 
-          u.id, u.name, u.email, u.password, u.role,
-          s.login_attempts, s.is_locked, s.locked_until, s.last_failed_login, s.last_login, s.is_permanently_locked, s.lock_reason
+        `SELECT ${LOGIN_USER_COLUMNS}
         FROM users u
         LEFT JOIN user_security s ON s.user_id = u.id
         WHERE LOWER(u.email) = $1
@@ -40,120 +201,20 @@ async function loginUser(email, password) {
 
       const user = result.rows[0];
 
-      if (user.is_permanently_locked) {
-        logger.warn(
-          `🚫 Intento de login en cuenta PERMANENTEMENTE bloqueada: ${user.email}`
-        );
-        return reject({
-          code: "ACCOUNT_PERMANENTLY_LOCKED",
-          message:
-            "Tu cuenta ha sido bloqueada permanentemente. Contacta con el administrador.",
-          lock_reason: user.lock_reason,
-          isPermanent: true,
-        });
-      }
-
-      if (!user.login_attempts && user.login_attempts !== 0) {
-        await pool.query(
-          `INSERT INTO user_security (user_id, login_attempts, is_locked, last_login)
-           VALUES ($1, 0, false, NULL)
-           ON CONFLICT (user_id) DO NOTHING`,
-          [user.id]
-        );
-        user.login_attempts = 0;
-        user.is_locked = false;
-        user.locked_until = null;
+      const lockError = await getLoginLockError(user);
+      if (lockError) {
+        return reject(lockError);
       }
 
-      const now = new Date();
-
-      if (user.locked_until && new Date(user.locked_until) < now) {
-        await pool.query(
-          `INSERT INTO user_security (user_id, login_attempts, is_locked, locked_until, lock_reason, last_failed_login)
-     VALUES ($1, 0, false, NULL, NULL, NULL)
-     ON CONFLICT (user_id) 
-     DO UPDATE SET
-       login_attempts = 0,
-       is_locked = false,
-       locked_until = NULL,
-       lock_reason = NULL,
-       last_failed_login = NULL,
-       last_login = NULL,
-       updated_at = NOW()`,
-          [user.id]
-        );
-
-        user.login_attempts = 0;
-        user.is_locked = false;
-        user.locked_until = null;
-        user.lock_reason = null;
-        user.last_failed_login = null;
-        user.last_login = null;
-      }
-
-      if (
-        user.is_locked ||
-        (user.locked_until && new Date(user.locked_until) > now)
-      ) {
-        const remainingMin = Math.ceil(
-          (new Date(user.locked_until) - now) / 60000
-        );
-        logger.warn(
-          `🚫 Intento de login en cuenta temporalmente bloqueada: ${user.email}`
-        );
-        return reject({
-          code: "ACCOUNT_LOCKED",
-          message: `Cuenta bloqueada. Intenta de nuevo en ${remainingMin} minuto${
-            remainingMin > 1 ? "s" : ""
-          }.`,
-          remainingMin: remainingMin > 0 ? remainingMin : 1,
-          lockedUntil: user.locked_until,
-          lock_reason: user.lock_reason,
-          isPermanent: false,
-        });
-      }
       const match = await bcrypt.compare(passwordCheck, user.password);
-      const maxAttempts = 5;
 
       if (!match) {
-        const attempts = (user.login_attempts || 0) + 1;
-        const shouldLock = attempts >= maxAttempts;
-        const lockedUntil = shouldLock
-          ? new Date(Date.now() + 15 * 60 * 1000)
-          : null;
-
-        // Actualizar seguridad con upsert (INSERT + UPDATE)
-        await pool.query(
-          `INSERT INTO user_security (user_id, login_attempts, is_locked, locked_until, last_failed_login, lock_reason, updated_at)
-           VALUES ($1, $2, $3, $4, NOW(), $5, NOW())
-           ON CONFLICT (user_id) 
-           DO UPDATE SET
-             login_attempts = EXCLUDED.login_attempts,
-             is_locked = EXCLUDED.is_locked,
-             locked_until = EXCLUDED.locked_until,
-             last_failed_login = EXCLUDED.last_failed_login,
-             lock_reason = EXCLUDED.lock_reason,
-             updated_at = NOW()`,
-          [
-            user.id,
-            attempts,
-            shouldLock,
-            lockedUntil,
-            shouldLock ? "Demasiados intentos fallidos" : null,
-          ]
-        );
-
-        if (shouldLock) {
-          return reject({
-            code: "ACCOUNT_LOCKED",
-            message:
-              "Demasiados intentos fallidos. Cuenta bloqueada por 15 minutos.",
-            attempts,
-            maxAttempts,
-          });
+        const failure = await recordFailedLogin(user);
+        if (failure.locked) {
+          return reject(lockedAfterFailures(failure));
         }
 
-        const remaining = maxAttempts - attempts;
+        const { attempts, remaining, maxAttempts } = failure;
         return reject({
           code: "INVALID_PASSWORD",
           message: `Contraseña incorrecta. Te quedan ${remaining} intento${
@@ -165,20 +226,7 @@ async function loginUser(email, password) {
         });
       }
 
-      await pool.query(
-        `INSERT INTO user_security (user_id, login_attempts, is_locked, locked_until, last_login, updated_at)
-         VALUES ($1, 0, false, NULL, NOW(), NOW())
-         ON CONFLICT (user_id) 
-         DO UPDATE SET
-           login_attempts = 0,
-           is_locked = false,
-           locked_until = NULL,
-           last_failed_login = NULL,
-           lock_reason = NULL,
-           last_login = NOW(),
-           updated_at = NOW()`,
-        [user.id]
-      );
+      await recordSuccessfulLogin(user.id);
 
       logger.log(`✅ Login exitoso: ${user.email}`);
       resolve({
@@ -1,9 +1,10 @@
 import express from "express";
 import pool from "../database/db.js";
 import { verifyToken } from "../middleware/jwt.js";
-import { requireAdmin, requireAdminOrViewer } from "../middleware/roleCheck.js";
+import { requirePermission } from "../middleware/roleCheck.js";
 import checkAccountLock from "../middleware/checkAccount.js";
 import logger from "../utils/logger.js";
+import { recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
@@ -11,7 +12,7 @@ const router = express.Router();
 router.get(
   "/",
   verifyToken,
-  requireAdminOrViewer,
+  requirePermission("logs:read"),
   checkAccountLock,
   async (req, res) => {
     try {
@@ -139,7 +140,7 @@ router.get(
 router.delete(
   "/",
   verifyToken,
-  requireAdmin,
+  requirePermission("logs:purge"),
   checkAccountLock,
   async (req, res) => {
     try {
@@ -153,6 +154,12 @@ router.delete(
         [daysInt]
       );
 
+      await recordAudit(req, {
+        action: "logs.purge",
+        targetType: "system_logs",
+        metadata: { days: daysInt, deleted: result.rowCount },
+      });
+
       logger.log(
         `🧹 Eliminados ${result.rowCount} logs de hace más de ${daysInt} días`
       );
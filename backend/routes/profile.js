@@ -1,11 +1,8 @@
 import express from "express";
-import multer from "multer";
-import path from "path";
-import fs from "fs";
-import { verifyToken } from "../middleware/jwt.js";
-import { fileURLToPath } from "url";
+import { denyImpersonation, verifyToken } from "../middleware/jwt.js";
 import inputProtect from "../middleware/inputProtect.js";
 import checkAccountLock from "../middleware/checkAccount.js";
+import upload from "../middleware/upload.js";
 import {
   changeUserPassword,
   createReviews,
@@ -14,52 +11,30 @@ import {
   getAllReviewsHome,
   getDataProfile,
   getUserAddress,
+  getUserSessions,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeUserSession,
   updateDataProfile,
   updateUserAddress,
   uploadImageProfile,
   verifyOrderWithReview,
 } from "../controllers/userData.controller.js";
+import { requestEmailChange } from "../controllers/emailVerification.controller.js";
+import {
+  deletePasskey,
+  listPasskeys,
+} from "../controllers/passkey.controller.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  setupTwoFactor,
+} from "../controllers/twoFactor.controller.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 const router = express.Router();
 
-// ====== MULTER CONFIG ======
-const uploadDir = path.join(__dirname, "../../uploads");
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => {
-    const validation = inputProtect.validateFilename(file.originalname);
-
-    if (!validation.valid) {
-      return cb(new Error(validation.reason));
-    }
-
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(validation.sanitized);
-    const name = path.basename(validation.sanitized, ext);
-
-    cb(null, `${name}-${uniqueSuffix}${ext}`);
-  },
-});
-
-const fileFilter = (req, file, cb) => {
-  const allowed = ["image/jpeg", "image/png"];
-  if (allowed.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error("Solo se permiten imágenes JPEG o PNG"));
-  }
-};
-
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 },
-});
-
 router.use((req, res, next) => {
   if (req.body && typeof req.body === "object") {
     req.body = inputProtect.sanitizeObjectRecursivelyServer(req.body);
@@ -111,6 +86,7 @@ router.post(
   "/profile-image",
   verifyToken,
   checkAccountLock,
+  denyImpersonation,
   upload.single("profileImage"),
   uploadImageProfile
 );
@@ -181,6 +157,7 @@ router.delete(
   "/delete-image",
   verifyToken,
   checkAccountLock,
+  denyImpersonation,
   deleteImageProfile
 );
 
@@ -201,7 +178,13 @@ router.delete(
  *       423:
  *         $ref: '#/components/schemas/Error423'
  */
-router.put("/update", verifyToken, checkAccountLock, updateDataProfile);
+router.put(
+  "/update",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  updateDataProfile
+);
 
 // PUT /api/user/shipping-address - Actualizar dirección de envío en users
 /**
@@ -234,6 +217,7 @@ router.put(
   "/update/shipping-address",
   verifyToken,
   checkAccountLock,
+  denyImpersonation,
   updateUserAddress
 );
 
@@ -272,6 +256,7 @@ router.post(
   "/add/shipping-address",
   verifyToken,
   checkAccountLock,
+  denyImpersonation,
   createUserAddress
 );
 
@@ -341,7 +326,13 @@ router.get("/shipping-address", verifyToken, checkAccountLock, getUserAddress);
  *       401:
  *         description: Contraseña actual incorrecta
  */
-router.post("/reviews", verifyToken, checkAccountLock, createReviews);
+router.post(
+  "/reviews",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  createReviews
+);
 
 // Obtener todas las reseñas (para el Home)
 /**
@@ -437,6 +428,352 @@ router.get(
  *       401:
  *         description: Contraseña actual incorrecta
  */
-router.put("/password", verifyToken, checkAccountLock, changeUserPassword);
+router.put(
+  "/password",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  changeUserPassword
+);
+
+// Sesiones activas (dispositivos)
+/**
+ * @swagger
+ * /api/user/sessions:
+ *   get:
+ *     summary: Listar sesiones activas del usuario
+ *     description: Dispositivos con sesión abierta. La sesión actual se marca con `current`.
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones activas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string, format: uuid }
+ *                       device: { type: string, example: "Chrome en Android" }
+ *                       ip_address: { type: string }
+ *                       created_at: { type: string, format: date-time }
+ *                       last_seen_at: { type: string, format: date-time }
+ *                       current: { type: boolean }
+ *       401:
+ *         $ref: '#/components/schemas/Error401'
+ */
+router.get("/sessions", verifyToken, checkAccountLock, getUserSessions);
+
+// Cerrar sesión en todos los demás dispositivos
+/**
+ * @swagger
+ * /api/user/sessions/revoke-others:
+ *   post:
+ *     summary: Cerrar sesión en todos los demás dispositivos
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas
+ */
+router.post(
+  "/sessions/revoke-others",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  revokeOtherSessions
+);
+
+// Cerrar sesión en todas partes (incluida la actual)
+/**
+ * @swagger
+ * /api/user/sessions/revoke-all:
+ *   post:
+ *     summary: Cerrar sesión en todos los dispositivos, incluido el actual
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Todas las sesiones revocadas y cookies eliminadas
+ */
+router.post(
+  "/sessions/revoke-all",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  revokeAllSessions
+);
+
+// Cerrar una sesión concreta
+/**
+ * @swagger
+ * /api/user/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revocar una sesión concreta
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sesión revocada
+ *       404:
+ *         description: Sesión no encontrada
+ */
+router.delete(
+  "/sessions/:sessionId",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  revokeUserSession
+);
+
+// Cambio de email (requiere confirmar el nuevo correo)
+/**
+ * @swagger
+ * /api/user/email/change:
+ *   post:
+ *     summary: Solicitar cambio de email
+ *     description: |
+ *       Requiere la contraseña actual. Envía un enlace al nuevo correo;
+ *       el cambio solo se aplica al confirmarlo en `/api/auth/email/verify`.
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *               - password
+ *             properties:
+ *               newEmail: { type: string, format: email }
+ *               password: { type: string, format: password }
+ *     responses:
+ *       200:
+ *         description: Enlace de confirmación enviado
+ *       401:
+ *         description: Contraseña incorrecta
+ *       409:
+ *         description: El email ya está registrado
+ *       429:
+ *         description: Demasiadas solicitudes
+ */
+router.post(
+  "/email/change",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  requestEmailChange
+);
+
+// Verificación en dos pasos (TOTP)
+/**
+ * @swagger
+ * /api/user/2fa:
+ *   get:
+ *     summary: Estado de la verificación en dos pasos
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Estado de 2FA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled: { type: boolean }
+ *                 enabled_at: { type: string, format: date-time, nullable: true }
+ *                 recovery_codes_remaining: { type: integer }
+ *                 required: { type: boolean, description: "Tu rol exige 2FA" }
+ */
+router.get("/2fa", verifyToken, checkAccountLock, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/user/2fa/setup:
+ *   post:
+ *     summary: Iniciar la configuración de 2FA
+ *     description: Genera un secreto TOTP y la URI `otpauth://` para el código QR.
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Secreto generado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret: { type: string }
+ *                 otpauth_uri: { type: string }
+ */
+router.post(
+  "/2fa/setup",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  setupTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/user/2fa/enable:
+ *   post:
+ *     summary: Activar 2FA confirmando un código de la app
+ *     description: Devuelve 10 códigos de recuperación (solo se muestran una vez) y cierra las demás sesiones.
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       200:
+ *         description: 2FA activado
+ *       400:
+ *         description: Código inválido
+ */
+router.post(
+  "/2fa/enable",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  enableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/user/2fa/disable:
+ *   post:
+ *     summary: Desactivar 2FA
+ *     description: Requiere un código TOTP o de recuperación. No disponible para roles que exigen 2FA.
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string }
+ *               recovery_code: { type: string }
+ *     responses:
+ *       200:
+ *         description: 2FA desactivado
+ *       400:
+ *         description: Código inválido
+ *       403:
+ *         description: Tu rol exige 2FA
+ */
+router.post(
+  "/2fa/disable",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/user/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerar códigos de recuperación
+ *     description: Invalida los códigos anteriores. Requiere un código TOTP.
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Nuevos códigos de recuperación
+ */
+router.post(
+  "/2fa/recovery-codes",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/user/passkeys:
+ *   get:
+ *     summary: Listar las passkeys registradas
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de passkeys
+ */
+router.get("/passkeys", verifyToken, checkAccountLock, listPasskeys);
+
+/**
+ * @swagger
+ * /api/user/passkeys/{id}:
+ *   delete:
+ *     summary: Eliminar una passkey
+ *     tags: [Usuario - Seguridad]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Passkey eliminada
+ *       404:
+ *         description: Passkey no encontrada
+ */
+router.delete(
+  "/passkeys/:id",
+  verifyToken,
+  checkAccountLock,
+  denyImpersonation,
+  deletePasskey
+);
 
 export default router;
@@ -1,5 +1,5 @@
 import express from "express";
-import { verifyToken } from "../middleware/jwt.js";
+import { denyImpersonation, verifyToken } from "../middleware/jwt.js";
 import inputProtect from "../middleware/inputProtect.js";
 import checkAccountLock from "../middleware/checkAccount.js";
 import {
@@ -31,10 +31,27 @@ router.use((req, res, next) => {
  *     description: |
  *       Endpoint crítico que recibe eventos de Stripe en tiempo real.
  *       **Importante**: Usa `express.raw()` para verificar la firma.
- *       Actualmente procesa `checkout.session.completed`:
- *       - Guarda la compra en la base de datos
+ *       Cada evento se registra y se procesa una sola vez, dentro de una
+ *       transacción; si falla queda guardado para reprocesarlo
+ *       (`POST /api/admin/webhooks/{id}/replay`).
+ *
+ *       Procesa `checkout.session.completed`:
+ *       - Guarda el pedido con todas sus líneas (`order_items`)
+ *       - Confirma la reserva de stock
  *       - Envía SMS al admin y al cliente vía Twilio
  *       - Incluye sanitización completa contra inyecciones
+ *
+ *       Ciclo de vida del pago (`payment_status` del pedido):
+ *       - `checkout.session.async_payment_succeeded|failed`: confirma o
+ *         cancela un pedido con pago pendiente (el fallido devuelve el stock)
+ *       - `checkout.session.expired`: libera la reserva de stock
+ *       - `payment_intent.payment_failed`: cancela el pedido si el pago
+ *         estaba pendiente
+ *       - `charge.refunded`: registra el reembolso total o parcial
+ *       - `charge.dispute.created`: registra la disputa y avisa al admin
+ *
+ *       Y mantiene el catálogo local con `product.created|updated|deleted`
+ *       y `price.created|updated|deleted` (los eliminados quedan inactivos).
  *     tags: [Stripe - Webhook]
  *     requestBody:
  *       required: true
@@ -56,6 +73,8 @@ router.use((req, res, next) => {
  *                   example: true
  *       400:
  *         description: Firma inválida o evento no soportado
+ *       500:
+ *         description: El evento falló y quedó guardado (Stripe lo reintenta)
  */
 router.post(
   "/stripe/webhook",
@@ -72,25 +91,52 @@ router.use(express.json());
  *   post:
  *     summary: Crear sesión de pago con Stripe Checkout
  *     description: |
- *       Crea una sesión de pago única para un producto.
+ *       Crea una sesión de pago. Sin `priceId` ni `variantId` cobra el
+ *       carrito del usuario (`/api/user/cart`) como sesión de varias líneas;
+ *       con ellos compra una unidad de ese producto.
  *       Requiere autenticación del usuario.
- *       Solo permite envíos a Colombia (CO).
+ *       Solo permite envíos a Colombia (CO). El envío se cobra según la zona
+ *       del destino (`shipping`, o el de la última compra si no se envía;
+ *       sin ninguno, la zona por defecto), el peso de las variantes y el
+ *       umbral de envío gratis de la zona.
+ *
+ *       La tarifa queda fija al crear la sesión: Stripe no la recalcula con
+ *       la dirección que el cliente escribe en Checkout. Si esa dirección
+ *       cae en otra zona, el webhook retiene el pedido (`shipping_hold`) y
+ *       avisa al admin por SMS: no se puede preparar ni enviar hasta que el
+ *       admin cobre la diferencia y lo libere, o lo cancele.
  *     tags: [Stripe]
  *     security:
  *       - cookieAuth: []
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - priceId
+ *             description: priceId o variantId para comprar un solo producto; vacío para pagar el carrito
  *             properties:
  *               priceId:
  *                 type: string
  *                 description: ID del precio en Stripe (price_xxx)
  *                 example: "price_1QAbCdEFghIjKlMnOpQrStUv"
+ *               variantId:
+ *                 type: integer
+ *                 description: Variante elegida (tamaño, molienda, tueste)
+ *                 example: 12
+ *               shipping:
+ *                 type: object
+ *                 description: Destino para cotizar el envío
+ *                 properties:
+ *                   department:
+ *                     type: string
+ *                     description: Código ISO 3166-2:CO o nombre del departamento
+ *                     example: ANT
+ *                   city: { type: string, example: Medellín }
+ *               promoCode:
+ *                 type: string
+ *                 description: Código de una promoción (se aplica como cupón de Stripe)
+ *                 example: CAFE10
  *           examples:
  *             comprar_cafetera:
  *               summary: Comprar Cafetera Premium
@@ -107,8 +153,24 @@ router.use(express.json());
  *                   type: string
  *                   description: URL de Stripe Checkout
  *                   example: "https://checkout.stripe.com/c/pay/..."
+ *                 shipping:
+ *                   type: object
+ *                   description: Envío cobrado en la sesión
+ *                   properties:
+ *                     zone: { type: string }
+ *                     amount: { type: integer, description: Unidad mínima de la moneda }
+ *                     currency: { type: string }
+ *                     free: { type: boolean }
+ *                 promotion:
+ *                   type: object
+ *                   description: Promoción aplicada (descuento estimado; Stripe calcula el final)
+ *                   properties:
+ *                     code: { type: string }
+ *                     discount: { type: integer }
  *       400:
- *         description: Datos incompletos o inválidos
+ *         description: Datos incompletos, precio o variante no disponible, falta elegir variante (VARIANT_REQUIRED) destino de envío (INVALID_DESTINATION, o SHIPPING_DESTINATION_REQUIRED si no hay destino ni zona por defecto) o código de descuento no válido para el pedido (PROMO_INVALID, PROMO_NOT_STARTED, PROMO_EXPIRED, PROMO_MIN_ORDER, PROMO_NOT_APPLICABLE)
+ *       409:
+ *         description: Sin stock suficiente (OUT_OF_STOCK), el carrito tiene líneas no comprables (CART_INVALID) no hay tarifa para el destino o el peso (NO_SHIPPING_ZONE, NO_SHIPPING_RATE) o el código agotó sus usos (PROMO_EXHAUSTED, PROMO_USER_LIMIT)
  *       401:
  *         $ref: '#/components/schemas/Error401'
  *       423:
@@ -130,25 +192,52 @@ router.get(
  *   post:
  *     summary: Crear sesión de pago con Stripe Checkout
  *     description: |
- *       Crea una sesión de pago única para un producto.
+ *       Crea una sesión de pago. Sin `priceId` ni `variantId` cobra el
+ *       carrito del usuario (`/api/user/cart`) como sesión de varias líneas;
+ *       con ellos compra una unidad de ese producto.
  *       Requiere autenticación del usuario.
- *       Solo permite envíos a Colombia (CO).
+ *       Solo permite envíos a Colombia (CO). El envío se cobra según la zona
+ *       del destino (`shipping`, o el de la última compra si no se envía;
+ *       sin ninguno, la zona por defecto), el peso de las variantes y el
+ *       umbral de envío gratis de la zona.
+ *
+ *       La tarifa queda fija al crear la sesión: Stripe no la recalcula con
+ *       la dirección que el cliente escribe en Checkout. Si esa dirección
+ *       cae en otra zona, el webhook retiene el pedido (`shipping_hold`) y
+ *       avisa al admin por SMS: no se puede preparar ni enviar hasta que el
+ *       admin cobre la diferencia y lo libere, o lo cancele.
  *     tags: [Stripe]
  *     security:
  *       - cookieAuth: []
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - priceId
+ *             description: priceId o variantId para comprar un solo producto; vacío para pagar el carrito
  *             properties:
  *               priceId:
  *                 type: string
  *                 description: ID del precio en Stripe (price_xxx)
  *                 example: "price_1QAbCdEFghIjKlMnOpQrStUv"
+ *               variantId:
+ *                 type: integer
+ *                 description: Variante elegida (tamaño, molienda, tueste)
+ *                 example: 12
+ *               shipping:
+ *                 type: object
+ *                 description: Destino para cotizar el envío
+ *                 properties:
+ *                   department:
+ *                     type: string
+ *                     description: Código ISO 3166-2:CO o nombre del departamento
+ *                     example: ANT
+ *                   city: { type: string, example: Medellín }
+ *               promoCode:
+ *                 type: string
+ *                 description: Código de una promoción (se aplica como cupón de Stripe)
+ *                 example: CAFE10
  *           examples:
  *             comprar_cafetera:
  *               summary: Comprar Cafetera Premium
@@ -165,8 +254,24 @@ router.get(
  *                   type: string
  *                   description: URL de Stripe Checkout
  *                   example: "https://checkout.stripe.com/c/pay/..."
+ *                 shipping:
+ *                   type: object
+ *                   description: Envío cobrado en la sesión
+ *                   properties:
+ *                     zone: { type: string }
+ *                     amount: { type: integer, description: Unidad mínima de la moneda }
+ *                     currency: { type: string }
+ *                     free: { type: boolean }
+ *                 promotion:
+ *                   type: object
+ *                   description: Promoción aplicada (descuento estimado; Stripe calcula el final)
+ *                   properties:
+ *                     code: { type: string }
+ *                     discount: { type: integer }
  *       400:
- *         description: Datos incompletos o inválidos
+ *         description: Datos incompletos, precio o variante no disponible, falta elegir variante (VARIANT_REQUIRED) destino de envío (INVALID_DESTINATION, o SHIPPING_DESTINATION_REQUIRED si no hay destino ni zona por defecto) o código de descuento no válido para el pedido (PROMO_INVALID, PROMO_NOT_STARTED, PROMO_EXPIRED, PROMO_MIN_ORDER, PROMO_NOT_APPLICABLE)
+ *       409:
+ *         description: Sin stock suficiente (OUT_OF_STOCK), el carrito tiene líneas no comprables (CART_INVALID) no hay tarifa para el destino o el peso (NO_SHIPPING_ZONE, NO_SHIPPING_RATE) o el código agotó sus usos (PROMO_EXHAUSTED, PROMO_USER_LIMIT)
  *       401:
  *         $ref: '#/components/schemas/Error401'
  *       423:
@@ -178,6 +283,7 @@ router.post(
   "/create-checkout-session",
   verifyToken,
   checkAccountLock,
+  denyImpersonation,
   createCheckOutSession
 );
 
@@ -217,6 +323,29 @@ router.post(
  *                 phone: { type: string, nullable: true }
  *                 shipping_address: { type: object, nullable: true }
  *                 image: { type: string, nullable: true }
+ *                 currency: { type: string }
+ *                 payment_status:
+ *                   type: string
+ *                   enum: [pending, paid, failed, refunded, partially_refunded, disputed]
+ *                 amount_refunded: { type: integer, description: Unidad mínima de la moneda }
+ *                 shipping_amount: { type: integer, description: Envío cobrado (unidad mínima) }
+ *                 discount_amount: { type: integer, description: Descuento de la promoción (unidad mínima) }
+ *                 timeline:
+ *                   type: array
+ *                   description: Estados por los que pasó el pedido
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status: { type: string }
+ *                       created_at: { type: string, format: date-time }
+ *                 shipments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shipment'
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderItem'
  *                 usuario: { type: string }
  *                 email: { type: string, format: email }
  *       403:
@@ -228,6 +357,42 @@ router.post(
  *       423:
  *         $ref: '#/components/schemas/Error423'
  */
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Catálogo de la tienda
+ *     description: |
+ *       Productos y precios activos servidos desde la base de datos local
+ *       (sincronizada con Stripe), con caché de 60 segundos. Sigue
+ *       respondiendo aunque Stripe esté lento o caído.
+ *     tags: [Stripe]
+ *     responses:
+ *       200:
+ *         description: Productos y precios con la misma forma que la API de Stripe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   description: Cada producto incluye `options` (tipos de opción y valores)
+ *                   items: { type: object }
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer }
+ *                       product: { type: string }
+ *                       sku: { type: string, example: "CAFE-500-GRANO-MEDIO" }
+ *                       options: { type: object, example: { "Tamaño": "500g", "Molienda": "Grano entero", "Tueste": "Medio" } }
+ *                       price: { type: string }
+ *                       unit_amount: { type: integer }
+ *                       in_stock: { type: boolean }
+ *                 prices: { type: array, items: { type: object } }
+ */
 router.get("/products", getProductsHome);
 
 export default router;
@@ -0,0 +1,206 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { getSecuritySnapshot, recordAudit } from "./audit.js";
+import { ADMIN_DUAL_APPROVAL } from "./config.js";
+
+export const PENDING_ACTION_TTL_HOURS = 24;
+
+// Aprobación de dos personas (desactivable con ADMIN_DUAL_APPROVAL=false,
+// p.ej. cuando solo hay un administrador)
+export const dualApprovalEnabled = ADMIN_DUAL_APPROVAL !== "false";
+
+// Permiso que necesita quien solicita y quien aprueba cada acción
+export const ACTION_PERMISSIONS = {
+  "user.delete": "users:delete",
+  "user.lock_permanent": "security:manage",
+};
+
+function actionError(code, message) {
+  return { code, message };
+}
+
+const executors = {
+  "user.delete": async (client, req, targetUserId, payload, metadata) => {
+    const target = await client.query(
+      "SELECT id, name, email, role FROM users WHERE id = $1 FOR UPDATE",
+      [targetUserId]
+    );
+    const user = target.rows[0];
+    if (!user) {
+      throw actionError("NOT_FOUND", "Usuario no encontrado");
+    }
+
+    if (user.role === "admin") {
+      const admins = await client.query(
+        "SELECT COUNT(*) FROM users WHERE role = 'admin'"
+      );
+      if (parseInt(admins.rows[0].count, 10) <= 1) {
+        throw actionError(
+          "LAST_ADMIN",
+          "No puedes eliminar el último administrador"
+        );
+      }
+    }
+
+    await client.query("DELETE FROM users WHERE id = $1", [targetUserId]);
+    await recordAudit(
+      req,
+      {
+        action: "user.delete",
+        targetType: "user",
+        targetId: targetUserId,
+        before: user,
+        metadata,
+      },
+      client
+    );
+    logger.log("✅ Usuario eliminado:", targetUserId);
+  },
+
+  "user.lock_permanent": async (
+    client,
+    req,
+    targetUserId,
+    payload,
+    metadata
+  ) => {
+    const exists = await client.query("SELECT 1 FROM users WHERE id = $1", [
+      targetUserId,
+    ]);
+    if (exists.rowCount === 0) {
+      throw actionError("NOT_FOUND", "Usuario no encontrado");
+    }
+
+    const before = await getSecuritySnapshot(targetUserId, client);
+    await client.query(
+      `INSERT INTO user_security (user_id, is_permanently_locked, lock_reason, updated_at)
+       VALUES ($1, true, $2, NOW())
+       ON CONFLICT (user_id) 
+       DO UPDATE SET 
+         is_permanently_locked = true,
+         lock_reason = $2,
+         is_locked = false,
+         locked_until = NULL,
+         updated_at = NOW()`,
+      [targetUserId, payload.reason]
+    );
+
+    await recordAudit(
+      req,
+      {
+        action: "user.lock_permanent",
+        targetType: "user",
+        targetId: targetUserId,
+        before,
+        after: await getSecuritySnapshot(targetUserId, client),
+        metadata: { ...metadata, reason: payload.reason },
+      },
+      client
+    );
+    logger.warn(
+      `🔒 Usuario ${targetUserId} bloqueado PERMANENTEMENTE. Razón: ${payload.reason}`
+    );
+  },
+};
+
+/**
+ * Ejecuta una acción destructiva dentro de la transacción `client`.
+ * Lanza { code, message } si ya no se puede aplicar (NOT_FOUND, LAST_ADMIN).
+ */
+export async function executeAdminAction(
+  client,
+  req,
+  { actionType, targetUserId, payload = {}, metadata = null }
+) {
+  const executor = executors[actionType];
+  if (!executor) {
+    throw actionError("UNKNOWN_ACTION", `Acción desconocida: ${actionType}`);
+  }
+  await executor(client, req, targetUserId, payload, metadata);
+}
+
+/**
+ * Ejecuta la acción de inmediato (sin aprobación) en su propia transacción.
+ */
+export async function runAdminActionNow(req, action) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await executeAdminAction(client, req, action);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Encola una acción para que la apruebe un segundo administrador.
+ * Lanza { code: "ALREADY_PENDING" } si ya hay una solicitud igual pendiente.
+ */
+export async function requestAdminAction(
+  req,
+  { actionType, targetUserId, targetSnapshot = null, payload = {} }
+) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO pending_admin_actions
+         (action_type, target_user_id, target_snapshot, payload, requested_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '1 hour' * $6)
+       RETURNING id, action_type, target_user_id, status, requested_at, expires_at`,
+      [
+        actionType,
+        targetUserId,
+        targetSnapshot ? JSON.stringify(targetSnapshot) : null,
+        JSON.stringify(payload),
+        req.user.id,
+        PENDING_ACTION_TTL_HOURS,
+      ]
+    );
+    const pending = result.rows[0];
+
+    await recordAudit(req, {
+      action: "admin_action.request",
+      targetType: "user",
+      targetId: targetUserId,
+      after: { action_type: actionType, payload },
+      metadata: { pending_action_id: pending.id },
+    });
+
+    logger.warn(
+      `⏳ Admin ${req.user.id} solicitó ${actionType} sobre usuario ${targetUserId} (pendiente de aprobación)`
+    );
+    return pending;
+  } catch (err) {
+    if (err.code === "23505") {
+      throw actionError(
+        "ALREADY_PENDING",
+        "Ya hay una solicitud pendiente para esta acción"
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Marca como vencidas las solicitudes pendientes cuyo plazo terminó.
+ */
+export async function expirePendingActions() {
+  const result = await pool.query(
+    `UPDATE pending_admin_actions
+     SET status = 'expired'
+     WHERE status = 'pending' AND expires_at <= NOW()`
+  );
+  return result.rowCount;
+}
+
+export default {
+  dualApprovalEnabled,
+  ACTION_PERMISSIONS,
+  executeAdminAction,
+  runAdminActionNow,
+  requestAdminAction,
+  expirePendingActions,
+};
@@ -0,0 +1,70 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { getClientIp, getUserAgent } from "./clientInfo.js";
+
+/**
+ * Registra una acción administrativa en admin_audit_log (solo inserción).
+ * Fuera de una transacción nunca lanza: si la auditoría falla se deja
+ * constancia en el logger.
+ * @param {Object} req - request autenticado
+ * @param {Object} entry - { action, targetType, targetId, before, after, metadata, actor }
+ *   actor: { id, email, role } (por defecto req.user)
+ * @param {Object} [db] - cliente de una transacción en curso (por defecto pool)
+ */
+export async function recordAudit(
+  req,
+  {
+    action,
+    targetType,
+    targetId = null,
+    before = null,
+    after = null,
+    metadata = null,
+    actor = req.user,
+  },
+  db = pool
+) {
+  try {
+    await db.query(
+      `INSERT INTO admin_audit_log
+         (actor_id, actor_email, actor_role, action, target_type, target_id,
+          before_data, after_data, metadata, ip_address, user_agent, request_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        actor?.id ?? null,
+        actor?.email ?? null,
+        actor?.role ?? null,
+        action,
+        targetType,
+        targetId === null ? null : String(targetId),
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        metadata === null ? null : JSON.stringify(metadata),
+        getClientIp(req),
+        getUserAgent(req),
+        req.id || null,
+      ]
+    );
+  } catch (err) {
+    logger.error(
+      `❌ Error registrando auditoría (${action} ${targetType}:${targetId}):`,
+      err.message
+    );
+    // Dentro de una transacción el error debe abortarla
+    if (db !== pool) throw err;
+  }
+}
+
+/**
+ * Estado de seguridad de un usuario, para before/after de la auditoría.
+ */
+export async function getSecuritySnapshot(userId, db = pool) {
+  const result = await db.query(
+    `SELECT login_attempts, is_locked, locked_until, lock_reason, is_permanently_locked
+     FROM user_security WHERE user_id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+export default { recordAudit, getSecuritySnapshot };
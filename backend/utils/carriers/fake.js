@@ -0,0 +1,45 @@
+/**
+ * Transportadora simulada para desarrollo y pruebas: no llama a ninguna API,
+ * el estado avanza con el tiempo transcurrido desde shipped_at.
+ * Las guías que empiezan por "FAIL" quedan en novedad (exception).
+ */
+const HOUR_MS = 60 * 60 * 1000;
+
+const STEPS = [
+  {
+    after: 0,
+    status: "in_transit",
+    event: "Guía recibida en bodega de origen",
+  },
+  { after: 24 * HOUR_MS, status: "out_for_delivery", event: "En reparto" },
+  { after: 48 * HOUR_MS, status: "delivered", event: "Entregado" },
+];
+
+export default {
+  code: "fake",
+  name: "Transportadora de prueba",
+
+  trackingUrl() {
+    return null;
+  },
+
+  async track({ tracking_number: trackingNumber, shipped_at: shippedAt }) {
+    if (trackingNumber.toUpperCase().startsWith("FAIL")) {
+      return {
+        status: "exception",
+        lastEvent: "Dirección no encontrada",
+        deliveredAt: null,
+      };
+    }
+
+    const shippedTime = new Date(shippedAt).getTime();
+    const elapsed = Date.now() - shippedTime;
+    const step = [...STEPS].reverse().find((item) => elapsed >= item.after);
+    return {
+      status: step.status,
+      lastEvent: step.event,
+      deliveredAt:
+        step.status === "delivered" ? new Date(shippedTime + step.after) : null,
+    };
+  },
+};
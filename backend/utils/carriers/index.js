@@ -0,0 +1,67 @@
+import { NODE_ENV } from "../config.js";
+import fakeCarrier from "./fake.js";
+
+/**
+ * Adaptador de transportadora.
+ * @typedef {Object} CarrierAdapter
+ * @property {string} code - valor guardado en shipments.carrier
+ * @property {string} name - nombre para mostrar
+ * @property {(trackingNumber: string) => string|null} trackingUrl
+ * @property {(shipment: Object) => Promise<TrackingResult>} [track]
+ *   Consulta el estado en la API de la transportadora. Sin track el envío
+ *   solo se actualiza a mano desde el panel.
+ *
+ * @typedef {Object} TrackingResult
+ * @property {string} status - uno de SHIPMENT_STATUSES
+ * @property {string|null} lastEvent
+ * @property {Date|null} deliveredAt
+ */
+
+const carriers = new Map();
+
+/**
+ * Registra (o reemplaza) un adaptador.
+ * @param {CarrierAdapter} adapter
+ */
+export function registerCarrier(adapter) {
+  if (!adapter?.code || !adapter.name) {
+    throw new Error("Un adaptador de transportadora necesita code y name");
+  }
+  carriers.set(adapter.code, adapter);
+}
+
+export function getCarrier(code) {
+  return carriers.get(code) || null;
+}
+
+export function listCarriers() {
+  return [...carriers.values()].map((carrier) => ({
+    code: carrier.code,
+    name: carrier.name,
+    tracking_api: typeof carrier.track === "function",
+  }));
+}
+
+// Transportadoras nacionales sin integración: guía y estado a mano
+function manualCarrier(code, name) {
+  return { code, name, trackingUrl: () => null };
+}
+
+[
+  manualCarrier("servientrega", "Servientrega"),
+  manualCarrier("interrapidisimo", "Inter Rapidísimo"),
+  manualCarrier("coordinadora", "Coordinadora"),
+  manualCarrier("envia", "Envía"),
+  manualCarrier("tcc", "TCC"),
+  manualCarrier("otra", "Otra transportadora"),
+].forEach(registerCarrier);
+
+if (NODE_ENV !== "production") {
+  registerCarrier(fakeCarrier);
+}
+
+export default {
+  registerCarrier,
+  getCarrier,
+  listCarriers,
+};
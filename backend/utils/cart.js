@@ -0,0 +1,358 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { cookieOptions } from "../middleware/jwt.js";
+import { generateOpaqueToken, hashToken } from "./tokens.js";
+import { findActivePrice } from "./catalog.js";
+import { findCheckoutVariant } from "./variants.js";
+
+export const CART_COOKIE = "cart_token";
+export const GUEST_CART_TTL_DAYS = 30;
+export const MAX_CART_LINES = 20;
+export const MAX_LINE_QUANTITY = 10;
+
+// Mensajes para los códigos que lanzan resolveCartLine y addCartItem
+export const CART_LINE_ERRORS = {
+  VARIANT_INVALID: "La variante no está disponible",
+  PRICE_INVALID: "El producto no está disponible",
+  VARIANT_REQUIRED: "Elige tamaño, molienda y tueste",
+  CART_FULL: `El carrito admite como máximo ${MAX_CART_LINES} productos distintos`,
+};
+
+// La cookie viaja también a /api/auth para fusionar el carrito al iniciar sesión
+const CART_COOKIE_PATH = "/api";
+
+function readGuestToken(req) {
+  const token = req.cookies?.[CART_COOKIE];
+  return typeof token === "string" && /^[A-Za-z0-9_-]{20,128}$/.test(token)
+    ? token
+    : null;
+}
+
+function clearGuestCookie(res) {
+  res.clearCookie(CART_COOKIE, cookieOptions({ path: CART_COOKIE_PATH }));
+}
+
+async function findGuestCart(req) {
+  const token = readGuestToken(req);
+  if (!token) return null;
+
+  const result = await pool.query(
+    `SELECT id, user_id FROM carts
+     WHERE token_hash = $1 AND user_id IS NULL AND expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Carrito de la petición: el del usuario autenticado o el del visitante.
+ */
+export async function findCart(req) {
+  if (!req.user) return findGuestCart(req);
+
+  const result = await pool.query(
+    "SELECT id, user_id FROM carts WHERE user_id = $1",
+    [req.user.id]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getOrCreateCart(req, res) {
+  const existing = await findCart(req);
+
+  if (existing && !req.user) {
+    // Cada escritura renueva la vigencia del carrito de visitante
+    await pool.query(
+      `UPDATE carts SET expires_at = NOW() + INTERVAL '1 day' * $2, updated_at = NOW()
+       WHERE id = $1`,
+      [existing.id, GUEST_CART_TTL_DAYS]
+    );
+    res.cookie(
+      CART_COOKIE,
+      readGuestToken(req),
+      cookieOptions({
+        path: CART_COOKIE_PATH,
+        maxAge: GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000,
+      })
+    );
+  }
+  if (existing) return existing;
+
+  if (req.user) {
+    const result = await pool.query(
+      `INSERT INTO carts (user_id) VALUES ($1)
+       ON CONFLICT (user_id) DO UPDATE SET updated_at = NOW()
+       RETURNING id, user_id`,
+      [req.user.id]
+    );
+    return result.rows[0];
+  }
+
+  await pool.query(
+    "DELETE FROM carts WHERE user_id IS NULL AND expires_at < NOW()"
+  );
+
+  const token = generateOpaqueToken(32);
+  const result = await pool.query(
+    `INSERT INTO carts (token_hash, expires_at)
+     VALUES ($1, NOW() + INTERVAL '1 day' * $2)
+     RETURNING id, user_id`,
+    [hashToken(token), GUEST_CART_TTL_DAYS]
+  );
+  res.cookie(
+    CART_COOKIE,
+    token,
+    cookieOptions({
+      path: CART_COOKIE_PATH,
+      maxAge: GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000,
+    })
+  );
+  return result.rows[0];
+}
+
+/**
+ * Resuelve lo que se quiere agregar con las mismas reglas del checkout.
+ * Lanza { code: "VARIANT_INVALID" | "PRICE_INVALID" | "VARIANT_REQUIRED" }.
+ * @returns {Promise<{ variantId, priceId, stripePriceId, unitAmount }>}
+ */
+export async function resolveCartLine({ variantId, priceId }) {
+  if (variantId) {
+    const variant = await findCheckoutVariant(parseInt(variantId, 10) || 0);
+    if (!variant) throw { code: "VARIANT_INVALID" };
+    return {
+      variantId: variant.id,
+      priceId: null,
+      stripePriceId: variant.stripe_price_id,
+      unitAmount: variant.unit_amount,
+    };
+  }
+
+  const price = priceId ? await findActivePrice(String(priceId)) : null;
+  if (!price) throw { code: "PRICE_INVALID" };
+  if (price.variant_id) {
+    return {
+      variantId: price.variant_id,
+      priceId: null,
+      stripePriceId: price.stripe_price_id,
+      unitAmount: price.unit_amount,
+    };
+  }
+  if (price.has_variants) throw { code: "VARIANT_REQUIRED" };
+  return {
+    variantId: null,
+    priceId: price.price_id,
+    stripePriceId: price.stripe_price_id,
+    unitAmount: price.unit_amount,
+  };
+}
+
+/**
+ * Agrega unidades a una línea (o la crea). La cantidad se limita a
+ * MAX_LINE_QUANTITY. Lanza { code: "CART_FULL" } si hay demasiadas líneas.
+ */
+export async function addCartItem(cartId, line, quantity, db = pool) {
+  const lines = await db.query(
+    `SELECT COUNT(*)::int AS count,
+            COUNT(*) FILTER (
+              WHERE variant_id IS NOT DISTINCT FROM $2
+                AND price_id IS NOT DISTINCT FROM $3
+            )::int AS same
+     FROM cart_items WHERE cart_id = $1`,
+    [cartId, line.variantId, line.priceId]
+  );
+  if (lines.rows[0].same === 0 && lines.rows[0].count >= MAX_CART_LINES) {
+    throw { code: "CART_FULL" };
+  }
+
+  const conflict = line.variantId
+    ? "(cart_id, variant_id) WHERE variant_id IS NOT NULL"
+    : "(cart_id, price_id) WHERE price_id IS NOT NULL";
+
+  await db.query(
+    `INSERT INTO cart_items (cart_id, variant_id, price_id, quantity, unit_amount_added)
+     VALUES ($1, $2, $3, LEAST($4::int, $6::int), $5)
+     ON CONFLICT ${conflict} DO UPDATE SET
+       quantity = LEAST(cart_items.quantity + EXCLUDED.quantity, $6::int),
+       updated_at = NOW()`,
+    [
+      cartId,
+      line.variantId,
+      line.priceId,
+      quantity,
+      line.unitAmount,
+      MAX_LINE_QUANTITY,
+    ]
+  );
+  await db.query("UPDATE carts SET updated_at = NOW() WHERE id = $1", [cartId]);
+}
+
+/**
+ * Carrito validado contra el catálogo actual. Cada línea usa el precio
+ * vigente de su variante e indica si ya no se puede comprar.
+ */
+export async function loadCart(cartId) {
+  const result = await pool.query(
+    `SELECT ci.id, ci.quantity, ci.variant_id, ci.unit_amount_added,
+            pr.id AS price_id, pr.stripe_price_id, pr.unit_amount, pr.currency,
+            p.id AS product_id, p.stripe_product_id, p.name AS product_name,
+            p.images[1] AS image,
+            v.sku, v.options, v.stock - v.reserved AS available_stock,
+            (p.active AND pr.active AND COALESCE(v.active, TRUE)) AS active
+     FROM cart_items ci
+     LEFT JOIN product_variants v ON v.id = ci.variant_id
+     JOIN prices pr ON pr.id = COALESCE(v.price_id, ci.price_id)
+     JOIN products p ON p.id = pr.product_id
+     WHERE ci.cart_id = $1
+     ORDER BY ci.created_at ASC, ci.id ASC`,
+    [cartId]
+  );
+
+  const items = result.rows.map((row) => {
+    const unitAmount = Number(row.unit_amount);
+    let issue = null;
+    if (!row.active) issue = "unavailable";
+    else if (row.variant_id && row.available_stock < row.quantity) {
+      issue = "insufficient_stock";
+    }
+
+    return {
+      id: row.id,
+      product_id: row.product_id,
+      product: row.stripe_product_id,
+      product_name: row.product_name,
+      image: row.image,
+      variant_id: row.variant_id,
+      sku: row.sku,
+      options: row.options,
+      price: row.stripe_price_id,
+      currency: row.currency,
+      unit_amount: unitAmount,
+      quantity: row.quantity,
+      line_total: unitAmount * row.quantity,
+      price_changed:
+        row.unit_amount_added !== null &&
+        Number(row.unit_amount_added) !== unitAmount,
+      available_stock: row.variant_id ? Math.max(row.available_stock, 0) : null,
+      issue,
+    };
+  });
+
+  const purchasable = items.filter((item) => !item.issue);
+  return {
+    id: cartId,
+    items,
+    item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: purchasable.reduce((sum, item) => sum + item.line_total, 0),
+    currency: items[0]?.currency || null,
+    valid: items.length > 0 && purchasable.length === items.length,
+  };
+}
+
+/**
+ * Pasa las líneas del carrito de visitante al del usuario que acaba de
+ * iniciar sesión y borra el de visitante. Nunca lanza: si la fusión falla
+ * se conserva la cookie para intentarlo en el próximo login.
+ */
+export async function mergeGuestCart(req, res, userId) {
+  const token = readGuestToken(req);
+  if (!token) return;
+
+  let client = null;
+  try {
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const guest = await client.query(
+      `SELECT id, expires_at FROM carts
+       WHERE token_hash = $1 AND user_id IS NULL
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const guestCart = guest.rows[0];
+
+    if (guestCart && new Date(guestCart.expires_at) > new Date()) {
+      const items = await client.query(
+        `SELECT variant_id, price_id, quantity, unit_amount_added
+         FROM cart_items WHERE cart_id = $1`,
+        [guestCart.id]
+      );
+      const userCart = await client.query(
+        `INSERT INTO carts (user_id) VALUES ($1)
+         ON CONFLICT (user_id) DO UPDATE SET updated_at = NOW()
+         RETURNING id`,
+        [userId]
+      );
+
+      for (const item of items.rows) {
+        try {
+          await addCartItem(
+            userCart.rows[0].id,
+            {
+              variantId: item.variant_id,
+              priceId: item.price_id,
+              unitAmount: item.unit_amount_added,
+            },
+            item.quantity,
+            client
+          );
+        } catch (err) {
+          // Carrito lleno: el resto de líneas del visitante se descarta
+          if (err.code !== "CART_FULL") throw err;
+          break;
+        }
+      }
+
+      logger.log(
+        `🛒 Carrito de visitante fusionado: ${items.rowCount} líneas → usuario ${userId}`
+      );
+    }
+
+    if (guestCart) {
+      await client.query("DELETE FROM carts WHERE id = $1", [guestCart.id]);
+    }
+
+    await client.query("COMMIT");
+    clearGuestCookie(res);
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    logger.error("❌ Error fusionando carrito:", err.message);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Quita del carrito del usuario lo que acaba de pagar.
+ * @param {Object} purchased - { variantIds, stripePriceIds }
+ */
+export async function removePurchasedItems(
+  userId,
+  { variantIds = [], stripePriceIds = [] },
+  db = pool
+) {
+  await db.query(
+    `DELETE FROM cart_items ci
+     USING carts c
+     WHERE c.id = ci.cart_id
+       AND c.user_id = $1
+       AND (
+         ci.variant_id = ANY($2::int[])
+         OR ci.price_id IN (SELECT id FROM prices WHERE stripe_price_id = ANY($3::text[]))
+       )`,
+    [userId, variantIds, stripePriceIds]
+  );
+}
+
+export default {
+  CART_COOKIE,
+  CART_LINE_ERRORS,
+  MAX_CART_LINES,
+  MAX_LINE_QUANTITY,
+  findCart,
+  getOrCreateCart,
+  resolveCartLine,
+  addCartItem,
+  loadCart,
+  mergeGuestCart,
+  removePurchasedItems,
+};
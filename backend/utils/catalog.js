@@ -0,0 +1,415 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import stripe from "./stripe.js";
+import { CATALOG_SYNC_INTERVAL_MINUTES } from "./config.js";
+
+const CACHE_TTL_MS = 60 * 1000;
+const SYNC_INTERVAL_MS =
+  (Number(CATALOG_SYNC_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+let catalogCache = null;
+let syncInProgress = null;
+
+export function invalidateCatalogCache() {
+  catalogCache = null;
+}
+
+function stripeId(value) {
+  return typeof value === "string" ? value : value?.id || null;
+}
+
+/**
+ * Inserta o actualiza un producto a partir del objeto de Stripe.
+ * Si la fila local es más nueva que sourceUpdatedAt no se modifica.
+ * @returns {Promise<number>} id local del producto
+ */
+export async function upsertProduct(
+  product,
+  { sourceUpdatedAt = new Date(), db = pool } = {}
+) {
+  const result = await db.query(
+    `INSERT INTO products
+       (stripe_product_id, name, description, images, metadata, active, source_updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (stripe_product_id) DO UPDATE SET
+       name = EXCLUDED.name,
+       description = EXCLUDED.description,
+       images = EXCLUDED.images,
+       metadata = EXCLUDED.metadata,
+       active = EXCLUDED.active,
+       source_updated_at = EXCLUDED.source_updated_at,
+       updated_at = NOW()
+     WHERE products.source_updated_at IS NULL
+        OR products.source_updated_at <= EXCLUDED.source_updated_at
+     RETURNING id`,
+    [
+      product.id,
+      product.name,
+      product.description || null,
+      product.images || [],
+      JSON.stringify(product.metadata || {}),
+      product.active !== false,
+      sourceUpdatedAt,
+    ]
+  );
+  invalidateCatalogCache();
+
+  if (result.rows[0]) return result.rows[0].id;
+
+  const existing = await db.query(
+    "SELECT id FROM products WHERE stripe_product_id = $1",
+    [product.id]
+  );
+  return existing.rows[0].id;
+}
+
+/**
+ * Inserta o actualiza un precio. Si el producto aún no existe localmente
+ * (eventos fuera de orden) se trae de Stripe primero.
+ * @returns {Promise<number>} id local del precio
+ */
+export async function upsertPrice(
+  price,
+  { sourceUpdatedAt = new Date(), db = pool } = {}
+) {
+  const stripeProductId = stripeId(price.product);
+
+  const productResult = await db.query(
+    "SELECT id FROM products WHERE stripe_product_id = $1",
+    [stripeProductId]
+  );
+  let productId = productResult.rows[0]?.id;
+
+  if (!productId) {
+    const product =
+      typeof price.product === "object" && price.product.name
+        ? price.product
+        : await stripe.products.retrieve(stripeProductId);
+    productId = await upsertProduct(product, { sourceUpdatedAt, db });
+  }
+
+  const result = await db.query(
+    `INSERT INTO prices
+       (stripe_price_id, product_id, currency, unit_amount, type, recurring,
+        nickname, metadata, active, source_updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (stripe_price_id) DO UPDATE SET
+       product_id = EXCLUDED.product_id,
+       currency = EXCLUDED.currency,
+       unit_amount = EXCLUDED.unit_amount,
+       type = EXCLUDED.type,
+       recurring = EXCLUDED.recurring,
+       nickname = EXCLUDED.nickname,
+       metadata = EXCLUDED.metadata,
+       active = EXCLUDED.active,
+       source_updated_at = EXCLUDED.source_updated_at,
+       updated_at = NOW()
+     WHERE prices.source_updated_at IS NULL
+        OR prices.source_updated_at <= EXCLUDED.source_updated_at
+     RETURNING id`,
+    [
+      price.id,
+      productId,
+      price.currency,
+      price.unit_amount ?? null,
+      price.type || "one_time",
+      price.recurring ? JSON.stringify(price.recurring) : null,
+      price.nickname || null,
+      JSON.stringify(price.metadata || {}),
+      price.active !== false,
+      sourceUpdatedAt,
+    ]
+  );
+  invalidateCatalogCache();
+
+  if (result.rows[0]) return result.rows[0].id;
+
+  const existing = await db.query(
+    "SELECT id FROM prices WHERE stripe_price_id = $1",
+    [price.id]
+  );
+  return existing.rows[0].id;
+}
+
+/**
+ * product.deleted: se archiva (no se borra: compras antiguas lo referencian).
+ */
+export async function archiveProduct(
+  stripeProductId,
+  { sourceUpdatedAt = new Date(), db = pool } = {}
+) {
+  await db.query(
+    `UPDATE products
+     SET active = FALSE, source_updated_at = $2, updated_at = NOW()
+     WHERE stripe_product_id = $1
+       AND (source_updated_at IS NULL OR source_updated_at <= $2)`,
+    [stripeProductId, sourceUpdatedAt]
+  );
+  await db.query(
+    `UPDATE prices SET active = FALSE, updated_at = NOW()
+     WHERE product_id = (SELECT id FROM products WHERE stripe_product_id = $1)`,
+    [stripeProductId]
+  );
+  invalidateCatalogCache();
+}
+
+export async function archivePrice(
+  stripePriceId,
+  { sourceUpdatedAt = new Date(), db = pool } = {}
+) {
+  await db.query(
+    `UPDATE prices
+     SET active = FALSE, source_updated_at = $2, updated_at = NOW()
+     WHERE stripe_price_id = $1
+       AND (source_updated_at IS NULL OR source_updated_at <= $2)`,
+    [stripePriceId, sourceUpdatedAt]
+  );
+  invalidateCatalogCache();
+}
+
+async function runCatalogSync() {
+  const startedAt = new Date();
+  const seenProducts = [];
+  const seenPrices = [];
+
+  // products.list / prices.list sin filtro incluyen los archivados
+  for await (const product of stripe.products.list({ limit: 100 })) {
+    await upsertProduct(product, { sourceUpdatedAt: startedAt });
+    seenProducts.push(product.id);
+  }
+
+  for await (const price of stripe.prices.list({ limit: 100 })) {
+    await upsertPrice(price, { sourceUpdatedAt: startedAt });
+    seenPrices.push(price.id);
+  }
+
+  // Lo que ya no existe en Stripe (eliminado) queda inactivo
+  await pool.query(
+    `UPDATE products SET active = FALSE, updated_at = NOW()
+     WHERE active = TRUE
+       AND stripe_product_id <> ALL($1::text[])
+       AND (source_updated_at IS NULL OR source_updated_at < $2)`,
+    [seenProducts, startedAt]
+  );
+  await pool.query(
+    `UPDATE prices SET active = FALSE, updated_at = NOW()
+     WHERE active = TRUE
+       AND stripe_price_id <> ALL($1::text[])
+       AND (source_updated_at IS NULL OR source_updated_at < $2)`,
+    [seenPrices, startedAt]
+  );
+  invalidateCatalogCache();
+
+  logger.log(
+    `🔄 Catálogo sincronizado con Stripe: ${seenProducts.length} productos, ${seenPrices.length} precios`
+  );
+  return { products: seenProducts.length, prices: seenPrices.length };
+}
+
+/**
+ * Sincroniza el catálogo completo desde Stripe.
+ * Si ya hay una sincronización en curso devuelve la misma promesa.
+ */
+export function syncCatalogFromStripe() {
+  if (!syncInProgress) {
+    syncInProgress = runCatalogSync().finally(() => {
+      syncInProgress = null;
+    });
+  }
+  return syncInProgress;
+}
+
+/**
+ * Sincroniza al arrancar y luego cada CATALOG_SYNC_INTERVAL_MINUTES (60 por defecto).
+ */
+export function startCatalogSync() {
+  const run = () =>
+    syncCatalogFromStripe().catch((err) =>
+      logger.error("❌ Error sincronizando catálogo:", err.message)
+    );
+
+  run();
+  setInterval(run, SYNC_INTERVAL_MS).unref();
+}
+
+async function loadCatalog() {
+  const products = await pool.query(
+    `SELECT stripe_product_id, name, description, images, metadata, active
+     FROM products
+     WHERE active = TRUE
+     ORDER BY name ASC`
+  );
+  const prices = await pool.query(
+    `SELECT pr.stripe_price_id, p.stripe_product_id, pr.currency, pr.unit_amount,
+            pr.type, pr.recurring, pr.nickname, pr.metadata, pr.active
+     FROM prices pr
+     JOIN products p ON p.id = pr.product_id
+     WHERE pr.active = TRUE AND p.active = TRUE
+     ORDER BY pr.unit_amount ASC`
+  );
+  const options = await pool.query(
+    `SELECT o.product_id, p.stripe_product_id, o.name, o."values"
+     FROM product_options o
+     JOIN products p ON p.id = o.product_id
+     WHERE p.active = TRUE
+     ORDER BY o.position ASC, o.id ASC`
+  );
+  const variants = await pool.query(
+    `SELECT v.id, v.sku, v.options, v.stock - v.reserved AS available,
+            p.stripe_product_id,
+            pr.stripe_price_id, pr.currency, pr.unit_amount
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     JOIN prices pr ON pr.id = v.price_id
+     WHERE v.active = TRUE AND pr.active = TRUE AND p.active = TRUE
+     ORDER BY v.product_id, pr.unit_amount ASC`
+  );
+
+  // Misma forma que devolvía la API de Stripe para no romper el frontend
+  return {
+    products: products.rows.map((row) => ({
+      id: row.stripe_product_id,
+      object: "product",
+      name: row.name,
+      description: row.description,
+      images: row.images,
+      metadata: row.metadata,
+      active: row.active,
+      options: options.rows
+        .filter((option) => option.stripe_product_id === row.stripe_product_id)
+        .map((option) => ({ name: option.name, values: option.values })),
+    })),
+    variants: variants.rows.map((row) => ({
+      id: row.id,
+      product: row.stripe_product_id,
+      sku: row.sku,
+      options: row.options,
+      price: row.stripe_price_id,
+      currency: row.currency,
+      unit_amount: Number(row.unit_amount),
+      in_stock: row.available > 0,
+    })),
+    prices: prices.rows.map((row) => ({
+      id: row.stripe_price_id,
+      object: "price",
+      product: row.stripe_product_id,
+      currency: row.currency,
+      unit_amount: row.unit_amount === null ? null : Number(row.unit_amount),
+      type: row.type,
+      recurring: row.recurring,
+      nickname: row.nickname,
+      metadata: row.metadata,
+      active: row.active,
+    })),
+  };
+}
+
+/**
+ * Catálogo de la tienda desde la base de datos, con caché en memoria.
+ * Si la base de datos falla se sirve la última copia aunque esté vencida.
+ */
+export async function getStorefrontCatalog() {
+  if (catalogCache && catalogCache.expiresAt > Date.now()) {
+    return catalogCache.data;
+  }
+
+  try {
+    const data = await loadCatalog();
+    catalogCache = { data, expiresAt: Date.now() + CACHE_TTL_MS };
+    return data;
+  } catch (err) {
+    if (catalogCache) {
+      logger.warn("⚠️ Sirviendo catálogo en caché vencida:", err.message);
+      return catalogCache.data;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Precio activo del catálogo local (para validar el checkout).
+ * variant_id indica si el precio es el de una variante y has_variants
+ * si el producto solo se vende eligiendo variante.
+ */
+export async function findActivePrice(stripePriceId) {
+  const result = await pool.query(
+    `SELECT pr.id AS price_id, pr.stripe_price_id, pr.unit_amount, pr.currency,
+            p.id AS product_id, p.stripe_product_id, p.name AS product_name, p.images,
+            v.id AS variant_id,
+            EXISTS (
+              SELECT 1 FROM product_variants pv
+              WHERE pv.product_id = p.id AND pv.active = TRUE
+            ) AS has_variants
+     FROM prices pr
+     JOIN products p ON p.id = pr.product_id
+     LEFT JOIN product_variants v ON v.price_id = pr.id AND v.active = TRUE
+     WHERE pr.stripe_price_id = $1 AND pr.active = TRUE AND p.active = TRUE`,
+    [stripePriceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Producto con todos sus precios (activos e inactivos), opciones y
+ * variantes para el panel admin.
+ */
+export async function getAdminProduct(productId) {
+  const result = await pool.query(
+    `SELECT p.id, p.stripe_product_id, p.name, p.description, p.images,
+            p.metadata, p.active, p.created_at, p.updated_at,
+            COALESCE(
+              json_agg(
+                json_build_object(
+                  'id', pr.id,
+                  'stripe_price_id', pr.stripe_price_id,
+                  'currency', pr.currency,
+                  'unit_amount', pr.unit_amount,
+                  'active', pr.active,
+                  'variant_price', EXISTS (
+                    SELECT 1 FROM product_variants v WHERE v.price_id = pr.id
+                  )
+                ) ORDER BY pr.active DESC, pr.created_at DESC
+              ) FILTER (WHERE pr.id IS NOT NULL),
+              '[]'
+            ) AS prices
+     FROM products p
+     LEFT JOIN prices pr ON pr.product_id = p.id
+     WHERE p.id = $1
+     GROUP BY p.id`,
+    [productId]
+  );
+  const product = result.rows[0];
+  if (!product) return null;
+
+  const options = await pool.query(
+    `SELECT name, "values" FROM product_options
+     WHERE product_id = $1
+     ORDER BY position ASC, id ASC`,
+    [productId]
+  );
+  const variants = await pool.query(
+    `SELECT v.id, v.sku, v.options, v.stock, v.reserved, v.low_stock_threshold,
+            v.weight_grams, v.active, v.created_at, v.updated_at,
+            pr.stripe_price_id, pr.currency, pr.unit_amount
+     FROM product_variants v
+     JOIN prices pr ON pr.id = v.price_id
+     WHERE v.product_id = $1
+     ORDER BY v.active DESC, v.id ASC`,
+    [productId]
+  );
+
+  return { ...product, options: options.rows, variants: variants.rows };
+}
+
+export default {
+  invalidateCatalogCache,
+  upsertProduct,
+  upsertPrice,
+  archiveProduct,
+  archivePrice,
+  syncCatalogFromStripe,
+  startCatalogSync,
+  getStorefrontCatalog,
+  findActivePrice,
+  getAdminProduct,
+};
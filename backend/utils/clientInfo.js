@@ -0,0 +1,61 @@
+/**
+ * Obtiene la IP real del cliente (considera proxies como Render).
+ */
+export function getClientIp(req) {
+  const xForwardedFor = req.headers["x-forwarded-for"];
+
+  if (xForwardedFor) {
+    const ips = xForwardedFor.split(",").map((ip) => ip.trim());
+    return ips[0];
+  }
+
+  return (
+    req.ip ||
+    req.connection?.remoteAddress ||
+    req.socket?.remoteAddress ||
+    (req.connection &&
+      req.connection.socket &&
+      req.connection.socket.remoteAddress) ||
+    "IP_DESCONOCIDA"
+  );
+}
+
+/**
+ * User-Agent del cliente, recortado para guardarlo en DB.
+ */
+export function getUserAgent(req) {
+  const ua = req.headers["user-agent"];
+  return typeof ua === "string" ? ua.slice(0, 512) : null;
+}
+
+/**
+ * Descripción legible del dispositivo a partir del User-Agent
+ * (ej. "Chrome en Android"). No pretende ser exhaustiva.
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return "Dispositivo desconocido";
+
+  const browsers = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/SamsungBrowser/, "Samsung Internet"],
+    [/Chrome\//, "Chrome"],
+    [/Firefox\//, "Firefox"],
+    [/Safari\//, "Safari"],
+  ];
+  const systems = [
+    [/Android/, "Android"],
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"],
+  ];
+
+  const browser = browsers.find(([re]) => re.test(userAgent))?.[1];
+  const system = systems.find(([re]) => re.test(userAgent))?.[1];
+
+  if (browser && system) return `${browser} en ${system}`;
+  return browser || system || "Dispositivo desconocido";
+}
+
+export default { getClientIp, getUserAgent, describeDevice };
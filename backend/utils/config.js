@@ -26,4 +26,18 @@ export const {
   TWILIO_PHONE_NUMBER,
   ADMIN_PHONE_NUMBER,
   STRIPE_WEBHOOK_SECRET,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_USER,
+  SMTP_PASSWORD,
+  MAIL_FROM,
+  REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT,
+  MFA_ENCRYPTION_KEY,
+  REQUIRE_MFA_FOR_STAFF,
+  WEBAUTHN_RP_ID,
+  WEBAUTHN_RP_NAME,
+  WEBAUTHN_ORIGIN,
+  ADMIN_DUAL_APPROVAL,
+  CATALOG_SYNC_INTERVAL_MINUTES,
+  SHIPMENT_TRACKING_INTERVAL_MINUTES,
 } = process.env;
@@ -0,0 +1,72 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { sendMail } from "./mailer.js";
+import { generateOpaqueToken, hashToken } from "./tokens.js";
+import { FRONTEND_URL, REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT } from "./config.js";
+
+const TOKEN_TTL_HOURS = 24;
+export const MAX_EMAILS_PER_HOUR = 3;
+
+/**
+ * Política: ¿se exige email verificado para pagar?
+ * Se activa con REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT=true.
+ */
+export const requireVerifiedEmailForCheckout =
+  REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === "true";
+
+/**
+ * Cantidad de correos de verificación emitidos a un usuario en la última hora.
+ */
+export async function countRecentVerificationEmails(userId) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FROM email_verification_tokens
+     WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [userId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Emite un token de verificación (invalida los anteriores del mismo
+ * propósito) y envía el enlace por correo.
+ * @param {Object} user - { id, name }
+ * @param {Object} options - { email, purpose: 'register' | 'change' }
+ */
+export async function issueEmailVerification(user, { email, purpose }) {
+  await pool.query(
+    `UPDATE email_verification_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [user.id, purpose]
+  );
+
+  const token = generateOpaqueToken(32);
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, email, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + INTERVAL '1 hour' * $5)`,
+    [user.id, email, purpose, hashToken(token), TOKEN_TTL_HOURS]
+  );
+
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(
+    token
+  )}`;
+  const subject =
+    purpose === "change"
+      ? "Confirma tu nuevo correo"
+      : "Confirma tu correo en Café Aroma de la Serranía";
+  const text = `Hola ${
+    user.name || ""
+  }, confirma tu correo abriendo este enlace: ${link}\nEl enlace vence en ${TOKEN_TTL_HOURS} horas. Si no fuiste tú, ignora este mensaje.`;
+
+  const sent = await sendMail({ to: email, subject, text });
+  logger.log(
+    `📧 Verificación de email (${purpose}) emitida para usuario ${user.id}`
+  );
+  return sent;
+}
+
+export default {
+  issueEmailVerification,
+  countRecentVerificationEmails,
+  requireVerifiedEmailForCheckout,
+  MAX_EMAILS_PER_HOUR,
+};
@@ -0,0 +1,458 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { sendAdminSms } from "./sms.js";
+import { describeVariant } from "./variants.js";
+
+// Stripe exige que una sesión de Checkout dure al menos 30 minutos
+export const RESERVATION_TTL_MINUTES = 35;
+// Margen para que llegue checkout.session.expired antes de liberar por barrido
+const RESERVATION_GRACE_MINUTES = 10;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+export const MOVEMENT_REASONS = [
+  "initial",
+  "restock",
+  "sale",
+  "return",
+  "damage",
+  "correction",
+  "cancellation",
+];
+
+/**
+ * Inserta un movimiento en el libro de inventario.
+ */
+async function insertMovement(
+  db,
+  {
+    variantId,
+    delta,
+    stockAfter,
+    reason,
+    note,
+    reservationId,
+    orderId,
+    actorId,
+  }
+) {
+  const result = await db.query(
+    `INSERT INTO stock_movements
+       (variant_id, delta, stock_after, reason, note, reservation_id, order_id, actor_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, variant_id, delta, stock_after, reason, note, created_at`,
+    [
+      variantId,
+      delta,
+      stockAfter,
+      reason,
+      note || null,
+      reservationId || null,
+      orderId || null,
+      actorId || null,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Reserva unidades de una variante para un checkout abierto.
+ * Lanza { code: "OUT_OF_STOCK" } si no hay suficientes disponibles.
+ * @returns {Promise<{ id: number, expires_at: Date }>}
+ */
+export async function reserveStock(variantId, quantity, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const updated = await client.query(
+      `UPDATE product_variants
+       SET reserved = reserved + $2, updated_at = NOW()
+       WHERE id = $1 AND active = TRUE AND stock - reserved >= $2`,
+      [variantId, quantity]
+    );
+    if (updated.rowCount === 0) {
+      throw { code: "OUT_OF_STOCK" };
+    }
+
+    const result = await client.query(
+      `INSERT INTO stock_reservations (variant_id, user_id, quantity, expires_at)
+       VALUES ($1, $2, $3, NOW() + INTERVAL '1 minute' * $4)
+       RETURNING id, expires_at`,
+      [variantId, userId, quantity, RESERVATION_TTL_MINUTES]
+    );
+
+    await client.query("COMMIT");
+    return result.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function attachReservationSession(reservationId, sessionId) {
+  await pool.query(
+    "UPDATE stock_reservations SET stripe_session_id = $2 WHERE id = $1",
+    [reservationId, sessionId]
+  );
+}
+
+async function releaseWhere(condition, params, db = null) {
+  const client = db || (await pool.connect());
+  try {
+    if (!db) await client.query("BEGIN");
+
+    const released = await client.query(
+      `UPDATE stock_reservations
+       SET status = 'released', resolved_at = NOW()
+       WHERE status = 'active' AND ${condition}
+       RETURNING id, variant_id, quantity`,
+      params
+    );
+    for (const reservation of released.rows) {
+      await client.query(
+        `UPDATE product_variants
+         SET reserved = GREATEST(reserved - $2, 0), updated_at = NOW()
+         WHERE id = $1`,
+        [reservation.variant_id, reservation.quantity]
+      );
+    }
+
+    if (!db) await client.query("COMMIT");
+    return released.rowCount;
+  } catch (err) {
+    if (!db) await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    if (!db) client.release();
+  }
+}
+
+/**
+ * Libera una reserva activa (checkout expirado o fallido).
+ * @param {Object} where - { reservationId } o { sessionId }
+ * @param {Object} db - cliente de transacción opcional
+ * @returns {Promise<number>} reservas liberadas
+ */
+export function releaseReservation({ reservationId, sessionId }, db = null) {
+  return reservationId
+    ? releaseWhere("id = $1", [reservationId], db)
+    : releaseWhere("stripe_session_id = $1", [sessionId], db);
+}
+
+/**
+ * Libera reservas cuyo checkout venció y cuyo webhook nunca llegó.
+ */
+export function releaseExpiredReservations() {
+  return releaseWhere("expires_at < NOW() - INTERVAL '1 minute' * $1", [
+    RESERVATION_GRACE_MINUTES,
+  ]);
+}
+
+/**
+ * Descuenta una línea vendida dentro de la transacción de confirmación.
+ * Si no venía de una reserva activa se descuenta igual y se avisa de sobreventa.
+ */
+async function recordSale(
+  client,
+  { variantId, quantity, reservation, orderId, sessionId }
+) {
+  const current = await client.query(
+    "SELECT stock, reserved FROM product_variants WHERE id = $1 FOR UPDATE",
+    [variantId]
+  );
+  const variant = current.rows[0];
+  if (!variant) return;
+
+  const reserved = Boolean(reservation);
+  const available = reserved ? variant.stock : variant.stock - variant.reserved;
+  if (available < quantity) {
+    logger.warn(
+      `⚠️ Sobreventa: variante ${variantId} sin stock suficiente en sesión ${sessionId}`
+    );
+  }
+  const stockAfter = Math.max(variant.stock - quantity, 0);
+  const reservedAfter = Math.min(
+    reserved ? Math.max(variant.reserved - quantity, 0) : variant.reserved,
+    stockAfter
+  );
+
+  await client.query(
+    `UPDATE product_variants
+     SET stock = $2, reserved = $3, updated_at = NOW()
+     WHERE id = $1`,
+    [variantId, stockAfter, reservedAfter]
+  );
+
+  if (stockAfter !== variant.stock) {
+    await insertMovement(client, {
+      variantId,
+      delta: stockAfter - variant.stock,
+      stockAfter,
+      reason: "sale",
+      reservationId: reservation?.id,
+      orderId,
+    });
+  }
+}
+
+/**
+ * Convierte las reservas de la sesión en venta: descuenta stock y
+ * reservado y registra los movimientos.
+ * @param {Object} options
+ *   items: [{ variantId, quantity }] vendidos según Stripe. Las líneas sin
+ *   reserva activa (liberada por vencimiento) se descuentan igual.
+ *   Si se omite, se usan las reservas de la sesión.
+ *   db: cliente de transacción opcional. Con él, el aviso de stock bajo
+ *   queda a cargo de quien confirma la transacción (checkLowStock).
+ * @returns {Promise<number[]>} variantes descontadas
+ */
+export async function commitReservation(
+  sessionId,
+  { orderId, items = null, db = null } = {}
+) {
+  const client = db || (await pool.connect());
+  let soldVariantIds = [];
+
+  try {
+    if (!db) await client.query("BEGIN");
+
+    const found = await client.query(
+      `SELECT id, variant_id, quantity, status FROM stock_reservations
+       WHERE stripe_session_id = $1
+       FOR UPDATE`,
+      [sessionId]
+    );
+    const reservations = found.rows;
+
+    // Ya confirmada (reintento del webhook)
+    if (
+      reservations.some((reservation) => reservation.status === "committed")
+    ) {
+      if (!db) await client.query("ROLLBACK");
+      return [];
+    }
+
+    const active = reservations.filter(
+      (reservation) => reservation.status === "active"
+    );
+    const lines =
+      items ||
+      active.map((reservation) => ({
+        variantId: reservation.variant_id,
+        quantity: reservation.quantity,
+      }));
+
+    for (const line of lines) {
+      const index = active.findIndex(
+        (reservation) => reservation.variant_id === line.variantId
+      );
+      const [reservation] = index >= 0 ? active.splice(index, 1) : [null];
+
+      await recordSale(client, {
+        variantId: line.variantId,
+        quantity: reservation?.quantity || line.quantity,
+        reservation,
+        orderId,
+        sessionId,
+      });
+      if (reservation) {
+        await client.query(
+          `UPDATE stock_reservations
+           SET status = 'committed', resolved_at = NOW()
+           WHERE id = $1`,
+          [reservation.id]
+        );
+      }
+    }
+
+    // Reservas que no corresponden a ninguna línea pagada
+    for (const reservation of active) {
+      await client.query(
+        `UPDATE stock_reservations
+         SET status = 'released', resolved_at = NOW()
+         WHERE id = $1`,
+        [reservation.id]
+      );
+      await client.query(
+        `UPDATE product_variants
+         SET reserved = GREATEST(reserved - $2, 0), updated_at = NOW()
+         WHERE id = $1`,
+        [reservation.variant_id, reservation.quantity]
+      );
+    }
+
+    if (!db) await client.query("COMMIT");
+    soldVariantIds = lines.map((line) => line.variantId);
+  } catch (err) {
+    if (!db) await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    if (!db) client.release();
+  }
+
+  if (db) return soldVariantIds;
+  for (const variantId of soldVariantIds) {
+    await checkLowStock(variantId);
+  }
+  return soldVariantIds;
+}
+
+/**
+ * Ajuste manual de stock con su movimiento en el libro.
+ * Lanza { code: "NOT_FOUND" } o { code: "BELOW_RESERVED", reserved }.
+ * @param {Object} db - cliente de transacción opcional
+ */
+export async function adjustStock(
+  { variantId, delta, reason, note, actorId, orderId },
+  db = null
+) {
+  const client = db || (await pool.connect());
+  try {
+    if (!db) await client.query("BEGIN");
+
+    const current = await client.query(
+      "SELECT stock, reserved FROM product_variants WHERE id = $1 FOR UPDATE",
+      [variantId]
+    );
+    const variant = current.rows[0];
+    if (!variant) throw { code: "NOT_FOUND" };
+
+    const stockAfter = variant.stock + delta;
+    if (stockAfter < variant.reserved) {
+      throw { code: "BELOW_RESERVED", reserved: variant.reserved };
+    }
+
+    await client.query(
+      `UPDATE product_variants
+       SET stock = $2,
+           low_stock_alerted_at = CASE
+             WHEN $2 > low_stock_threshold THEN NULL
+             ELSE low_stock_alerted_at
+           END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [variantId, stockAfter]
+    );
+
+    const movement = await insertMovement(client, {
+      variantId,
+      delta,
+      stockAfter,
+      reason,
+      note,
+      orderId,
+      actorId,
+    });
+
+    if (!db) await client.query("COMMIT");
+    return { stock_before: variant.stock, ...movement };
+  } catch (err) {
+    if (!db) await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    if (!db) client.release();
+  }
+}
+
+/**
+ * Devuelve al stock las unidades de un pedido cancelado, descontando las
+ * que ya volvieron (p. ej. por un reembolso con devolución al stock).
+ * Un movimiento por variante, enlazado al pedido.
+ * @param {Object} db - cliente de la transacción del pedido
+ * @returns {Promise<number>} movimientos registrados
+ */
+export async function restockOrder(orderId, { reason, note }, db) {
+  const items = await db.query(
+    `SELECT oi.variant_id,
+            SUM(oi.quantity)::int - COALESCE((
+              SELECT SUM(m.delta)::int FROM stock_movements m
+              WHERE m.order_id = $1 AND m.variant_id = oi.variant_id
+                AND m.reason IN ('return', 'cancellation') AND m.delta > 0
+            ), 0) AS quantity
+     FROM order_items oi
+     WHERE oi.order_id = $1 AND oi.variant_id IS NOT NULL
+     GROUP BY oi.variant_id`,
+    [orderId]
+  );
+  const pending = items.rows.filter((item) => item.quantity > 0);
+  for (const item of pending) {
+    await adjustStock(
+      {
+        variantId: item.variant_id,
+        delta: item.quantity,
+        reason,
+        note,
+        orderId,
+      },
+      db
+    );
+  }
+  return pending.length;
+}
+
+/**
+ * Avisa al admin por SMS cuando el stock de una variante llega al umbral.
+ * Solo una vez hasta que se reponga por encima del umbral. Nunca lanza.
+ */
+export async function checkLowStock(variantId) {
+  if (!variantId) return;
+  try {
+    const result = await pool.query(
+      `UPDATE product_variants v
+       SET low_stock_alerted_at = NOW()
+       FROM products p
+       WHERE v.id = $1
+         AND p.id = v.product_id
+         AND v.active = TRUE
+         AND v.stock <= v.low_stock_threshold
+         AND v.low_stock_alerted_at IS NULL
+       RETURNING v.sku, v.options, v.stock, p.name AS product_name`,
+      [variantId]
+    );
+    const variant = result.rows[0];
+    if (!variant) return;
+
+    logger.warn(`📉 Stock bajo: ${variant.sku} (${variant.stock})`);
+    await sendAdminSms(
+      `📉 Stock bajo: ${variant.product_name} (${describeVariant(
+        variant.options
+      )}) SKU ${variant.sku}. Quedan ${variant.stock} unidades.`
+    );
+  } catch (err) {
+    logger.error("❌ Error revisando stock bajo:", err.message);
+  }
+}
+
+/**
+ * Barre reservas vencidas cada 5 minutos.
+ */
+export function startInventoryJobs() {
+  const run = () =>
+    releaseExpiredReservations()
+      .then((count) => {
+        if (count > 0) {
+          logger.log(`🔓 ${count} reservas de stock vencidas liberadas`);
+        }
+      })
+      .catch((err) =>
+        logger.error("❌ Error liberando reservas vencidas:", err.message)
+      );
+
+  setInterval(run, SWEEP_INTERVAL_MS).unref();
+}
+
+export default {
+  RESERVATION_TTL_MINUTES,
+  MOVEMENT_REASONS,
+  reserveStock,
+  attachReservationSession,
+  releaseReservation,
+  releaseExpiredReservations,
+  commitReservation,
+  adjustStock,
+  restockOrder,
+  checkLowStock,
+  startInventoryJobs,
+};
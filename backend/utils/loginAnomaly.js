@@ -0,0 +1,200 @@
+import geoip from "geoip-lite";
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { describeDevice } from "./clientInfo.js";
+import { sendAdminSms, sendSms } from "./sms.js";
+
+const HISTORY_DAYS = 90;
+const HISTORY_LIMIT = 200;
+// Velocidad de un vuelo comercial; por encima el viaje es "imposible"
+const MAX_TRAVEL_KMH = 900;
+// GeoIP no es exacto: distancias cortas no se consideran viaje
+const MIN_TRAVEL_KM = 500;
+const FAILURE_BURST_WINDOW_MINUTES = 15;
+const FAILURE_BURST_ACCOUNTS = 5;
+
+/**
+ * Ubicación aproximada de una IP (null para IPs privadas o desconocidas).
+ */
+export function lookupLocation(ip) {
+  const geo = ip ? geoip.lookup(ip) : null;
+  if (!geo) return null;
+
+  return {
+    country: geo.country || null,
+    city: geo.city || null,
+    latitude: geo.ll?.[0] ?? null,
+    longitude: geo.ll?.[1] ?? null,
+  };
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Cantidad de cuentas distintas con intentos fallidos desde una IP
+ * en la ventana reciente.
+ */
+async function countFailingAccountsFromIp(ip) {
+  if (!ip) return 0;
+
+  const result = await pool.query(
+    `SELECT COUNT(DISTINCT COALESCE(user_id::text, email)) AS accounts
+     FROM login_events
+     WHERE ip_address = $1
+       AND outcome IN ('failure', 'mfa_failure', 'locked')
+       AND created_at > NOW() - INTERVAL '1 minute' * $2`,
+    [ip, FAILURE_BURST_WINDOW_MINUTES]
+  );
+  return Number(result.rows[0].accounts) || 0;
+}
+
+/**
+ * Compara un login exitoso con el historial del usuario.
+ */
+async function detectSuccessAnomalies(event, flags) {
+  const history = await pool.query(
+    `SELECT ip_address, user_agent, latitude, longitude, created_at
+     FROM login_events
+     WHERE user_id = $1
+       AND id <> $2
+       AND outcome = 'success'
+       AND created_at > NOW() - INTERVAL '1 day' * $3
+     ORDER BY created_at DESC
+     LIMIT $4`,
+    [event.userId, event.id, HISTORY_DAYS, HISTORY_LIMIT]
+  );
+
+  // Primer login registrado: no hay con qué comparar
+  if (history.rows.length === 0) return;
+
+  if (!history.rows.some((row) => row.ip_address === event.ip)) {
+    flags.push("new_ip");
+  }
+
+  const device = describeDevice(event.userAgent);
+  if (!history.rows.some((row) => describeDevice(row.user_agent) === device)) {
+    flags.push("new_device");
+  }
+
+  const previous = history.rows.find((row) => row.latitude !== null);
+  if (previous && event.location?.latitude != null) {
+    const km = distanceKm(
+      Number(previous.latitude),
+      Number(previous.longitude),
+      event.location.latitude,
+      event.location.longitude
+    );
+    const hours = Math.max(
+      (Date.now() - new Date(previous.created_at).getTime()) / 3600000,
+      1 / 60
+    );
+
+    if (km >= MIN_TRAVEL_KM && km / hours > MAX_TRAVEL_KMH) {
+      flags.push("impossible_travel");
+    }
+  }
+}
+
+function shouldAlertUser(flags) {
+  return (
+    flags.includes("impossible_travel") ||
+    flags.includes("ip_failure_burst") ||
+    (flags.includes("new_ip") && flags.includes("new_device"))
+  );
+}
+
+async function notifyUser(event) {
+  const userResult = await pool.query(
+    "SELECT name, phone_number FROM users WHERE id = $1",
+    [event.userId]
+  );
+  const user = userResult.rows[0];
+  if (!user?.phone_number) {
+    logger.warn(
+      `⚠️ Login anómalo de usuario ${event.userId} sin teléfono para alertar`
+    );
+    return;
+  }
+
+  const place = [event.location?.city, event.location?.country]
+    .filter(Boolean)
+    .join(", ");
+  const message = `Café Aroma de la Serranía: detectamos un inicio de sesión en tu cuenta desde ${describeDevice(
+    event.userAgent
+  )}${
+    place ? ` (${place})` : ""
+  }. Si no fuiste tú, cambia tu contraseña y cierra tus sesiones activas.`;
+
+  const sid = await sendSms(user.phone_number, message);
+  if (sid) {
+    await pool.query(
+      "UPDATE login_events SET alert_sent_at = NOW() WHERE id = $1",
+      [event.id]
+    );
+    logger.log(`📲 Alerta de login anómalo enviada al usuario ${event.userId}`);
+  }
+}
+
+/**
+ * Evalúa un evento de login ya guardado y lo marca si es anómalo:
+ * - éxito desde IP o dispositivo nunca vistos
+ * - viaje imposible respecto al último login con ubicación
+ * - ráfaga de fallos contra muchas cuentas desde la misma IP
+ * Avisa por SMS al dueño de la cuenta (y al admin en ráfagas).
+ * @param {Object} event - { id, userId, outcome, ip, userAgent, location }
+ * @returns {Promise<string[]>} marcas de anomalía
+ */
+export async function analyzeLoginEvent(event) {
+  const flags = [];
+
+  const failingAccounts = await countFailingAccountsFromIp(event.ip);
+  if (failingAccounts >= FAILURE_BURST_ACCOUNTS) {
+    flags.push("ip_failure_burst");
+  }
+
+  if (event.outcome === "success" && event.userId) {
+    await detectSuccessAnomalies(event, flags);
+  }
+
+  if (flags.length === 0) return flags;
+
+  await pool.query(
+    `UPDATE login_events
+     SET anomaly_flags = $2, is_anomalous = TRUE
+     WHERE id = $1`,
+    [event.id, flags]
+  );
+  logger.warn(
+    `🚨 Login anómalo (${flags.join(", ")}) usuario ${
+      event.userId || "desconocido"
+    } desde ${event.ip}`
+  );
+
+  // Se avisa al admin solo al cruzar el umbral, no en cada intento
+  if (
+    event.outcome !== "success" &&
+    failingAccounts === FAILURE_BURST_ACCOUNTS
+  ) {
+    sendAdminSms(
+      `🚨 ${failingAccounts} cuentas con intentos fallidos desde la IP ${event.ip} en ${FAILURE_BURST_WINDOW_MINUTES} minutos.`
+    );
+  }
+
+  if (event.outcome === "success" && event.userId && shouldAlertUser(flags)) {
+    notifyUser(event).catch((err) =>
+      logger.error("❌ Error enviando alerta de login:", err.message)
+    );
+  }
+
+  return flags;
+}
+
+export default { lookupLocation, analyzeLoginEvent };
@@ -0,0 +1,119 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { getClientIp, getUserAgent } from "./clientInfo.js";
+import { analyzeLoginEvent, lookupLocation } from "./loginAnomaly.js";
+
+/**
+ * Traduce un error de login (ver loginUser / getLoginLockError)
+ * al resultado que se guarda en login_events.
+ */
+export function loginOutcomeFromError(error) {
+  if (error?.code === "ACCOUNT_PERMANENTLY_LOCKED") return "blocked";
+  if (error?.code === "ACCOUNT_LOCKED") return "locked";
+  return "failure";
+}
+
+/**
+ * Registra un intento de login y lo pasa por la detección de anomalías.
+ * Nunca lanza: un fallo al guardar el historial no debe impedir ni
+ * romper el login.
+ * @param {Object} req
+ * @param {Object} event - { userId, email, method, outcome, reason, sessionId }
+ */
+export async function recordLoginEvent(
+  req,
+  {
+    userId = null,
+    email = null,
+    method,
+    outcome,
+    reason = null,
+    sessionId = null,
+  }
+) {
+  try {
+    const cleanEmail =
+      typeof email === "string"
+        ? email.trim().toLowerCase().slice(0, 255)
+        : null;
+    const ip = getClientIp(req);
+    const userAgent = getUserAgent(req);
+    const location = lookupLocation(ip);
+
+    // Si no viene el id se resuelve por email (intentos fallidos)
+    const result = await pool.query(
+      `INSERT INTO login_events
+         (user_id, email, method, outcome, reason, ip_address, user_agent, session_id,
+          country, city, latitude, longitude)
+       VALUES (
+         COALESCE($1::int, (SELECT id FROM users WHERE LOWER(email) = $2 LIMIT 1)),
+         $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
+       )
+       RETURNING id, user_id`,
+      [
+        userId,
+        cleanEmail,
+        method,
+        outcome,
+        reason ? String(reason).slice(0, 100) : null,
+        ip,
+        userAgent,
+        sessionId,
+        location?.country || null,
+        location?.city?.slice(0, 100) || null,
+        location?.latitude ?? null,
+        location?.longitude ?? null,
+      ]
+    );
+    const saved = result.rows[0];
+
+    await analyzeLoginEvent({
+      id: saved.id,
+      userId: saved.user_id,
+      outcome,
+      ip,
+      userAgent,
+      location,
+    });
+  } catch (err) {
+    logger.error("❌ Error registrando evento de login:", err.message);
+  }
+}
+
+/**
+ * Totales de un usuario a partir del historial.
+ */
+export async function getUserLoginStats(userId) {
+  const result = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE outcome = 'success') AS total_success,
+       COUNT(*) FILTER (WHERE outcome IN ('failure', 'mfa_failure')) AS total_failed,
+       COUNT(*) FILTER (WHERE outcome = 'success'
+                          AND created_at >= CURRENT_DATE) AS success_today,
+       COUNT(*) FILTER (WHERE outcome IN ('failure', 'mfa_failure')
+                          AND created_at >= CURRENT_DATE) AS failed_today,
+       COUNT(*) FILTER (WHERE outcome IN ('locked', 'blocked')) AS total_locked,
+       MAX(created_at) FILTER (WHERE outcome = 'success') AS last_success_at,
+       MAX(created_at) FILTER (WHERE outcome <> 'success') AS last_failure_at
+     FROM login_events
+     WHERE user_id = $1`,
+    [userId]
+  );
+  const row = result.rows[0];
+
+  return {
+    total_success: Number(row.total_success) || 0,
+    total_failed: Number(row.total_failed) || 0,
+    success_today: Number(row.success_today) || 0,
+    failed_today: Number(row.failed_today) || 0,
+    total_locked: Number(row.total_locked) || 0,
+    last_success_at: row.last_success_at,
+    last_failure_at: row.last_failure_at,
+  };
+}
+
+export default {
+  loginOutcomeFromError,
+  recordLoginEvent,
+  getUserLoginStats,
+};
@@ -0,0 +1,45 @@
+import nodemailer from "nodemailer";
+import logger from "./logger.js";
+import {
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_USER,
+  SMTP_PASSWORD,
+  MAIL_FROM,
+} from "./config.js";
+
+const transporter = SMTP_HOST
+  ? nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: parseInt(SMTP_PORT, 10) || 587,
+      secure: parseInt(SMTP_PORT, 10) === 465,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined,
+    })
+  : null;
+
+/**
+ * Envía un correo. Nunca lanza: devuelve true si se entregó al SMTP.
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!transporter) {
+    logger.warn("📭 SMTP no configurado, correo no enviado:", subject);
+    return false;
+  }
+
+  try {
+    const info = await transporter.sendMail({
+      from: MAIL_FROM || SMTP_USER,
+      to,
+      subject,
+      text,
+      html,
+    });
+    logger.log("✅ Correo enviado:", info.messageId);
+    return true;
+  } catch (err) {
+    logger.error("❌ Error enviando correo:", err.message);
+    return false;
+  }
+}
+
+export default { sendMail };
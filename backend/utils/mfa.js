@@ -0,0 +1,146 @@
+import crypto from "crypto";
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { getClientIp } from "./clientInfo.js";
+import { verifyTotp } from "./totp.js";
+import { REQUIRE_MFA_FOR_STAFF } from "./config.js";
+import { decryptSecret, generateOpaqueToken, hashToken } from "./tokens.js";
+import { isStaffRole } from "./permissions.js";
+
+export const RECOVERY_CODES_COUNT = 10;
+export const LOGIN_CHALLENGE_TTL_MINUTES = 5;
+export const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Se exige 2FA al personal (desactivable con REQUIRE_MFA_FOR_STAFF=false)
+export const mfaRequiredForStaff = REQUIRE_MFA_FOR_STAFF !== "false";
+
+/**
+ * ¿El rol exige 2FA? Aplica a cualquier rol con permisos administrativos.
+ */
+export async function isMfaRequiredForRole(roleName) {
+  if (!mfaRequiredForStaff) return false;
+  return isStaffRole(roleName);
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[^a-f0-9]/g, "");
+}
+
+/**
+ * Estado de 2FA de un usuario.
+ */
+export async function getMfaStatus(userId) {
+  const result = await pool.query(
+    `SELECT m.enabled, m.enabled_at,
+            (SELECT COUNT(*) FROM mfa_recovery_codes r
+             WHERE r.user_id = m.user_id AND r.used_at IS NULL) AS recovery_codes_remaining
+     FROM user_mfa m
+     WHERE m.user_id = $1`,
+    [userId]
+  );
+  const row = result.rows[0];
+  return {
+    enabled: Boolean(row?.enabled),
+    enabled_at: row?.enabled_at || null,
+    recovery_codes_remaining: Number(row?.recovery_codes_remaining) || 0,
+  };
+}
+
+/**
+ * Reemplaza los códigos de recuperación del usuario por uno nuevos.
+ * Los códigos en claro solo se devuelven aquí, una única vez.
+ * @param {Object} client - conexión (pool o cliente de transacción)
+ */
+export async function generateRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [
+    userId,
+  ]);
+  for (const code of codes) {
+    await client.query(
+      "INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)",
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+}
+
+/**
+ * Verifica un segundo factor: código TOTP o código de recuperación.
+ * Los códigos TOTP no pueden reutilizarse y los de recuperación
+ * quedan consumidos.
+ * @returns {Promise<string|null>} "totp" | "recovery_code" | null
+ */
+export async function verifySecondFactor(
+  userId,
+  { code, recoveryCode },
+  client = pool
+) {
+  if (recoveryCode) {
+    const result = await client.query(
+      `UPDATE mfa_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    if (result.rowCount > 0) {
+      logger.warn(`🔑 Código de recuperación usado por usuario ${userId}`);
+      return "recovery_code";
+    }
+    return null;
+  }
+
+  const mfa = await client.query(
+    "SELECT totp_secret_enc FROM user_mfa WHERE user_id = $1 AND enabled = TRUE",
+    [userId]
+  );
+  if (!mfa.rows[0]) return null;
+
+  const step = verifyTotp(decryptSecret(mfa.rows[0].totp_secret_enc), code);
+  if (step === null) return null;
+
+  const updated = await client.query(
+    `UPDATE user_mfa SET last_used_step = $2, updated_at = NOW()
+     WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+    [userId, step]
+  );
+  return updated.rowCount > 0 ? "totp" : null;
+}
+
+/**
+ * Crea un desafío de login parcial (primer factor ya validado).
+ * @param {string} method - método del primer factor ("local", "google")
+ */
+export async function createLoginChallenge(userId, req, method) {
+  const challengeToken = generateOpaqueToken(32);
+  await pool.query(
+    `INSERT INTO login_challenges (user_id, token_hash, method, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + INTERVAL '1 minute' * $5)`,
+    [
+      userId,
+      hashToken(challengeToken),
+      method,
+      getClientIp(req),
+      LOGIN_CHALLENGE_TTL_MINUTES,
+    ]
+  );
+  return {
+    challenge_token: challengeToken,
+    expires_in: LOGIN_CHALLENGE_TTL_MINUTES * 60,
+  };
+}
+
+export default {
+  getMfaStatus,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  mfaRequiredForStaff,
+  isMfaRequiredForRole,
+};
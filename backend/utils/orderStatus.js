@@ -0,0 +1,224 @@
+export const ORDER_STATUSES = [
+  "pendiente",
+  "procesando",
+  "enviado",
+  "completado",
+  "cancelado",
+];
+
+import { restockOrder } from "./inventory.js";
+
+// Transiciones permitidas. completado y cancelado son finales.
+export const ORDER_TRANSITIONS = {
+  pendiente: ["procesando", "cancelado"],
+  procesando: ["enviado", "cancelado"],
+  enviado: ["completado"],
+  completado: [],
+  cancelado: [],
+};
+
+// Estados de preparación y envío: solo con el pago recibido
+const FULFILMENT_STATUSES = ["procesando", "enviado"];
+const PAID_STATUSES = ["paid", "partially_refunded"];
+
+const STATUS_MESSAGES = {
+  procesando: (id) => `Estamos preparando tu pedido #${id}. ☕`,
+  enviado: (id) => `¡Tu pedido #${id} va en camino! ☕`,
+  completado: (id) =>
+    `Tu pedido #${id} fue entregado. ¡Gracias por tu compra! ☕`,
+  cancelado: (id) =>
+    `Tu pedido #${id} fue cancelado. Escríbenos si tienes dudas. ☕`,
+};
+
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Texto del SMS que recibe el cliente al pasar su pedido a un estado.
+ */
+export function statusMessage(orderId, status) {
+  return STATUS_MESSAGES[status]?.(orderId) || null;
+}
+
+/**
+ * Agrega una entrada al historial de estados del pedido.
+ */
+export async function recordStatusChange(
+  db,
+  {
+    orderId,
+    from = null,
+    to,
+    note = null,
+    source = "system",
+    actorId = null,
+    notifyCustomer = false,
+  }
+) {
+  const result = await db.query(
+    `INSERT INTO order_status_history
+       (order_id, from_status, to_status, note, source, actor_id, notify_customer)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, from_status, to_status, note, source, actor_id,
+               notify_customer, created_at`,
+    [orderId, from, to, note, source, actorId, notifyCustomer]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Cambia el estado de un pedido si la transición está permitida y la
+ * registra en el historial. Un pedido solo se prepara o envía con el pago
+ * recibido y sin retención, y al cancelarlo sus unidades vuelven al stock.
+ * Lanza { code: "NOT_FOUND" }, { code: "INVALID_TRANSITION", from, allowed },
+ * { code: "PAYMENT_PENDING", paymentStatus } o { code: "ORDER_ON_HOLD", reason }.
+ * @param {Object} db - cliente de la transacción
+ * @returns {Promise<{ from, to, phone, entry }>}
+ */
+export async function transitionOrderStatus(
+  db,
+  orderId,
+  to,
+  { note, source = "admin", actorId = null, notifyCustomer = false } = {}
+) {
+  const current = await db.query(
+    `SELECT status, payment_status, phone, shipping_hold, hold_reason
+     FROM compras WHERE id = $1 FOR UPDATE`,
+    [orderId]
+  );
+  const order = current.rows[0];
+  if (!order) throw { code: "NOT_FOUND" };
+
+  if (!canTransition(order.status, to)) {
+    throw {
+      code: "INVALID_TRANSITION",
+      from: order.status,
+      allowed: ORDER_TRANSITIONS[order.status] || [],
+    };
+  }
+  if (
+    FULFILMENT_STATUSES.includes(to) &&
+    !PAID_STATUSES.includes(order.payment_status)
+  ) {
+    throw { code: "PAYMENT_PENDING", paymentStatus: order.payment_status };
+  }
+  if (FULFILMENT_STATUSES.includes(to) && order.shipping_hold) {
+    throw { code: "ORDER_ON_HOLD", reason: order.hold_reason };
+  }
+
+  await db.query("UPDATE compras SET status = $2 WHERE id = $1", [orderId, to]);
+  if (to === "cancelado") {
+    await restockOrder(
+      orderId,
+      { reason: "cancellation", note: note || "Pedido cancelado" },
+      db
+    );
+  }
+  const entry = await recordStatusChange(db, {
+    orderId,
+    from: order.status,
+    to,
+    note,
+    source,
+    actorId,
+    notifyCustomer,
+  });
+
+  return { from: order.status, to, phone: order.phone, entry };
+}
+
+/**
+ * Retiene un pedido: no se podrá preparar ni enviar hasta liberarlo. El
+ * estado no cambia; la retención queda en el historial con su motivo.
+ * @param {Object} db - cliente de la transacción
+ */
+export async function holdOrder(
+  db,
+  orderId,
+  reason,
+  { source = "system", actorId = null } = {}
+) {
+  const result = await db.query(
+    `UPDATE compras SET shipping_hold = TRUE, hold_reason = $2
+     WHERE id = $1
+     RETURNING status`,
+    [orderId, reason]
+  );
+  const order = result.rows[0];
+  if (!order) throw { code: "NOT_FOUND" };
+
+  return recordStatusChange(db, {
+    orderId,
+    from: order.status,
+    to: order.status,
+    note: `Retenido: ${reason}`,
+    source,
+    actorId,
+  });
+}
+
+/**
+ * Libera la retención de un pedido y la deja en el historial.
+ * Lanza { code: "NOT_FOUND" } o { code: "NOT_ON_HOLD" }.
+ * @param {Object} db - cliente de la transacción
+ * @returns {Promise<{ reason, entry }>}
+ */
+export async function releaseOrderHold(
+  db,
+  orderId,
+  { note = null, actorId = null } = {}
+) {
+  const current = await db.query(
+    "SELECT status, shipping_hold, hold_reason FROM compras WHERE id = $1 FOR UPDATE",
+    [orderId]
+  );
+  const order = current.rows[0];
+  if (!order) throw { code: "NOT_FOUND" };
+  if (!order.shipping_hold) throw { code: "NOT_ON_HOLD" };
+
+  await db.query(
+    "UPDATE compras SET shipping_hold = FALSE, hold_reason = NULL WHERE id = $1",
+    [orderId]
+  );
+  const entry = await recordStatusChange(db, {
+    orderId,
+    from: order.status,
+    to: order.status,
+    note: note ? `Retención liberada: ${note}` : "Retención liberada",
+    source: "admin",
+    actorId,
+  });
+
+  return { reason: order.hold_reason, entry };
+}
+
+/**
+ * Subconsulta con el historial de estados del pedido como arreglo JSON.
+ * internal: incluye notas, origen y actor (solo para el panel admin).
+ */
+export function orderTimelineJson(alias = "c", { internal = false } = {}) {
+  const fields = internal
+    ? `'from_status', h.from_status, 'to_status', h.to_status,
+      'note', h.note, 'source', h.source, 'actor_id', h.actor_id,
+      'actor_email', actor.email, 'created_at', h.created_at`
+    : `'status', h.to_status, 'created_at', h.created_at`;
+  return `COALESCE((
+    SELECT json_agg(json_build_object(${fields}) ORDER BY h.created_at, h.id)
+    FROM order_status_history h
+    ${internal ? "LEFT JOIN users actor ON actor.id = h.actor_id" : ""}
+    WHERE h.order_id = ${alias}.id
+  ), '[]'::json)`;
+}
+
+export default {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  statusMessage,
+  recordStatusChange,
+  transitionOrderStatus,
+  holdOrder,
+  releaseOrderHold,
+  orderTimelineJson,
+};
@@ -0,0 +1,201 @@
+import pool from "../database/db.js";
+import { describeVariant } from "./variants.js";
+import { recordStatusChange } from "./orderStatus.js";
+
+/**
+ * Subconsulta con las líneas de un pedido como arreglo JSON.
+ * Se usa dentro de un SELECT sobre `compras` con el alias indicado.
+ */
+export function orderItemsJson(alias = "c") {
+  return `COALESCE((
+    SELECT json_agg(json_build_object(
+      'id', oi.id,
+      'product_id', oi.product_id,
+      'variant_id', oi.variant_id,
+      'product_name', oi.product_name,
+      'variant_sku', oi.variant_sku,
+      'variant_options', oi.variant_options,
+      'image', oi.image,
+      'quantity', oi.quantity,
+      'unit_amount', oi.unit_amount,
+      'subtotal', oi.subtotal,
+      'total', oi.total,
+      'quantity_refunded', oi.quantity_refunded,
+      'amount_refunded', oi.amount_refunded,
+      'currency', oi.currency
+    ) ORDER BY oi.id)
+    FROM order_items oi
+    WHERE oi.order_id = ${alias}.id
+  ), '[]'::json)`;
+}
+
+/**
+ * Nombre de una línea para mostrar: producto y, si aplica, la variante.
+ */
+export function itemLabel(item) {
+  return item.variant_options
+    ? `${item.product_name} (${describeVariant(item.variant_options)})`
+    : item.product_name;
+}
+
+/**
+ * Resumen de un pedido en una línea de texto (columna compras.producto y SMS).
+ */
+export function orderSummary(items) {
+  return items
+    .map((item) =>
+      item.quantity > 1
+        ? `${itemLabel(item)} x${item.quantity}`
+        : itemLabel(item)
+    )
+    .join(", ");
+}
+
+/**
+ * Convierte las líneas de una sesión de Checkout (con price.product
+ * expandido) en líneas de pedido, enlazadas al catálogo local cuando el
+ * precio existe allí. El precio de Stripe identifica a la variante.
+ */
+export async function buildOrderItems(lineItems, db = pool) {
+  const stripePriceIds = lineItems.map((item) => item.price.id);
+  const result = await db.query(
+    `SELECT DISTINCT ON (pr.stripe_price_id)
+            pr.stripe_price_id, pr.id AS price_id, pr.product_id,
+            v.id AS variant_id, v.sku, v.options
+     FROM prices pr
+     LEFT JOIN product_variants v ON v.price_id = pr.id
+     WHERE pr.stripe_price_id = ANY($1::text[])
+     ORDER BY pr.stripe_price_id, v.active DESC NULLS LAST`,
+    [stripePriceIds]
+  );
+  const catalog = new Map(result.rows.map((row) => [row.stripe_price_id, row]));
+
+  return lineItems.map((item) => {
+    const local = catalog.get(item.price.id);
+    const product = item.price.product || {};
+    const quantity = item.quantity || 1;
+    return {
+      product_id: local?.product_id || null,
+      price_id: local?.price_id || null,
+      variant_id: local?.variant_id || null,
+      stripe_price_id: item.price.id,
+      product_name: product.name || item.description || "Producto",
+      variant_sku: local?.sku || null,
+      variant_options: local?.variant_id ? local.options : null,
+      image: product.images?.[0] || null,
+      quantity,
+      unit_amount:
+        item.price.unit_amount ?? Math.round(item.amount_subtotal / quantity),
+      subtotal: item.amount_subtotal,
+      total: item.amount_total,
+      currency: item.currency || item.price.currency,
+    };
+  });
+}
+
+/**
+ * Guarda el pedido (encabezado en compras) y todas sus líneas en una
+ * transacción.
+ * @param {Object} db - cliente de transacción opcional
+ * @returns {Promise<number>} id del pedido
+ */
+export async function createOrder(
+  {
+    userId,
+    phone,
+    shippingAddress,
+    stripeSessionId,
+    paymentIntentId = null,
+    paymentStatus = "paid",
+    total,
+    currency,
+    shippingAmount = 0,
+    shippingZoneId = null,
+    discountAmount = 0,
+    promotionId = null,
+    items,
+  },
+  db = null
+) {
+  const client = db || (await pool.connect());
+  try {
+    if (!db) await client.query("BEGIN");
+
+    const order = await client.query(
+      `INSERT INTO compras
+         (user_id, producto, precio, fecha, status, phone, shipping_address,
+          stripe_session_id, image, currency, payment_status,
+          stripe_payment_intent_id, shipping_amount, shipping_zone_id,
+          discount_amount, promotion_id)
+       VALUES ($1, $2, $3, NOW(), 'pendiente', $4, $5, $6, $7, $8, $9, $10,
+               $11, (SELECT id FROM shipping_zones WHERE id = $12),
+               $13, (SELECT id FROM promotions WHERE id = $14))
+       RETURNING id`,
+      [
+        userId,
+        orderSummary(items),
+        total / 100,
+        phone,
+        JSON.stringify(shippingAddress),
+        stripeSessionId,
+        items[0]?.image || "No image",
+        currency,
+        paymentStatus,
+        paymentIntentId,
+        shippingAmount,
+        shippingZoneId,
+        discountAmount,
+        promotionId,
+      ]
+    );
+    const orderId = order.rows[0].id;
+    await recordStatusChange(client, {
+      orderId,
+      to: "pendiente",
+      source: "stripe",
+      note: paymentStatus === "pending" ? "Pago pendiente" : null,
+    });
+
+    for (const item of items) {
+      await client.query(
+        `INSERT INTO order_items
+           (order_id, product_id, price_id, variant_id, stripe_price_id,
+            product_name, variant_sku, variant_options, image, quantity,
+            unit_amount, subtotal, total, currency)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+          orderId,
+          item.product_id,
+          item.price_id,
+          item.variant_id,
+          item.stripe_price_id,
+          item.product_name,
+          item.variant_sku,
+          item.variant_options ? JSON.stringify(item.variant_options) : null,
+          item.image,
+          item.quantity,
+          item.unit_amount,
+          item.subtotal,
+          item.total,
+          item.currency,
+        ]
+      );
+    }
+
+    if (!db) await client.query("COMMIT");
+    return orderId;
+  } catch (err) {
+    if (!db) await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    if (!db) client.release();
+  }
+}
+
+export default {
+  orderItemsJson,
+  itemLabel,
+  orderSummary,
+  buildOrderItems,
+  createOrder,
+};
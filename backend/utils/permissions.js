@@ -0,0 +1,77 @@
+import pool from "../database/db.js";
+
+// Los permisos por rol cambian poco: se cachean para no consultar en cada request
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+/**
+ * Permisos de un rol (Set de claves como "orders:update_status").
+ * Un rol inexistente devuelve un Set vacío.
+ */
+export async function getRolePermissions(roleName) {
+  if (!roleName) return new Set();
+
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const result = await pool.query(
+    `SELECT p.key
+     FROM roles r
+     JOIN role_permissions rp ON rp.role_id = r.id
+     JOIN permissions p ON p.id = rp.permission_id
+     WHERE r.name = $1`,
+    [roleName]
+  );
+  const permissions = new Set(result.rows.map((row) => row.key));
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+}
+
+/**
+ * Invalida la caché (llamar después de modificar roles o permisos).
+ */
+export function clearPermissionCache() {
+  cache.clear();
+}
+
+/**
+ * Un rol es "personal" si tiene al menos un permiso administrativo.
+ */
+export async function isStaffRole(roleName) {
+  const permissions = await getRolePermissions(roleName);
+  return permissions.size > 0;
+}
+
+/**
+ * Permisos de los roles indicados que no tiene el rol de referencia
+ * (para que nadie asigne o quite más de lo que él mismo puede hacer).
+ * @returns {Promise<string[]>}
+ */
+export async function permissionsNotHeld(roleName, otherRoles) {
+  const held = await getRolePermissions(roleName);
+  const missing = new Set();
+  for (const other of otherRoles) {
+    for (const permission of await getRolePermissions(other)) {
+      if (!held.has(permission)) missing.add(permission);
+    }
+  }
+  return [...missing].sort();
+}
+
+export async function roleExists(roleName) {
+  const result = await pool.query("SELECT 1 FROM roles WHERE name = $1", [
+    roleName,
+  ]);
+  return result.rowCount > 0;
+}
+
+export default {
+  getRolePermissions,
+  clearPermissionCache,
+  isStaffRole,
+  permissionsNotHeld,
+  roleExists,
+};
@@ -0,0 +1,389 @@
+import pool from "../database/db.js";
+import stripe from "./stripe.js";
+
+export const DISCOUNT_TYPES = ["percent", "fixed"];
+// Lo que dura una sesión de Checkout si no se fija expires_at
+const REDEMPTION_TTL_HOURS = 24;
+
+// Un uso cuenta para los límites si se canjeó o sigue apartado
+const LIVE_REDEMPTION = `(status = 'redeemed'
+  OR (status = 'pending' AND expires_at > NOW()))`;
+
+/**
+ * Código en mayúsculas; null si no tiene entre 3 y 40 letras, números,
+ * guiones o guiones bajos.
+ */
+export function normalizeCode(value) {
+  const code = String(value || "")
+    .trim()
+    .toUpperCase();
+  return /^[A-Z0-9_-]{3,40}$/.test(code) ? code : null;
+}
+
+/**
+ * Valida los campos de una promoción. partial: solo los que vienen.
+ * @returns {{ promotion?: Object, error?: string }}
+ */
+export function normalizePromotionInput(body = {}, { partial = false } = {}) {
+  const promotion = {};
+  const has = (field) => body[field] !== undefined || !partial;
+  const optionalInt = (field, min) => {
+    const value = body[field];
+    if (value === undefined || value === null || value === "") return null;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min ? number : undefined;
+  };
+  const optionalDate = (field) => {
+    const value = body[field];
+    if (value === undefined || value === null || value === "") return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  };
+
+  if (!partial) {
+    promotion.code = normalizeCode(body.code);
+    if (!promotion.code) {
+      return { error: "code inválido (3 a 40 letras, números, - o _)" };
+    }
+  }
+  if (body.description !== undefined) {
+    promotion.description = String(body.description || "").slice(0, 500);
+  }
+  if (
+    body.discount_type === undefined &&
+    ["percent_off", "amount_off", "currency"].some(
+      (field) => body[field] !== undefined
+    )
+  ) {
+    return { error: "Envía discount_type junto con el descuento" };
+  }
+  if (has("discount_type")) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      return {
+        error: `discount_type debe ser uno de: ${DISCOUNT_TYPES.join(", ")}`,
+      };
+    }
+    promotion.discount_type = body.discount_type;
+    if (body.discount_type === "percent") {
+      const percent = Number(body.percent_off);
+      if (!(percent > 0 && percent <= 100)) {
+        return { error: "percent_off debe estar entre 0 y 100" };
+      }
+      promotion.percent_off = Math.round(percent * 100) / 100;
+      promotion.amount_off = null;
+    } else {
+      const amount = optionalInt("amount_off", 1);
+      if (!amount) return { error: "amount_off inválido" };
+      promotion.amount_off = amount;
+      promotion.percent_off = null;
+      promotion.currency = String(body.currency || "cop").toLowerCase();
+      if (!/^[a-z]{3}$/.test(promotion.currency)) {
+        return { error: "currency inválida" };
+      }
+    }
+  }
+  for (const [field, min] of [
+    ["min_order_amount", 0],
+    ["max_redemptions", 1],
+    ["max_redemptions_per_user", 1],
+  ]) {
+    if (body[field] === undefined) continue;
+    const value = optionalInt(field, min);
+    if (value === undefined) return { error: `${field} inválido` };
+    promotion[field] = value;
+  }
+  for (const field of ["starts_at", "ends_at"]) {
+    if (body[field] === undefined) continue;
+    const value = optionalDate(field);
+    if (value === undefined) return { error: `${field} inválida` };
+    promotion[field] = value;
+  }
+  if (body.product_ids !== undefined) {
+    const ids = Array.isArray(body.product_ids)
+      ? body.product_ids.map(Number)
+      : null;
+    if (!ids || ids.some((id) => !Number.isInteger(id) || id < 1)) {
+      return { error: "product_ids debe ser un arreglo de IDs" };
+    }
+    promotion.product_ids = [...new Set(ids)];
+  }
+  if (body.active !== undefined) promotion.active = body.active === true;
+
+  return { promotion };
+}
+
+/**
+ * IDs de Stripe de los productos permitidos.
+ * Lanza { code: "UNKNOWN_PRODUCTS", ids } si alguno no existe.
+ */
+async function stripeProductIds(productIds, db) {
+  if (!productIds?.length) return [];
+  const result = await db.query(
+    "SELECT id, stripe_product_id FROM products WHERE id = ANY($1::int[])",
+    [productIds]
+  );
+  const missing = productIds.filter(
+    (id) => !result.rows.some((row) => row.id === id)
+  );
+  if (missing.length > 0) throw { code: "UNKNOWN_PRODUCTS", ids: missing };
+  return result.rows.map((row) => row.stripe_product_id);
+}
+
+/**
+ * Crea el cupón de Stripe de la promoción (los cupones no se editan:
+ * cambiar el descuento o los productos crea otro).
+ * @returns {Promise<string>} id del cupón
+ */
+export async function createStripeCoupon(promotion, db = pool) {
+  const products = await stripeProductIds(promotion.product_ids, db);
+  const coupon = await stripe.coupons.create({
+    name: promotion.code,
+    duration: "once",
+    ...(promotion.discount_type === "percent"
+      ? { percent_off: Number(promotion.percent_off) }
+      : { amount_off: promotion.amount_off, currency: promotion.currency }),
+    ...(products.length > 0 && { applies_to: { products } }),
+    metadata: { promotion_code: promotion.code },
+  });
+  return coupon.id;
+}
+
+async function priceLines(items, db) {
+  const result = await db.query(
+    `SELECT pr.stripe_price_id, pr.unit_amount, pr.currency, pr.product_id
+     FROM prices pr
+     WHERE pr.stripe_price_id = ANY($1::text[])`,
+    [items.map((item) => item.stripePriceId)]
+  );
+  return items.map((item) => {
+    const price = result.rows.find(
+      (row) => row.stripe_price_id === item.stripePriceId
+    );
+    return {
+      productId: price?.product_id || null,
+      currency: price?.currency || null,
+      total: Number(price?.unit_amount || 0) * item.quantity,
+    };
+  });
+}
+
+/**
+ * Descuento estimado sobre las líneas que admite la promoción (Stripe
+ * calcula el definitivo).
+ * @returns {{ subtotal, eligibleSubtotal, discount }}
+ */
+export function computeDiscount(promotion, lines) {
+  const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+  const eligibleSubtotal = lines
+    .filter(
+      (line) =>
+        promotion.product_ids.length === 0 ||
+        promotion.product_ids.includes(line.productId)
+    )
+    .filter(
+      (line) =>
+        promotion.discount_type === "percent" ||
+        line.currency === promotion.currency
+    )
+    .reduce((sum, line) => sum + line.total, 0);
+
+  const discount =
+    promotion.discount_type === "percent"
+      ? Math.round((eligibleSubtotal * Number(promotion.percent_off)) / 100)
+      : Math.min(promotion.amount_off, eligibleSubtotal);
+  return { subtotal, eligibleSubtotal, discount };
+}
+
+/**
+ * Valida el código para el carrito y aparta un uso mientras dure la
+ * sesión de pago.
+ * Lanza { code } : PROMO_INVALID, PROMO_NOT_STARTED, PROMO_EXPIRED,
+ * PROMO_EXHAUSTED, PROMO_USER_LIMIT, PROMO_MIN_ORDER o PROMO_NOT_APPLICABLE.
+ * @param {Array<{ stripePriceId, quantity }>} items
+ * @returns {Promise<{ redemptionId, promotion, subtotal, discount }>}
+ */
+export async function reservePromotion({ code, userId, items }) {
+  const normalized = normalizeCode(code);
+  if (!normalized) throw { code: "PROMO_INVALID" };
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // El bloqueo serializa los canjes: los límites no se pueden pasar
+    const result = await client.query(
+      `SELECT id, code, discount_type, percent_off, amount_off, currency,
+              min_order_amount, max_redemptions, max_redemptions_per_user,
+              starts_at, ends_at, product_ids, stripe_coupon_id
+       FROM promotions
+       WHERE code = $1 AND active
+       FOR UPDATE`,
+      [normalized]
+    );
+    const promotion = result.rows[0];
+    if (!promotion) throw { code: "PROMO_INVALID" };
+
+    const now = new Date();
+    if (promotion.starts_at && promotion.starts_at > now) {
+      throw { code: "PROMO_NOT_STARTED", startsAt: promotion.starts_at };
+    }
+    if (promotion.ends_at && promotion.ends_at <= now) {
+      throw { code: "PROMO_EXPIRED" };
+    }
+
+    const usage = await client.query(
+      `SELECT COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE user_id = $2)::int AS by_user
+       FROM promotion_redemptions
+       WHERE promotion_id = $1 AND ${LIVE_REDEMPTION}`,
+      [promotion.id, userId]
+    );
+    const { total, by_user: byUser } = usage.rows[0];
+    if (promotion.max_redemptions && total >= promotion.max_redemptions) {
+      throw { code: "PROMO_EXHAUSTED" };
+    }
+    if (
+      promotion.max_redemptions_per_user &&
+      byUser >= promotion.max_redemptions_per_user
+    ) {
+      throw { code: "PROMO_USER_LIMIT" };
+    }
+
+    const lines = await priceLines(items, client);
+    const { subtotal, eligibleSubtotal, discount } = computeDiscount(
+      promotion,
+      lines
+    );
+    if (promotion.min_order_amount && subtotal < promotion.min_order_amount) {
+      throw {
+        code: "PROMO_MIN_ORDER",
+        minOrderAmount: promotion.min_order_amount,
+      };
+    }
+    if (eligibleSubtotal === 0) throw { code: "PROMO_NOT_APPLICABLE" };
+
+    const redemption = await client.query(
+      `INSERT INTO promotion_redemptions (promotion_id, user_id, expires_at)
+       VALUES ($1, $2, NOW() + INTERVAL '1 hour' * $3)
+       RETURNING id`,
+      [promotion.id, userId, REDEMPTION_TTL_HOURS]
+    );
+
+    await client.query("COMMIT");
+    return {
+      redemptionId: redemption.rows[0].id,
+      promotion,
+      subtotal,
+      discount,
+    };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Enlaza el uso apartado con su sesión de pago y su vencimiento.
+ */
+export async function attachRedemptionSession(redemptionId, session) {
+  await pool.query(
+    `UPDATE promotion_redemptions
+     SET stripe_session_id = $2,
+         expires_at = COALESCE(to_timestamp($3), expires_at)
+     WHERE id = $1`,
+    [redemptionId, session.id, session.expires_at || null]
+  );
+}
+
+/**
+ * Libera un uso apartado (checkout fallido o sesión vencida).
+ * @returns {Promise<number>} usos liberados
+ */
+export async function releaseRedemption(
+  { redemptionId, sessionId },
+  db = pool
+) {
+  const result = await db.query(
+    `UPDATE promotion_redemptions
+     SET status = 'released', resolved_at = NOW()
+     WHERE status = 'pending'
+       AND ${redemptionId ? "id = $1" : "stripe_session_id = $1"}`,
+    [redemptionId || sessionId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * checkout.session.completed: el uso queda canjeado con el pedido y el
+ * descuento que aplicó Stripe (aunque el apartado ya hubiera vencido).
+ * Si la sesión no quedó enlazada al apartado, el canje se registra igual.
+ */
+export async function redeemPromotion(
+  db,
+  { sessionId, promotionId, userId, orderId, amountDiscounted, currency }
+) {
+  const updated = await db.query(
+    `UPDATE promotion_redemptions
+     SET status = 'redeemed', order_id = $2, amount_discounted = $3,
+         currency = $4, resolved_at = NOW()
+     WHERE stripe_session_id = $1`,
+    [sessionId, orderId, amountDiscounted, currency]
+  );
+  if (updated.rowCount > 0 || !promotionId) return;
+
+  await db.query(
+    `INSERT INTO promotion_redemptions
+       (promotion_id, user_id, stripe_session_id, order_id, status,
+        amount_discounted, currency, expires_at, resolved_at)
+     SELECT id, $2, $3, $4, 'redeemed', $5, $6, NOW(), NOW()
+     FROM promotions WHERE id = $1`,
+    [promotionId, userId, sessionId, orderId, amountDiscounted, currency]
+  );
+}
+
+/**
+ * Un pedido cuyo pago falló devuelve el uso de la promoción.
+ */
+export async function cancelRedemption(db, orderId) {
+  await db.query(
+    `UPDATE promotion_redemptions
+     SET status = 'released', resolved_at = NOW()
+     WHERE order_id = $1 AND status = 'redeemed'`,
+    [orderId]
+  );
+}
+
+/**
+ * Subconsulta con los usos de una promoción (canjeados y apartados).
+ */
+export function promotionUsageJson(alias = "p") {
+  return `(
+    SELECT json_build_object(
+      'redeemed', COUNT(*) FILTER (WHERE r.status = 'redeemed'),
+      'pending', COUNT(*) FILTER (
+        WHERE r.status = 'pending' AND r.expires_at > NOW()
+      ),
+      'amount_discounted', COALESCE(
+        SUM(r.amount_discounted) FILTER (WHERE r.status = 'redeemed'), 0
+      )
+    )
+    FROM promotion_redemptions r
+    WHERE r.promotion_id = ${alias}.id
+  )`;
+}
+
+export default {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  normalizePromotionInput,
+  createStripeCoupon,
+  computeDiscount,
+  reservePromotion,
+  attachRedemptionSession,
+  releaseRedemption,
+  redeemPromotion,
+  cancelRedemption,
+  promotionUsageJson,
+};
@@ -0,0 +1,360 @@
+import logger from "./logger.js";
+import stripe from "./stripe.js";
+import { sendSms } from "./sms.js";
+import { adjustStock } from "./inventory.js";
+import { recordStatusChange } from "./orderStatus.js";
+
+export const REFUND_REASONS = [
+  "requested_by_customer",
+  "duplicate",
+  "fraudulent",
+  "damaged",
+  "not_delivered",
+  "other",
+];
+// Los únicos motivos que acepta Stripe; el resto viaja en la metadata
+const STRIPE_REFUND_REASONS = new Set([
+  "requested_by_customer",
+  "duplicate",
+  "fraudulent",
+]);
+
+function orderTotal(order) {
+  return Math.round(Number(order.precio) * 100);
+}
+
+async function lockOrderItems(db, orderId) {
+  const result = await db.query(
+    `SELECT id, variant_id, quantity, quantity_refunded, total, amount_refunded
+     FROM order_items
+     WHERE order_id = $1
+     ORDER BY id
+     FOR UPDATE`,
+    [orderId]
+  );
+  return result.rows.map((item) => ({
+    ...item,
+    total: Number(item.total),
+    amount_refunded: Number(item.amount_refunded),
+  }));
+}
+
+/**
+ * Reparte un monto entre las líneas según lo que les queda por reembolsar.
+ * Si cubre todo lo pendiente, las unidades también quedan reembolsadas.
+ */
+function allocateAmount(items, amount) {
+  const remaining = items.map((item) => item.total - item.amount_refunded);
+  const totalRemaining = remaining.reduce((sum, value) => sum + value, 0);
+  const full = amount >= totalRemaining;
+
+  let left = Math.min(amount, totalRemaining);
+  return items
+    .map((item, index) => {
+      const share =
+        index === items.length - 1
+          ? left
+          : Math.min(
+              left,
+              Math.round((amount * remaining[index]) / (totalRemaining || 1))
+            );
+      left -= share;
+      return {
+        order_item_id: item.id,
+        quantity: full ? item.quantity - item.quantity_refunded : 0,
+        amount: share,
+      };
+    })
+    .filter((line) => line.amount > 0 || line.quantity > 0);
+}
+
+/**
+ * Calcula monto y reparto de un reembolso pedido desde el panel.
+ * Lanza { code: "INVALID_ITEMS" | "INVALID_AMOUNT" | "AMOUNT_EXCEEDS" }.
+ */
+function planRefund(items, { amount, lines, refundable }) {
+  if (lines?.length) {
+    const ids = lines.map((line) => line.orderItemId);
+    if (new Set(ids).size !== ids.length) throw { code: "INVALID_ITEMS" };
+
+    const allocation = lines.map((line) => {
+      const item = items.find((candidate) => candidate.id === line.orderItemId);
+      const pending = item ? item.quantity - item.quantity_refunded : 0;
+      if (!item || !Number.isInteger(line.quantity) || line.quantity < 1) {
+        throw { code: "INVALID_ITEMS" };
+      }
+      if (line.quantity > pending) {
+        throw { code: "INVALID_ITEMS", orderItemId: item.id, pending };
+      }
+      const remaining = item.total - item.amount_refunded;
+      return {
+        order_item_id: item.id,
+        quantity: line.quantity,
+        amount:
+          line.quantity === pending
+            ? remaining
+            : Math.min(
+                remaining,
+                Math.round((item.total * line.quantity) / item.quantity)
+              ),
+      };
+    });
+    const total = allocation.reduce((sum, line) => sum + line.amount, 0);
+    if (total <= 0) throw { code: "INVALID_AMOUNT" };
+    if (total > refundable) throw { code: "AMOUNT_EXCEEDS", refundable };
+    return { amount: total, allocation };
+  }
+
+  const value = amount ?? refundable;
+  if (!Number.isInteger(value) || value <= 0) throw { code: "INVALID_AMOUNT" };
+  if (value > refundable) throw { code: "AMOUNT_EXCEEDS", refundable };
+  return { amount: value, allocation: allocateAmount(items, value) };
+}
+
+/**
+ * Registra un reembolso ya hecho en Stripe: fila en refunds, montos por
+ * línea, estado de pago del pedido y, si se pide, devolución al stock.
+ * Un reembolso total cancela el pedido si todavía no salió.
+ */
+async function applyRefund(
+  db,
+  order,
+  { amount, allocation, stripeRefund, reason, note, restock, actorId }
+) {
+  for (const line of allocation) {
+    await db.query(
+      `UPDATE order_items
+       SET quantity_refunded = quantity_refunded + $2,
+           amount_refunded = LEAST(total, amount_refunded + $3)
+       WHERE id = $1`,
+      [line.order_item_id, line.quantity, line.amount]
+    );
+  }
+
+  const inserted = await db.query(
+    `INSERT INTO refunds
+       (order_id, stripe_refund_id, amount, currency, reason, note, status,
+        items, restocked, actor_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (stripe_refund_id) DO NOTHING
+     RETURNING id, order_id, stripe_refund_id, amount, currency, reason, note,
+               status, items, restocked, actor_id, created_at`,
+    [
+      order.id,
+      stripeRefund?.id || null,
+      amount,
+      stripeRefund?.currency || order.currency,
+      reason,
+      note || null,
+      stripeRefund?.status || "succeeded",
+      JSON.stringify(allocation),
+      Boolean(restock),
+      actorId || null,
+    ]
+  );
+  const refund = inserted.rows[0] || null;
+
+  const refunded = Number(order.amount_refunded) + amount;
+  const fullyRefunded = refunded >= orderTotal(order);
+  const updated = await db.query(
+    `UPDATE compras
+     SET amount_refunded = $2,
+         payment_status = $3,
+         status = CASE
+           WHEN $4 AND status IN ('pendiente', 'procesando') THEN 'cancelado'
+           ELSE status
+         END
+     WHERE id = $1
+     RETURNING id, status, payment_status, amount_refunded`,
+    [
+      order.id,
+      refunded,
+      fullyRefunded ? "refunded" : "partially_refunded",
+      fullyRefunded,
+    ]
+  );
+  if (updated.rows[0].status !== order.status) {
+    await recordStatusChange(db, {
+      orderId: order.id,
+      from: order.status,
+      to: updated.rows[0].status,
+      source: actorId ? "admin" : "stripe",
+      actorId,
+      note: "Reembolso total",
+    });
+  }
+
+  if (restock) {
+    const items = await db.query(
+      "SELECT id, variant_id FROM order_items WHERE order_id = $1",
+      [order.id]
+    );
+    for (const line of allocation.filter((line) => line.quantity > 0)) {
+      const variantId = items.rows.find(
+        (item) => item.id === line.order_item_id
+      )?.variant_id;
+      if (!variantId) continue;
+      await adjustStock(
+        {
+          variantId,
+          delta: line.quantity,
+          reason: "return",
+          note: `Reembolso${refund ? ` #${refund.id}` : ""}`,
+          orderId: order.id,
+          actorId,
+        },
+        db
+      );
+    }
+  }
+
+  return { refund, order: updated.rows[0] };
+}
+
+/**
+ * Reembolso total o parcial desde el panel. Crea el reembolso en Stripe
+ * contra el PaymentIntent del pedido y lo registra en la transacción db.
+ * @param {Object} params
+ *   amount: monto en unidad mínima (opcional; por defecto todo lo pendiente)
+ *   lines: [{ orderItemId, quantity }] para reembolsar unidades concretas
+ *   restock: devolver al stock las unidades reembolsadas
+ * Lanza { code } : NOT_FOUND, NOT_REFUNDABLE, NO_PAYMENT, INVALID_ITEMS,
+ * INVALID_AMOUNT o AMOUNT_EXCEEDS.
+ */
+export async function refundOrder(
+  { orderId, amount, lines, reason, note, restock, actorId, idempotencyKey },
+  db
+) {
+  const result = await db.query(
+    `SELECT id, status, payment_status, precio, currency, amount_refunded,
+            phone, stripe_session_id, stripe_payment_intent_id
+     FROM compras
+     WHERE id = $1
+     FOR UPDATE`,
+    [orderId]
+  );
+  const order = result.rows[0];
+  if (!order) throw { code: "NOT_FOUND" };
+  if (!["paid", "partially_refunded"].includes(order.payment_status)) {
+    throw { code: "NOT_REFUNDABLE", paymentStatus: order.payment_status };
+  }
+
+  const items = await lockOrderItems(db, order.id);
+  const refundable = orderTotal(order) - Number(order.amount_refunded);
+  const plan = planRefund(items, { amount, lines, refundable });
+
+  // Pedidos anteriores a guardar el PaymentIntent: se busca en la sesión
+  let paymentIntentId = order.stripe_payment_intent_id;
+  if (!paymentIntentId && order.stripe_session_id) {
+    const session = await stripe.checkout.sessions.retrieve(
+      order.stripe_session_id
+    );
+    paymentIntentId =
+      typeof session.payment_intent === "string"
+        ? session.payment_intent
+        : session.payment_intent?.id;
+    if (paymentIntentId) {
+      await db.query(
+        "UPDATE compras SET stripe_payment_intent_id = $2 WHERE id = $1",
+        [order.id, paymentIntentId]
+      );
+    }
+  }
+  if (!paymentIntentId) throw { code: "NO_PAYMENT" };
+
+  // Sin clave del cliente, el mismo monto sobre el mismo pedido en poco
+  // tiempo se toma como doble envío (el bloqueo del pedido los serializa)
+  if (!idempotencyKey) {
+    const recent = await db.query(
+      `SELECT id FROM refunds
+       WHERE order_id = $1 AND amount = $2
+         AND created_at > NOW() - INTERVAL '2 minutes'
+       LIMIT 1`,
+      [order.id, plan.amount]
+    );
+    if (recent.rows[0]) {
+      throw { code: "DUPLICATE_REFUND", refundId: recent.rows[0].id };
+    }
+  }
+
+  const stripeRefund = await stripe.refunds.create(
+    {
+      payment_intent: paymentIntentId,
+      amount: plan.amount,
+      ...(STRIPE_REFUND_REASONS.has(reason) && { reason }),
+      metadata: {
+        order_id: String(order.id),
+        reason,
+        actor_id: actorId ? String(actorId) : "",
+      },
+    },
+    idempotencyKey
+      ? { idempotencyKey: `refund-${order.id}-${idempotencyKey}` }
+      : undefined
+  );
+
+  // Con la misma clave Stripe devuelve el reembolso ya creado
+  const existing = await db.query(
+    "SELECT id FROM refunds WHERE stripe_refund_id = $1",
+    [stripeRefund.id]
+  );
+  if (existing.rows[0]) {
+    throw { code: "DUPLICATE_REFUND", refundId: existing.rows[0].id };
+  }
+
+  const applied = await applyRefund(db, order, {
+    ...plan,
+    stripeRefund,
+    reason,
+    note,
+    restock,
+    actorId,
+  });
+  return { ...applied, amount: plan.amount, phone: order.phone };
+}
+
+/**
+ * charge.refunded: registra lo reembolsado fuera del panel (dashboard de
+ * Stripe). Lo que el panel ya registró no cuenta dos veces.
+ * @returns {Promise<number>} monto nuevo reembolsado (0 si nada cambió)
+ */
+export async function recordStripeRefund(db, order, charge) {
+  const refundedNow = charge.amount_refunded - Number(order.amount_refunded);
+  if (refundedNow <= 0) return 0;
+
+  const items = await lockOrderItems(db, order.id);
+  const latest = charge.refunds?.data?.[0];
+  await applyRefund(db, order, {
+    amount: refundedNow,
+    allocation: allocateAmount(items, refundedNow),
+    stripeRefund: latest
+      ? { id: latest.id, status: latest.status, currency: charge.currency }
+      : { currency: charge.currency },
+    reason: STRIPE_REFUND_REASONS.has(latest?.reason) ? latest.reason : "other",
+    note: "Reembolso hecho desde Stripe",
+  });
+  return refundedNow;
+}
+
+/**
+ * SMS al cliente con el monto reembolsado. Nunca lanza.
+ */
+export async function notifyRefund(orderId, phone, amount) {
+  if (!phone) {
+    logger.log("No se envió SMS de reembolso: teléfono no disponible");
+    return;
+  }
+  await sendSms(
+    phone,
+    `Te reembolsamos $${(amount / 100).toFixed(
+      2
+    )} del pedido #${orderId}. Puede tardar unos días en verse en tu medio de pago. ☕`
+  );
+}
+
+export default {
+  REFUND_REASONS,
+  refundOrder,
+  recordStripeRefund,
+  notifyRefund,
+};
@@ -0,0 +1,270 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { generateOpaqueToken, hashToken } from "./tokens.js";
+import { describeDevice, getClientIp, getUserAgent } from "./clientInfo.js";
+import {
+  generateToken,
+  setRefreshCookie,
+  REFRESH_TOKEN_TTL_MS,
+} from "../middleware/jwt.js";
+import { mergeGuestCart } from "./cart.js";
+
+// Ventana en la que un refresh token recién rotado puede llegar de nuevo
+// (pestañas concurrentes) sin considerarse robo.
+const REUSE_GRACE_MS = 10 * 1000;
+
+// Error con código para que el controlador decida el status HTTP
+function sessionError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+async function issueRefreshToken(client, sessionId) {
+  const rawToken = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  const result = await client.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [sessionId, hashToken(rawToken), expiresAt]
+  );
+  return { rawToken, id: result.rows[0].id, expiresAt };
+}
+
+/**
+ * Crea una sesión persistida para el usuario, emite el access token
+ * y el refresh token (ambos como cookies HttpOnly). Si había un carrito
+ * de visitante se fusiona con el del usuario.
+ * @returns {Promise<string>} id de la sesión creada
+ */
+export async function createSession(user, req, res) {
+  const client = await pool.connect();
+  let sessionId;
+  let rawToken;
+  try {
+    await client.query("BEGIN");
+
+    const sessionResult = await client.query(
+      `INSERT INTO user_sessions (user_id, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [
+        user.id,
+        getUserAgent(req),
+        getClientIp(req),
+        new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ]
+    );
+    sessionId = sessionResult.rows[0].id;
+    ({ rawToken } = await issueRefreshToken(client, sessionId));
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    logger.error("❌ Error creando sesión:", err.message);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  generateToken(user, res, { sessionId });
+  setRefreshCookie(res, rawToken);
+  // Con la conexión de la sesión ya devuelta al pool
+  await mergeGuestCart(req, res, user.id);
+
+  logger.log(`🔑 Sesión ${sessionId} creada para usuario ${user.id}`);
+  return sessionId;
+}
+
+/**
+ * Rota un refresh token: lo marca como usado, emite uno nuevo de la misma
+ * familia y un nuevo access token. Si el token ya había sido usado
+ * (reutilización), se revoca toda la sesión.
+ * @returns {Promise<Object>} usuario dueño de la sesión
+ */
+export async function rotateRefreshToken(rawToken, req, res) {
+  if (!rawToken) {
+    throw sessionError("REFRESH_MISSING", "Refresh token requerido");
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at,
+              s.revoked_at, s.user_id,
+              u.name, u.email, u.role
+       FROM refresh_tokens rt
+       JOIN user_sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(rawToken)]
+    );
+
+    const token = result.rows[0];
+    if (!token) {
+      throw sessionError("REFRESH_INVALID", "Refresh token inválido");
+    }
+
+    if (token.revoked_at) {
+      throw sessionError("SESSION_REVOKED", "Sesión revocada");
+    }
+
+    if (token.used_at) {
+      const usedMsAgo = Date.now() - new Date(token.used_at).getTime();
+      if (usedMsAgo <= REUSE_GRACE_MS) {
+        throw sessionError(
+          "REFRESH_RACE",
+          "Refresh token ya rotado, reintenta con el nuevo"
+        );
+      }
+
+      await client.query(
+        `UPDATE user_sessions
+         SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+         WHERE id = $1`,
+        [token.session_id]
+      );
+      await client.query("COMMIT");
+
+      logger.warn(
+        `🚨 Reutilización de refresh token detectada. Sesión ${token.session_id} del usuario ${token.user_id} revocada`
+      );
+      throw sessionError(
+        "REFRESH_REUSED",
+        "Sesión revocada por reutilización de credenciales"
+      );
+    }
+
+    if (new Date(token.expires_at) <= new Date()) {
+      throw sessionError("REFRESH_EXPIRED", "Refresh token expirado");
+    }
+
+    const next = await issueRefreshToken(client, token.session_id);
+
+    await client.query(
+      `UPDATE refresh_tokens SET used_at = NOW(), replaced_by = $2 WHERE id = $1`,
+      [token.id, next.id]
+    );
+    await client.query(
+      `UPDATE user_sessions
+       SET last_seen_at = NOW(), expires_at = $2, ip_address = $3, user_agent = $4
+       WHERE id = $1`,
+      [token.session_id, next.expiresAt, getClientIp(req), getUserAgent(req)]
+    );
+
+    await client.query("COMMIT");
+
+    const user = {
+      id: token.user_id,
+      name: token.name,
+      email: token.email,
+      role: token.role,
+    };
+    generateToken(user, res, { sessionId: token.session_id });
+    setRefreshCookie(res, next.rawToken);
+
+    return user;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Busca la sesión a la que pertenece un refresh token (sin rotarlo).
+ */
+export async function findSessionByRefreshToken(rawToken) {
+  if (!rawToken) return null;
+  const result = await pool.query(
+    `SELECT session_id FROM refresh_tokens WHERE token_hash = $1`,
+    [hashToken(rawToken)]
+  );
+  return result.rows[0]?.session_id || null;
+}
+
+/**
+ * Revoca una sesión concreta. Si se indica userId, solo revoca
+ * si la sesión le pertenece.
+ * @returns {Promise<boolean>} true si se revocó alguna sesión
+ */
+export async function revokeSession(sessionId, reason, { userId } = {}) {
+  const params = [sessionId, reason];
+  let ownerCondition = "";
+  if (userId) {
+    params.push(userId);
+    ownerCondition = "AND user_id = $3";
+  }
+
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL ${ownerCondition}`,
+    params
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario, opcionalmente
+ * conservando una (la sesión actual).
+ * @returns {Promise<number>} cantidad de sesiones revocadas
+ */
+export async function revokeUserSessions(
+  userId,
+  reason,
+  { exceptSessionId = null } = {}
+) {
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [userId, reason, exceptSessionId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Sesiones activas (no revocadas ni expiradas) de un usuario,
+ * de la más reciente a la más antigua.
+ * @param {number} userId
+ * @param {string|null} currentSessionId - se marca con `current: true`
+ */
+export async function listActiveSessions(userId, currentSessionId = null) {
+  const result = await pool.query(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    device: describeDevice(row.user_agent),
+    user_agent: row.user_agent,
+    ip_address: row.ip_address,
+    created_at: row.created_at,
+    last_seen_at: row.last_seen_at,
+    expires_at: row.expires_at,
+    current: row.id === currentSessionId,
+  }));
+}
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+};
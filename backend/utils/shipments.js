@@ -0,0 +1,319 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+import { sendSms } from "./sms.js";
+import { getCarrier, listCarriers } from "./carriers/index.js";
+import { statusMessage, transitionOrderStatus } from "./orderStatus.js";
+import { SHIPMENT_TRACKING_INTERVAL_MINUTES } from "./config.js";
+
+export const SHIPMENT_STATUSES = [
+  "label_created",
+  "in_transit",
+  "out_for_delivery",
+  "delivered",
+  "exception",
+  "returned",
+];
+
+const TRACKING_INTERVAL_MS =
+  (Number(SHIPMENT_TRACKING_INTERVAL_MINUTES) || 30) * 60 * 1000;
+const TRACKING_BATCH_SIZE = 50;
+
+let trackingInProgress = null;
+
+/**
+ * Subconsulta con los envíos de un pedido como arreglo JSON.
+ */
+export function shipmentsJson(alias = "c") {
+  return `COALESCE((
+    SELECT json_agg(json_build_object(
+      'id', s.id,
+      'carrier', s.carrier,
+      'tracking_number', s.tracking_number,
+      'status', s.status,
+      'last_event', s.last_event,
+      'shipped_at', s.shipped_at,
+      'delivered_at', s.delivered_at
+    ) ORDER BY s.shipped_at, s.id)
+    FROM shipments s
+    WHERE s.order_id = ${alias}.id
+  ), '[]'::json)`;
+}
+
+/**
+ * Agrega nombre de la transportadora y enlace de rastreo (si lo tiene).
+ */
+export function withTrackingInfo(shipment) {
+  const carrier = getCarrier(shipment.carrier);
+  return {
+    ...shipment,
+    carrier_name: carrier?.name || shipment.carrier,
+    tracking_url: carrier?.trackingUrl(shipment.tracking_number) || null,
+  };
+}
+
+/**
+ * Con todos sus envíos entregados, un pedido enviado pasa a completado.
+ * @returns {Promise<Object|null>} el cambio de estado, si hubo
+ */
+async function completeIfDelivered(db, orderId, { actorId = null, source }) {
+  const result = await db.query(
+    `SELECT c.status,
+            BOOL_AND(s.status = 'delivered') AS all_delivered
+     FROM compras c
+     JOIN shipments s ON s.order_id = c.id
+     WHERE c.id = $1
+     GROUP BY c.id`,
+    [orderId]
+  );
+  const order = result.rows[0];
+  if (!order || order.status !== "enviado" || !order.all_delivered) {
+    return null;
+  }
+
+  return transitionOrderStatus(db, orderId, "completado", {
+    note: "Envío entregado",
+    source,
+    actorId,
+    notifyCustomer: true,
+  });
+}
+
+/**
+ * Registra un envío. Si el pedido estaba en preparación pasa a enviado.
+ * Lanza { code } : UNKNOWN_CARRIER, NOT_FOUND, ORDER_NOT_SHIPPABLE,
+ * PAYMENT_PENDING u ORDER_ON_HOLD.
+ * @param {Object} db - cliente de la transacción
+ */
+export async function createShipment(
+  db,
+  {
+    orderId,
+    carrier,
+    trackingNumber,
+    status = "in_transit",
+    shippedAt,
+    actorId,
+    notifyCustomer,
+  }
+) {
+  const adapter = getCarrier(carrier);
+  if (!adapter) throw { code: "UNKNOWN_CARRIER" };
+
+  const current = await db.query(
+    "SELECT status FROM compras WHERE id = $1 FOR UPDATE",
+    [orderId]
+  );
+  const order = current.rows[0];
+  if (!order) throw { code: "NOT_FOUND" };
+  if (!["procesando", "enviado"].includes(order.status)) {
+    throw { code: "ORDER_NOT_SHIPPABLE", status: order.status };
+  }
+
+  const inserted = await db.query(
+    `INSERT INTO shipments
+       (order_id, carrier, tracking_number, status, shipped_at, created_by)
+     VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), $6)
+     RETURNING *`,
+    [orderId, carrier, trackingNumber, status, shippedAt || null, actorId]
+  );
+
+  let statusChange = null;
+  if (order.status === "procesando") {
+    statusChange = await transitionOrderStatus(db, orderId, "enviado", {
+      note: `Guía ${adapter.name} ${trackingNumber}`,
+      actorId,
+      notifyCustomer,
+    });
+  }
+
+  return { shipment: inserted.rows[0], statusChange };
+}
+
+/**
+ * Edita un envío (corrección de guía, estado o fechas).
+ * Lanza { code } : NOT_FOUND o UNKNOWN_CARRIER.
+ * @param {Object} db - cliente de la transacción
+ */
+export async function updateShipment(db, shipmentId, changes, { actorId }) {
+  const current = await db.query(
+    "SELECT * FROM shipments WHERE id = $1 FOR UPDATE",
+    [shipmentId]
+  );
+  const before = current.rows[0];
+  if (!before) throw { code: "NOT_FOUND" };
+  if (changes.carrier && !getCarrier(changes.carrier)) {
+    throw { code: "UNKNOWN_CARRIER" };
+  }
+
+  const status = changes.status || before.status;
+  const deliveredAt =
+    changes.delivered_at ??
+    (status === "delivered" ? before.delivered_at || new Date() : null);
+
+  const updated = await db.query(
+    `UPDATE shipments
+     SET carrier = $2, tracking_number = $3, status = $4, shipped_at = $5,
+         delivered_at = $6, last_event = $7, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [
+      shipmentId,
+      changes.carrier || before.carrier,
+      changes.tracking_number || before.tracking_number,
+      status,
+      changes.shipped_at || before.shipped_at,
+      deliveredAt,
+      changes.last_event ?? before.last_event,
+    ]
+  );
+
+  const statusChange = await completeIfDelivered(db, before.order_id, {
+    actorId,
+    source: "admin",
+  });
+  return { before, shipment: updated.rows[0], statusChange };
+}
+
+/**
+ * Consulta el envío en la API de su transportadora y guarda el resultado.
+ * La consulta se hace fuera de la transacción para no retener la conexión
+ * ni el bloqueo mientras responde la transportadora.
+ * Lanza { code } : NOT_FOUND o NO_TRACKING_API.
+ */
+export async function refreshShipment(shipmentId) {
+  const current = await pool.query("SELECT * FROM shipments WHERE id = $1", [
+    shipmentId,
+  ]);
+  let shipment = current.rows[0];
+  if (!shipment) throw { code: "NOT_FOUND" };
+
+  const adapter = getCarrier(shipment.carrier);
+  if (typeof adapter?.track !== "function") {
+    throw { code: "NO_TRACKING_API" };
+  }
+
+  const tracking = await adapter.track(shipment);
+  if (!SHIPMENT_STATUSES.includes(tracking.status)) {
+    throw new Error(
+      `Estado desconocido de ${shipment.carrier}: ${tracking.status}`
+    );
+  }
+
+  let statusChange = null;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const locked = await client.query(
+      "SELECT * FROM shipments WHERE id = $1 FOR UPDATE",
+      [shipmentId]
+    );
+    const fresh = locked.rows[0];
+    if (!fresh) throw { code: "NOT_FOUND" };
+
+    // Si se cambió la guía mientras se consultaba, el resultado ya no aplica
+    if (
+      fresh.carrier !== shipment.carrier ||
+      fresh.tracking_number !== shipment.tracking_number
+    ) {
+      await client.query("ROLLBACK");
+      return fresh;
+    }
+
+    const updated = await client.query(
+      `UPDATE shipments
+       SET status = $2, last_event = $3,
+           delivered_at = COALESCE($4, delivered_at),
+           last_checked_at = NOW(),
+           updated_at = CASE WHEN status = $2 THEN updated_at ELSE NOW() END
+       WHERE id = $1
+       RETURNING *`,
+      [
+        shipmentId,
+        tracking.status,
+        tracking.lastEvent || null,
+        tracking.deliveredAt || null,
+      ]
+    );
+    shipment = updated.rows[0];
+
+    if (shipment.status === "delivered") {
+      statusChange = await completeIfDelivered(client, shipment.order_id, {
+        source: "system",
+      });
+    }
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (statusChange?.phone) {
+    await sendSms(
+      statusChange.phone,
+      statusMessage(shipment.order_id, statusChange.to)
+    );
+  }
+  return shipment;
+}
+
+async function runShipmentTracking() {
+  const trackable = listCarriers()
+    .filter((carrier) => carrier.tracking_api)
+    .map((carrier) => carrier.code);
+  if (trackable.length === 0) return 0;
+
+  const open = await pool.query(
+    `SELECT id FROM shipments
+     WHERE status NOT IN ('delivered', 'returned')
+       AND carrier = ANY($1::text[])
+     ORDER BY last_checked_at NULLS FIRST
+     LIMIT $2`,
+    [trackable, TRACKING_BATCH_SIZE]
+  );
+
+  let refreshed = 0;
+  for (const { id } of open.rows) {
+    try {
+      await refreshShipment(id);
+      refreshed++;
+    } catch (err) {
+      logger.warn(`⚠️ No se pudo consultar el envío ${id}:`, err.message);
+    }
+  }
+  return refreshed;
+}
+
+/**
+ * Consulta los envíos abiertos (de transportadoras con API) cada
+ * SHIPMENT_TRACKING_INTERVAL_MINUTES (30 por defecto).
+ */
+export function startShipmentTracking() {
+  const run = () => {
+    if (trackingInProgress) return;
+    trackingInProgress = runShipmentTracking()
+      .then((count) => {
+        if (count > 0) logger.log(`🚚 ${count} envíos actualizados`);
+      })
+      .catch((err) =>
+        logger.error("❌ Error en el seguimiento de envíos:", err.message)
+      )
+      .finally(() => {
+        trackingInProgress = null;
+      });
+  };
+  setInterval(run, TRACKING_INTERVAL_MS).unref();
+}
+
+export default {
+  SHIPMENT_STATUSES,
+  shipmentsJson,
+  withTrackingInfo,
+  createShipment,
+  updateShipment,
+  refreshShipment,
+  startShipmentTracking,
+};
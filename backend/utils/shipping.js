@@ -0,0 +1,403 @@
+import pool from "../database/db.js";
+
+// Peso de las variantes que no tienen weight_grams (bolsa de 500 g)
+export const DEFAULT_WEIGHT_GRAMS = 500;
+
+// Departamentos de Colombia por código ISO 3166-2:CO
+export const CO_DEPARTMENTS = {
+  AMA: "Amazonas",
+  ANT: "Antioquia",
+  ARA: "Arauca",
+  ATL: "Atlántico",
+  BOL: "Bolívar",
+  BOY: "Boyacá",
+  CAL: "Caldas",
+  CAQ: "Caquetá",
+  CAS: "Casanare",
+  CAU: "Cauca",
+  CES: "Cesar",
+  CHO: "Chocó",
+  COR: "Córdoba",
+  CUN: "Cundinamarca",
+  DC: "Bogotá D.C.",
+  GUA: "Guainía",
+  GUV: "Guaviare",
+  HUI: "Huila",
+  LAG: "La Guajira",
+  MAG: "Magdalena",
+  MET: "Meta",
+  NAR: "Nariño",
+  NSA: "Norte de Santander",
+  PUT: "Putumayo",
+  QUI: "Quindío",
+  RIS: "Risaralda",
+  SAN: "Santander",
+  SAP: "San Andrés y Providencia",
+  SUC: "Sucre",
+  TOL: "Tolima",
+  VAC: "Valle del Cauca",
+  VAU: "Vaupés",
+  VID: "Vichada",
+};
+
+/**
+ * Minúsculas, sin tildes ni espacios repetidos: "  Medellín " → "medellin".
+ */
+export function normalizePlace(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const DEPARTMENT_ALIASES = {
+  ...Object.fromEntries(
+    Object.entries(CO_DEPARTMENTS).map(([code, name]) => [
+      normalizePlace(name),
+      code,
+    ])
+  ),
+  bogota: "DC",
+  "bogota dc": "DC",
+  "bogota, d.c.": "DC",
+  "distrito capital": "DC",
+  valle: "VAC",
+  guajira: "LAG",
+  "san andres": "SAP",
+  "archipielago de san andres": "SAP",
+};
+
+/**
+ * Código del departamento a partir del código ("ANT", "CO-ANT") o del
+ * nombre ("Antioquia", "bogota"). null si no es un departamento.
+ */
+export function departmentCode(value) {
+  const raw = String(value || "").trim();
+  const code = raw.toUpperCase().replace(/^CO-/, "");
+  if (CO_DEPARTMENTS[code]) return code;
+  return DEPARTMENT_ALIASES[normalizePlace(raw)] || null;
+}
+
+/**
+ * Valida un destino { department, city }.
+ * Lanza { code: "INVALID_DESTINATION" } si el departamento no existe.
+ */
+export function parseDestination({ department, city } = {}) {
+  const code = departmentCode(department);
+  if (!code) throw { code: "INVALID_DESTINATION" };
+  return { department: code, city: normalizePlace(city) || null };
+}
+
+/**
+ * Destino de una dirección con la forma de Stripe (state = departamento).
+ */
+export function destinationFromAddress(address) {
+  if (!address?.state || (address.country && address.country !== "CO")) {
+    return null;
+  }
+  try {
+    return parseDestination({ department: address.state, city: address.city });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Destino de la última compra del usuario, para cotizar sin preguntarlo.
+ */
+export async function lastShippingDestination(userId, db = pool) {
+  const result = await db.query(
+    `SELECT shipping_address FROM compras
+     WHERE user_id = $1 AND shipping_address IS NOT NULL
+     ORDER BY fecha DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return destinationFromAddress(result.rows[0]?.shipping_address);
+}
+
+/**
+ * Zona que cubre el destino: primero por ciudad, luego por departamento
+ * y al final la zona por defecto (la única posible sin destino).
+ */
+export async function findShippingZone(destination, db = pool) {
+  const result = await db.query(
+    `SELECT id, name, free_shipping_threshold
+     FROM shipping_zones
+     WHERE active
+       AND ($2::text = ANY(cities) OR $1::text = ANY(departments) OR is_default)
+     ORDER BY ($2::text = ANY(cities)) IS TRUE DESC,
+              ($1::text = ANY(departments)) IS TRUE DESC
+     LIMIT 1`,
+    [destination?.department ?? null, destination?.city ?? null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Tarifa para un destino, peso y subtotal de productos.
+ * Lanza { code } : NO_SHIPPING_ZONE o NO_SHIPPING_RATE (peso sin tramo).
+ * @returns {Promise<{ zoneId, zoneName, amount, free, weightGrams,
+ *   subtotal, deliveryDays }>}
+ */
+export async function priceShipping(
+  { destination, weightGrams, subtotal },
+  db = pool
+) {
+  const zone = await findShippingZone(destination, db);
+  if (!zone) throw { code: "NO_SHIPPING_ZONE" };
+
+  const rates = await db.query(
+    `SELECT amount, delivery_days_min, delivery_days_max
+     FROM shipping_rates
+     WHERE zone_id = $1
+       AND min_weight_grams <= $2
+       AND (max_weight_grams IS NULL OR $2 < max_weight_grams)
+     LIMIT 1`,
+    [zone.id, weightGrams]
+  );
+  const rate = rates.rows[0];
+  if (!rate) throw { code: "NO_SHIPPING_RATE", weightGrams };
+
+  const free =
+    zone.free_shipping_threshold !== null &&
+    subtotal >= zone.free_shipping_threshold;
+
+  return {
+    zoneId: zone.id,
+    zoneName: zone.name,
+    amount: free ? 0 : rate.amount,
+    free,
+    weightGrams,
+    subtotal,
+    deliveryDays: rate.delivery_days_min
+      ? { min: rate.delivery_days_min, max: rate.delivery_days_max }
+      : null,
+  };
+}
+
+/**
+ * Cotiza el envío de las líneas de un checkout.
+ * @param {Array<{ variantId, stripePriceId, quantity }>} items
+ * @param {number} discount - descuento de una promoción; el umbral de
+ *   envío gratis se compara con el subtotal ya descontado
+ * @returns {Promise<Object>} lo de priceShipping más currency
+ */
+export async function quoteShipping(
+  { items, destination, discount = 0 },
+  db = pool
+) {
+  const prices = await db.query(
+    `SELECT stripe_price_id, unit_amount, currency
+     FROM prices
+     WHERE stripe_price_id = ANY($1::text[])`,
+    [items.map((item) => item.stripePriceId)]
+  );
+  const weights = await db.query(
+    "SELECT id, weight_grams FROM product_variants WHERE id = ANY($1::int[])",
+    [items.filter((item) => item.variantId).map((item) => item.variantId)]
+  );
+
+  let subtotal = 0;
+  let weightGrams = 0;
+  for (const item of items) {
+    const price = prices.rows.find(
+      (row) => row.stripe_price_id === item.stripePriceId
+    );
+    const variant = weights.rows.find((row) => row.id === item.variantId);
+    subtotal += Number(price?.unit_amount || 0) * item.quantity;
+    weightGrams +=
+      (variant?.weight_grams || DEFAULT_WEIGHT_GRAMS) * item.quantity;
+  }
+
+  const quote = await priceShipping(
+    { destination, weightGrams, subtotal: subtotal - discount },
+    db
+  );
+  return { ...quote, currency: prices.rows[0]?.currency || "cop" };
+}
+
+/**
+ * shipping_options de Checkout con la tarifa cotizada.
+ */
+export function stripeShippingOptions(quote) {
+  return [
+    {
+      shipping_rate_data: {
+        type: "fixed_amount",
+        display_name: quote.free ? "Envío gratis" : `Envío ${quote.zoneName}`,
+        fixed_amount: { amount: quote.amount, currency: quote.currency },
+        ...(quote.deliveryDays && {
+          delivery_estimate: {
+            minimum: { unit: "business_day", value: quote.deliveryDays.min },
+            maximum: {
+              unit: "business_day",
+              value: quote.deliveryDays.max || quote.deliveryDays.min,
+            },
+          },
+        }),
+        metadata: { shipping_zone_id: String(quote.zoneId) },
+      },
+    },
+  ];
+}
+
+/**
+ * Valida los campos de una zona. partial: solo los que vienen.
+ * @returns {{ zone?: Object, error?: string }}
+ */
+export function normalizeZoneInput(body = {}, { partial = false } = {}) {
+  const zone = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name || name.length > 100) return { error: "name inválido" };
+    zone.name = name;
+  }
+  if (body.departments !== undefined) {
+    if (!Array.isArray(body.departments)) {
+      return { error: "departments debe ser un arreglo" };
+    }
+    const codes = body.departments.map(departmentCode);
+    const unknown = body.departments.filter((_, index) => !codes[index]);
+    if (unknown.length > 0) {
+      return { error: `Departamentos desconocidos: ${unknown.join(", ")}` };
+    }
+    zone.departments = [...new Set(codes)];
+  }
+  if (body.cities !== undefined) {
+    if (!Array.isArray(body.cities)) {
+      return { error: "cities debe ser un arreglo" };
+    }
+    zone.cities = [...new Set(body.cities.map(normalizePlace))].filter(Boolean);
+  }
+  if (body.is_default !== undefined) zone.is_default = body.is_default === true;
+  if (body.active !== undefined) zone.active = body.active === true;
+  if (body.free_shipping_threshold !== undefined) {
+    const threshold = body.free_shipping_threshold;
+    if (
+      threshold !== null &&
+      (!Number.isInteger(Number(threshold)) || Number(threshold) < 0)
+    ) {
+      return { error: "free_shipping_threshold inválido" };
+    }
+    zone.free_shipping_threshold =
+      threshold === null ? null : Number(threshold);
+  }
+
+  if (
+    !partial &&
+    !zone.is_default &&
+    !zone.departments?.length &&
+    !zone.cities?.length
+  ) {
+    return { error: "La zona necesita departamentos, ciudades o is_default" };
+  }
+  return { zone };
+}
+
+/**
+ * Valida un tramo de peso.
+ * @returns {{ rate?: Object, error?: string }}
+ */
+export function normalizeRateInput(body = {}) {
+  const toInt = (value) =>
+    value === undefined || value === null || value === ""
+      ? null
+      : Number(value);
+  const rate = {
+    min_weight_grams: toInt(body.min_weight_grams) ?? 0,
+    max_weight_grams: toInt(body.max_weight_grams),
+    amount: toInt(body.amount),
+    delivery_days_min: toInt(body.delivery_days_min),
+    delivery_days_max: toInt(body.delivery_days_max),
+  };
+
+  const invalid = Object.entries(rate).find(
+    ([, value]) => value !== null && (!Number.isInteger(value) || value < 0)
+  );
+  if (invalid) return { error: `${invalid[0]} inválido` };
+  if (rate.amount === null) return { error: "amount es obligatorio" };
+  if (
+    rate.max_weight_grams !== null &&
+    rate.max_weight_grams <= rate.min_weight_grams
+  ) {
+    return { error: "max_weight_grams debe ser mayor que min_weight_grams" };
+  }
+  if (rate.delivery_days_max !== null && rate.delivery_days_min === null) {
+    return { error: "delivery_days_max necesita delivery_days_min" };
+  }
+  if (
+    rate.delivery_days_min !== null &&
+    (rate.delivery_days_min < 1 ||
+      (rate.delivery_days_max !== null &&
+        rate.delivery_days_max < rate.delivery_days_min))
+  ) {
+    return { error: "Rango de días de entrega inválido" };
+  }
+  return { rate };
+}
+
+/**
+ * Lanza { code: "RATE_OVERLAP", rateId } si el tramo se cruza con otro
+ * de la misma zona.
+ */
+export async function assertNoRateOverlap(db, zoneId, rate, excludeId = null) {
+  const result = await db.query(
+    `SELECT id FROM shipping_rates
+     WHERE zone_id = $1
+       AND id IS DISTINCT FROM $4
+       AND int4range(min_weight_grams, max_weight_grams)
+           && int4range($2, $3)
+     LIMIT 1`,
+    [zoneId, rate.min_weight_grams, rate.max_weight_grams, excludeId]
+  );
+  if (result.rows[0]) {
+    throw { code: "RATE_OVERLAP", rateId: result.rows[0].id };
+  }
+}
+
+/**
+ * Zonas con sus tramos de peso (ordenados por peso).
+ */
+export async function listShippingZones(db = pool) {
+  const result = await db.query(
+    `SELECT z.id, z.name, z.departments, z.cities, z.is_default,
+            z.free_shipping_threshold, z.active, z.created_at, z.updated_at,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                'id', r.id,
+                'min_weight_grams', r.min_weight_grams,
+                'max_weight_grams', r.max_weight_grams,
+                'amount', r.amount,
+                'delivery_days_min', r.delivery_days_min,
+                'delivery_days_max', r.delivery_days_max
+              ) ORDER BY r.min_weight_grams)
+              FROM shipping_rates r
+              WHERE r.zone_id = z.id
+            ), '[]'::json) AS rates
+     FROM shipping_zones z
+     ORDER BY z.is_default, z.name`
+  );
+  return result.rows;
+}
+
+export default {
+  DEFAULT_WEIGHT_GRAMS,
+  CO_DEPARTMENTS,
+  normalizePlace,
+  departmentCode,
+  parseDestination,
+  destinationFromAddress,
+  lastShippingDestination,
+  findShippingZone,
+  priceShipping,
+  quoteShipping,
+  stripeShippingOptions,
+  normalizeZoneInput,
+  normalizeRateInput,
+  assertNoRateOverlap,
+  listShippingZones,
+};
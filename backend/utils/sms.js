@@ -0,0 +1,51 @@
+import Twilio from "twilio";
+import logger from "./logger.js";
+import {
+  ACCOUNT_SSD,
+  AUTH_TOKEN,
+  TWILIO_PHONE_NUMBER,
+  ADMIN_PHONE_NUMBER,
+} from "./config.js";
+
+const twilioClient = Twilio(ACCOUNT_SSD, AUTH_TOKEN);
+
+/**
+ * Normaliza un teléfono colombiano a formato E.164 (+57...).
+ */
+export function formatPhoneNumber(phone) {
+  if (!phone) return null;
+  const value = String(phone).trim();
+  return value.startsWith("+") ? value : "+57" + value;
+}
+
+/**
+ * Envía un SMS vía Twilio. Nunca lanza: devuelve el sid o null.
+ */
+export async function sendSms(to, body) {
+  const formattedPhone = formatPhoneNumber(to);
+  if (!formattedPhone) {
+    logger.warn("SMS no enviado: teléfono no disponible");
+    return null;
+  }
+
+  try {
+    const messageObj = await twilioClient.messages.create({
+      body,
+      from: TWILIO_PHONE_NUMBER,
+      to: formattedPhone,
+    });
+    return messageObj.sid;
+  } catch (err) {
+    logger.error("❌ Error enviando SMS:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Envía un SMS al número del administrador.
+ */
+export async function sendAdminSms(body) {
+  return sendSms(ADMIN_PHONE_NUMBER, body);
+}
+
+export default { sendSms, sendAdminSms, formatPhoneNumber };
@@ -0,0 +1,10 @@
+import Stripe from "stripe";
+import { STRIPE_SECRET_KEY } from "./config.js";
+
+// Cliente compartido: timeout corto para no colgar requests si Stripe está lento
+const stripe = new Stripe(STRIPE_SECRET_KEY, {
+  timeout: 10000,
+  maxNetworkRetries: 2,
+});
+
+export default stripe;
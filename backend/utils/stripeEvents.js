@@ -0,0 +1,109 @@
+import pool from "../database/db.js";
+import logger from "./logger.js";
+
+async function markEventFailed(event, err) {
+  try {
+    await pool.query(
+      `INSERT INTO stripe_events (id, type, payload, status, attempts, last_error)
+       VALUES ($1, $2, $3, 'failed', 1, $4)
+       ON CONFLICT (id) DO UPDATE SET
+         status = 'failed',
+         attempts = stripe_events.attempts + 1,
+         last_error = EXCLUDED.last_error`,
+      [event.id, event.type, JSON.stringify(event), err.message || String(err)]
+    );
+  } catch (storeErr) {
+    logger.error(
+      `❌ No se pudo registrar el fallo del evento ${event.id}:`,
+      storeErr.message
+    );
+  }
+}
+
+/**
+ * Procesa un evento de Stripe una sola vez. El evento queda registrado y
+ * el handler corre en la misma transacción que lo marca como procesado:
+ * una entrega repetida (o concurrente) espera el bloqueo y se descarta.
+ * Si el handler falla se revierte todo y el evento queda en 'failed'.
+ * @param {Object} event - evento ya verificado
+ * @param {Function} handler - async (event, { db, afterCommit })
+ *   db: cliente de la transacción
+ *   afterCommit(fn): efectos externos (SMS, avisos) que solo deben
+ *   ocurrir si la transacción se confirma
+ * @returns {Promise<{ duplicate: boolean }>}
+ */
+export async function processStripeEvent(event, handler) {
+  const effects = [];
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    await client.query(
+      `INSERT INTO stripe_events (id, type, payload)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (id) DO NOTHING`,
+      [event.id, event.type, JSON.stringify(event)]
+    );
+    const stored = await client.query(
+      "SELECT status FROM stripe_events WHERE id = $1 FOR UPDATE",
+      [event.id]
+    );
+    if (stored.rows[0].status === "processed") {
+      await client.query("COMMIT");
+      return { duplicate: true };
+    }
+
+    await handler(event, {
+      db: client,
+      afterCommit: (effect) => effects.push(effect),
+    });
+
+    await client.query(
+      `UPDATE stripe_events
+       SET status = 'processed', attempts = attempts + 1,
+           last_error = NULL, processed_at = NOW()
+       WHERE id = $1`,
+      [event.id]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    await markEventFailed(event, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  for (const effect of effects) {
+    try {
+      await effect();
+    } catch (err) {
+      logger.error(
+        `❌ Error tras procesar el evento ${event.id}:`,
+        err.message
+      );
+    }
+  }
+  return { duplicate: false };
+}
+
+/**
+ * Vuelve a procesar un evento guardado que no se completó.
+ * Lanza { code: "NOT_FOUND" } o { code: "ALREADY_PROCESSED" }.
+ */
+export async function replayStripeEvent(eventId, handler) {
+  const result = await pool.query(
+    "SELECT status, payload FROM stripe_events WHERE id = $1",
+    [eventId]
+  );
+  const stored = result.rows[0];
+  if (!stored) throw { code: "NOT_FOUND" };
+  if (stored.status === "processed") throw { code: "ALREADY_PROCESSED" };
+
+  return processStripeEvent(stored.payload, handler);
+}
+
+export default {
+  processStripeEvent,
+  replayStripeEvent,
+};
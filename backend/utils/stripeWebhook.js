@@ -0,0 +1,500 @@
+import logger from "./logger.js";
+import stripe from "./stripe.js";
+import inputProtect from "../middleware/inputProtect.js";
+import { sendAdminSms, sendSms } from "./sms.js";
+import {
+  archivePrice,
+  archiveProduct,
+  invalidateCatalogCache,
+  upsertPrice,
+  upsertProduct,
+} from "./catalog.js";
+import { buildOrderItems, createOrder, orderSummary } from "./orders.js";
+import { removePurchasedItems } from "./cart.js";
+import { notifyRefund, recordStripeRefund } from "./refunds.js";
+import { holdOrder, recordStatusChange } from "./orderStatus.js";
+import { destinationFromAddress, findShippingZone } from "./shipping.js";
+import {
+  cancelRedemption,
+  redeemPromotion,
+  releaseRedemption,
+} from "./promotions.js";
+import {
+  checkLowStock,
+  commitReservation,
+  releaseReservation,
+  restockOrder,
+} from "./inventory.js";
+
+const CATALOG_EVENTS = new Set([
+  "product.created",
+  "product.updated",
+  "product.deleted",
+  "price.created",
+  "price.updated",
+  "price.deleted",
+]);
+
+/**
+ * Aplica un evento product.* / price.* al catálogo local.
+ * event.created ordena los eventos: uno atrasado no pisa datos más nuevos.
+ */
+async function handleCatalogEvent(event, { db, afterCommit }) {
+  const object = event.data.object;
+  const sourceUpdatedAt = new Date(event.created * 1000);
+
+  switch (event.type) {
+    case "product.created":
+    case "product.updated":
+      await upsertProduct(object, { sourceUpdatedAt, db });
+      break;
+    case "product.deleted":
+      await archiveProduct(object.id, { sourceUpdatedAt, db });
+      break;
+    case "price.created":
+    case "price.updated":
+      await upsertPrice(object, { sourceUpdatedAt, db });
+      break;
+    case "price.deleted":
+      await archivePrice(object.id, { sourceUpdatedAt, db });
+      break;
+  }
+  // La caché pudo recargarse con datos viejos antes de confirmar
+  afterCommit(invalidateCatalogCache);
+  logger.log(`🗂️ Catálogo actualizado por ${event.type}: ${object.id}`);
+}
+
+async function handleCheckoutExpired(event, { db }) {
+  const sessionId = inputProtect.sanitizeServerString(event.data.object.id);
+  const released = await releaseReservation({ sessionId }, db);
+  if (released > 0) {
+    logger.log(`🔓 Reserva de stock liberada: sesión ${sessionId}`);
+  }
+  await releaseRedemption({ sessionId }, db);
+}
+
+/**
+ * Dirección de envío que el cliente dio en Checkout (customer_details
+ * trae la de facturación).
+ */
+function sessionShippingAddress(session) {
+  return (
+    session.collected_information?.shipping_details?.address ||
+    session.shipping_details?.address ||
+    null
+  );
+}
+
+/**
+ * El envío se cotizó con un destino previo; si la dirección que el cliente
+ * dio en Checkout cae en otra zona, devuelve el motivo para retener el pedido.
+ */
+async function checkShippingZone(db, session, metadata) {
+  const quotedZoneId = parseInt(metadata.shipping_zone_id);
+  if (!quotedZoneId) return null;
+
+  const address = sessionShippingAddress(session);
+  const destination = destinationFromAddress(address);
+  const zone = destination ? await findShippingZone(destination, db) : null;
+  if (zone?.id === quotedZoneId) return null;
+
+  return `el envío se cobró para ${
+    metadata.shipping_city ||
+    metadata.shipping_department ||
+    "la zona por defecto"
+  } pero la dirección es de ${
+    address ? `${address.city || "?"}, ${address.state || "?"}` : "?"
+  }${zone ? ` (zona ${zone.name})` : ""}`;
+}
+
+async function handleCheckoutCompleted(event, { db, afterCommit }) {
+  const session = event.data.object;
+
+  const sessionId = inputProtect.sanitizeServerString(session.id);
+  const metadata = inputProtect.sanitizeObjectRecursivelyServer(
+    session.metadata || {}
+  );
+  const userId = parseInt(metadata.user_id);
+  const customerName = inputProtect.sanitizeServerString(
+    session.customer_details?.name || "Desconocido"
+  );
+  const shippingAddress = inputProtect.sanitizeObjectRecursivelyServer(
+    sessionShippingAddress(session) || session.customer_details?.address || {}
+  );
+
+  logger.log(`🧾 Pago completado (seguro) para sesión ${sessionId}`);
+
+  // Todas las líneas del pedido, enlazadas al catálogo local
+  const lineItems = await stripe.checkout.sessions.listLineItems(session.id, {
+    limit: 100,
+    expand: ["data.price.product"],
+  });
+  const items = await buildOrderItems(lineItems.data, db);
+  const productLabel = orderSummary(items);
+  const amountTotal = session.amount_total / 100;
+  // Con métodos asíncronos (p. ej. transferencias) la sesión se completa
+  // antes de que llegue el dinero: el pedido queda con el pago pendiente
+  const paid = session.payment_status !== "unpaid";
+
+  const userResult = await db.query(
+    `SELECT phone_number FROM users WHERE id = $1`,
+    [userId]
+  );
+  const phone = userResult.rows[0]?.phone_number || null;
+
+  // Formatear la dirección para el SMS
+  const addressString =
+    shippingAddress.line1 && shippingAddress.city
+      ? `${shippingAddress.line1}, ${shippingAddress.city}, ${
+          shippingAddress.country || ""
+        }`
+      : "No disponible";
+
+  const orderId = await createOrder(
+    {
+      userId,
+      phone,
+      shippingAddress,
+      stripeSessionId: session.id,
+      paymentIntentId: session.payment_intent || null,
+      paymentStatus: paid ? "paid" : "pending",
+      total: session.amount_total,
+      currency: session.currency,
+      shippingAmount: session.shipping_cost?.amount_total || 0,
+      shippingZoneId: parseInt(metadata.shipping_zone_id) || null,
+      discountAmount: session.total_details?.amount_discount || 0,
+      promotionId: parseInt(metadata.promotion_id) || null,
+      items,
+    },
+    db
+  );
+  logger.log(
+    `✅ Compra guardada en la base de datos, ID: ${orderId} (${items.length} líneas)`
+  );
+
+  if (metadata.promotion_id) {
+    await redeemPromotion(db, {
+      sessionId: session.id,
+      promotionId: parseInt(metadata.promotion_id) || null,
+      userId,
+      orderId,
+      amountDiscounted: session.total_details?.amount_discount || 0,
+      currency: session.currency,
+    });
+    logger.log(
+      `🏷️ Promoción ${metadata.promotion_code} canjeada en pedido #${orderId}`
+    );
+  }
+
+  // Envío cobrado para otra zona: el pedido queda retenido hasta que un
+  // admin cobre la diferencia o lo cancele
+  const shippingWarning = await checkShippingZone(db, session, metadata);
+  if (shippingWarning) {
+    await holdOrder(db, orderId, shippingWarning, { source: "stripe" });
+    logger.warn(`⏸️ Pedido #${orderId} retenido: ${shippingWarning}`);
+  }
+
+  // Las reservas hechas en el checkout pasan a ser venta
+  const soldItems = items
+    .filter((item) => item.variant_id)
+    .map((item) => ({ variantId: item.variant_id, quantity: item.quantity }));
+  const soldVariantIds = await commitReservation(session.id, {
+    orderId,
+    items: soldItems,
+    db,
+  });
+
+  if (metadata.source === "cart") {
+    await removePurchasedItems(
+      userId,
+      {
+        variantIds: soldItems.map((item) => item.variantId),
+        stripePriceIds: items.map((item) => item.stripe_price_id),
+      },
+      db
+    );
+  }
+
+  afterCommit(async () => {
+    for (const variantId of soldVariantIds) {
+      await checkLowStock(variantId);
+    }
+
+    if (shippingWarning) {
+      await sendAdminSms(
+        `⏸️ Pedido #${orderId} retenido: ${shippingWarning}. Cobra la diferencia o cancélalo.`
+      );
+    }
+
+    await sendAdminNotification(
+      orderId,
+      paid ? productLabel : `${productLabel} (pago pendiente)`,
+      customerName || "Desconocido",
+      phone,
+      addressString
+    );
+
+    if (!phone) {
+      logger.log("No se envió SMS al usuario: teléfono no disponible");
+    } else if (paid) {
+      await sendUserNotification(
+        customerName || "Cliente",
+        productLabel,
+        amountTotal,
+        phone,
+        addressString
+      );
+    } else {
+      await sendSms(
+        phone,
+        `Recibimos tu pedido #${orderId} de "${productLabel}". Te avisaremos cuando se confirme el pago. ☕`
+      );
+    }
+  });
+}
+
+/**
+ * Pedido (bloqueado para la transacción) por sesión de Checkout o PaymentIntent.
+ */
+async function findOrder(db, column, value) {
+  if (!value) return null;
+  const result = await db.query(
+    `SELECT c.id, c.user_id, c.status, c.payment_status, c.precio,
+            c.currency, c.amount_refunded, c.phone, c.stripe_payment_intent_id,
+            u.name AS customer_name
+     FROM compras c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.${column} = $1
+     FOR UPDATE OF c`,
+    [value]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * El pago de un pedido no se pudo cobrar: se cancela y su stock vuelve.
+ */
+async function failOrderPayment(order, reason, { db, afterCommit }) {
+  if (order.payment_status !== "pending") return;
+
+  await db.query(
+    `UPDATE compras SET payment_status = 'failed', status = 'cancelado'
+     WHERE id = $1`,
+    [order.id]
+  );
+  if (order.status !== "cancelado") {
+    await recordStatusChange(db, {
+      orderId: order.id,
+      from: order.status,
+      to: "cancelado",
+      source: "stripe",
+      note: `Pago fallido: ${reason}`,
+    });
+  }
+  await restockOrder(
+    order.id,
+    { reason: "cancellation", note: `Pago fallido: ${reason}` },
+    db
+  );
+  await cancelRedemption(db, order.id);
+  logger.warn(`💳 Pago fallido del pedido #${order.id}: ${reason}`);
+
+  afterCommit(async () => {
+    await sendAdminSms(
+      `❌ Pago fallido del pedido #${order.id} (${reason}). El pedido se canceló y el stock se devolvió.`
+    );
+    if (order.phone) {
+      await sendSms(
+        order.phone,
+        `No pudimos confirmar el pago de tu pedido #${order.id}, así que lo cancelamos. Puedes intentarlo de nuevo cuando quieras. ☕`
+      );
+    }
+  });
+}
+
+async function handleAsyncPaymentSucceeded(event, { db, afterCommit }) {
+  const session = event.data.object;
+  const order = await findOrder(db, "stripe_session_id", session.id);
+  // Stripe no garantiza el orden: si el pedido aún no existe, el evento
+  // falla y se reintenta después de checkout.session.completed
+  if (!order) throw new Error(`No hay pedido para la sesión ${session.id}`);
+  if (order.payment_status !== "pending") return;
+
+  await db.query(
+    `UPDATE compras
+     SET payment_status = 'paid',
+         stripe_payment_intent_id = COALESCE(stripe_payment_intent_id, $2)
+     WHERE id = $1`,
+    [order.id, session.payment_intent || null]
+  );
+  logger.log(`💳 Pago asíncrono confirmado: pedido #${order.id}`);
+
+  afterCommit(async () => {
+    await sendAdminSms(
+      `💳 Pago confirmado del pedido #${order.id} (${
+        order.customer_name || "Cliente"
+      }). Ya se puede preparar.`
+    );
+    if (order.phone) {
+      await sendSms(
+        order.phone,
+        `¡Confirmamos el pago de tu pedido #${order.id}! Te contactaremos pronto. ☕`
+      );
+    }
+  });
+}
+
+async function handleAsyncPaymentFailed(event, ctx) {
+  const session = event.data.object;
+  const order = await findOrder(ctx.db, "stripe_session_id", session.id);
+  if (!order) throw new Error(`No hay pedido para la sesión ${session.id}`);
+  await failOrderPayment(order, "pago asíncrono rechazado", ctx);
+}
+
+async function handlePaymentIntentFailed(event, ctx) {
+  const intent = event.data.object;
+  const reason = inputProtect.sanitizeServerString(
+    intent.last_payment_error?.message || "pago rechazado"
+  );
+  const order = await findOrder(ctx.db, "stripe_payment_intent_id", intent.id);
+  // Sin pedido: el cliente sigue en Checkout y puede reintentar con otro medio
+  if (!order) {
+    logger.log(`💳 Intento de pago rechazado (${intent.id}): ${reason}`);
+    return;
+  }
+  await failOrderPayment(order, reason, ctx);
+}
+
+async function handleChargeRefunded(event, { db, afterCommit }) {
+  const charge = event.data.object;
+  const order = await findOrder(
+    db,
+    "stripe_payment_intent_id",
+    charge.payment_intent
+  );
+  if (!order) {
+    logger.warn(`⚠️ Reembolso de un cargo sin pedido: ${charge.id}`);
+    return;
+  }
+
+  const refundedNow = await recordStripeRefund(db, order, charge);
+  if (refundedNow === 0) return;
+  logger.log(
+    `↩️ Reembolso de ${refundedNow} (${charge.currency}) en pedido #${order.id}`
+  );
+
+  afterCommit(() => notifyRefund(order.id, order.phone, refundedNow));
+}
+
+async function handleDisputeCreated(event, { db, afterCommit }) {
+  const dispute = event.data.object;
+  const order = await findOrder(
+    db,
+    "stripe_payment_intent_id",
+    dispute.payment_intent
+  );
+  const dueBy = dispute.evidence_details?.due_by
+    ? new Date(dispute.evidence_details.due_by * 1000)
+    : null;
+
+  await db.query(
+    `INSERT INTO payment_disputes
+       (stripe_dispute_id, order_id, stripe_charge_id, amount, currency,
+        reason, status, evidence_due_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (stripe_dispute_id) DO NOTHING`,
+    [
+      dispute.id,
+      order?.id || null,
+      typeof dispute.charge === "string" ? dispute.charge : dispute.charge?.id,
+      dispute.amount,
+      dispute.currency,
+      dispute.reason || null,
+      dispute.status,
+      dueBy,
+    ]
+  );
+  if (order) {
+    await db.query(
+      "UPDATE compras SET payment_status = 'disputed' WHERE id = $1",
+      [order.id]
+    );
+  }
+  logger.warn(
+    `⚠️ Disputa ${dispute.id} abierta${order ? ` en pedido #${order.id}` : ""}`
+  );
+
+  afterCommit(() =>
+    sendAdminSms(
+      `⚠️ Disputa abierta${order ? ` en el pedido #${order.id}` : ""} por $${(
+        dispute.amount / 100
+      ).toFixed(2)} (${dispute.reason || "sin motivo"}). Responde en Stripe${
+        dueBy ? ` antes del ${dueBy.toISOString().slice(0, 10)}` : ""
+      }.`
+    )
+  );
+}
+
+// --- Función para enviar SMS al admin ---
+async function sendAdminNotification(
+  orderId,
+  productName,
+  customerName,
+  phone,
+  shippingAddress
+) {
+  const message = `🛒 Nuevo pedido #${orderId}: ${customerName} compró "${productName}". Tel: ${
+    phone || "N/A"
+  }. Dir: ${shippingAddress || "No disponible"}.`;
+  const sid = await sendAdminSms(message);
+  if (sid) logger.log("✅ SMS enviado al admin:", sid);
+}
+
+// --- Función para enviar SMS al usuario ---
+async function sendUserNotification(
+  customerName,
+  productName,
+  amount,
+  phone,
+  shippingAddress
+) {
+  const message = `¡Gracias por tu compra, ${customerName}! Has adquirido "${productName}" por $${amount.toFixed(
+    2
+  )}. Dir ${shippingAddress || "No disponible"}, te contactaremos pronto. ☕`;
+  const sid = await sendSms(phone, message);
+  if (sid) logger.log("✅ SMS enviado al usuario", sid);
+}
+
+/**
+ * Despacha un evento de Stripe ya verificado. Pensado para correr dentro
+ * de processStripeEvent (ver stripeEvents.js): todo lo que escribe usa
+ * ctx.db y los avisos externos van por ctx.afterCommit.
+ */
+export async function handleStripeEvent(event, ctx) {
+  if (CATALOG_EVENTS.has(event.type)) {
+    return handleCatalogEvent(event, ctx);
+  }
+
+  switch (event.type) {
+    case "checkout.session.completed":
+      return handleCheckoutCompleted(event, ctx);
+    case "checkout.session.expired":
+      return handleCheckoutExpired(event, ctx);
+    case "checkout.session.async_payment_succeeded":
+      return handleAsyncPaymentSucceeded(event, ctx);
+    case "checkout.session.async_payment_failed":
+      return handleAsyncPaymentFailed(event, ctx);
+    case "payment_intent.payment_failed":
+      return handlePaymentIntentFailed(event, ctx);
+    case "charge.refunded":
+      return handleChargeRefunded(event, ctx);
+    case "charge.dispute.created":
+      return handleDisputeCreated(event, ctx);
+    default:
+      logger.log(`ℹ️ Evento de Stripe sin acción: ${event.type}`);
+  }
+}
+
+export default {
+  handleStripeEvent,
+};
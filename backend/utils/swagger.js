@@ -47,6 +47,56 @@ const options = {
             lock_reason: { type: "string", nullable: true },
           },
         },
+        OrderItem: {
+          type: "object",
+          description:
+            "Línea de un pedido. Montos en la unidad mínima de la moneda.",
+          properties: {
+            id: { type: "integer" },
+            product_id: { type: "integer", nullable: true },
+            variant_id: { type: "integer", nullable: true },
+            product_name: { type: "string", example: "Café de origen 500 g" },
+            variant_sku: { type: "string", nullable: true },
+            variant_options: { type: "object", nullable: true },
+            image: { type: "string", nullable: true },
+            quantity: { type: "integer", example: 2 },
+            unit_amount: { type: "integer", example: 3500000 },
+            subtotal: { type: "integer", example: 7000000 },
+            total: { type: "integer", example: 7000000 },
+            quantity_refunded: { type: "integer", example: 0 },
+            amount_refunded: { type: "integer", example: 0 },
+            currency: { type: "string", example: "cop" },
+          },
+        },
+        Shipment: {
+          type: "object",
+          description: "Envío de un pedido con su guía.",
+          properties: {
+            id: { type: "integer" },
+            carrier: { type: "string", example: "servientrega" },
+            carrier_name: { type: "string", example: "Servientrega" },
+            tracking_number: { type: "string" },
+            tracking_url: { type: "string", nullable: true },
+            status: {
+              type: "string",
+              enum: [
+                "label_created",
+                "in_transit",
+                "out_for_delivery",
+                "delivered",
+                "exception",
+                "returned",
+              ],
+            },
+            last_event: { type: "string", nullable: true },
+            shipped_at: { type: "string", format: "date-time" },
+            delivered_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+            },
+          },
+        },
         Error500: {
           type: "object",
           properties: {
@@ -0,0 +1,81 @@
+import crypto from "crypto";
+import { JWT_SECRET, MFA_ENCRYPTION_KEY } from "./config.js";
+
+/**
+ * Genera un token opaco aleatorio (base64url) para refresh tokens,
+ * enlaces de verificación y desafíos de un solo uso.
+ */
+export function generateOpaqueToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * Genera un código numérico (ej. 6 dígitos) para SMS/email.
+ */
+export function generateNumericCode(digits = 6) {
+  return String(crypto.randomInt(0, 10 ** digits)).padStart(digits, "0");
+}
+
+/**
+ * Hash HMAC-SHA256 de un token o código. Solo el hash se guarda en DB,
+ * así una filtración de la tabla no permite reutilizar los valores.
+ */
+export function hashToken(value) {
+  if (!JWT_SECRET) throw new Error("JWT_SECRET no está definido");
+  return crypto
+    .createHmac("sha256", JWT_SECRET)
+    .update(String(value))
+    .digest("hex");
+}
+
+/**
+ * Compara dos hashes en tiempo constante.
+ */
+export function safeCompare(a = "", b = "") {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function encryptionKey() {
+  const base = MFA_ENCRYPTION_KEY || JWT_SECRET;
+  if (!base) throw new Error("MFA_ENCRYPTION_KEY no está definido");
+  return crypto.createHash("sha256").update(base).digest();
+}
+
+/**
+ * Cifra un secreto (AES-256-GCM) para guardarlo en DB.
+ * Formato: iv.tag.ciphertext en base64url.
+ */
+export function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(plainText), "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+export function decryptSecret(payload) {
+  const [iv, tag, encrypted] = String(payload)
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+export default {
+  generateOpaqueToken,
+  generateNumericCode,
+  hashToken,
+  safeCompare,
+  encryptSecret,
+  decryptSecret,
+};
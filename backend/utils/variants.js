@@ -0,0 +1,136 @@
+import pool from "../database/db.js";
+import inputProtect from "../middleware/inputProtect.js";
+
+export const MAX_OPTION_TYPES = 3;
+export const MAX_OPTION_VALUES = 20;
+const SKU_REGEX = /^[A-Z0-9][A-Z0-9-]{1,63}$/;
+
+function cleanLabel(value) {
+  return inputProtect.sanitizeString(String(value || ""), {
+    maxLength: 50,
+    allowNewlines: false,
+  });
+}
+
+/**
+ * Valida los tipos de opción de un producto: [{ name, values: [] }].
+ * @returns {{ options?: Array, error?: string }}
+ */
+export function normalizeOptionTypes(input) {
+  if (!Array.isArray(input) || input.length > MAX_OPTION_TYPES) {
+    return {
+      error: `options debe ser una lista de hasta ${MAX_OPTION_TYPES} tipos`,
+    };
+  }
+
+  const options = [];
+  for (const option of input) {
+    const name = cleanLabel(option?.name);
+    const values = Array.isArray(option?.values)
+      ? [...new Set(option.values.map(cleanLabel))].filter(Boolean)
+      : [];
+
+    if (!name || values.length === 0 || values.length > MAX_OPTION_VALUES) {
+      return { error: `Opción inválida: ${name || "sin nombre"}` };
+    }
+    if (options.some((existing) => existing.name === name)) {
+      return { error: `Opción repetida: ${name}` };
+    }
+    options.push({ name, values });
+  }
+  return { options };
+}
+
+/**
+ * Comprueba que la variante elija exactamente un valor permitido por
+ * cada tipo de opción del producto.
+ * @returns {{ options?: Object, error?: string }}
+ */
+export function validateVariantOptions(optionTypes, selected) {
+  if (!selected || typeof selected !== "object" || Array.isArray(selected)) {
+    return { error: "options debe ser un objeto { opción: valor }" };
+  }
+
+  const extra = Object.keys(selected).filter(
+    (name) => !optionTypes.some((option) => option.name === name)
+  );
+  if (extra.length > 0) {
+    return { error: `Opciones desconocidas: ${extra.join(", ")}` };
+  }
+
+  const options = {};
+  for (const option of optionTypes) {
+    const value = cleanLabel(selected[option.name]);
+    if (!option.values.includes(value)) {
+      return {
+        error: `Valor inválido para ${option.name}: usa ${option.values.join(
+          ", "
+        )}`,
+      };
+    }
+    options[option.name] = value;
+  }
+  return { options };
+}
+
+export function normalizeSku(value) {
+  const sku = String(value || "")
+    .trim()
+    .toUpperCase();
+  return SKU_REGEX.test(sku) ? sku : null;
+}
+
+/**
+ * "500g, Grano entero, Medio" para SMS y listados.
+ */
+export function describeVariant(options) {
+  return Object.values(options || {}).join(", ");
+}
+
+export async function getProductOptions(productId, db = pool) {
+  const result = await db.query(
+    `SELECT name, "values" FROM product_options
+     WHERE product_id = $1
+     ORDER BY position ASC, id ASC`,
+    [productId]
+  );
+  return result.rows;
+}
+
+/**
+ * Variante vendible (variante, precio y producto activos).
+ */
+export async function findCheckoutVariant(variantId) {
+  const result = await pool.query(
+    `SELECT v.id, v.sku, v.options, v.stock - v.reserved AS available,
+            pr.id AS price_id, pr.stripe_price_id, pr.unit_amount, pr.currency,
+            p.id AS product_id, p.name AS product_name
+     FROM product_variants v
+     JOIN prices pr ON pr.id = v.price_id
+     JOIN products p ON p.id = v.product_id
+     WHERE v.id = $1 AND v.active = TRUE AND pr.active = TRUE AND p.active = TRUE`,
+    [variantId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Variante tal como está ahora (activa o no), para registrar una compra.
+ */
+export async function getVariant(variantId) {
+  const result = await pool.query(
+    "SELECT id, product_id, sku, options FROM product_variants WHERE id = $1",
+    [variantId]
+  );
+  return result.rows[0] || null;
+}
+
+export default {
+  normalizeOptionTypes,
+  validateVariantOptions,
+  normalizeSku,
+  describeVariant,
+  getProductOptions,
+  findCheckoutVariant,
+  getVariant,
+};
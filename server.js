@@ -13,11 +13,17 @@ import historyRoutes from "./backend/routes/history.js";
 import stripeRoutes from "./backend/routes/stripe.js";
 import googleAuthRoutes from "./backend/routes/loginGoogle.js";
 import profileRoutes from "./backend/routes/profile.js";
+import cartRoutes from "./backend/routes/cart.js";
 import logger from "./backend/utils/logger.js";
 import { securityMiddlewares } from "./backend/middleware/inputProtect.js";
 import swaggerUI from "swagger-ui-express";
 import swaggerSpec from "./backend/utils/swagger.js";
 import logsRoutes from "./backend/routes/logs.routes.js";
+import { getClientIp } from "./backend/utils/clientInfo.js";
+import requestId from "./backend/middleware/requestId.js";
+import { startCatalogSync } from "./backend/utils/catalog.js";
+import { startInventoryJobs } from "./backend/utils/inventory.js";
+import { startShipmentTracking } from "./backend/utils/shipments.js";
 import {
   FRONTEND_URL,
   NODE_ENV,
@@ -65,17 +71,26 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Request-Id",
+      "Idempotency-Key",
+    ],
+    exposedHeaders: ["X-Request-Id"],
   })
 );
 
 app.use(cookieParser());
+app.use(requestId);
 
 // --- Logger ---
 app.use((req, res, next) => {
   const ip = getClientIp(req);
   logger.log(
-    `[${new Date().toISOString()}] ${req.method} ${req.url} - IP: ${ip}`
+    `[${new Date().toISOString()}] [${req.id}] ${req.method} ${
+      req.url
+    } - IP: ${ip}`
   );
   next();
 });
@@ -90,6 +105,7 @@ app.use("/api/auth", authRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api", historyRoutes);
 app.use("/api", googleAuthRoutes);
+app.use("/api/user/cart", cartRoutes);
 app.use("/api/user", profileRoutes);
 app.use("/api/logs", logsRoutes);
 
@@ -119,28 +135,12 @@ app.use((req, res, next) => {
 
 app.use(errorHandler);
 
-function getClientIp(req) {
-  const xForwardedFor = req.headers["x-forwarded-for"];
-
-  if (xForwardedFor) {
-    const ips = xForwardedFor.split(",").map((ip) => ip.trim());
-    return ips[0];
-  }
-
-  return (
-    req.ip ||
-    req.connection?.remoteAddress ||
-    req.socket?.remoteAddress ||
-    (req.connection &&
-      req.connection.socket &&
-      req.connection.socket.remoteAddress) ||
-    "IP_DESCONOCIDA"
-  );
-}
-
 // --- Iniciar servidor ---
 const PORT = PORTG || 3000;
 app.listen(PORT, () => {
   logger.log(`🚀 Backend corriendo en puerto ${PORT}`);
   logger.log(`🌐 FRONTEND_URL esperada: ${FRONTEND_URL}`);
+  startCatalogSync();
+  startInventoryJobs();
+  startShipmentTracking();
 });